@@ -116,6 +116,7 @@
             // Synchronises the plugins' RequireJS 3rd-party libs route to the plugin path config,
             // so that the plugins' require calls can find their 'lib' directory relative to their plugins directory
             "src/lib/requireConfig.js",
+            "src/core/host.js",
             "src/core/eventManager.js",
             "src/core/plugins.js",
             "src/core/events.js",
@@ -136,12 +137,17 @@
             "src/core/scene/node.js",
             "src/core/scene/pubSubProxy.js",
             "src/core/scene/nodeFactory.js",
+            "src/core/scene/history.js",
+            "src/core/scene/boundary.js",
+            "src/core/scene/animation.js",
             "src/core/scene/camera.js",
             "src/core/scene/clips.js",
             "src/core/scene/enable.js",
             "src/core/scene/flags.js",
             "src/core/scene/framebuf.js",
             "src/core/scene/geometry.js",
+            "src/core/scene/instances.js",
+            "src/core/scene/batch.js",
             "src/core/scene/layer.js",
             "src/core/scene/library.js",
             "src/core/scene/lights.js",
@@ -154,6 +160,8 @@
             "src/core/scene/colorbuf.js",
             "src/core/scene/view.js",
             "src/core/scene/scene.js",
+            "src/core/scene/scenePatch.js",
+            "src/core/scene/export.js",
             "src/core/scene/shader.js",
             "src/core/scene/shaderParams.js",
             "src/core/scene/style.js",
@@ -178,6 +186,8 @@
             "src/core/display/objectFactory.js",
             "src/core/display/object.js",
             "src/core/display/renderContext.js",
+            "src/core/display/postProcess.js",
+            "src/core/display/views.js",
 
             // Display list state chunks
 
@@ -204,7 +214,11 @@
             "src/core/display/chunks/styleChunk.js",
             "src/core/display/chunks/textureChunk.js",
             "src/core/display/chunks/cubemapChunk.js",
-            "src/core/display/chunks/xformChunk.js"
+            "src/core/display/chunks/xformChunk.js",
+
+            // Testing support
+
+            "src/core/testing/recordingGL.js"
         ]
     };
 
@@ -8,36 +8,23 @@ var SceneJS_Canvas = function (id, canvasId, contextAttr, options) {
      */
     this.canvasId;
 
-    if (!canvasId) {
-        // Automatic default canvas
-        canvasId = "canvas-" + id;
-        var body = document.getElementsByTagName("body")[0];
-        var div = document.createElement('div');
-        var style = div.style;
-        style.height = "100%";
-        style.width = "100%";
-        style.padding = "0";
-        style.margin = "0";
-        style.left = "0";
-        style.top = "0";
-        style.position = "absolute";
-        // style["z-index"] = "10000";
-        div.innerHTML += '<canvas id="' + canvasId + '" style="width: 100%; height: 100%; margin: 0; padding: 0;"></canvas>';
-        body.appendChild(div);
-    }
+    /**
+     * WebGL context options
+     */
+    this.options = options || {};
+
+    /**
+     * Host that provides the canvas, a headless host when a WebGL context is injected with the 'gl' option
+     */
+    this.host = SceneJS.Hosts.getHost(this.options.host || (this.options.gl ? "node" : null));
 
     // Bind to canvas
-    var canvas = document.getElementById(canvasId);
+    var canvas = this.host.getCanvas(id, canvasId, this.options);
     if (!canvas) {
         throw SceneJS_error.fatalError(SceneJS.errors.CANVAS_NOT_FOUND,
             "SceneJS.Scene attribute 'canvasId' does not match any elements in the page");
     }
-    this.canvasId = canvasId;
-
-    /**
-     * WebGL context options
-     */
-    this.options = options || {};
+    this.canvasId = canvasId || canvas.id;
 
     this.canvas = (this.options.simulateWebGLContextLost)
         ? WebGLDebugUtils.makeLostContextSimulatingCanvas(canvas)
@@ -103,6 +90,13 @@ SceneJS_Canvas.prototype.initWebGL = function () {
 };
 
 
+/**
+ * Returns true while this canvas still exists, ie. has not been removed from the page
+ */
+SceneJS_Canvas.prototype.exists = function () {
+    return this.host.hasCanvas(this.canvasId);
+};
+
 /**
  * Simulate a lost WebGL context.
  * Only works if the simulateWebGLContextLost was given as an option to the canvas' constructor.
@@ -9,6 +9,8 @@ SceneJS_ChunkFactory.createChunkType({
         this._uPMatrixPick = this.program.pick.getUniformLocation("SCENEJS_uPMatrix");
         this._uZNearPick = this.program.pick.getUniformLocation("SCENEJS_uZNear");
         this._uZFarPick = this.program.pick.getUniformLocation("SCENEJS_uZFar");
+
+        this._stereoMat = new Float32Array(16); // Asymmetric projection for a stereo eye
     },
 
     draw : function(ctx) {
@@ -19,33 +21,65 @@ SceneJS_ChunkFactory.createChunkType({
 
         var gl = this.program.gl;
 
+        var mat = this._getProjMat(ctx.view);
+
         if (this._uPMatrixDraw) {
-            gl.uniformMatrix4fv(this._uPMatrixDraw, gl.FALSE, this.core.mat);
+            gl.uniformMatrix4fv(this._uPMatrixDraw, gl.FALSE, mat);
         }
 
-        ctx.cameraMat = this.core.mat; // Query only in draw pass
+        ctx.cameraMat = mat; // Query only in draw pass
     },
 
 
     pick : function(ctx) {
 
+        if (this.core.dirty) { // Depth pass for post-processing may precede the draw pass
+            this.core.rebuild();
+        }
+
         var gl = this.program.gl;
 
+        var shadow = ctx.shadow; // Shadow depth map pass projects from the light
+
+        var view = !shadow && ctx.view && ctx.view.projMat ? ctx.view : null; // View with its own projection
+
+        var mat = shadow ? shadow.projMat : this._getProjMat(ctx.view);
+
         if (this._uPMatrixPick) {
-            gl.uniformMatrix4fv(this._uPMatrixPick, gl.FALSE, this.core.mat);
+            gl.uniformMatrix4fv(this._uPMatrixPick, gl.FALSE, mat);
         }
 
         if (ctx.rayPick) { // Z-pick pass: feed near and far clip planes into shader
 
             if (this._uZNearPick) {
-                gl.uniform1f(this._uZNearPick, this.core.optics.near);
+                gl.uniform1f(this._uZNearPick, shadow ? shadow.nearFar[0] : view ? view.near : this.core.optics.near);
             }
 
             if (this._uZFarPick) {
-                gl.uniform1f(this._uZFarPick, this.core.optics.far);
+                gl.uniform1f(this._uZFarPick, shadow ? shadow.nearFar[1] : view ? view.far : this.core.optics.far);
             }
         }
 
-        ctx.cameraMat = this.core.mat; // Query only in draw pass
+        ctx.cameraMat = mat; // Query only in draw pass
+    },
+
+    /**
+     * Returns the projection matrix for a view, which may have its own projection, or be for a stereo eye
+     */
+    _getProjMat : function(view) {
+
+        if (!view) {
+            return this.core.mat;
+        }
+
+        if (view.projMat) { // Stereo already applied
+            return view.projMat;
+        }
+
+        if (view.stereoOffset) {
+            return SceneJS_Views.stereoProjMat(this.core.mat, view.stereoOffset, view.convergence, this._stereoMat);
+        }
+
+        return this.core.mat;
     }
 });
\ No newline at end of file
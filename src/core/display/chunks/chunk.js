@@ -17,7 +17,7 @@ var SceneJS_Chunk = function() {};
  * @param {String} id Chunk ID
  * @param {SceneJS_Program} program Program to render the chunk
  * @param {SceneJS_Core} core The state core rendered by this chunk
- * @param {SceneJS_Core} core2 Another state core rendered by this chunk, only used for geometry
+ * @param {SceneJS_Core} core2 Another state core rendered by this chunk, only used for geometry and draw
  */
 SceneJS_Chunk.prototype.init = function(id, program, core, core2) {
 
@@ -14,12 +14,283 @@ SceneJS_ChunkFactory.createChunkType({
      */
     unique:true,
 
-    build:function () {},
+    build:function () {
+
+        var draw = this.program.draw;
+        var pick = this.program.pick;
+
+        // Attributes to rebind for each batch of a geometry that is split into batches
+        this._drawAttributes = [
+            { attr:draw.getAttribute("SCENEJS_aVertex"), buf:"vertexBuf" },
+            { attr:draw.getAttribute("SCENEJS_aNormal"), buf:"normalBuf" },
+            { attr:draw.getAttribute("SCENEJS_aUVCoord"), buf:"uvBuf" },
+            { attr:draw.getAttribute("SCENEJS_aUVCoord2"), buf:"uvBuf2" },
+            { attr:draw.getAttribute("SCENEJS_aVertexColor"), buf:"colorBuf" }
+        ];
+
+        if (this.core.instanceColorBuf) { // Colors of instances merged into the geometry
+            this._drawAttributes.push({ attr:draw.getAttribute("SCENEJS_aInstanceColor"), buf:"instanceColorBuf" });
+        }
+
+        this._pickAttributes = [
+            { attr:pick.getAttribute("SCENEJS_aVertex"), buf:"vertexBuf" },
+            { attr:pick.getAttribute("SCENEJS_aNormal"), buf:"normalBuf" },
+            { attr:pick.getAttribute("SCENEJS_aUVCoord"), buf:"uvBuf" },
+            { attr:pick.getAttribute("SCENEJS_aUVCoord2"), buf:"uvBuf2" },
+            { attr:pick.getAttribute("SCENEJS_aBatchPickIndex"), buf:"pickIndexBuf" }
+        ];
+
+        // Per-instance attributes, for geometry within an instances node
+        this._instanceMatrixDraw = [];
+        this._instanceMatrixPick = [];
+
+        for (var i = 0; i < 4; i++) {
+            this._instanceMatrixDraw.push(draw.getAttribute("SCENEJS_aInstanceMatrix" + i));
+            this._instanceMatrixPick.push(pick.getAttribute("SCENEJS_aInstanceMatrix" + i));
+        }
+
+        this._instanceColorDraw = draw.getAttribute("SCENEJS_aInstanceColor");
+        this._instancePickIndex = pick.getAttribute("SCENEJS_aInstancePickIndex");
+        this._uInstancePickBase = pick.getUniformLocation("SCENEJS_uInstancePickBase");
+
+        // Pick index of the first geometry merged by a batch node
+        this._uBatchPickBase = pick.getUniformLocation("SCENEJS_uBatchPickBase");
+
+        this._instanceAttributesDraw = this._instanceMatrixDraw.concat([this._instanceColorDraw]).filter(Boolean);
+        this._instanceAttributesPick = this._instanceMatrixPick.concat([this._instancePickIndex]).filter(Boolean);
+    },
 
     drawAndPick:function (ctx) {
 
         var gl = this.program.gl;
+        var instances = this.core2;
+
+        if (instances.matrices) {
+
+            if (instances.numInstances == 0) {
+                return;
+            }
+
+            this._bindInstances(ctx);
+
+        } else if (ctx.pick && this._uBatchPickBase) {
+            this._setBatchPickIndices(ctx);
+        }
+
+        if (this.core.batches) {
+            this._drawBatches(ctx);
+
+        } else {
+            this._drawElements(ctx, this.core.primitive, this.core.indexBuf.numItems, this.core.indexType || gl.UNSIGNED_SHORT);
+        }
+
+        if (instances.matrices) {
+            this._unbindInstances(ctx);
+        }
+    },
+
+    /**
+     * Draws the bound elements, once for each instance when within an instances node. Without the
+     * ANGLE_instanced_arrays extension, instances are normally merged into the geometry instead, so that's
+     * only a draw call per instance for morphing geometry, which can't be merged.
+     */
+    _drawElements:function (ctx, primitive, count, type) {
+
+        var gl = this.program.gl;
+        var instances = this.core2;
+
+        if (!instances.matrices) {
+            gl.drawElements(primitive, count, type, 0);
+
+        } else if (ctx.instancing) {
+            ctx.instancing.drawElementsInstancedANGLE(primitive, count, type, 0, instances.numInstances);
+
+        } else {
+            for (var i = 0, len = instances.numInstances; i < len; i++) {
+                this._setInstance(ctx, i);
+                gl.drawElements(primitive, count, type, 0);
+            }
+        }
+    },
+
+    /**
+     * Binds the per-instance attribute arrays, or without the ANGLE_instanced_arrays extension, disables the
+     * arrays so that each instance can be drawn with constant attribute values
+     */
+    _bindInstances:function (ctx) {
+
+        var gl = this.program.gl;
+        var ext = ctx.instancing;
+        var instances = this.core2;
+        var matrixAttributes = ctx.pick ? this._instanceMatrixPick : this._instanceMatrixDraw;
+        var attributes = ctx.pick ? this._instanceAttributesPick : this._instanceAttributesDraw;
+        var i;
+
+        if (ctx.pick) {
+            this._setPickIndices(ctx);
+        }
+
+        if (!ext) {
+            for (i = 0; i < attributes.length; i++) {
+                gl.disableVertexAttribArray(attributes[i].location);
+            }
+            return;
+        }
+
+        instances.matrixBuf.bind();
+
+        for (i = 0; i < 4; i++) {
+            if (matrixAttributes[i]) {
+                matrixAttributes[i].bindInterleavedFloatArrayBuffer(4, 64, i * 16); // Matrix columns
+            }
+        }
+
+        if (!ctx.pick && this._instanceColorDraw) {
+            this._instanceColorDraw.bindFloatArrayBuffer(instances.colorBuf);
+        }
+
+        if (ctx.pick && this._instancePickIndex) {
+            this._instancePickIndex.bindFloatArrayBuffer(instances.pickIndexBuf);
+        }
+
+        for (i = 0; i < attributes.length; i++) {
+            ext.vertexAttribDivisorANGLE(attributes[i].location, 1);
+        }
+    },
+
+    /**
+     * Restores the divisors of the per-instance attributes, which would otherwise apply to
+     * the attributes of whatever programs are bound next
+     */
+    _unbindInstances:function (ctx) {
+
+        var ext = ctx.instancing;
+
+        if (!ext) {
+            return;
+        }
+
+        var attributes = ctx.pick ? this._instanceAttributesPick : this._instanceAttributesDraw;
+
+        for (var i = 0; i < attributes.length; i++) {
+            ext.vertexAttribDivisorANGLE(attributes[i].location, 0);
+        }
+    },
+
+    /**
+     * Sets constant attribute values for an instance, to draw instances without the ANGLE_instanced_arrays extension
+     */
+    _setInstance:function (ctx, index) {
+
+        var gl = this.program.gl;
+        var instances = this.core2;
+        var matrixAttributes = ctx.pick ? this._instanceMatrixPick : this._instanceMatrixDraw;
+        var matrices = instances.matrices;
+        var i;
+
+        for (var j = 0; j < 4; j++) {
+            if (matrixAttributes[j]) {
+                i = index * 16 + j * 4;
+                gl.vertexAttrib4f(matrixAttributes[j].location, matrices[i], matrices[i + 1], matrices[i + 2], matrices[i + 3]);
+            }
+        }
+
+        if (!ctx.pick && this._instanceColorDraw) {
+            i = index * 4;
+            var colors = instances.colors;
+            gl.vertexAttrib4f(this._instanceColorDraw.location, colors[i], colors[i + 1], colors[i + 2], colors[i + 3]);
+        }
+
+        if (ctx.pick && this._instancePickIndex) {
+            gl.vertexAttrib1f(this._instancePickIndex.location, index);
+        }
+    },
+
+    /**
+     * Allocates a pick index for each instance, following on from the pick indices of the names
+     */
+    _setPickIndices:function (ctx) {
+
+        if (!this._uInstancePickBase) {
+            return;
+        }
+
+        var gl = this.program.gl;
+        var name = ctx.pickName;
+
+        if (!name) {
+            gl.uniform1f(this._uInstancePickBase, 0); // Not pickable
+            return;
+        }
+
+        var base = ctx.pickIndex;
+
+        for (var i = 0, len = this.core2.numInstances; i < len; i++) {
+            ctx.pickNames[base + i] = {
+                name:name.name,
+                path:name.path,
+                nodeId:name.nodeId,
+                instance:i
+            };
+        }
+
+        ctx.pickIndex += this.core2.numInstances;
+
+        gl.uniform1f(this._uInstancePickBase, base + 1); // Pick index zero is the background
+    },
+
+    /**
+     * Allocates a pick index for each geometry merged by a batch node, following on from the pick indices of the names.
+     * Merged geometries that had no name within the batch are picked by the name above the batch. Instances merged
+     * into the geometry are picked by the name above the geometry, along with the index of the instance.
+     */
+    _setBatchPickIndices:function (ctx) {
+
+        var pieces = this.core.pieces;
+        var base = ctx.pickIndex;
+        var name;
+
+        for (var i = 0, len = pieces.length; i < len; i++) {
+            name = pieces[i].name || ctx.pickName;
+            ctx.pickNames[base + i] = (name && pieces[i].instance != undefined) ? {
+                name:name.name,
+                path:name.path,
+                nodeId:name.nodeId,
+                instance:pieces[i].instance
+            } : name;
+        }
+
+        ctx.pickIndex += pieces.length;
+
+        this.program.gl.uniform1f(this._uBatchPickBase, base + 1); // Pick index zero is the background
+    },
+
+    /**
+     * Draws a geometry that is split into batches because its indices are too large for 16 bits, binding the
+     * vertex and index buffers of each batch in turn
+     */
+    _drawBatches:function (ctx) {
+
+        var gl = this.program.gl;
+        var attributes = ctx.pick ? this._pickAttributes : this._drawAttributes;
+        var batches = this.core.batches;
+        var batch;
+        var attribute;
+
+        for (var i = 0, len = batches.length; i < len; i++) {
+
+            batch = batches[i];
+
+            for (var j = 0, lenj = attributes.length; j < lenj; j++) {
+                attribute = attributes[j];
+                if (attribute.attr) {
+                    attribute.attr.bindFloatArrayBuffer(batch[attribute.buf]);
+                }
+            }
+
+            batch.indexBuf.bind();
 
-        gl.drawElements(this.core.primitive, this.core.indexBuf.numItems, gl.UNSIGNED_SHORT, 0);
+            this._drawElements(ctx, batch.primitive, batch.indexBuf.numItems, gl.UNSIGNED_SHORT);
+        }
     }
 });
@@ -16,6 +16,7 @@ SceneJS_ChunkFactory.createChunkType({
         this._uAmbientDraw = draw.getUniformLocation("SCENEJS_uAmbient");
         this._uDiffuseDraw = draw.getUniformLocation("SCENEJS_uDiffuse");
         this._uReflectionDraw = draw.getUniformLocation("SCENEJS_uReflection");
+        this._uReceiveShadowsDraw = draw.getUniformLocation("SCENEJS_uReceiveShadows");
 
         var pick = this.program.pick;
 
@@ -58,7 +59,8 @@ SceneJS_ChunkFactory.createChunkType({
                                (this.core.clipping ? 8 : 0) +
                                (this.core.ambient ? 16 : 0) +
                                (this.core.diffuse ? 32 : 0) +
-                               (this.core.reflection ? 64 : 0);
+                               (this.core.reflection ? 64 : 0) +
+                               (this.core.receiveShadows ? 128 : 0);
             if (this.program.drawUniformFlags != drawUniforms) {
                 gl.uniform1i(this._uBackfaceTexturingDraw, this.core.backfaceTexturing);
                 gl.uniform1i(this._uBackfaceLightingDraw, this.core.backfaceLighting);
@@ -67,6 +69,7 @@ SceneJS_ChunkFactory.createChunkType({
                 gl.uniform1i(this._uAmbientDraw, this.core.ambient);
                 gl.uniform1i(this._uDiffuseDraw, this.core.diffuse);
                 gl.uniform1i(this._uReflectionDraw, this.core.reflection);
+                gl.uniform1i(this._uReceiveShadowsDraw, this.core.receiveShadows);
                 this.program.drawUniformFlags = drawUniforms;
             }
         }
@@ -13,11 +13,19 @@ SceneJS_ChunkFactory.createChunkType({
 
     drawAndPick: function(ctx) {
 
+        if (ctx.shadow) { // Shadow casters render to the light's depth map
+            return;
+        }
+
         if (ctx.framebuf) {
 
             this.program.gl.finish(); // Force framebuf to complete
 
             ctx.framebuf.unbind();
+
+            if (ctx.targetBuf) { // Resume rendering to the post-processing buffer
+                ctx.targetBuf.rebind();
+            }
         }
 
         var framebuf = this.core.framebuf;
@@ -14,6 +14,7 @@ SceneJS_ChunkFactory.createChunkType({
         this._aUVDraw = draw.getAttribute("SCENEJS_aUVCoord");
         this._aUV2Draw = draw.getAttribute("SCENEJS_aUVCoord2");
         this._aColorDraw = draw.getAttribute("SCENEJS_aVertexColor");
+        this._aInstanceColorDraw = draw.getAttribute("SCENEJS_aInstanceColor");
 
         this._aMorphVertexDraw = draw.getAttribute("SCENEJS_aMorphVertex");
         this._aMorphNormalDraw = draw.getAttribute("SCENEJS_aMorphNormal");
@@ -25,6 +26,7 @@ SceneJS_ChunkFactory.createChunkType({
         this._aNormalPick = pick.getAttribute("SCENEJS_aNormal");
         this._aUVPick = pick.getAttribute("SCENEJS_aUVCoord");
         this._aUV2Pick = pick.getAttribute("SCENEJS_aUVCoord2");
+        this._aBatchPickIndexPick = pick.getAttribute("SCENEJS_aBatchPickIndex");
 
         this._aMorphVertexPick = pick.getAttribute("SCENEJS_aMorphVertex");
         this._aMorphNormalPick = pick.getAttribute("SCENEJS_aMorphNormal");
@@ -154,6 +156,10 @@ SceneJS_ChunkFactory.createChunkType({
                     this._aColorDraw.bindFloatArrayBuffer(this.core2.colorBuf);
                 }
             }
+
+            if (this._aInstanceColorDraw && this.core2.instanceColorBuf) { // Colors of merged instances
+                this._aInstanceColorDraw.bindFloatArrayBuffer(this.core2.instanceColorBuf);
+            }
         }
 
         this.core2.indexBuf.bind();
@@ -217,6 +223,10 @@ SceneJS_ChunkFactory.createChunkType({
 
         }
 
+        if (this._aBatchPickIndexPick) {
+            this._aBatchPickIndexPick.bindFloatArrayBuffer(this.core2.pickIndexBuf);
+        }
+
         this.core2.indexBuf.bind();
     }
 });
@@ -14,6 +14,12 @@ SceneJS_ChunkFactory.createChunkType({
         this._uLightCutOff = this._uLightCutOff || [];
         this._uLightSpotExp = this._uLightSpotExp || [];
         this._uLightAttenuation = this._uLightAttenuation || [];
+        this._uShadowViewMatrix = this._uShadowViewMatrix || [];
+        this._uShadowProjMatrix = this._uShadowProjMatrix || [];
+        this._uShadowNearFar = this._uShadowNearFar || [];
+        this._uShadowBias = this._uShadowBias || [];
+        this._uShadowSoftness = this._uShadowSoftness || [];
+        this._uShadowMap = this._uShadowMap || [];
 
         var lights = this.core.lights;
         var program = this.program;
@@ -38,6 +44,26 @@ SceneJS_ChunkFactory.createChunkType({
                     this._uLightDir[i] = null;
                     this._uLightAttenuation[i] = program.draw.getUniformLocation("SCENEJS_uLightAttenuation" + i);
                     break;
+
+                case "spot":
+                    this._uLightColor[i] = program.draw.getUniformLocation("SCENEJS_uLightColor" + i);
+                    this._uLightPos[i] = program.draw.getUniformLocation("SCENEJS_uLightPos" + i);
+                    this._uLightDir[i] = program.draw.getUniformLocation("SCENEJS_uLightDir" + i);
+                    this._uLightCutOff[i] = program.draw.getUniformLocation("SCENEJS_uLightCutOff" + i);
+                    this._uLightSpotExp[i] = program.draw.getUniformLocation("SCENEJS_uLightSpotExp" + i);
+                    this._uLightAttenuation[i] = program.draw.getUniformLocation("SCENEJS_uLightAttenuation" + i);
+                    break;
+            }
+
+            if (lights[i].castShadow) {
+                this._uShadowViewMatrix[i] = program.draw.getUniformLocation("SCENEJS_uShadowViewMatrix" + i);
+                this._uShadowProjMatrix[i] = program.draw.getUniformLocation("SCENEJS_uShadowProjMatrix" + i);
+                this._uShadowNearFar[i] = program.draw.getUniformLocation("SCENEJS_uShadowNearFar" + i);
+                this._uShadowBias[i] = program.draw.getUniformLocation("SCENEJS_uShadowBias" + i);
+                this._uShadowSoftness[i] = program.draw.getUniformLocation("SCENEJS_uShadowSoftness" + i);
+                this._uShadowMap[i] = "SCENEJS_uShadowMap" + i;
+            } else {
+                this._uShadowMap[i] = null;
             }
         }
     },
@@ -77,7 +103,29 @@ SceneJS_ChunkFactory.createChunkType({
                 if (this._uLightDir[i]) {
                     gl.uniform3fv(this._uLightDir[i], light.dir);
                 }
+
+                if (this._uLightCutOff[i]) {
+                    gl.uniform1f(this._uLightCutOff[i], Math.cos(light.cutoff * Math.PI / 180.0));
+                    gl.uniform1f(this._uLightSpotExp[i], light.exponent);
+                }
+
+                if (this._uShadowMap[i] && light.shadow && light.shadow.viewMat) { // Depth map rendered this frame
+                    this._bindShadow(ctx, i, light.shadow);
+                }
             }
         }
+    },
+
+    _bindShadow:function (ctx, i, shadow) {
+
+        var gl = this.program.gl;
+
+        this.program.draw.bindTexture(this._uShadowMap[i], shadow.buf.getTexture(), ctx.textureUnit++);
+
+        gl.uniformMatrix4fv(this._uShadowViewMatrix[i], gl.FALSE, shadow.viewMat);
+        gl.uniformMatrix4fv(this._uShadowProjMatrix[i], gl.FALSE, shadow.projMat);
+        gl.uniform2fv(this._uShadowNearFar[i], shadow.nearFar);
+        gl.uniform1f(this._uShadowBias[i], shadow.bias);
+        gl.uniform1f(this._uShadowSoftness[i], shadow.softness / shadow.resolution); // Filter radius in texture coordinates
     }
 });
\ No newline at end of file
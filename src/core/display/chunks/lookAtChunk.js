@@ -12,6 +12,9 @@ SceneJS_ChunkFactory.createChunkType({
         this._uWorldEyeDraw = this.program.draw.getUniformLocation("SCENEJS_uWorldEye");
 
         this._uvMatrixPick = this.program.pick.getUniformLocation("SCENEJS_uVMatrix");
+
+        this._stereoMat = new Float32Array(16); // Viewing transform and eye position offset for a stereo eye
+        this._stereoEye = new Float32Array(3);
     },
 
     draw : function(ctx) {
@@ -22,29 +25,73 @@ SceneJS_ChunkFactory.createChunkType({
 
         var gl = this.program.gl;
 
+        var view = ctx.view;
+
+        var mat;
+        var normalMat;
+        var eye;
+
+        if (view && view.viewMat) { // View with its own viewing transform
+            mat = view.viewMat;
+            normalMat = view.normalMat;
+            eye = view.worldEye;
+
+        } else {
+            mat = this.core.mat;
+            normalMat = this.core.normalMat; // Unaffected by stereo offset
+            eye = this.core.lookAt.eye;
+
+            if (view && view.stereoOffset) {
+                eye = SceneJS_Views.stereoWorldEye(mat, eye, view.stereoOffset, this._stereoEye);
+                mat = SceneJS_Views.stereoViewMat(mat, view.stereoOffset, this._stereoMat);
+            }
+        }
+
         if (this._uvMatrixDraw) {
-            gl.uniformMatrix4fv(this._uvMatrixDraw, gl.FALSE, this.core.mat);
+            gl.uniformMatrix4fv(this._uvMatrixDraw, gl.FALSE, mat);
         }
 
         if (this._uVNMatrixDraw) {
-            gl.uniformMatrix4fv(this._uVNMatrixDraw, gl.FALSE, this.core.normalMat);
+            gl.uniformMatrix4fv(this._uVNMatrixDraw, gl.FALSE, normalMat);
         }
 
         if (this._uWorldEyeDraw) {
-            gl.uniform3fv(this._uWorldEyeDraw, this.core.lookAt.eye);
+            gl.uniform3fv(this._uWorldEyeDraw, eye);
         }
 
-        ctx.viewMat = this.core.mat;
+        ctx.viewMat = mat;
     },
 
     pick : function(ctx) {
 
+        if (this.core.dirty) { // Depth pass for post-processing may precede the draw pass
+            this.core.rebuild();
+        }
+
         var gl = this.program.gl;
 
+        var view = ctx.view;
+
+        var mat;
+
+        if (ctx.shadow) { // Shadow depth map pass views from the light
+            mat = ctx.shadow.viewMat;
+
+        } else if (view && view.viewMat) {
+            mat = view.viewMat;
+
+        } else {
+            mat = this.core.mat;
+
+            if (view && view.stereoOffset) {
+                mat = SceneJS_Views.stereoViewMat(mat, view.stereoOffset, this._stereoMat);
+            }
+        }
+
         if (this._uvMatrixPick) {
-            gl.uniformMatrix4fv(this._uvMatrixPick, gl.FALSE, this.core.mat);
+            gl.uniformMatrix4fv(this._uvMatrixPick, gl.FALSE, mat);
         }
 
-        ctx.viewMat = this.core.mat;
+        ctx.viewMat = mat;
     }
 });
\ No newline at end of file
@@ -15,6 +15,10 @@ SceneJS_ChunkFactory.createChunkType({
         this._uMaterialShine = draw.getUniformLocation("SCENEJS_uMaterialShine");
         this._uMaterialEmit = draw.getUniformLocation("SCENEJS_uMaterialEmit");
         this._uMaterialAlpha = draw.getUniformLocation("SCENEJS_uMaterialAlpha");
+        this._uMaterialMetallic = draw.getUniformLocation("SCENEJS_uMaterialMetallic");
+        this._uMaterialRoughness = draw.getUniformLocation("SCENEJS_uMaterialRoughness");
+        this._uMaterialEmitColor = draw.getUniformLocation("SCENEJS_uMaterialEmitColor");
+        this._uMaterialAlphaCutoff = draw.getUniformLocation("SCENEJS_uMaterialAlphaCutoff");
     },
 
     draw : function() {
@@ -55,5 +59,28 @@ SceneJS_ChunkFactory.createChunkType({
             gl.uniform1f(this._uMaterialAlpha, this.core.alpha);
             materialSettings.alpha = this.core.alpha;
         }
+
+        if (this._uMaterialMetallic && materialSettings.metallic != this.core.metallic) {
+            gl.uniform1f(this._uMaterialMetallic, this.core.metallic);
+            materialSettings.metallic = this.core.metallic;
+        }
+
+        if (this._uMaterialRoughness && materialSettings.roughness != this.core.roughness) {
+            gl.uniform1f(this._uMaterialRoughness, this.core.roughness);
+            materialSettings.roughness = this.core.roughness;
+        }
+
+        if (this._uMaterialEmitColor) {
+            var emitColor = this.core.emitColor;
+            if (emitColor) {
+                gl.uniform4f(this._uMaterialEmitColor, emitColor[0], emitColor[1], emitColor[2], 1.0);
+            } else {
+                gl.uniform4f(this._uMaterialEmitColor, 0.0, 0.0, 0.0, 0.0); // Emits base color
+            }
+        }
+
+        if (this._uMaterialAlphaCutoff) {
+            gl.uniform1f(this._uMaterialAlphaCutoff, this.core.alphaCutoff);
+        }
     }
 });
@@ -11,7 +11,9 @@ SceneJS_ChunkFactory.createChunkType({
 
     pick : function(ctx) {
 
-        if (this._uPickColor && this.core.name) {
+        ctx.pickName = this.core.name ? this.core : null; // For instances and batches, which get their own pick indices
+
+        if (this._uPickColor && this.core.name) { // No pick color uniform for instances and batches
 
             ctx.pickNames[ctx.pickIndex++] = this.core;
 
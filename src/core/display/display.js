@@ -191,6 +191,12 @@ var SceneJS_Display = function (cfg) {
      */
     this.morphGeometry = null;
 
+    /**
+     * Node state core for the last {@link SceneJS.Instances} visited during scene graph compilation traversal
+     * @type Object
+     */
+    this.instances = null;
+
     /**
      * Node state core for the last {@link SceneJS.Name} visited during scene graph compilation traversal
      * @type Object
@@ -268,6 +274,29 @@ var SceneJS_Display = function (cfg) {
     this._pickDrawList = [];           // State chunk list to render scene to pick buffer
     this._pickDrawListLen = 0;
 
+    this._shadowDrawList = [];         // State chunk list to render shadow casters to light depth maps
+    this._shadowDrawListLen = 0;
+
+    this._shadowLights = [];           // Shadow-casting lights that illuminate visible objects
+    this._shadowLightCores = [];       // Lights cores of those lights, which fit the depth maps to their subgraphs
+    this._shadowLightsLen = 0;
+
+    /**
+     * Chain of full-screen passes that post-process the rendered image, while any are enabled
+     * @type SceneJS_PostProcess
+     */
+    this.postProcess = new SceneJS_PostProcess({
+        canvas:cfg.canvas
+    });
+
+    /**
+     * Views that each render the draw list within their own viewport, while any are enabled
+     * @type SceneJS_Views
+     */
+    this.views = new SceneJS_Views({
+        canvas:cfg.canvas
+    });
+
     /* The frame context holds state shared across a single render of the draw list, along with any results of
      * the render, such as pick hits
      */
@@ -353,6 +382,8 @@ SceneJS_Display.prototype.webglRestored = function () {
         this.rayPickBuf.webglRestored(gl);
     }
 
+    this.postProcess.webglRestored();   // Rebuild post-processing buffers and programs
+
     this.imageDirty = true;             // Need redraw
 };
 
@@ -378,9 +409,21 @@ SceneJS_Display.prototype.buildObject = function (objectId) {
     object.texture = this.texture;
     object.cubemap = this.cubemap;
     object.geometry = this.geometry;
+    object.instances = this.instances;
     object.enable = this.enable;
     object.flags = this.flags;
     object.tag = this.tag;
+    object.lights = this.lights;
+    object.modelTransform = this.modelTransform;
+    object.viewTransform = this.viewTransform;
+    object.projTransform = this.projTransform;
+    object.name = this.name;
+
+    if (this.material.model == "pbr" && this.cubemap.layers) {
+        for (var i = 0, len = this.cubemap.layers.length; i < len; i++) {
+            this.cubemap.layers[i].useMipmaps();
+        }
+    }
 
     //if (!object.hash) {
 
@@ -389,9 +432,11 @@ SceneJS_Display.prototype.buildObject = function (objectId) {
         this.shader.hash,
         this.clips.hash,
         this.morphGeometry.hash,
+        this.instances.hash,
         this.texture.hash,
         this.cubemap.hash,
-        this.lights.hash
+        this.lights.hash,
+        this.material.hash
 
     ]).join(";");
 
@@ -402,6 +447,7 @@ SceneJS_Display.prototype.buildObject = function (objectId) {
 
         if (object.program) {
             this._programFactory.putProgram(object.program);
+            this.stateOrderDirty = true; // Sort key depends on program
         }
 
         object.program = this._programFactory.getProgram(hash, this);
@@ -431,7 +477,7 @@ SceneJS_Display.prototype.buildObject = function (objectId) {
     this._setChunk(object, 17, "clips", this.clips);
     this._setChunk(object, 18, "geometry", this.morphGeometry, this.geometry);
     this._setChunk(object, 19, "listeners", this.renderListeners);      // Must be after the above chunks
-    this._setChunk(object, 20, "draw", this.geometry); // Must be last
+    this._setChunk(object, 20, "draw", this.geometry, this.instances); // Must be last
 };
 
 SceneJS_Display.prototype._setChunk = function (object, order, chunkType, core, core2) {
@@ -486,6 +532,8 @@ SceneJS_Display.prototype._setChunk = function (object, order, chunkType, core,
         }
 
         this._chunkFactory.putChunk(oldChunk); // Release previous chunk to pool
+
+        this.drawListDirty = true; // Draw list still references previous chunk
     }
 
     object.chunks[order] = this._chunkFactory.getChunk(chunkId, chunkType, object.program, core, core2); // Attach new chunk
@@ -584,7 +632,26 @@ SceneJS_Display.prototype.render = function (params) {
 
     if (this.imageDirty || params.force) {
 
-        this._doDrawList(false);        // Render, no pick
+        for (var i = 0; i < this._shadowLightsLen; i++) { // Render depth maps for shadow-casting lights
+            if (this._shadowLights[i].shadow) {
+                this._doShadowMap(this._shadowLights[i], this._shadowLightCores[i]);
+            }
+        }
+
+        if (this.postProcess.active) {
+
+            if (this.postProcess.needsDepth) { // Render depth for effects like SSAO
+                this.postProcess.bindDepthBuf();
+                this._doViews(true, true); // pick, rayPick
+            }
+
+            this._doViews(false, false, this.postProcess.bindSceneBuf()); // Render to offscreen buffer
+
+            this.postProcess.render();  // Run passes, writing to canvas
+
+        } else {
+            this._doViews(false);        // Render, no pick
+        }
 
         this.imageDirty = false;
         this.pickBufDirty = true;       // Pick buff will now need rendering on next pick
@@ -639,15 +706,21 @@ SceneJS_Display.prototype._buildDrawList = function () {
 
     this._lastStateId = this._lastStateId || [];
     this._lastPickStateId = this._lastPickStateId || [];
+    this._lastShadowStateId = this._lastShadowStateId || [];
 
     for (var i = 0; i < 21; i++) {
         this._lastStateId[i] = null;
         this._lastPickStateId[i] = null;
+        this._lastShadowStateId[i] = null;
     }
 
     this._opaqueDrawListLen = 0;
     this._pickDrawListLen = 0;
     this._transparentDrawListLen = 0;
+    this._shadowDrawListLen = 0;
+    this._shadowLightsLen = 0;
+
+    var shadowLightCores = {};
 
     var object;
     var tagMask;
@@ -658,6 +731,9 @@ SceneJS_Display.prototype._buildDrawList = function () {
     var chunk;
     var transparent;
     var picking;
+    var castShadows;
+    var lightsCore;
+    var light;
 
     if (this._tagSelector) {
         tagMask = this._tagSelector.mask;
@@ -715,9 +791,25 @@ SceneJS_Display.prototype._buildDrawList = function () {
         /* Add object's chunks to appropriate chunk list
          */
 
+        lightsCore = object.lights;
+
+        if (lightsCore && !shadowLightCores[lightsCore.stateId]) { // Collect shadow-casting lights once per core
+
+            shadowLightCores[lightsCore.stateId] = true;
+
+            for (var k = 0, lenk = lightsCore.lights.length; k < lenk; k++) {
+                light = lightsCore.lights[k];
+                if (light.castShadow && light.shadow) {
+                    this._shadowLights[this._shadowLightsLen] = light;
+                    this._shadowLightCores[this._shadowLightsLen++] = lightsCore;
+                }
+            }
+        }
+
         chunks = object.chunks;
 
         picking = flags.picking;
+        castShadows = flags.castShadows !== false;
 
         for (var j = 0, lenj = chunks.length; j < lenj; j++) {
 
@@ -747,6 +839,12 @@ SceneJS_Display.prototype._buildDrawList = function () {
                             this._lastPickStateId[j] = chunk.id;
                         }
                     }
+                    if (castShadows) { // Shadow casters are rendered to depth maps with the pick program
+                        if (chunk.unique || this._lastShadowStateId[j] != chunk.id) {
+                            this._shadowDrawList[this._shadowDrawListLen++] = chunk;
+                            this._lastShadowStateId[j] = chunk.id;
+                        }
+                    }
                 }
             }
         }
@@ -796,28 +894,7 @@ SceneJS_Display.prototype.pick = function (params) {
      * Pick object using normal GPU colour-indexed pick
      *-----------------------------------------------------------*/
 
-    var pickBuf = this.pickBuf;                                                   // Lazy-create pick buffer
-
-    if (!pickBuf) {
-        pickBuf = this.pickBuf = new SceneJS_PickBuffer({ canvas:this._canvas });
-        this.pickBufDirty = true;                                                 // Freshly-created pick buffer is dirty
-    }
-
-    this.render(); // Do any pending visible render
-
-    pickBuf.bind();                                                                 // Bind pick buffer
-
-    if (this.pickBufDirty) {                          // Render pick buffer
-
-        pickBuf.clear();
-
-        this._doDrawList(true);
-
-        this._canvas.gl.finish();
-
-        this.pickBufDirty = false;                                                  // Pick buffer up to date
-        this.rayPickBufDirty = true;                                                // Ray pick buffer now dirty
-    }
+    var pickBuf = this._bindPickBuffer();
 
     var pix = pickBuf.read(canvasX, canvasY);                                       // Read pick buffer
     var pickedObjectIndex = pix[0] + pix[1] * 256 + pix[2] * 65536;
@@ -827,6 +904,8 @@ SceneJS_Display.prototype.pick = function (params) {
 
     var pickName = this._frameCtx.pickNames[pickIndex];                                   // Map pixel to name
 
+    var pass = this.views.active ? this.views.getPassAt(canvasX, canvasY) : null; // View that was hit
+
     if (pickName) {
 
         hit = {
@@ -836,6 +915,18 @@ SceneJS_Display.prototype.pick = function (params) {
             canvasPos:[canvasX, canvasY]
         };
 
+        if (pass && pass.id != undefined) {
+            hit.view = pass.id;
+        }
+
+        if (pass && pass.eye) {
+            hit.eye = pass.eye;
+        }
+
+        if (pickName.instance != undefined) {
+            hit.instance = pickName.instance;
+        }
+
         if (params.rayPick) { // Ray pick to find position
 
             var rayPickBuf = this.rayPickBuf; // Lazy-create Z-pick buffer
@@ -849,7 +940,7 @@ SceneJS_Display.prototype.pick = function (params) {
 
                 rayPickBuf.clear();
 
-                this._doDrawList(true, true); // pick, rayPick
+                this._doViews(true, true); // pick, rayPick
 
                 this.rayPickBufDirty = false;
             }
@@ -863,17 +954,24 @@ SceneJS_Display.prototype.pick = function (params) {
              */
             var screenZ = this._unpackDepth(pix);
 
-            var w = canvas.width;
-            var h = canvas.height;
+            var rect = pass ? pass.rect : { x:0, y:0, width:canvas.width, height:canvas.height };
+
+            var w = rect.width;
+            var h = rect.height;
 
-            /* Calculate clip space coordinates, which will be in range
+            /* Calculate clip space coordinates within the viewport, which will be in range
              * of x=[-1..1] and y=[-1..1], with y=(+1) at top
              */
-            var x = (canvasX - w / 2) / (w / 2);           // Calculate clip space coordinates
-            var y = -(canvasY - h / 2) / (h / 2);
+            var x = (canvasX - rect.x - w / 2) / (w / 2);           // Calculate clip space coordinates
+            var y = -(canvasY - rect.y - h / 2) / (h / 2);
+
+            // Unproject through the matrices of the view that was hit, never those of whichever view was rendered last
+            var projMat = pass ? pass.renderedProjMat : this._frameCtx.cameraMat;
+            var viewMat = pass ? pass.renderedViewMat : this._frameCtx.viewMat;
 
-            var projMat = this._frameCtx.cameraMat;
-            var viewMat = this._frameCtx.viewMat;
+            if (!projMat || !viewMat) {
+                return hit;
+            }
 
             var pvMat = SceneJS_math_mulMat4(projMat, viewMat, []);
             var pvMatInverse = SceneJS_math_inverseMat4(pvMat, []);
@@ -895,13 +993,764 @@ SceneJS_Display.prototype.pick = function (params) {
     return hit;
 };
 
+/**
+ * Binds the pick buffer, first rendering it if it's out of date
+ *
+ * @returns {SceneJS_PickBuffer} The bound pick buffer
+ * @private
+ */
+SceneJS_Display.prototype._bindPickBuffer = function () {
+
+    var pickBuf = this.pickBuf;                                                   // Lazy-create pick buffer
+
+    if (!pickBuf) {
+        pickBuf = this.pickBuf = new SceneJS_PickBuffer({ canvas:this._canvas });
+        this.pickBufDirty = true;                                                 // Freshly-created pick buffer is dirty
+    }
+
+    this.render(); // Do any pending visible render
+
+    pickBuf.bind();                                                                 // Bind pick buffer
+
+    if (this.pickBufDirty) {                          // Render pick buffer
+
+        pickBuf.clear();
+
+        this._doViews(true);
+
+        this._canvas.gl.finish();
+
+        this.pickBufDirty = false;                                                  // Pick buffer up to date
+        this.rayPickBufDirty = true;                                                // Ray pick buffer now dirty
+    }
+
+    return pickBuf;
+};
+
+/**
+ * Picks all the named objects that are rendered within a region of the canvas, using the GPU colour-indexed pick
+ * buffer. The region is either a rectangle or a polygon, and a pixel is within a polygon region when its center is.
+ *
+ * <p>Returns a hit record for each {@link SceneJS.Name} rendered within the region, with a separate record for each
+ * instance of a {@link SceneJS.Instances} that has the index of the instance, in order of decreasing coverage,
+ * which is the number of pixels within the region that the name covers. With the 'enclosed' parameter, only hits
+ * are returned for names that are fully enclosed by the region, ie. that have no pixels rendered outside of it.</p>
+ *
+ * @param params Pick parameters
+ * @param {*} [params.rect] Rectangular region as { x, y, width, height }, in canvas coordinates
+ * @param {[[Number]]} [params.polygon] Polygonal region as an array of [x, y] canvas coordinates
+ * @param {Boolean} [params.enclosed=false] Only return hits for names fully enclosed by the region
+ * @returns {[*]} Hit records as { name, path, nodeId, coverage }, plus { instance } for instances
+ */
+SceneJS_Display.prototype.pickRegion = function (params) {
+
+    var canvas = this._canvas.canvas;
+    var w = canvas.width;
+    var h = canvas.height;
+
+    var polygon = params.polygon;
+    var rect = params.rect;
+
+    var xmin, ymin, xmax, ymax;
+
+    if (polygon) {
+        xmin = ymin = SceneJS_math_MAX_DOUBLE;
+        xmax = ymax = SceneJS_math_MIN_DOUBLE;
+        for (var i = 0, len = polygon.length; i < len; i++) {
+            xmin = Math.min(xmin, polygon[i][0]);
+            ymin = Math.min(ymin, polygon[i][1]);
+            xmax = Math.max(xmax, polygon[i][0]);
+            ymax = Math.max(ymax, polygon[i][1]);
+        }
+    } else {
+        xmin = rect.x;
+        ymin = rect.y;
+        xmax = rect.x + rect.width;
+        ymax = rect.y + rect.height;
+    }
+
+    /* Pixels to read, which is the whole canvas when we need to find pixels outside of the region
+     */
+    var x0 = params.enclosed ? 0 : Math.max(0, Math.floor(xmin));
+    var y0 = params.enclosed ? 0 : Math.max(0, Math.floor(ymin));
+    var x1 = params.enclosed ? w : Math.min(w, Math.ceil(xmax));
+    var y1 = params.enclosed ? h : Math.min(h, Math.ceil(ymax));
+
+    if (x1 <= x0 || y1 <= y0) {
+        return [];
+    }
+
+    var pickBuf = this._bindPickBuffer();
+    var pix = pickBuf.readRegion(x0, y0, x1 - x0, y1 - y0);
+    pickBuf.unbind();
+
+    var pickNames = this._frameCtx.pickNames;
+    var hits = {};
+    var hitList = [];
+    var hit;
+    var hitId;
+    var pickName;
+    var inside;
+    var x, y, px, py, j;
+
+    for (y = y0; y < y1; y++) {
+        for (x = x0; x < x1; x++) {
+
+            j = ((y1 - 1 - y) * (x1 - x0) + (x - x0)) * 4; // Pixel rows are bottom-up
+
+            pickName = pickNames[pix[j] + pix[j + 1] * 256 + pix[j + 2] * 65536 - 1];
+
+            if (!pickName) {
+                continue;
+            }
+
+            px = x + 0.5;
+            py = y + 0.5;
+
+            inside = (px >= xmin && px < xmax && py >= ymin && py < ymax)
+                && (!polygon || this._insidePolygon(polygon, px, py));
+
+            hitId = (pickName.instance != undefined) ? pickName.nodeId + "#" + pickName.instance : pickName.nodeId;
+            hit = hits[hitId];
+
+            if (!hit) {
+                hit = hits[hitId] = {
+                    name:pickName.name,
+                    path:pickName.path,
+                    nodeId:pickName.nodeId,
+                    coverage:0,
+                    outside:0
+                };
+                if (pickName.instance != undefined) {
+                    hit.instance = pickName.instance;
+                }
+                hitList.push(hit);
+            }
+
+            if (inside) {
+                hit.coverage++;
+            } else {
+                hit.outside++;
+            }
+        }
+    }
+
+    var result = [];
+
+    for (i = 0, len = hitList.length; i < len; i++) {
+        hit = hitList[i];
+        if (hit.coverage > 0 && !(params.enclosed && hit.outside > 0)) {
+            delete hit.outside;
+            result.push(hit);
+        }
+    }
+
+    result.sort(function (a, b) {
+        return b.coverage - a.coverage;
+    });
+
+    return result;
+};
+
+/**
+ * Tests if a point is inside a polygon, using the even-odd rule
+ * @private
+ */
+SceneJS_Display.prototype._insidePolygon = function (polygon, x, y) {
+    var inside = false;
+    for (var i = 0, j = polygon.length - 1, len = polygon.length; i < len; j = i++) {
+        if (((polygon[i][1] > y) != (polygon[j][1] > y))
+            && (x < (polygon[j][0] - polygon[i][0]) * (y - polygon[i][1]) / (polygon[j][1] - polygon[i][1]) + polygon[i][0])) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+/**
+ * Picks on the CPU, without rendering, by casting a ray through the given canvas coordinates and intersecting it
+ * with the triangles in the geometry arrays of the visible and pickable objects. The ray is cast from the
+ * viewpoint of each object's camera and lookAt transforms.
+ *
+ * <p>The hit record is for the nearest intersection, and has the attributes of a normal pick hit, plus the ID of the
+ * {@link SceneJS.Geometry} that was hit, the index of the hit triangle, its vertex indices, the barycentric coordinates
+ * of the hit within the triangle, and the World-space position and normal, along with the UV coordinates when the
+ * geometry has them and the index of the instance when the geometry is within a {@link SceneJS.Instances}. Unlike colour-indexed picking, hits are also reported for objects that have no name.</p>
+ *
+ * @param params Pick parameters
+ * @param {Number} params.canvasX X-axis canvas pick coordinate
+ * @param {Number} params.canvasY Y-axis canvas pick coordinate
+ * @param {Boolean} [params.pickThrough=false] Ignores objects that are flagged as transparent
+ * @returns The hit record, or null when nothing was hit
+ */
+SceneJS_Display.prototype.rayCastPick = function (params) {
+
+    var canvas = this._canvas.canvas;
+
+    var canvasX = params.canvasX;
+    var canvasY = params.canvasY;
+
+    var pass = null;
+    var rect = { x:0, y:0, width:canvas.width, height:canvas.height };
+    var passViewMat = new Float32Array(16);
+    var passProjMat = new Float32Array(16);
+
+    if (this.views.active) { // Cast the ray through the view that was hit
+        pass = this.views.getPassAt(canvasX, canvasY);
+        if (!pass) {
+            return null;
+        }
+        rect = pass.rect;
+    }
+
+    var w = rect.width;
+    var h = rect.height;
+
+    /* Clip space coordinates within the viewport, in range of x=[-1..1] and y=[-1..1], with y=(+1) at top
+     */
+    var x = (canvasX - rect.x - w / 2) / (w / 2);
+    var y = -(canvasY - rect.y - h / 2) / (h / 2);
+
+    var viewTransform = null;
+    var projTransform = null;
+    var rayOrigin;
+    var rayDir;
+
+    var hit = null;
+    var objectHit;
+    var object;
+
+    for (var objectId in this._objects) {
+        if (this._objects.hasOwnProperty(objectId)) {
+
+            object = this._objects[objectId];
+
+            if (!this._rayCastable(object, params.pickThrough)) {
+                continue;
+            }
+
+            if (object.viewTransform != viewTransform || object.projTransform != projTransform) {
+
+                viewTransform = object.viewTransform;
+                projTransform = object.projTransform;
+
+                if (viewTransform.dirty && viewTransform.rebuild) {
+                    viewTransform.rebuild();
+                }
+
+                /* Unproject the pick position on the near and far clipping planes
+                 */
+                var viewMat = viewTransform.mat;
+                var projMat = projTransform.mat;
+
+                if (pass) { // Transforms of the view, or of the scene graph through a stereo eye
+                    viewMat = pass.viewMat
+                        || (pass.stereoOffset ? SceneJS_Views.stereoViewMat(viewMat, pass.stereoOffset, passViewMat) : viewMat);
+                    projMat = pass.projMat
+                        || (pass.stereoOffset ? SceneJS_Views.stereoProjMat(projMat, pass.stereoOffset, pass.convergence, passProjMat) : projMat);
+                }
+
+                var pvMatInverse = SceneJS_math_inverseMat4(
+                    SceneJS_math_mulMat4(projMat, viewMat, SceneJS_math_mat4()), SceneJS_math_mat4());
+
+                rayOrigin = SceneJS_math_projectVec4(SceneJS_math_transformVector4(pvMatInverse, [x, y, -1, 1]));
+                rayDir = SceneJS_math_subVec3(
+                    SceneJS_math_projectVec4(SceneJS_math_transformVector4(pvMatInverse, [x, y, 1, 1])), rayOrigin, []);
+            }
+
+            objectHit = this._rayCastObject(object, rayOrigin, rayDir);
+
+            if (objectHit && (!hit || objectHit.t < hit.t)) {
+                hit = objectHit;
+            }
+        }
+    }
+
+    if (!hit) {
+        return null;
+    }
+
+    var record = this._rayCastHitRecord(hit);
+
+    record.view = pass ? pass.id : undefined;
+    record.eye = pass ? pass.eye : undefined;
+    record.canvasPos = [canvasX, canvasY];
+
+    return record;
+};
+
+/**
+ * Casts a World-space ray segment on the CPU, from an origin to the origin plus a direction vector, and intersects it
+ * with the triangles in the geometry arrays of the visible and pickable objects, as for {@link #rayCastPick}
+ *
+ * <p>The hit record is for the nearest intersection, and has the same attributes as that of {@link #rayCastPick},
+ * except for canvas position, plus the distance from the origin to the hit.</p>
+ *
+ * @param params Ray cast parameters
+ * @param {Number[]} params.origin World-space origin of the ray as [x, y, z]
+ * @param {Number[]} params.dir World-space direction of the ray as [x, y, z], whose length is that of the segment
+ * @param {Boolean} [params.pickThrough=false] Ignores objects that are flagged as transparent
+ * @returns The hit record, or null when nothing was hit
+ */
+SceneJS_Display.prototype.rayCast = function (params) {
+
+    var rayOrigin = params.origin;
+    var rayDir = params.dir;
+
+    var hit = null;
+    var objectHit;
+    var object;
+
+    for (var objectId in this._objects) {
+        if (this._objects.hasOwnProperty(objectId)) {
+
+            object = this._objects[objectId];
+
+            if (!this._rayCastable(object, params.pickThrough)) {
+                continue;
+            }
+
+            objectHit = this._rayCastObject(object, rayOrigin, rayDir);
+
+            if (objectHit && (!hit || objectHit.t < hit.t)) {
+                hit = objectHit;
+            }
+        }
+    }
+
+    if (!hit) {
+        return null;
+    }
+
+    var record = this._rayCastHitRecord(hit);
+
+    record.distance = hit.t * SceneJS_math_lenVec3(rayDir);
+
+    return record;
+};
+
+/**
+ * Tests if an object can be hit by a ray cast
+ * @private
+ */
+SceneJS_Display.prototype._rayCastable = function (object, pickThrough) {
+    var flags = object.flags;
+    return !(object.enable.enabled === false || flags.enabled === false || !object.layer.enabled
+        || !flags.picking || (pickThrough && flags.transparent)
+        || !this._tagMatches(object));
+};
+
+/**
+ * Builds the hit record for a ray cast hit on an object
+ * @private
+ */
+SceneJS_Display.prototype._rayCastHitRecord = function (hit) {
+
+    var name = hit.object.name;
+    var geometryNodeId = hit.object.id;
+
+    var instance = hit.instance;
+    var pieces = hit.object.geometry.pieces;
+
+    if (pieces) { // Geometry merged by a batch node, or instances merged into a geometry - find where the triangle came from
+        var piece = pieces[hit.object.geometry.arrays.pickIndices[hit.indices[0]]];
+        name = piece.name || name;
+        geometryNodeId = piece.nodeId;
+        if (piece.instance != undefined) {
+            instance = piece.instance;
+        }
+    }
+
+    return {
+        name:name.name || undefined,
+        path:name.path,
+        nodeId:name.nodeId,
+        geometryNodeId:geometryNodeId,
+        instance:instance,
+        worldPos:hit.worldPos,
+        normal:hit.normal,
+        uv:hit.uv,
+        uv2:hit.uv2,
+        triangle:hit.triangle,
+        indices:hit.indices,
+        barycentric:hit.barycentric
+    };
+};
+
+/**
+ * Tests if an object's tag matches the current tag selector, if any
+ * @private
+ */
+SceneJS_Display.prototype._tagMatches = function (object) {
+    if (!this._tagSelector || !object.tag.tag) {
+        return true;
+    }
+    var tagCore = object.tag;
+    if (tagCore.mask != this._tagSelector.mask) { // Scene tag mask was updated since last render
+        tagCore.mask = this._tagSelector.mask;
+        tagCore.matches = this._tagSelector.regex.test(tagCore.tag);
+    }
+    return tagCore.matches;
+};
+
+/**
+ * Finds the nearest intersection of a World-space ray with the triangles of an object's geometry, which for
+ * instances is the nearest intersection with any of the instances, recorded with the index of the instance.
+ *
+ * The ray is given as an origin and a direction whose length is the extent of the ray.
+ * @private
+ */
+SceneJS_Display.prototype._rayCastObject = function (object, rayOrigin, rayDir) {
+
+    var modelTransform = object.modelTransform;
+
+    if (modelTransform.dirty && modelTransform.build) {
+        modelTransform.build();
+    }
+
+    var instances = object.instances;
+
+    if (!instances || !instances.matrices) {
+        return this._rayCastGeometry(object, modelTransform.mat, rayOrigin, rayDir);
+    }
+
+    var matrices = instances.matrices;
+    var modelMat = SceneJS_math_mat4();
+    var hit = null;
+    var instanceHit;
+
+    for (var i = 0, len = instances.numInstances; i < len; i++) {
+
+        SceneJS_math_mulMat4(modelTransform.mat, matrices.subarray(i * 16, i * 16 + 16), modelMat);
+
+        instanceHit = this._rayCastGeometry(object, modelMat, rayOrigin, rayDir);
+
+        if (instanceHit && (!hit || instanceHit.t < hit.t)) {
+            hit = instanceHit;
+            hit.instance = i;
+        }
+    }
+
+    return hit;
+};
+
+/**
+ * Tests if a ray, given as an origin and a direction whose length is the extent of the ray, meets an axis-aligned box
+ * @private
+ */
+SceneJS_Display.prototype._rayMeetsBoundary = function (origin, dir, boundary) {
+
+    var min = [boundary.xmin, boundary.ymin, boundary.zmin];
+    var max = [boundary.xmax, boundary.ymax, boundary.zmax];
+    var tmin = 0;
+    var tmax = 1;
+    var t1, t2, t;
+
+    for (var i = 0; i < 3; i++) { // Clip the ray to the slab between each pair of opposite faces
+
+        if (dir[i] == 0) {
+            if (origin[i] < min[i] || origin[i] > max[i]) {
+                return false;
+            }
+            continue;
+        }
+
+        t1 = (min[i] - origin[i]) / dir[i];
+        t2 = (max[i] - origin[i]) / dir[i];
+
+        if (t1 > t2) {
+            t = t1;
+            t1 = t2;
+            t2 = t;
+        }
+
+        tmin = Math.max(tmin, t1);
+        tmax = Math.min(tmax, t2);
+
+        if (tmin > tmax + 0.000001) { // Tolerate rounding for rays that graze the box
+            return false;
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Finds the nearest intersection of a World-space ray with the triangles of an object's geometry, as transformed
+ * by the given modelling matrix.
+ *
+ * The ray is transformed into the geometry's Model space to intersect the untransformed geometry arrays.
+ * @private
+ */
+SceneJS_Display.prototype._rayCastGeometry = function (object, modelMat, rayOrigin, rayDir) {
+
+    var geometry = object.geometry;
+    var arrays = geometry.arrays;
+
+    if (!arrays) {
+        return null;
+    }
+
+    var vertexArrays = geometry.vertexArrays || arrays; // Vertices may be inherited from a higher geometry
+    var positions = vertexArrays.positions;
+    var indices = arrays.indices;
+
+    if (!positions || !indices) {
+        return null;
+    }
+
+    var gl = this._canvas.gl;
+    var numTriangles;
+
+    switch (geometry.primitive) {
+        case gl.TRIANGLES:
+            numTriangles = Math.floor(indices.length / 3);
+            break;
+        case gl.TRIANGLE_STRIP:
+        case gl.TRIANGLE_FAN:
+            numTriangles = indices.length - 2;
+            break;
+        default:
+            return null; // Points and lines can't be hit
+    }
+
+    var modelMatInverse = SceneJS_math_inverseMat4(modelMat, SceneJS_math_mat4());
+
+    var origin = SceneJS_math_transformPoint3(modelMatInverse, rayOrigin);
+    var dir = SceneJS_math_transformVector3(modelMatInverse, rayDir);
+
+    /* Skip the triangles when the ray misses the Model-space boundary of the geometry's vertices
+     */
+    var boundary = SceneJS.Geometry._getCoreBoundary(geometry.vertexCore || geometry);
+
+    if (boundary && !this._rayMeetsBoundary(origin, dir, boundary)) {
+        return null;
+    }
+
+    var ox = origin[0], oy = origin[1], oz = origin[2];
+    var dx = dir[0], dy = dir[1], dz = dir[2];
+
+    /* Backfaces can't be hit when culled, where the front face winding is reversed by a mirroring modelling transform
+     */
+    var flags = object.flags;
+    var cullBackfaces = flags.backfaces === false;
+    var frontNegative = (flags.frontface == "cw") !== (SceneJS_math_determinantMat4(modelMat) < 0);
+
+    var nearestT = 1.0; // Ray extends to the far clipping plane
+    var nearest = null;
+
+    var ia, ib, ic;
+    var ax, ay, az;
+    var e1x, e1y, e1z, e2x, e2y, e2z;
+    var px, py, pz, qx, qy, qz, tx, ty, tz;
+    var det, invDet, u, v, t;
+
+    for (var i = 0; i < numTriangles; i++) {
+
+        if (geometry.primitive == gl.TRIANGLES) {
+            ia = indices[i * 3];
+            ib = indices[i * 3 + 1];
+            ic = indices[i * 3 + 2];
+
+        } else if (geometry.primitive == gl.TRIANGLE_STRIP) {
+            ia = indices[i];
+            ib = indices[(i & 1) ? i + 2 : i + 1]; // Winding alternates along the strip
+            ic = indices[(i & 1) ? i + 1 : i + 2];
+
+        } else {
+            ia = indices[0];
+            ib = indices[i + 1];
+            ic = indices[i + 2];
+        }
+
+        /* Moller-Trumbore intersection
+         */
+        ax = positions[ia * 3];
+        ay = positions[ia * 3 + 1];
+        az = positions[ia * 3 + 2];
+
+        e1x = positions[ib * 3] - ax;
+        e1y = positions[ib * 3 + 1] - ay;
+        e1z = positions[ib * 3 + 2] - az;
+
+        e2x = positions[ic * 3] - ax;
+        e2y = positions[ic * 3 + 1] - ay;
+        e2z = positions[ic * 3 + 2] - az;
+
+        px = dy * e2z - dz * e2y;
+        py = dz * e2x - dx * e2z;
+        pz = dx * e2y - dy * e2x;
+
+        det = e1x * px + e1y * py + e1z * pz; // Positive when the ray meets a counter-clockwise winding
+
+        if (det == 0 || (cullBackfaces && ((det < 0) !== frontNegative))) {
+            continue;
+        }
+
+        invDet = 1.0 / det;
+
+        tx = ox - ax;
+        ty = oy - ay;
+        tz = oz - az;
+
+        u = (tx * px + ty * py + tz * pz) * invDet;
+
+        if (u < 0 || u > 1) {
+            continue;
+        }
+
+        qx = ty * e1z - tz * e1y;
+        qy = tz * e1x - tx * e1z;
+        qz = tx * e1y - ty * e1x;
+
+        v = (dx * qx + dy * qy + dz * qz) * invDet;
+
+        if (v < 0 || u + v > 1) {
+            continue;
+        }
+
+        t = (e2x * qx + e2y * qy + e2z * qz) * invDet;
+
+        if (t < 0 || t > nearestT) {
+            continue;
+        }
+
+        nearestT = t;
+        nearest = {
+            triangle:i,
+            indices:[ia, ib, ic],
+            barycentric:[1 - u - v, u, v]
+        };
+    }
+
+    if (!nearest) {
+        return null;
+    }
+
+    var b = nearest.barycentric;
+    ia = nearest.indices[0];
+    ib = nearest.indices[1];
+    ic = nearest.indices[2];
+
+    var interpolate = function (array, size) {
+        var result = [];
+        for (var j = 0; j < size; j++) {
+            result.push(array[ia * size + j] * b[0] + array[ib * size + j] * b[1] + array[ic * size + j] * b[2]);
+        }
+        return result;
+    };
+
+    nearest.object = object;
+    nearest.t = nearestT;
+    nearest.worldPos = SceneJS_math_addVec3(rayOrigin, SceneJS_math_mulVec3Scalar(rayDir, nearestT, []), []);
+
+    var normal;
+
+    if (vertexArrays.normals) {
+        normal = interpolate(vertexArrays.normals, 3);
+
+    } else { // Face normal
+        var a = [positions[ia * 3], positions[ia * 3 + 1], positions[ia * 3 + 2]];
+        normal = SceneJS_math_cross3Vec3(
+            SceneJS_math_subVec3([positions[ib * 3], positions[ib * 3 + 1], positions[ib * 3 + 2]], a, []),
+            SceneJS_math_subVec3([positions[ic * 3], positions[ic * 3 + 1], positions[ic * 3 + 2]], a, []),
+            []);
+    }
+
+    var normalMat = SceneJS_math_transposeMat4(modelMatInverse, SceneJS_math_mat4());
+
+    nearest.normal = SceneJS_math_normalizeVec3(SceneJS_math_transformVector3(normalMat, normal), []);
+
+    if (vertexArrays.uv) {
+        nearest.uv = interpolate(vertexArrays.uv, 2);
+    }
+
+    if (vertexArrays.uv2) {
+        nearest.uv2 = interpolate(vertexArrays.uv2, 2);
+    }
+
+    return nearest;
+};
+
 SceneJS_Display.prototype._unpackDepth = function (depthZ) {
     var vec = [depthZ[0] / 256.0, depthZ[1] / 256.0, depthZ[2] / 256.0, depthZ[3] / 256.0];
     var bitShift = [1.0 / (256.0 * 256.0 * 256.0), 1.0 / (256.0 * 256.0), 1.0 / 256.0, 1.0];
     return SceneJS_math_dotVector4(vec, bitShift);
 };
 
-SceneJS_Display.prototype._doDrawList = function (pick, rayPick) {
+/**
+ * Renders the depth map for a shadow-casting light, from a view and projection that are fitted
+ * to the boundary of the light's subgraph
+ * @private
+ */
+SceneJS_Display.prototype._doShadowMap = function (light, lightsCore) {
+
+    var shadow = light.shadow;
+    var sphere = lightsCore.getBoundingSphere ? lightsCore.getBoundingSphere() : null;
+
+    if (!sphere) { // No geometry to cast shadows
+        shadow.viewMat = null;
+        return;
+    }
+
+    var center = [sphere.center.x, sphere.center.y, sphere.center.z];
+    var radius = (sphere.radius || 1.0) * 1.01; // Margin keeps the farthest casters off the far clip plane
+    var dir = SceneJS_math_normalizeVec3(light.dir || [0, 0, -1], [0, 0, 0]);
+    var up = (Math.abs(dir[1]) > 0.99) ? [0, 0, 1] : [0, 1, 0];
+    var near;
+    var far;
+
+    if (light.mode == "spot") {
+
+        var pos = light.pos || [0, 0, 0];
+        var dist = SceneJS_math_lenVec3(SceneJS_math_subVec3(center, pos, [0, 0, 0]));
+
+        far = dist + radius;
+        near = Math.max(dist - radius, far * 0.001);
+
+        shadow.viewMat = new Float32Array(SceneJS_math_lookAtMat4v(pos, SceneJS_math_addVec3(pos, dir, [0, 0, 0]), up));
+        shadow.projMat = new Float32Array(SceneJS_math_perspectiveMatrix4(
+            Math.min(light.cutoff * 2.0, 170.0) * Math.PI / 180.0, 1.0, near, far));
+
+    } else { // "dir"
+
+        var eye = SceneJS_math_subVec3(center, SceneJS_math_mulVec3Scalar(dir, radius * 2.0, [0, 0, 0]), [0, 0, 0]);
+
+        near = radius;
+        far = radius * 3.0;
+
+        shadow.viewMat = new Float32Array(SceneJS_math_lookAtMat4v(eye, center, up));
+        shadow.projMat = new Float32Array(SceneJS_math_orthoMat4c(-radius, radius, -radius, radius, near, far));
+    }
+
+    shadow.nearFar = new Float32Array([near, far]);
+
+    shadow.buf.bind();
+
+    this._doDrawList(true, true, shadow);
+
+    shadow.buf.unbind();
+};
+
+/**
+ * Renders the draw list once for each pass of the enabled views and stereo eyes, or just once for the whole canvas
+ * when there are none
+ * @private
+ */
+SceneJS_Display.prototype._doViews = function (pick, rayPick, targetBuf) {
+    if (!this.views.active) {
+        this._doDrawList(pick, rayPick, null, targetBuf);
+        return;
+    }
+    var passes = this.views.getPasses();
+    for (var i = 0, len = passes.length; i < len; i++) {
+        if (!pick || passes[i].pick !== false) { // Anaglyph picks through the left eye only
+            this._doDrawList(pick, rayPick, null, targetBuf, passes[i]);
+        }
+    }
+};
+
+SceneJS_Display.prototype._doDrawList = function (pick, rayPick, shadow, targetBuf, view) {
 
     var frameCtx = this._frameCtx;                                                // Reset rendering context
 
@@ -924,6 +1773,9 @@ SceneJS_Display.prototype._doDrawList = function (pick, rayPick) {
     frameCtx.backfaces = true;
     frameCtx.frontface = "ccw";
     frameCtx.pick = !!pick;
+    frameCtx.shadow = shadow || null;
+    frameCtx.targetBuf = targetBuf || null; // Offscreen buffer for post-processing, bound in place of the canvas
+    frameCtx.view = view || null; // Render pass of a view, which may override the viewing and projection transforms
     frameCtx.textureUnit = 0;
 
     frameCtx.lineWidth = 1;
@@ -937,19 +1789,56 @@ SceneJS_Display.prototype._doDrawList = function (pick, rayPick) {
         frameCtx.VAO = VAO;
     }
 
-    gl.viewport(0, 0, this._canvas.canvas.width, this._canvas.canvas.height);
-    if (this.transparent) {
-        gl.clearColor(0,0,0,0);
+    frameCtx.instancing = gl.getExtension("ANGLE_instanced_arrays") || null;
+
+    if (shadow) {
+        gl.viewport(0, 0, shadow.resolution, shadow.resolution);
+        gl.clearColor(1.0, 1.0, 1.0, 1.0); // Farthest depth
+    } else {
+        gl.viewport(0, 0, this._canvas.canvas.width, this._canvas.canvas.height);
+        if (pick && rayPick) {
+            gl.clearColor(1.0, 1.0, 1.0, 1.0); // Farthest depth
+        } else if (this.transparent) {
+            gl.clearColor(0,0,0,0);
+        } else {
+            gl.clearColor(this._ambientColor[0], this._ambientColor[1], this._ambientColor[2], 1.0);
+        }
+    }
+    if (view) {
+        gl.viewport(view.viewport[0], view.viewport[1], view.viewport[2], view.viewport[3]);
+        if (!view.first) { // Only the first view clears the whole canvas
+            gl.enable(gl.SCISSOR_TEST);
+            gl.scissor(view.viewport[0], view.viewport[1], view.viewport[2], view.viewport[3]);
+        }
+    }
+    if (view && view.clearColor === false && !pick) { // Anaglyph right eye keeps the left eye's image
+        gl.clear(gl.DEPTH_BUFFER_BIT | gl.STENCIL_BUFFER_BIT);
     } else {
-        gl.clearColor(this._ambientColor[0], this._ambientColor[1], this._ambientColor[2], 1.0);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT | gl.STENCIL_BUFFER_BIT);
+    }
+    if (view && !view.first) {
+        gl.disable(gl.SCISSOR_TEST);
+    }
+    if (view && view.colorMask && !pick) { // Anaglyph eye renders only its own color channels
+        gl.colorMask(view.colorMask[0], view.colorMask[1], view.colorMask[2], view.colorMask[3]);
     }
-    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT | gl.STENCIL_BUFFER_BIT);
     gl.frontFace(gl.CCW);
     gl.disable(gl.CULL_FACE);
 
-    if (pick) { // Pick
+    if (shadow) { // Depth map
+
+        frameCtx.pickIndex = 0;
+        frameCtx.pickName = null;
+        frameCtx.rayPick = true;
+
+        for (var i = 0, len = this._shadowDrawListLen; i < len; i++) {      // Push shadow casters' picking chunks
+            this._shadowDrawList[i].pick(frameCtx);
+        }
+
+    } else if (pick) { // Pick
 
         frameCtx.pickIndex = 0;
+        frameCtx.pickName = null;
         frameCtx.rayPick = !!rayPick;
 
         for (var i = 0, len = this._pickDrawListLen; i < len; i++) {        // Push picking chunks
@@ -986,6 +1875,24 @@ SceneJS_Display.prototype._doDrawList = function (pick, rayPick) {
         }
     }
 
+    if (view) { // Remember transforms the view was rendered with, to ray-pick through it, forgetting them when nothing was drawn
+        if (frameCtx.viewMat) {
+            view.renderedViewMat = view.renderedViewMat || new Float32Array(16);
+            view.renderedViewMat.set(frameCtx.viewMat);
+        } else {
+            view.renderedViewMat = null;
+        }
+        if (frameCtx.cameraMat) {
+            view.renderedProjMat = view.renderedProjMat || new Float32Array(16);
+            view.renderedProjMat.set(frameCtx.cameraMat);
+        } else {
+            view.renderedProjMat = null;
+        }
+        if (view.colorMask && !pick) {
+            gl.colorMask(true, true, true, true);
+        }
+    }
+
     gl.flush();                                                         // Flush GL
 
     if (frameCtx.framebuf) {                                                 // Unbind remaining frame buffer
@@ -1007,4 +1914,5 @@ SceneJS_Display.prototype._doDrawList = function (pick, rayPick) {
 
 SceneJS_Display.prototype.destroy = function () {
     this._programFactory.destroy();
+    this.postProcess.destroy();
 };
@@ -59,4 +59,31 @@ var SceneJS_Object = function(id) {
      * State core for the {@link SceneJS.Tag} that this object was compiled from, used for visibility cull
      */
     this.tag = null;
+
+    /**
+     * State core for the {@link SceneJS.Lights} that this object was compiled from, used for finding shadow-casting lights
+     */
+    this.lights = null;
+
+    /**
+     * State core for the {@link SceneJS.Geometry} that this object was compiled from, used for ray-cast picking
+     */
+    this.geometry = null;
+
+    /**
+     * State core for the {@link SceneJS.Instances} that this object was compiled from, used for ray-cast picking
+     */
+    this.instances = null;
+
+    /**
+     * State cores for the modelling, viewing and projection transforms that this object was compiled from, used for ray-cast picking
+     */
+    this.modelTransform = null;
+    this.viewTransform = null;
+    this.projTransform = null;
+
+    /**
+     * State core for the {@link SceneJS.Name} that this object was compiled from, used for ray-cast picking
+     */
+    this.name = null;
 };
\ No newline at end of file
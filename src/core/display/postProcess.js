@@ -0,0 +1,649 @@
+/**
+ * @class Chain of full-screen post-processing passes that a {@link SceneJS_Display} applies to its rendered image
+ *
+ * <p>While the chain has any enabled passes, the display renders its draw list into an offscreen buffer instead of
+ * the canvas, then this runs the passes in order, each reading the image written by the previous pass, with the last
+ * pass writing to the canvas. When a pass needs the depth of the scene, the display first renders that into another
+ * offscreen buffer.</p>
+ *
+ * <p>Each pass is configured as an effect, which has a type that is either one of the built-in types in
+ * {@link SceneJS_PostProcess.effectTypes}, or "shader" for a custom GLSL fragment shader, along with an optional ID
+ * and an optional 'enabled' flag, plus the parameters of its type.</p>
+ *
+ * @param cfg
+ * @param cfg.canvas The SceneJS_Canvas
+ * @private
+ */
+var SceneJS_PostProcess = function (cfg) {
+
+    this._canvas = cfg.canvas;
+
+    /**
+     * Effect configs, in the order their passes are run
+     */
+    this._effects = [];
+
+    /**
+     * True while any effect is enabled, in which case the display renders to #sceneBuf
+     * @type Boolean
+     */
+    this.active = false;
+
+    /**
+     * True while an enabled effect reads the depth of the scene, in which case the display renders that to #depthBuf
+     * @type Boolean
+     */
+    this.needsDepth = false;
+
+    /**
+     * Offscreen buffer that the display renders the scene to
+     * @type SceneJS_PickBuffer
+     */
+    this.sceneBuf = null;
+
+    /**
+     * Offscreen buffer that the display renders the packed depth of the scene to
+     * @type SceneJS_PickBuffer
+     */
+    this.depthBuf = null;
+
+    this._bufs = [];        // Buffers that passes alternately write to and read from
+    this._halfBufs = [];    // Half-resolution buffers for blurs
+    this._textures = [];    // Texture facades of buffers, for binding to samplers
+    this._programs = {};    // Pass programs, mapped to their fragment shader sources
+    this._quad = null;      // Vertex buffer for full-screen quad
+};
+
+/**
+ * Vertex shader shared by all passes, which draws a full-screen quad
+ */
+SceneJS_PostProcess.vertexSource = [
+    "attribute vec2 SCENEJS_aPosition;",
+    "varying vec2 SCENEJS_vUV;",
+    "void main(void) {",
+    "   SCENEJS_vUV = SCENEJS_aPosition * 0.5 + 0.5;",
+    "   gl_Position = vec4(SCENEJS_aPosition, 0.0, 1.0);",
+    "}"
+].join("\n");
+
+/**
+ * Declarations that precede the fragment shader of each pass, including custom passes
+ */
+SceneJS_PostProcess.fragmentHeader = [
+    "precision mediump float;",
+    "uniform sampler2D SCENEJS_uColorSampler;",     // Image written by previous pass
+    "uniform sampler2D SCENEJS_uDepthSampler;",     // Packed depth of scene, for effects that need it
+    "uniform vec2 SCENEJS_uViewportSize;",          // Size of canvas in pixels
+    "varying vec2 SCENEJS_vUV;",                    // Image coordinates, [0..1]
+    "float SCENEJS_unpackDepth(const in vec4 rgba) {", // Depth in range [0..1] between near and far clip planes
+    "   const vec4 bitShift = vec4(1.0 / (256.0 * 256.0 * 256.0), 1.0 / (256.0 * 256.0), 1.0 / 256.0, 1.0);",
+    "   return dot(rgba, bitShift);",
+    "}"
+].join("\n");
+
+/**
+ * Built-in effect types
+ *
+ * <p>Each type has the default values of its parameters, which are loaded into uniforms named after them, eg. the
+ * 'threshold' parameter is loaded into "SCENEJS_uThreshold", with colors given as { r, g, b } loaded into vec3
+ * uniforms. Each type also has a function that returns the source of its fragment shader, while types that need more
+ * than one pass have a function that renders them.</p>
+ */
+SceneJS_PostProcess.effectTypes = {
+
+    /**
+     * Fast approximate anti-aliasing, which smooths edges along their directions of greatest contrast
+     */
+    fxaa:{
+        params:{},
+        fragment:function () {
+            return [
+                "void main(void) {",
+                "   vec2 texel = 1.0 / SCENEJS_uViewportSize;",
+                "   vec3 luma = vec3(0.299, 0.587, 0.114);",
+                "   vec4 colorM = texture2D(SCENEJS_uColorSampler, SCENEJS_vUV);",
+                "   float lumaNW = dot(texture2D(SCENEJS_uColorSampler, SCENEJS_vUV + vec2(-1.0, -1.0) * texel).rgb, luma);",
+                "   float lumaNE = dot(texture2D(SCENEJS_uColorSampler, SCENEJS_vUV + vec2(1.0, -1.0) * texel).rgb, luma);",
+                "   float lumaSW = dot(texture2D(SCENEJS_uColorSampler, SCENEJS_vUV + vec2(-1.0, 1.0) * texel).rgb, luma);",
+                "   float lumaSE = dot(texture2D(SCENEJS_uColorSampler, SCENEJS_vUV + vec2(1.0, 1.0) * texel).rgb, luma);",
+                "   float lumaM = dot(colorM.rgb, luma);",
+                "   float lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));",
+                "   float lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));",
+                "   vec2 dir = vec2(-((lumaNW + lumaNE) - (lumaSW + lumaSE)), (lumaNW + lumaSW) - (lumaNE + lumaSE));",
+                "   float dirReduce = max((lumaNW + lumaNE + lumaSW + lumaSE) * (0.25 / 8.0), 1.0 / 128.0);",
+                "   float rcpDirMin = 1.0 / (min(abs(dir.x), abs(dir.y)) + dirReduce);",
+                "   dir = clamp(dir * rcpDirMin, vec2(-8.0, -8.0), vec2(8.0, 8.0)) * texel;",
+                "   vec3 colorA = 0.5 * (texture2D(SCENEJS_uColorSampler, SCENEJS_vUV + dir * (1.0 / 3.0 - 0.5)).rgb +",
+                "       texture2D(SCENEJS_uColorSampler, SCENEJS_vUV + dir * (2.0 / 3.0 - 0.5)).rgb);",
+                "   vec3 colorB = colorA * 0.5 + 0.25 * (texture2D(SCENEJS_uColorSampler, SCENEJS_vUV - dir * 0.5).rgb +",
+                "       texture2D(SCENEJS_uColorSampler, SCENEJS_vUV + dir * 0.5).rgb);",
+                "   float lumaB = dot(colorB, luma);",
+                "   gl_FragColor = vec4((lumaB < lumaMin || lumaB > lumaMax) ? colorA : colorB, colorM.a);",
+                "}"
+            ];
+        }
+    },
+
+    /**
+     * Bloom, which adds a blurred glow around areas brighter than a threshold
+     */
+    bloom:{
+        params:{
+            threshold:0.8, // Luminance above which areas glow
+            intensity:1.0, // Strength of glow
+            radius:1.0     // Spread of glow
+        },
+        fragment:function () { // Composites glow over image
+            return [
+                "uniform sampler2D SCENEJS_uBloomSampler;",
+                "uniform float SCENEJS_uIntensity;",
+                "void main(void) {",
+                "   vec4 color = texture2D(SCENEJS_uColorSampler, SCENEJS_vUV);",
+                "   gl_FragColor = vec4(color.rgb + texture2D(SCENEJS_uBloomSampler, SCENEJS_vUV).rgb * SCENEJS_uIntensity, color.a);",
+                "}"
+            ];
+        },
+        render:function (postProcess, effect, program, input, output) {
+
+            var brightBuf = postProcess._getHalfBuf(0);
+            var blurBuf = postProcess._getHalfBuf(1);
+            var size = brightBuf.getSize();
+
+            postProcess._drawPass(postProcess._getProgram([ // Extract bright areas
+                "uniform float SCENEJS_uThreshold;",
+                "void main(void) {",
+                "   vec3 color = texture2D(SCENEJS_uColorSampler, SCENEJS_vUV).rgb;",
+                "   float luma = dot(color, vec3(0.299, 0.587, 0.114));",
+                "   gl_FragColor = vec4(color * (max(luma - SCENEJS_uThreshold, 0.0) / max(luma, 0.0001)), 1.0);",
+                "}"
+            ]), input, brightBuf, { SCENEJS_uThreshold:effect.threshold });
+
+            var blur = postProcess._getProgram([ // Separable Gaussian blur
+                "uniform vec2 SCENEJS_uBlurDir;",
+                "void main(void) {",
+                "   vec3 color = texture2D(SCENEJS_uColorSampler, SCENEJS_vUV).rgb * 0.227027;",
+                "   color += texture2D(SCENEJS_uColorSampler, SCENEJS_vUV + SCENEJS_uBlurDir * 1.384615).rgb * 0.316216;",
+                "   color += texture2D(SCENEJS_uColorSampler, SCENEJS_vUV - SCENEJS_uBlurDir * 1.384615).rgb * 0.316216;",
+                "   color += texture2D(SCENEJS_uColorSampler, SCENEJS_vUV + SCENEJS_uBlurDir * 3.230769).rgb * 0.070270;",
+                "   color += texture2D(SCENEJS_uColorSampler, SCENEJS_vUV - SCENEJS_uBlurDir * 3.230769).rgb * 0.070270;",
+                "   gl_FragColor = vec4(color, 1.0);",
+                "}"
+            ]);
+
+            postProcess._drawPass(blur, brightBuf, blurBuf, { SCENEJS_uBlurDir:[effect.radius / size[0], 0] });
+            postProcess._drawPass(blur, blurBuf, brightBuf, { SCENEJS_uBlurDir:[0, effect.radius / size[1]] });
+
+            postProcess._drawPass(program, input, output, { SCENEJS_uIntensity:effect.intensity }, {
+                SCENEJS_uBloomSampler:brightBuf
+            });
+        }
+    },
+
+    /**
+     * Vignette, which darkens the image towards its edges
+     */
+    vignette:{
+        params:{
+            radius:0.75,    // Distance from center, where the image is fully darkened
+            softness:0.45,  // Width of the falloff from the radius towards the center
+            intensity:1.0,  // Strength of darkening
+            color:{ r:0, g:0, b:0 } // Color that edges are darkened towards
+        },
+        fragment:function () {
+            return [
+                "uniform float SCENEJS_uRadius;",
+                "uniform float SCENEJS_uSoftness;",
+                "uniform float SCENEJS_uIntensity;",
+                "uniform vec3 SCENEJS_uColor;",
+                "void main(void) {",
+                "   vec4 color = texture2D(SCENEJS_uColorSampler, SCENEJS_vUV);",
+                "   float vignette = smoothstep(SCENEJS_uRadius, SCENEJS_uRadius - SCENEJS_uSoftness, distance(SCENEJS_vUV, vec2(0.5, 0.5)));",
+                "   gl_FragColor = vec4(mix(color.rgb, mix(SCENEJS_uColor, color.rgb, vignette), SCENEJS_uIntensity), color.a);",
+                "}"
+            ];
+        }
+    },
+
+    /**
+     * Tone mapping, which applies an exposure then compresses colors with a tone curve, which is either "aces",
+     * "reinhard" or "linear", followed by gamma correction
+     */
+    toneMap:{
+        params:{
+            mode:"aces",
+            exposure:1.0,
+            gamma:1.0 // 1.0 for none, since the scene is already rendered in display color space
+        },
+        fragment:function (effect) {
+            var curve;
+            switch (effect.mode) {
+                case "aces": // Narkowicz's fit of the ACES filmic curve
+                    curve = "clamp((color * (2.51 * color + 0.03)) / (color * (2.43 * color + 0.59) + 0.14), 0.0, 1.0)";
+                    break;
+                case "reinhard":
+                    curve = "color / (color + vec3(1.0, 1.0, 1.0))";
+                    break;
+                case "linear":
+                    curve = "clamp(color, 0.0, 1.0)";
+                    break;
+                default:
+                    throw SceneJS_error.fatalError(
+                        SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                        "toneMap effect mode value is unsupported - should be either 'aces', 'reinhard' or 'linear'");
+            }
+            return [
+                "uniform float SCENEJS_uExposure;",
+                "uniform float SCENEJS_uGamma;",
+                "void main(void) {",
+                "   vec4 texel = texture2D(SCENEJS_uColorSampler, SCENEJS_vUV);",
+                "   vec3 color = texel.rgb * SCENEJS_uExposure;",
+                "   color = " + curve + ";",
+                "   gl_FragColor = vec4(pow(color, vec3(1.0 / SCENEJS_uGamma)), texel.a);",
+                "}"
+            ];
+        }
+    },
+
+    /**
+     * Color grading, which adjusts brightness, contrast and saturation, then tints the image
+     */
+    colorGrade:{
+        params:{
+            brightness:0.0,
+            contrast:1.0,
+            saturation:1.0,
+            tint:{ r:1, g:1, b:1 }
+        },
+        fragment:function () {
+            return [
+                "uniform float SCENEJS_uBrightness;",
+                "uniform float SCENEJS_uContrast;",
+                "uniform float SCENEJS_uSaturation;",
+                "uniform vec3 SCENEJS_uTint;",
+                "void main(void) {",
+                "   vec4 texel = texture2D(SCENEJS_uColorSampler, SCENEJS_vUV);",
+                "   vec3 color = (texel.rgb + SCENEJS_uBrightness - 0.5) * SCENEJS_uContrast + 0.5;",
+                "   color = mix(vec3(dot(color, vec3(0.299, 0.587, 0.114))), color, SCENEJS_uSaturation);",
+                "   gl_FragColor = vec4(clamp(color * SCENEJS_uTint, 0.0, 1.0), texel.a);",
+                "}"
+            ];
+        }
+    },
+
+    /**
+     * Screen-space ambient occlusion, which darkens creases and corners, where nearby surfaces are closer to the
+     * eye than the surface at each pixel. Objects that are not pickable do not occlude.
+     */
+    ssao:{
+        depth:true,
+        params:{
+            radius:8.0,      // Radius of sampled area, in pixels
+            intensity:1.0,   // Strength of darkening
+            bias:0.0005,     // Minimum depth difference that occludes, as a fraction of the clipping range
+            falloff:0.01     // Depth difference beyond which surfaces no longer occlude, as a fraction of the clipping range
+        },
+        fragment:function () {
+            return [
+                "uniform float SCENEJS_uRadius;",
+                "uniform float SCENEJS_uIntensity;",
+                "uniform float SCENEJS_uBias;",
+                "uniform float SCENEJS_uFalloff;",
+                "void main(void) {",
+                "   vec4 color = texture2D(SCENEJS_uColorSampler, SCENEJS_vUV);",
+                "   float depth = SCENEJS_unpackDepth(texture2D(SCENEJS_uDepthSampler, SCENEJS_vUV));",
+                "   float occlusion = 0.0;",
+                "   float angle = fract(sin(dot(SCENEJS_vUV, vec2(12.9898, 78.233))) * 43758.5453) * 6.283185;", // Jitter
+                "   for (int i = 0; i < 16; i++) {",
+                "       angle += 2.399963;", // Golden angle spiral
+                "       vec2 offset = vec2(cos(angle), sin(angle)) * SCENEJS_uRadius * (float(i) + 1.0) / 16.0;",
+                "       float sampleDepth = SCENEJS_unpackDepth(texture2D(SCENEJS_uDepthSampler, SCENEJS_vUV + offset / SCENEJS_uViewportSize));",
+                "       float diff = depth - sampleDepth;",
+                "       occlusion += step(SCENEJS_uBias, diff) * (1.0 - smoothstep(0.0, SCENEJS_uFalloff, diff));",
+                "   }",
+                "   gl_FragColor = vec4(color.rgb * clamp(1.0 - SCENEJS_uIntensity * occlusion / 16.0, 0.0, 1.0), color.a);",
+                "}"
+            ];
+        }
+    }
+};
+
+/**
+ * Sets the effects, replacing any existing ones
+ * @param {Array} effects Effect configs
+ */
+SceneJS_PostProcess.prototype.setEffects = function (effects) {
+    var list = [];
+    for (var i = 0, len = effects.length; i < len; i++) {
+        list.push(this._buildEffect(effects[i]));
+    }
+    this._effects = list;
+    this._update();
+};
+
+/**
+ * Returns copies of the effect configs, in order
+ * @returns {Array}
+ */
+SceneJS_PostProcess.prototype.getEffects = function () {
+    var effects = [];
+    for (var i = 0, len = this._effects.length; i < len; i++) {
+        effects.push(SceneJS._copyJSON(this._effects[i]));
+    }
+    return effects;
+};
+
+/**
+ * Updates the parameters of an effect, which is given by ID or index
+ * @param {String|Number} id Effect ID, or index within the effects
+ * @param {Object} params Parameters to set on the effect
+ */
+SceneJS_PostProcess.prototype.setEffect = function (id, params) {
+    var index = this._indexOf(id);
+    var effect = SceneJS._apply(params, SceneJS._copyJSON(this._effects[index]));
+    if (params.shaderParams && this._effects[index].shaderParams) { // Custom shader params are updated individually
+        effect.shaderParams = SceneJS._apply(params.shaderParams, SceneJS._copyJSON(this._effects[index].shaderParams));
+    }
+    this._effects[index] = this._buildEffect(effect);
+    this._update();
+};
+
+/**
+ * Returns a copy of the config of an effect, which is given by ID or index
+ * @param {String|Number} id Effect ID, or index within the effects
+ * @returns {Object}
+ */
+SceneJS_PostProcess.prototype.getEffect = function (id) {
+    return SceneJS._copyJSON(this._effects[this._indexOf(id)]);
+};
+
+SceneJS_PostProcess.prototype._indexOf = function (id) {
+    if (typeof id == "number") {
+        if (id >= 0 && id < this._effects.length) {
+            return id;
+        }
+    } else {
+        for (var i = 0, len = this._effects.length; i < len; i++) {
+            if (this._effects[i].id == id) {
+                return i;
+            }
+        }
+    }
+    throw SceneJS_error.fatalError(
+        SceneJS.errors.ILLEGAL_NODE_CONFIG,
+        "post effect not found: '" + id + "'");
+};
+
+/**
+ * Completes an effect config with the defaults of its type, validating it
+ */
+SceneJS_PostProcess.prototype._buildEffect = function (params) {
+
+    var effect = SceneJS._copyJSON(params);
+
+    if (effect.type == "shader") {
+        if (!effect.code) {
+            throw SceneJS_error.fatalError(
+                SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                "shader effect code expected");
+        }
+        effect.shaderParams = effect.shaderParams || {};
+
+    } else {
+
+        var effectType = SceneJS_PostProcess.effectTypes[effect.type];
+
+        if (!effectType) {
+            throw SceneJS_error.fatalError(
+                SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                "post effect type is unsupported: '" + effect.type + "' - should be either 'fxaa', 'bloom', " +
+                    "'vignette', 'toneMap', 'colorGrade', 'ssao' or 'shader'");
+        }
+
+        for (var name in effectType.params) {
+            if (effectType.params.hasOwnProperty(name) && (effect[name] == undefined || effect[name] == null)) {
+                effect[name] = SceneJS._copyJSON(effectType.params[name]);
+            }
+        }
+
+        effectType.fragment(effect); // Validates parameters that the source depends on
+    }
+
+    effect.enabled = effect.enabled !== false;
+
+    return effect;
+};
+
+SceneJS_PostProcess.prototype._update = function () {
+    var effect;
+    this.active = false;
+    this.needsDepth = false;
+    for (var i = 0, len = this._effects.length; i < len; i++) {
+        effect = this._effects[i];
+        if (effect.enabled) {
+            this.active = true;
+            if (effect.type == "shader" ? effect.depth : SceneJS_PostProcess.effectTypes[effect.type].depth) {
+                this.needsDepth = true;
+            }
+        }
+    }
+};
+
+/**
+ * Binds the offscreen buffer that the display renders the scene to
+ * @returns {SceneJS_PickBuffer} The buffer
+ */
+SceneJS_PostProcess.prototype.bindSceneBuf = function () {
+    if (!this.sceneBuf) {
+        this.sceneBuf = new SceneJS_PickBuffer({ canvas:this._canvas, linear:true });
+    }
+    this.sceneBuf.rebind();
+    return this.sceneBuf;
+};
+
+/**
+ * Binds the offscreen buffer that the display renders the depth of the scene to
+ * @returns {SceneJS_PickBuffer} The buffer
+ */
+SceneJS_PostProcess.prototype.bindDepthBuf = function () {
+    if (!this.depthBuf) {
+        this.depthBuf = new SceneJS_PickBuffer({ canvas:this._canvas });
+    }
+    this.depthBuf.rebind();
+    return this.depthBuf;
+};
+
+/**
+ * Runs the enabled passes on the image in #sceneBuf, writing the result to the canvas
+ */
+SceneJS_PostProcess.prototype.render = function () {
+
+    var gl = this._canvas.gl;
+    var effects = [];
+    var i;
+    var len;
+
+    for (i = 0, len = this._effects.length; i < len; i++) {
+        if (this._effects[i].enabled) {
+            effects.push(this._effects[i]);
+        }
+    }
+
+    if (!this._quad) {
+        this._quad = new SceneJS_webgl_ArrayBuffer(gl, gl.ARRAY_BUFFER,
+            new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), 4, 2, gl.STATIC_DRAW);
+    }
+
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.BLEND);
+    gl.disable(gl.CULL_FACE);
+    gl.disable(gl.SCISSOR_TEST);
+    gl.colorMask(true, true, true, true);
+
+    var input = this.sceneBuf;
+    var output;
+    var effect;
+    var effectType;
+    var program;
+    var uniforms;
+
+    for (i = 0, len = effects.length; i < len; i++) {
+
+        effect = effects[i];
+        output = (i == len - 1) ? null : this._getBuf(i % 2); // Last pass writes to canvas
+
+        if (effect.type == "shader") {
+            program = this._getProgram(SceneJS._isArray(effect.code) ? effect.code : [effect.code]);
+            this._drawPass(program, input, output, effect.shaderParams);
+
+        } else {
+
+            effectType = SceneJS_PostProcess.effectTypes[effect.type];
+            program = this._getProgram(effectType.fragment(effect));
+
+            if (effectType.render) {
+                effectType.render(this, effect, program, input, output);
+
+            } else {
+                uniforms = {};
+                for (var name in effectType.params) {
+                    if (effectType.params.hasOwnProperty(name) && typeof effect[name] != "string") {
+                        uniforms["SCENEJS_u" + name.substr(0, 1).toUpperCase() + name.substr(1)] = effect[name];
+                    }
+                }
+                this._drawPass(program, input, output, uniforms);
+            }
+        }
+
+        input = output;
+    }
+
+    gl.enable(gl.DEPTH_TEST);
+};
+
+/**
+ * Draws a full-screen quad into an output buffer, or into the canvas when no output is given, with a program that
+ * reads the image in an input buffer
+ */
+SceneJS_PostProcess.prototype._drawPass = function (program, input, output, uniforms, samplers) {
+
+    var gl = this._canvas.gl;
+    var size;
+    var unit = 0;
+
+    if (output) {
+        output.rebind();
+        size = output.getSize();
+    } else {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        size = [this._canvas.canvas.width, this._canvas.canvas.height];
+    }
+
+    gl.viewport(0, 0, size[0], size[1]);
+
+    program.bind();
+    program.bindTexture("SCENEJS_uColorSampler", this._getTexture(input), unit++);
+
+    if (this.depthBuf && this.needsDepth) {
+        program.bindTexture("SCENEJS_uDepthSampler", this._getTexture(this.depthBuf), unit++);
+    }
+
+    if (samplers) {
+        for (var samplerName in samplers) {
+            if (samplers.hasOwnProperty(samplerName)) {
+                program.bindTexture(samplerName, this._getTexture(samplers[samplerName]), unit++);
+            }
+        }
+    }
+
+    program.setUniform("SCENEJS_uViewportSize", [this._canvas.canvas.width, this._canvas.canvas.height]);
+
+    if (uniforms) {
+        var value;
+        for (var name in uniforms) {
+            if (uniforms.hasOwnProperty(name)) {
+                value = uniforms[name];
+                if (value && value.r != undefined) { // Color
+                    value = [value.r, value.g, value.b];
+                }
+                program.setUniform(name, value);
+            }
+        }
+    }
+
+    program.bindFloatArrayBuffer("SCENEJS_aPosition", this._quad);
+
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+};
+
+/**
+ * Gets the program for a pass, creating it on first use
+ */
+SceneJS_PostProcess.prototype._getProgram = function (fragmentSource) {
+    var source = SceneJS_PostProcess.fragmentHeader + "\n" + fragmentSource.join("\n");
+    var program = this._programs[source];
+    if (!program) {
+        program = this._programs[source] = new SceneJS_webgl_Program(
+            this._canvas.gl, [SceneJS_PostProcess.vertexSource], [source]);
+    }
+    return program;
+};
+
+SceneJS_PostProcess.prototype._getBuf = function (i) {
+    return this._bufs[i] || (this._bufs[i] = new SceneJS_PickBuffer({ canvas:this._canvas, linear:true }));
+};
+
+SceneJS_PostProcess.prototype._getHalfBuf = function (i) {
+    return this._halfBufs[i] || (this._halfBufs[i] = new SceneJS_PickBuffer({
+        canvas:this._canvas,
+        scale:0.5,
+        linear:true
+    }));
+};
+
+SceneJS_PostProcess.prototype._getTexture = function (buf) {
+    if (!buf._postTexture) {
+        buf._postTexture = buf.getTexture();
+    }
+    return buf._postTexture;
+};
+
+SceneJS_PostProcess.prototype._getBufs = function () {
+    return [this.sceneBuf, this.depthBuf].concat(this._bufs, this._halfBufs);
+};
+
+/**
+ * Reallocates WebGL resources after the WebGL context is restored
+ */
+SceneJS_PostProcess.prototype.webglRestored = function () {
+    var gl = this._canvas.gl;
+    var bufs = this._getBufs();
+    for (var i = 0, len = bufs.length; i < len; i++) {
+        if (bufs[i]) {
+            bufs[i].webglRestored(gl);
+        }
+    }
+    this._programs = {};
+    this._quad = null;
+};
+
+/**
+ * Releases WebGL resources
+ */
+SceneJS_PostProcess.prototype.destroy = function () {
+    var bufs = this._getBufs();
+    for (var i = 0, len = bufs.length; i < len; i++) {
+        if (bufs[i]) {
+            bufs[i].destroy();
+        }
+    }
+    for (var source in this._programs) {
+        if (this._programs.hasOwnProperty(source)) {
+            this._programs[source].destroy();
+        }
+    }
+    this._programs = {};
+    if (this._quad) {
+        this._quad.destroy();
+        this._quad = null;
+    }
+};
@@ -53,6 +53,8 @@ var SceneJS_ProgramSourceFactory = new (function () {
 
         var clipping = states.clips.clips.length > 0;
         var morphing = !!states.morphGeometry.targets;
+        var instancing = this._isInstancing(states);
+        var batching = this._isBatching(states);
         var normals = this._hasNormals(states);
 
         var src = [
@@ -96,6 +98,19 @@ var SceneJS_ProgramSourceFactory = new (function () {
             }
         }
 
+        if (instancing) {
+            this._composeInstanceMatrixVariables(src);
+            src.push("attribute highp float SCENEJS_aInstancePickIndex;"); // Index of instance
+            src.push("uniform highp float SCENEJS_uInstancePickBase;");    // Pick index of first instance, zero when not pickable
+            src.push("varying vec3 SCENEJS_vPickColor;");
+        }
+
+        if (batching) {
+            src.push("attribute highp float SCENEJS_aBatchPickIndex;");    // Index of the merged geometry within its batch
+            src.push("uniform highp float SCENEJS_uBatchPickBase;");       // Pick index of the first merged geometry
+            src.push("varying vec3 SCENEJS_vPickColor;");
+        }
+
         src.push("void main(void) {");
         src.push("   vec4 tmpVertex=vec4(SCENEJS_aVertex, 1.0); ");
 
@@ -119,6 +134,16 @@ var SceneJS_ProgramSourceFactory = new (function () {
             }
         }
 
+        if (instancing) {
+            this._composeInstanceTransform(src, "tmpVertex", normals);
+            src.push("  highp float pickIndex = (SCENEJS_uInstancePickBase > 0.0) ? SCENEJS_uInstancePickBase + SCENEJS_aInstancePickIndex : 0.0;");
+            this._composePickColor(src);
+        }
+
+        if (batching) {
+            src.push("  highp float pickIndex = SCENEJS_uBatchPickBase + SCENEJS_aBatchPickIndex;");
+            this._composePickColor(src);
+        }
 
         src.push("  tmpVertex = SCENEJS_uMMatrix * tmpVertex; ");
 
@@ -169,6 +194,8 @@ var SceneJS_ProgramSourceFactory = new (function () {
         var fragmentHooks = customFragmentShader.hooks || {};
 
         var clipping = states.clips.clips.length > 0;
+        var instancing = this._isInstancing(states);
+        var batching = this._isBatching(states);
 
         var normals = this._hasNormals(states);
 
@@ -191,7 +218,11 @@ var SceneJS_ProgramSourceFactory = new (function () {
 
         src.push("uniform bool SCENEJS_uRayPickMode;");                   // Z-pick mode when true else colour-pick
 
-        src.push("uniform vec3 SCENEJS_uPickColor;");                   // Used in colour-pick mode
+        if (instancing || batching) {
+            src.push("varying vec3 SCENEJS_vPickColor;");               // Used in colour-pick mode, for instances and batches
+        } else {
+            src.push("uniform vec3 SCENEJS_uPickColor;");               // Used in colour-pick mode
+        }
 
         src.push("uniform float SCENEJS_uZNear;");                      // Used in Z-pick mode
         src.push("uniform float SCENEJS_uZFar;");                       // Used in Z-pick mode
@@ -275,7 +306,11 @@ var SceneJS_ProgramSourceFactory = new (function () {
         src.push("          gl_FragColor = packDepth(zNormalizedDepth); ");
 
         src.push("    } else {");
-        src.push("          gl_FragColor = vec4(SCENEJS_uPickColor.rgb, 1.0);  ");
+        if (instancing || batching) {
+            src.push("          gl_FragColor = vec4(SCENEJS_vPickColor, 1.0);  ");
+        } else {
+            src.push("          gl_FragColor = vec4(SCENEJS_uPickColor.rgb, 1.0);  ");
+        }
         src.push("    }");
         src.push("}");
 
@@ -302,6 +337,106 @@ var SceneJS_ProgramSourceFactory = new (function () {
         return (states.cubemap.layers && states.cubemap.layers.length > 0 && states.geometry.normalBuf);
     };
 
+    this._isInstancing = function (states) {
+        return !!states.instances.matrices;
+    };
+
+    /**
+     * Instances have colors in their own per-instance array, or in a per-vertex array of the geometry when
+     * they're merged into the geometry because the ANGLE_instanced_arrays extension is not supported
+     */
+    this._hasInstanceColors = function (states) {
+        return !!(states.instances.matrices ? states.instances.colors : states.geometry.instanceColorBuf);
+    };
+
+    /**
+     * Geometry merged by a batch node has a pick index for each vertex, which is ignored when the
+     * batch is instanced, in which case each instance is picked as a whole
+     */
+    this._isBatching = function (states) {
+        return !!states.geometry.pickIndexBuf && !this._isInstancing(states);
+    };
+
+    /**
+     * Encodes the pickIndex variable as the colour to render in colour-pick mode
+     */
+    this._composePickColor = function (src) {
+        src.push("  SCENEJS_vPickColor = vec3(mod(pickIndex, 256.0), mod(floor(pickIndex / 256.0), 256.0), floor(pickIndex / 65536.0)) / 255.0;");
+    };
+
+    /**
+     * Declares the attributes for the columns of the instance matrix, which are given to the shader as four
+     * vectors because WebGL binds the columns of a matrix attribute to separate locations anyway
+     */
+    this._composeInstanceMatrixVariables = function (src) {
+        for (var i = 0; i < 4; i++) {
+            src.push("attribute vec4 SCENEJS_aInstanceMatrix" + i + ";");
+        }
+    };
+
+    /**
+     * Transforms a Model-space vertex, and the Model-space normal if any, by the instance matrix
+     */
+    this._composeInstanceTransform = function (src, vertex, normals) {
+        src.push("  mat4 instanceMatrix = mat4(SCENEJS_aInstanceMatrix0, SCENEJS_aInstanceMatrix1, SCENEJS_aInstanceMatrix2, SCENEJS_aInstanceMatrix3);");
+        src.push("  " + vertex + " = instanceMatrix * " + vertex + ";");
+        if (normals) {
+            src.push("  modelNormal = instanceMatrix * vec4(modelNormal.xyz, 0.0);");
+        }
+    };
+
+    /**
+     * Defines the function that gives the fraction of a fragment lit by a shadow-casting light, by comparing the
+     * fragment's depth from the light with the light's depth map, which is packed the same way as a ray-pick depth.
+     * Filters with a 3x3 kernel, scaled by the softness radius, and treats fragments outside the map as lit.
+     */
+    this._composeShadowFunctions = function (src) {
+        src.push("float SCENEJS_unpackDepth(const in vec4 rgba) {");
+        src.push("  const vec4 bitShift = vec4(1.0/(256.0*256.0*256.0), 1.0/(256.0*256.0), 1.0/256.0, 1.0);");
+        src.push("  return dot(rgba, bitShift);");
+        src.push("}");
+        src.push("float SCENEJS_shadow(sampler2D shadowMap, vec4 shadowCoord, float depth, float bias, float radius) {");
+        src.push("  vec2 coord = (shadowCoord.xy / shadowCoord.w) * 0.5 + 0.5;");
+        src.push("  if (coord.x < 0.0 || coord.x > 1.0 || coord.y < 0.0 || coord.y > 1.0 || depth > 1.0) {");
+        src.push("      return 1.0;");
+        src.push("  }");
+        src.push("  float lit = 0.0;");
+        src.push("  for (int x = -1; x <= 1; x++) {");
+        src.push("      for (int y = -1; y <= 1; y++) {");
+        src.push("          if (depth - bias <= SCENEJS_unpackDepth(texture2D(shadowMap, coord + vec2(float(x), float(y)) * radius))) {");
+        src.push("              lit += 1.0;");
+        src.push("          }");
+        src.push("      }");
+        src.push("  }");
+        src.push("  return lit / 9.0;");
+        src.push("}");
+    };
+
+    this._isPBR = function (states) {
+        return states.material.model == "pbr";
+    };
+
+    /**
+     * Defines the function that gives the specular reflectance of a light for the "pbr" material model, which is the
+     * Cook-Torrance microfacet model with GGX distribution, Schlick-GGX geometry and Schlick Fresnel terms
+     */
+    this._composePBRFunctions = function (src) {
+        src.push("vec3 SCENEJS_pbrSpecular(vec3 normal, vec3 lightVec, vec3 eyeVec, vec3 F0, float roughness) {");
+        src.push("  vec3 halfVec = normalize(lightVec + eyeVec);");
+        src.push("  float NdotL = max(dot(normal, lightVec), 0.0);");
+        src.push("  float NdotV = max(dot(normal, eyeVec), 0.001);");
+        src.push("  float NdotH = max(dot(normal, halfVec), 0.0);");
+        src.push("  float VdotH = max(dot(eyeVec, halfVec), 0.0);");
+        src.push("  float a2 = roughness * roughness * roughness * roughness;");
+        src.push("  float d = NdotH * NdotH * (a2 - 1.0) + 1.0;");
+        src.push("  float D = a2 / (3.14159265 * d * d);");
+        src.push("  float k = (roughness + 1.0) * (roughness + 1.0) / 8.0;");
+        src.push("  float G = (NdotL / (NdotL * (1.0 - k) + k)) * (NdotV / (NdotV * (1.0 - k) + k));");
+        src.push("  vec3 F = F0 + (1.0 - F0) * pow(1.0 - VdotH, 5.0);");
+        src.push("  return (D * G * F) / max(4.0 * NdotL * NdotV, 0.001);");
+        src.push("}");
+    };
+
     this._hasNormals = function (states) {
         if (states.geometry.normalBuf) {
             return true;
@@ -332,6 +467,9 @@ var SceneJS_ProgramSourceFactory = new (function () {
         var normals = this._hasNormals(states);
         var clipping = states.clips.clips.length > 0;
         var morphing = !!states.morphGeometry.targets;
+        var instancing = this._isInstancing(states);
+        var instanceColors = this._hasInstanceColors(states);
+        var pbr = this._isPBR(states);
 
         var src = [
             "precision mediump float;"
@@ -355,6 +493,10 @@ var SceneJS_ProgramSourceFactory = new (function () {
             src.push("varying   vec3 SCENEJS_vWorldNormal;");   // Output world-space vertex normal
             src.push("varying   vec3 SCENEJS_vViewNormal;");    // Output view-space vertex normal
 
+            if (pbr) {
+                src.push("varying   vec3 SCENEJS_vViewEyeVec;"); // Output view-space vector from vertex to eye
+            }
+
             for (var i = 0; i < states.lights.lights.length; i++) {
                 var light = states.lights.lights[i];
                 if (light.mode == "ambient") {
@@ -368,11 +510,21 @@ var SceneJS_ProgramSourceFactory = new (function () {
                 }
                 if (light.mode == "spot") {
                     src.push("uniform vec3 SCENEJS_uLightPos" + i + ";");
+                    src.push("uniform vec3 SCENEJS_uLightDir" + i + ";");
+                    src.push("varying vec3 SCENEJS_vViewLightSpotDir" + i + ";");    // View-space direction of spot cone
                 }
 
                 /* Vector from vertex to light, packaged with the pre-computed length of that vector
                  */
                 src.push("varying vec4 SCENEJS_vViewLightVecAndDist" + i + ";");    // varying for fragment lighting
+
+                if (light.castShadow) {
+                    src.push("uniform mat4 SCENEJS_uShadowViewMatrix" + i + ";");   // Light's depth map view
+                    src.push("uniform mat4 SCENEJS_uShadowProjMatrix" + i + ";");   // Light's depth map projection
+                    src.push("uniform vec2 SCENEJS_uShadowNearFar" + i + ";");
+                    src.push("varying vec4 SCENEJS_vShadowCoord" + i + ";");        // Clip-space position in depth map
+                    src.push("varying float SCENEJS_vShadowDepth" + i + ";");       // Normalized depth from light
+                }
             }
         }
 
@@ -429,6 +581,19 @@ var SceneJS_ProgramSourceFactory = new (function () {
             }
         }
 
+        /*-----------------------------------------------------------------------------------
+         * Variables - Instancing
+         *----------------------------------------------------------------------------------*/
+
+        if (instancing) {
+            this._composeInstanceMatrixVariables(src);
+        }
+
+        if (instanceColors) {
+            src.push("attribute vec4 SCENEJS_aInstanceColor;");
+            src.push("varying vec4 SCENEJS_vInstanceColor;");
+        }
+
         if (customVertexShader.code) {
             src.push("\n" + customVertexShader.code + "\n");
         }
@@ -462,6 +627,17 @@ var SceneJS_ProgramSourceFactory = new (function () {
             }
         }
 
+        /*
+         * Instancing - instance matrices transform Model space
+         */
+        if (instancing) {
+            this._composeInstanceTransform(src, "modelVertex", normals);
+        }
+
+        if (instanceColors) {
+            src.push("  SCENEJS_vInstanceColor = SCENEJS_aInstanceColor;");
+        }
+
         src.push("  vec4 worldVertex = SCENEJS_uMMatrix * modelVertex; ");
 
         if (vertexHooks.worldPos) {
@@ -482,6 +658,9 @@ var SceneJS_ProgramSourceFactory = new (function () {
             src.push("  vec3 worldNormal = normalize((SCENEJS_uMNMatrix * modelNormal).xyz); ");
             src.push("  SCENEJS_vWorldNormal = worldNormal;");
             src.push("  SCENEJS_vViewNormal = (SCENEJS_uVNMatrix * vec4(worldNormal, 1.0)).xyz;");
+            if (pbr) {
+                src.push("  SCENEJS_vViewEyeVec = -viewVertex.xyz;");
+            }
         }
 
         if (clipping || fragmentHooks.worldPos) {
@@ -505,6 +684,7 @@ var SceneJS_ProgramSourceFactory = new (function () {
          *----------------------------------------------------------------------------------*/
 
         src.push("  vec3 tmpVec3;");
+        src.push("  vec4 tmpVec4;");
         if (normals) {
 
             for (var i = 0; i < states.lights.lights.length; i++) {
@@ -552,6 +732,38 @@ var SceneJS_ProgramSourceFactory = new (function () {
                         src.push("SCENEJS_vViewLightVecAndDist" + i + " = vec4(normalize(tmpVec3), length(tmpVec3));");
                     }
                 }
+
+                if (light.mode == "spot") {
+
+                    /* Spot light
+                     */
+                    if (light.space == "world") {
+
+                        /* World space light - transform position and direction to View space
+                         */
+                        src.push("tmpVec3 = ((SCENEJS_uVMatrix * vec4(SCENEJS_uLightPos" + i + ", 1.0)).xyz - viewVertex.xyz);");
+                        src.push("SCENEJS_vViewLightVecAndDist" + i + " = vec4(normalize(tmpVec3), length(tmpVec3));");
+                        src.push("SCENEJS_vViewLightSpotDir" + i + " = normalize((SCENEJS_uVMatrix * vec4(SCENEJS_uLightDir" + i + ", 0.0)).xyz);");
+
+                    } else {
+
+                        /* View space light
+                         */
+                        src.push("tmpVec3 = (SCENEJS_uLightPos" + i + ".xyz - viewVertex.xyz);");
+                        src.push("SCENEJS_vViewLightVecAndDist" + i + " = vec4(normalize(tmpVec3), length(tmpVec3));");
+                        src.push("SCENEJS_vViewLightSpotDir" + i + " = normalize(SCENEJS_uLightDir" + i + ");");
+                    }
+                }
+
+                if (light.castShadow) {
+
+                    /* Position in the light's depth map, with linear depth matching the ray-pick depth of the map
+                     */
+                    src.push("tmpVec4 = SCENEJS_uShadowViewMatrix" + i + " * worldVertex;");
+                    src.push("SCENEJS_vShadowCoord" + i + " = SCENEJS_uShadowProjMatrix" + i + " * tmpVec4;");
+                    src.push("SCENEJS_vShadowDepth" + i + " = (-tmpVec4.z - SCENEJS_uShadowNearFar" + i + ".x) / " +
+                        "(SCENEJS_uShadowNearFar" + i + ".y - SCENEJS_uShadowNearFar" + i + ".x);");
+                }
             }
         }
 
@@ -599,6 +811,10 @@ var SceneJS_ProgramSourceFactory = new (function () {
         var cubeMapping = this._isCubeMapping(states);
         var normals = this._hasNormals(states);
         var clipping = states.clips.clips.length > 0;
+        var instanceColors = this._hasInstanceColors(states);
+        var pbr = this._isPBR(states);
+        var alphaCutoff = states.material.alphaCutoff > 0;
+        var shadows = false;
 
         var src = ["\n"];
 
@@ -660,6 +876,7 @@ var SceneJS_ProgramSourceFactory = new (function () {
         src.push("uniform bool  SCENEJS_uAmbient;");
         src.push("uniform bool  SCENEJS_uDiffuse;");
         src.push("uniform bool  SCENEJS_uReflection;");
+        src.push("uniform bool  SCENEJS_uReceiveShadows;");
 
         /* True when rendering transparency
          */
@@ -671,6 +888,12 @@ var SceneJS_ProgramSourceFactory = new (function () {
             src.push("varying vec4 SCENEJS_vColor;");
         }
 
+        /* Instance color variable
+         */
+        if (instanceColors) {
+            src.push("varying vec4 SCENEJS_vInstanceColor;");
+        }
+
         src.push("uniform vec3  SCENEJS_uAmbientColor;");                         // Scene ambient colour - taken from clear colour
 
         src.push("uniform vec3  SCENEJS_uMaterialBaseColor;");
@@ -680,6 +903,16 @@ var SceneJS_ProgramSourceFactory = new (function () {
         src.push("uniform float SCENEJS_uMaterialSpecular;");
         src.push("uniform float SCENEJS_uMaterialShine;");
 
+        if (pbr) {
+            src.push("uniform float SCENEJS_uMaterialMetallic;");
+            src.push("uniform float SCENEJS_uMaterialRoughness;");
+            src.push("uniform vec4  SCENEJS_uMaterialEmitColor;");   // Alpha is 1.0 to emit RGB, else emits base color
+        }
+
+        if (alphaCutoff) {
+            src.push("uniform float SCENEJS_uMaterialAlphaCutoff;");
+        }
+
         src.push("varying vec3 SCENEJS_vWorldEyeVec;");                          // Direction of world-space vertex from eye
 
         if (normals) {
@@ -687,6 +920,11 @@ var SceneJS_ProgramSourceFactory = new (function () {
             src.push("varying vec3 SCENEJS_vWorldNormal;");                  // World-space normal
             src.push("varying vec3 SCENEJS_vViewNormal;");                   // View-space normal
 
+            if (pbr) {
+                src.push("varying vec3 SCENEJS_vViewEyeVec;");               // View-space vector from vertex to eye
+                this._composePBRFunctions(src);
+            }
+
             var light;
             for (var i = 0; i < states.lights.lights.length; i++) {
                 light = states.lights.lights[i];
@@ -694,10 +932,27 @@ var SceneJS_ProgramSourceFactory = new (function () {
                     continue;
                 }
                 src.push("uniform vec3  SCENEJS_uLightColor" + i + ";");
-                if (light.mode == "point") {
+                if (light.mode == "point" || light.mode == "spot") {
                     src.push("uniform vec3  SCENEJS_uLightAttenuation" + i + ";");
                 }
+                if (light.mode == "spot") {
+                    src.push("uniform float SCENEJS_uLightCutOff" + i + ";");              // Cosine of cone half-angle
+                    src.push("uniform float SCENEJS_uLightSpotExp" + i + ";");
+                    src.push("varying vec3  SCENEJS_vViewLightSpotDir" + i + ";");
+                }
                 src.push("varying vec4  SCENEJS_vViewLightVecAndDist" + i + ";");         // Vector from light to vertex
+                if (light.castShadow) {
+                    src.push("uniform sampler2D SCENEJS_uShadowMap" + i + ";");
+                    src.push("uniform float SCENEJS_uShadowBias" + i + ";");
+                    src.push("uniform float SCENEJS_uShadowSoftness" + i + ";");          // Filter radius in texture coords
+                    src.push("varying vec4  SCENEJS_vShadowCoord" + i + ";");
+                    src.push("varying float SCENEJS_vShadowDepth" + i + ";");
+                    shadows = true;
+                }
+            }
+
+            if (shadows) {
+                this._composeShadowFunctions(src);
             }
         }
 
@@ -765,6 +1020,18 @@ var SceneJS_ProgramSourceFactory = new (function () {
         src.push("  float specular      = SCENEJS_uMaterialSpecular;");
         src.push("  vec3  specularColor = SCENEJS_uMaterialSpecularColor;");
         src.push("  float shine         = SCENEJS_uMaterialShine;");
+        src.push("  float occlusion     = 1.0;");
+
+        if (pbr) {
+            src.push("  float metallic      = SCENEJS_uMaterialMetallic;");
+            src.push("  float roughness     = SCENEJS_uMaterialRoughness;");
+            src.push("  vec3  emitColor     = SCENEJS_uMaterialEmitColor.rgb;");
+        }
+
+        if (instanceColors) {
+            src.push("  color = color * SCENEJS_vInstanceColor.rgb;");
+            src.push("  alpha = alpha * SCENEJS_vInstanceColor.a;");
+        }
 
         if (fragmentHooks.materialBaseColor) {
             src.push("color=" + fragmentHooks.materialBaseColor + "(color);");
@@ -784,6 +1051,12 @@ var SceneJS_ProgramSourceFactory = new (function () {
         if (fragmentHooks.materialShine) {
             src.push("shine=" + fragmentHooks.materialShine + "(shine);");
         }
+        if (pbr && fragmentHooks.materialMetallic) {
+            src.push("metallic=" + fragmentHooks.materialMetallic + "(metallic);");
+        }
+        if (pbr && fragmentHooks.materialRoughness) {
+            src.push("roughness=" + fragmentHooks.materialRoughness + "(roughness);");
+        }
 
         if (normals) {
             src.push("  float   attenuation = 1.0;");
@@ -866,6 +1139,14 @@ var SceneJS_ProgramSourceFactory = new (function () {
                     }
                 }
 
+                if (layer.applyTo == "emitColor" && pbr) {
+                    if (layer.blendMode == "multiply") {
+                        src.push("emitColor  = emitColor * (SCENEJS_uLayer" + i + "BlendFactor * texture2D(SCENEJS_uSampler" + i + ", vec2(textureCoord.x, 1.0 - textureCoord.y)).rgb);");
+                    } else {
+                        src.push("emitColor = ((1.0 - SCENEJS_uLayer" + i + "BlendFactor) * emitColor) + (SCENEJS_uLayer" + i + "BlendFactor * texture2D(SCENEJS_uSampler" + i + ", vec2(textureCoord.x, 1.0 - textureCoord.y)).rgb);");
+                    }
+                }
+
                 if (layer.applyTo == "specular" && normals) {
                     if (layer.blendMode == "multiply") {
                         src.push("specular  = specular * (SCENEJS_uLayer" + i + "BlendFactor * texture2D(SCENEJS_uSampler" + i + ", vec2(textureCoord.x, 1.0 - textureCoord.y)).r);");
@@ -882,6 +1163,30 @@ var SceneJS_ProgramSourceFactory = new (function () {
                     }
                 }
 
+                if (layer.applyTo == "metallic" && pbr) {
+                    if (layer.blendMode == "multiply") {
+                        src.push("metallic  = metallic * (SCENEJS_uLayer" + i + "BlendFactor * texture2D(SCENEJS_uSampler" + i + ", vec2(textureCoord.x, 1.0 - textureCoord.y)).b);");
+                    } else {
+                        src.push("metallic = ((1.0 - SCENEJS_uLayer" + i + "BlendFactor) * metallic) + (SCENEJS_uLayer" + i + "BlendFactor * texture2D(SCENEJS_uSampler" + i + ", vec2(textureCoord.x, 1.0 - textureCoord.y)).b);");
+                    }
+                }
+
+                if (layer.applyTo == "roughness" && pbr) {
+                    if (layer.blendMode == "multiply") {
+                        src.push("roughness  = roughness * (SCENEJS_uLayer" + i + "BlendFactor * texture2D(SCENEJS_uSampler" + i + ", vec2(textureCoord.x, 1.0 - textureCoord.y)).g);");
+                    } else {
+                        src.push("roughness = ((1.0 - SCENEJS_uLayer" + i + "BlendFactor) * roughness) + (SCENEJS_uLayer" + i + "BlendFactor * texture2D(SCENEJS_uSampler" + i + ", vec2(textureCoord.x, 1.0 - textureCoord.y)).g);");
+                    }
+                }
+
+                if (layer.applyTo == "occlusion") {
+                    if (layer.blendMode == "multiply") {
+                        src.push("occlusion  = occlusion * (SCENEJS_uLayer" + i + "BlendFactor * texture2D(SCENEJS_uSampler" + i + ", vec2(textureCoord.x, 1.0 - textureCoord.y)).r);");
+                    } else {
+                        src.push("occlusion = ((1.0 - SCENEJS_uLayer" + i + "BlendFactor) * occlusion) + (SCENEJS_uLayer" + i + "BlendFactor * texture2D(SCENEJS_uSampler" + i + ", vec2(textureCoord.x, 1.0 - textureCoord.y)).r);");
+                    }
+                }
+
                 if (layer.applyTo == "normals" && normals) {
                     src.push("vec3 bump = normalize(texture2D(SCENEJS_uSampler" + i + ", vec2(textureCoord.x, -textureCoord.y)).xyz * 2.0 - 1.0);");
                     src.push("viewNormalVec *= -bump;");
@@ -892,7 +1197,46 @@ var SceneJS_ProgramSourceFactory = new (function () {
             }
         }
 
-        if (normals && cubeMapping) {
+        if (alphaCutoff) {
+            src.push("  if (alpha < SCENEJS_uMaterialAlphaCutoff) { discard; }");
+        }
+
+        src.push("  ambient = ambient * occlusion;");
+
+        if (normals && pbr) {
+
+            /* Metallic/roughness material - metals have no diffuse color, and reflect with their base color
+             */
+            src.push("  metallic = clamp(metallic, 0.0, 1.0);");
+            src.push("  roughness = clamp(roughness, 0.04, 1.0);");
+            src.push("  vec3 F0 = mix(vec3(0.04, 0.04, 0.04), color, metallic);");
+            src.push("  vec3 diffuseColor = color * (1.0 - metallic);");
+            src.push("  vec3 viewEyeVec = normalize(SCENEJS_vViewEyeVec);");
+            src.push("  viewNormalVec = normalize(viewNormalVec);");
+            src.push("  vec3 envLight = vec3(0.0, 0.0, 0.0);");
+
+            if (cubeMapping) {
+
+                /* Image-based lighting - the cube map, sampled at lower detail for rougher surfaces, gives the
+                 * specular reflection, while the cube map at its lowest detail approximates the diffuse irradiance
+                 */
+                src.push("if (SCENEJS_uReflection) {");
+                src.push("  vec3 envLookup = reflect(normalize(SCENEJS_vWorldEyeVec), normalize(SCENEJS_vWorldNormal));");
+                src.push("  envLookup.y = envLookup.y * -1.0;");
+                src.push("  vec3 envNormal = -normalize(SCENEJS_vWorldNormal);");
+                src.push("  envNormal.y = envNormal.y * -1.0;");
+                src.push("  float NdotV = max(dot(viewNormalVec, viewEyeVec), 0.0);");
+                src.push("  vec3 envF = F0 + (max(vec3(1.0 - roughness), F0) - F0) * pow(1.0 - NdotV, 5.0);");
+                for (var i = 0, len = states.cubemap.layers.length; i < len; i++) {
+                    src.push("  envLight += (textureCube(SCENEJS_uCubeMapSampler" + i + ", envLookup, roughness * 8.0).rgb * envF" +
+                        " + textureCube(SCENEJS_uCubeMapSampler" + i + ", envNormal, 8.0).rgb * diffuseColor * (1.0 - envF))" +
+                        " * SCENEJS_uCubeMapIntensity" + i + ";");
+                }
+                src.push("  envLight = envLight * occlusion;");
+                src.push("}"); // if (SCENEJS_uReflection)
+            }
+
+        } else if (normals && cubeMapping) {
             src.push("if (SCENEJS_uReflection) {"); // Flag which can enable/disable reflection
             src.push("vec3 envLookup = reflect(normalize(SCENEJS_vWorldEyeVec), normalize(SCENEJS_vWorldNormal));");
             src.push("envLookup.y = envLookup.y * -1.0;"); // Need to flip textures on Y-axis for some reason
@@ -920,8 +1264,15 @@ var SceneJS_ProgramSourceFactory = new (function () {
             src.push("  vec3    viewLightVec;");
             src.push("  float   dotN;");
             src.push("  float   lightDist;");
+            src.push("  float   spotDot;");
+            src.push("  float   shadowFactor;");
 
             var light;
+            var shadowed;
+
+            var specularTerm = pbr
+                ? "SCENEJS_pbrSpecular(viewNormalVec, viewLightVec, viewEyeVec, F0, roughness) * (3.14159265 * dotN)"
+                : "specularColor * specular * pow(max(dot(reflect(-viewLightVec, -viewNormalVec), vec3(0.0,0.0,1.0)), 0.0), shine)";
 
             for (var i = 0, len = states.lights.lights.length; i < len; i++) {
                 light = states.lights.lights[i];
@@ -932,6 +1283,15 @@ var SceneJS_ProgramSourceFactory = new (function () {
 
                 src.push("viewLightVec = SCENEJS_vViewLightVecAndDist" + i + ".xyz;");
 
+                shadowed = "";
+
+                if (light.castShadow) {
+                    src.push("shadowFactor = SCENEJS_uReceiveShadows ? SCENEJS_shadow(SCENEJS_uShadowMap" + i + ", " +
+                        "SCENEJS_vShadowCoord" + i + ", SCENEJS_vShadowDepth" + i + ", " +
+                        "SCENEJS_uShadowBias" + i + ", SCENEJS_uShadowSoftness" + i + ") : 1.0;");
+                    shadowed = " * shadowFactor";
+                }
+
                 if (light.mode == "point") {
 
                     src.push("dotN = max(dot(viewNormalVec, viewLightVec), 0.0);");
@@ -953,13 +1313,39 @@ var SceneJS_ProgramSourceFactory = new (function () {
 
                     if (light.specular) {
                         src.push("if (SCENEJS_uSpecularLighting) {");
-                        src.push("    specularValue += specularColor * SCENEJS_uLightColor" + i +
-                            " * specular * pow(max(dot(reflect(-viewLightVec, -viewNormalVec), vec3(0.0,0.0,1.0)), 0.0), shine) * attenuation;");
+                        src.push("    specularValue += " + specularTerm + " * SCENEJS_uLightColor" + i + " * attenuation;");
                         src.push("}");
                     }
                     //src.push("}");
                 }
 
+                if (light.mode == "spot") {
+
+                    src.push("dotN = max(dot(viewNormalVec, viewLightVec), 0.0);");
+
+                    src.push("lightDist = SCENEJS_vViewLightVecAndDist" + i + ".w;");
+
+                    src.push("spotDot = dot(-viewLightVec, normalize(SCENEJS_vViewLightSpotDir" + i + "));");
+
+                    src.push("attenuation = (spotDot < SCENEJS_uLightCutOff" + i + ") ? 0.0 : " +
+                        "pow(max(spotDot, 0.0), SCENEJS_uLightSpotExp" + i + ") * (1.0 - (" +
+                        "  SCENEJS_uLightAttenuation" + i + "[0] + " +
+                        "  SCENEJS_uLightAttenuation" + i + "[1] * lightDist + " +
+                        "  SCENEJS_uLightAttenuation" + i + "[2] * lightDist * lightDist));");
+
+                    if (light.diffuse) {
+                        src.push("if (SCENEJS_uDiffuse) {");
+                        src.push("      lightValue += dotN * SCENEJS_uLightColor" + i + " * attenuation" + shadowed + ";");
+                        src.push("}");
+                    }
+
+                    if (light.specular) {
+                        src.push("if (SCENEJS_uSpecularLighting) {");
+                        src.push("    specularValue += " + specularTerm + " * SCENEJS_uLightColor" + i + " * attenuation" + shadowed + ";");
+                        src.push("}");
+                    }
+                }
+
                 if (light.mode == "dir") {
 
                     src.push("dotN = max(dot(viewNormalVec, viewLightVec), 0.0);");
@@ -967,21 +1353,24 @@ var SceneJS_ProgramSourceFactory = new (function () {
                     //src.push("if (dotN > 0.0) {");
                     if (light.diffuse) {
                         src.push("if (SCENEJS_uDiffuse) {");
-                        src.push("      lightValue += dotN * SCENEJS_uLightColor" + i + ";");
+                        src.push("      lightValue += dotN * SCENEJS_uLightColor" + i + shadowed + ";");
                         src.push("}");
                     }
 
                     if (light.specular) {
                         src.push("if (SCENEJS_uSpecularLighting) {");
-                        src.push("    specularValue += specularColor * SCENEJS_uLightColor" + i +
-                            " * specular * pow(max(dot(reflect(-viewLightVec, -viewNormalVec), vec3(0.0,0.0,1.0)), 0.0), shine);");
+                        src.push("    specularValue += " + specularTerm + " * SCENEJS_uLightColor" + i + shadowed + ";");
                         src.push("}");
                     }
                     // src.push("}");
                 }
             }
 
-            src.push("      fragColor = vec4((specularValue.rgb + color.rgb * (lightValue.rgb + ambient.rgb)) + (emit * color.rgb), alpha);");
+            if (pbr) {
+                src.push("      fragColor = vec4((specularValue.rgb + diffuseColor * (lightValue.rgb + ambient.rgb) + envLight) + (emit * mix(color.rgb, emitColor, SCENEJS_uMaterialEmitColor.a)), alpha);");
+            } else {
+                src.push("      fragColor = vec4((specularValue.rgb + color.rgb * (lightValue.rgb + ambient.rgb)) + (emit * color.rgb), alpha);");
+            }
             src.push("   } else {");
             src.push("      fragColor = vec4((color.rgb + (emit * color.rgb)) *  (vec3(1.0, 1.0, 1.0) + ambient.rgb), alpha);");
             src.push("   }");
@@ -0,0 +1,457 @@
+/**
+ * @class Set of views through which a {@link SceneJS_Display} renders its draw list, each within its own viewport
+ *
+ * <p>While the set has any enabled views, the display renders its draw list once for each of them, in order, within the
+ * view's viewport on the canvas. A view may define its own viewing transform and projection, which override those of
+ * the {@link SceneJS.Lookat} and {@link SceneJS.Camera} nodes in the scene graph while the display renders the view,
+ * so that all the views show the same geometry and textures from different viewpoints.</p>
+ *
+ * <p>A view is configured with an optional ID, an optional 'enabled' flag, a viewport given as fractions of the canvas
+ * size, with the origin at the top left corner, an optional 'lookAt' like the parameters of a {@link SceneJS.Lookat}
+ * and optional 'optics' like those of a {@link SceneJS.Camera}. When perspective optics have no aspect ratio, the
+ * ratio follows that of the viewport.</p>
+ *
+ * <p>In stereo mode, the display renders each view once for each eye, offsetting the viewing transform by half the
+ * interocular distance and skewing the projection into an asymmetric frustum, so that the images of the eyes
+ * coincide at the convergence distance. The eyes either each get half of the view's viewport, side by side or top
+ * and bottom, or for anaglyph mode, they share the viewport, with the left eye rendering red and the right eye
+ * rendering cyan.</p>
+ *
+ * @param cfg
+ * @param cfg.canvas The SceneJS_Canvas
+ * @private
+ */
+var SceneJS_Views = function (cfg) {
+
+    this._canvas = cfg.canvas;
+
+    /**
+     * View configs, in the order they are rendered
+     */
+    this._views = [];
+
+    /**
+     * True while any view or stereo mode is enabled, in which case the display renders each of #getPasses
+     * @type Boolean
+     */
+    this.active = false;
+
+    this._stereo = null;        // Stereo config
+
+    this._passes = null;        // Render passes of enabled views, built lazily
+    this._passesWidth = 0;      // Canvas size the passes were built for
+    this._passesHeight = 0;
+};
+
+/**
+ * Replaces all the views
+ * @param {Array} views View configs, in the order they are rendered
+ */
+SceneJS_Views.prototype.setViews = function (views) {
+    var list = [];
+    for (var i = 0, len = views.length; i < len; i++) {
+        list.push(this._buildView(views[i]));
+    }
+    this._views = list;
+    this._update();
+};
+
+/**
+ * Returns copies of the view configs, in order
+ * @returns {Array}
+ */
+SceneJS_Views.prototype.getViews = function () {
+    var views = [];
+    for (var i = 0, len = this._views.length; i < len; i++) {
+        views.push(SceneJS._copyJSON(this._views[i]));
+    }
+    return views;
+};
+
+/**
+ * Updates the parameters of a view, which is given by ID or index
+ * @param {String|Number} id View ID, or index within the views
+ * @param {Object} params Parameters to set on the view
+ */
+SceneJS_Views.prototype.setView = function (id, params) {
+    var index = this._indexOf(id);
+    var view = SceneJS._apply(params, SceneJS._copyJSON(this._views[index]));
+    if (params.lookAt && this._views[index].lookAt) { // LookAt vectors are updated individually
+        view.lookAt = SceneJS._apply(params.lookAt, SceneJS._copyJSON(this._views[index].lookAt));
+    }
+    this._views[index] = this._buildView(view);
+    this._update();
+};
+
+/**
+ * Returns a copy of the config of a view, which is given by ID or index
+ * @param {String|Number} id View ID, or index within the views
+ * @returns {Object}
+ */
+SceneJS_Views.prototype.getView = function (id) {
+    return SceneJS._copyJSON(this._views[this._indexOf(id)]);
+};
+
+SceneJS_Views.prototype._indexOf = function (id) {
+    if (typeof id == "number") {
+        if (id >= 0 && id < this._views.length) {
+            return id;
+        }
+    } else {
+        for (var i = 0, len = this._views.length; i < len; i++) {
+            if (this._views[i].id == id) {
+                return i;
+            }
+        }
+    }
+    throw SceneJS_error.fatalError(
+        SceneJS.errors.ILLEGAL_NODE_CONFIG,
+        "view not found: '" + id + "'");
+};
+
+/**
+ * Completes a view config with defaults, validating it
+ */
+SceneJS_Views.prototype._buildView = function (params) {
+
+    var viewport = params.viewport || {};
+
+    var view = {};
+
+    if (params.id != undefined) {
+        view.id = params.id;
+    }
+
+    view.enabled = params.enabled !== false;
+    view.viewport = {
+        x:viewport.x || 0,
+        y:viewport.y || 0,
+        width:viewport.width == undefined ? 1 : viewport.width,
+        height:viewport.height == undefined ? 1 : viewport.height
+    };
+
+    if (!(view.viewport.width > 0 && view.viewport.height > 0)) {
+        throw SceneJS_error.fatalError(
+            SceneJS.errors.ILLEGAL_NODE_CONFIG,
+            "view viewport invalid: width and height should be greater than zero");
+    }
+
+    if (params.lookAt) {
+        var lookAt = params.lookAt;
+        view.lookAt = {
+            eye:SceneJS._applyIf({ x:0, y:0, z:10 }, SceneJS._shallowClone(lookAt.eye || {})),
+            look:SceneJS._applyIf({ x:0, y:0, z:0 }, SceneJS._shallowClone(lookAt.look || {})),
+            up:SceneJS._applyIf({ x:0, y:1, z:0 }, SceneJS._shallowClone(lookAt.up || {}))
+        };
+    }
+
+    if (params.optics) {
+        var optics = params.optics;
+        var type = optics.type || "perspective";
+        if (type == "ortho") {
+            view.optics = SceneJS._applyIf(SceneJS_math_ORTHO_OBJ, {
+                type:type,
+                left:optics.left,
+                bottom:optics.bottom,
+                near:optics.near,
+                right:optics.right,
+                top:optics.top,
+                far:optics.far
+            });
+        } else if (type == "frustum") {
+            view.optics = {
+                type:type,
+                left:optics.left || -1.0,
+                bottom:optics.bottom || -1.0,
+                near:optics.near || 0.1,
+                right:optics.right || 1.0,
+                top:optics.top || 1.0,
+                far:optics.far || 10000.0
+            };
+        } else if (type == "perspective") {
+            view.optics = {
+                type:type,
+                fovy:optics.fovy || 60.0,
+                near:optics.near || 0.1,
+                far:optics.far || 10000.0
+            };
+            if (optics.aspect != undefined) {
+                view.optics.aspect = optics.aspect;
+            }
+        } else {
+            throw SceneJS_error.fatalError(
+                SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                "view optics type not supported: '" + type + "' - " +
+                    "supported types are 'perspective', 'frustum' and 'ortho'");
+        }
+    }
+
+    return view;
+};
+
+SceneJS_Views.prototype._update = function () {
+    this.active = !!(this._stereo && this._stereo.enabled);
+    for (var i = 0, len = this._views.length; i < len; i++) {
+        if (this._views[i].enabled) {
+            this.active = true;
+            break;
+        }
+    }
+    this._passes = null;
+};
+
+/**
+ * Sets the stereo mode, in which each view is rendered once for each eye, replacing any existing stereo config
+ *
+ * @param {Object} stereo Stereo config, or null to render each view once
+ * @param {Boolean} [stereo.enabled=true] Set false to render each view once
+ * @param {String} [stereo.mode="sideBySide"] Either "sideBySide", "topBottom" or "anaglyph"
+ * @param {Number} [stereo.interocularDistance=0.065] Distance between the eyes, in World space
+ * @param {Number} [stereo.convergence=10] Distance from the eyes to the plane where the images of both eyes coincide
+ */
+SceneJS_Views.prototype.setStereo = function (stereo) {
+    if (!stereo) {
+        this._stereo = null;
+    } else {
+        var mode = stereo.mode || "sideBySide";
+        if (mode != "sideBySide" && mode != "topBottom" && mode != "anaglyph") {
+            throw SceneJS_error.fatalError(
+                SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                "stereo mode not supported: '" + mode + "' - " +
+                    "supported modes are 'sideBySide', 'topBottom' and 'anaglyph'");
+        }
+        var convergence = stereo.convergence == undefined ? 10.0 : stereo.convergence;
+        if (!(convergence > 0)) {
+            throw SceneJS_error.fatalError(
+                SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                "stereo convergence invalid: should be greater than zero");
+        }
+        this._stereo = {
+            enabled:stereo.enabled !== false,
+            mode:mode,
+            interocularDistance:stereo.interocularDistance == undefined ? 0.065 : stereo.interocularDistance,
+            convergence:convergence
+        };
+    }
+    this._update();
+};
+
+/**
+ * Returns a copy of the stereo config
+ * @returns {Object} The config, or null when there is none
+ */
+SceneJS_Views.prototype.getStereo = function () {
+    return this._stereo ? SceneJS._shallowClone(this._stereo) : null;
+};
+
+/**
+ * Returns a render pass for each enabled view, in order, rebuilding them when the views, the stereo config or the
+ * canvas size have changed. In stereo mode, there are two passes for each view, first for the left eye, then for
+ * the right eye, and there is a single full-canvas view when none are enabled.
+ *
+ * <p>Each pass has the view's ID, a 'viewport' as [x, y, width, height] in GL window coordinates, a 'rect' as the
+ * same region in canvas coordinates, with the origin at the top left, along with 'viewMat', 'normalMat' and
+ * 'worldEye' when the view has its own lookAt, and 'projMat', 'near' and 'far' when the view has its own optics.
+ * Only the first pass has 'first' set, which means that it clears the whole canvas. Each rendered pass also records
+ * the viewing and projection matrices it was last rendered with as 'renderedViewMat' and 'renderedProjMat'.</p>
+ *
+ * <p>In stereo mode, each pass also has the 'eye', either "left" or "right", with its 'stereoOffset', which is the
+ * distance that the eye shifts the View-space X-axis, and the 'convergence'. The stereo offset is already applied to
+ * the pass's own matrices, while the display applies it to those of the scene graph with
+ * {@link SceneJS_Views.stereoViewMat}, {@link SceneJS_Views.stereoWorldEye} and {@link SceneJS_Views.stereoProjMat}.
+ * In anaglyph mode, each pass also has a 'colorMask' as [r, g, b, a], the right eye pass has 'clearColor' false, since
+ * it only clears depth, and 'pick' false, since picking is done through the left eye.</p>
+ *
+ * @returns {Array} The passes
+ */
+SceneJS_Views.prototype.getPasses = function () {
+
+    var canvas = this._canvas.canvas;
+    var width = canvas.width;
+    var height = canvas.height;
+
+    if (this._passes && width == this._passesWidth && height == this._passesHeight) {
+        return this._passes;
+    }
+
+    var stereo = this._stereo && this._stereo.enabled ? this._stereo : null;
+    var passes = [];
+    var views = [];
+    var view;
+    var x, y, w, h;
+
+    for (var i = 0, len = this._views.length; i < len; i++) {
+        if (this._views[i].enabled) {
+            views.push(this._views[i]);
+        }
+    }
+
+    if (views.length == 0 && stereo) {
+        views.push({ viewport:{ x:0, y:0, width:1, height:1 } });
+    }
+
+    for (i = 0, len = views.length; i < len; i++) {
+
+        view = views[i];
+
+        x = Math.round(view.viewport.x * width);
+        y = Math.round(view.viewport.y * height);
+        w = Math.max(1, Math.round((view.viewport.x + view.viewport.width) * width) - x);
+        h = Math.max(1, Math.round((view.viewport.y + view.viewport.height) * height) - y);
+
+        if (!stereo) {
+            passes.push(this._buildPass(view, x, y, w, h, height));
+
+        } else if (stereo.mode == "sideBySide") {
+            var halfWidth = Math.max(1, Math.floor(w / 2));
+            passes.push(this._buildPass(view, x, y, halfWidth, h, height, stereo, "left"));
+            passes.push(this._buildPass(view, x + halfWidth, y, Math.max(1, w - halfWidth), h, height, stereo, "right"));
+
+        } else if (stereo.mode == "topBottom") {
+            var halfHeight = Math.max(1, Math.floor(h / 2));
+            passes.push(this._buildPass(view, x, y, w, halfHeight, height, stereo, "left"));
+            passes.push(this._buildPass(view, x, y + halfHeight, w, Math.max(1, h - halfHeight), height, stereo, "right"));
+
+        } else { // Anaglyph
+            passes.push(this._buildPass(view, x, y, w, h, height, stereo, "left"));
+            passes.push(this._buildPass(view, x, y, w, h, height, stereo, "right"));
+        }
+    }
+
+    if (passes.length > 0) {
+        passes[0].first = true;
+    }
+
+    this._passes = passes;
+    this._passesWidth = width;
+    this._passesHeight = height;
+
+    return passes;
+};
+
+/**
+ * Builds the render pass of a view within the given rectangle of the canvas, optionally for an eye in stereo mode
+ */
+SceneJS_Views.prototype._buildPass = function (view, x, y, w, h, canvasHeight, stereo, eyeName) {
+
+    var pass = {
+        id:view.id,
+        first:false,
+        viewport:[x, canvasHeight - y - h, w, h],
+        rect:{ x:x, y:y, width:w, height:h },
+        renderedViewMat:null,
+        renderedProjMat:null
+    };
+
+    if (stereo) {
+        pass.eye = eyeName;
+        pass.stereoOffset = (eyeName == "left" ? 0.5 : -0.5) * stereo.interocularDistance;
+        pass.convergence = stereo.convergence;
+        if (stereo.mode == "anaglyph") {
+            if (eyeName == "left") {
+                pass.colorMask = [true, false, false, true]; // Red
+            } else {
+                pass.colorMask = [false, true, true, true]; // Cyan
+                pass.clearColor = false;
+                pass.pick = false;
+            }
+        }
+    }
+
+    if (view.lookAt) {
+        var eye = view.lookAt.eye;
+        var look = view.lookAt.look;
+        var up = view.lookAt.up;
+        var viewMat = SceneJS_math_lookAtMat4c(eye.x, eye.y, eye.z, look.x, look.y, look.z, up.x, up.y, up.z);
+        pass.viewMat = new Float32Array(viewMat);
+        pass.normalMat = new Float32Array(
+            SceneJS_math_transposeMat4(SceneJS_math_inverseMat4(viewMat, SceneJS_math_mat4())));
+        pass.worldEye = new Float32Array([eye.x, eye.y, eye.z]);
+        if (stereo) {
+            SceneJS_Views.stereoWorldEye(pass.viewMat, pass.worldEye, pass.stereoOffset, pass.worldEye);
+            SceneJS_Views.stereoViewMat(pass.viewMat, pass.stereoOffset, pass.viewMat);
+        }
+    }
+
+    if (view.optics) {
+        var optics = view.optics;
+        if (optics.type == "perspective" && optics.aspect == undefined) {
+            optics = SceneJS._apply(optics, { aspect:w / h });
+        }
+        pass.projMat = new Float32Array(SceneJS.Camera.getOpticsMatrix(optics));
+        pass.near = optics.near;
+        pass.far = optics.far;
+        if (stereo) {
+            SceneJS_Views.stereoProjMat(pass.projMat, pass.stereoOffset, pass.convergence, pass.projMat);
+        }
+    }
+
+    return pass;
+};
+
+/**
+ * Returns the render pass of the last enabled view whose viewport contains the given canvas coordinates, which is the
+ * view rendered on top at that position, ignoring passes that are not picked through
+ * @param {Number} canvasX
+ * @param {Number} canvasY
+ * @returns {Object} The pass, or null when no viewport contains the coordinates
+ */
+SceneJS_Views.prototype.getPassAt = function (canvasX, canvasY) {
+    var passes = this.getPasses();
+    var rect;
+    for (var i = passes.length - 1; i >= 0; i--) {
+        rect = passes[i].rect;
+        if (passes[i].pick !== false
+            && canvasX >= rect.x && canvasX < rect.x + rect.width && canvasY >= rect.y && canvasY < rect.y + rect.height) {
+            return passes[i];
+        }
+    }
+    return null;
+};
+
+/**
+ * Offsets a viewing matrix for an eye, shifting the View-space X-axis by the eye's stereo offset
+ * @param {Float32Array} viewMat The viewing matrix
+ * @param {Number} offset Stereo offset of the eye
+ * @param {Float32Array} dest Destination matrix, which may be the viewing matrix
+ * @returns {Float32Array} The destination matrix
+ */
+SceneJS_Views.stereoViewMat = function (viewMat, offset, dest) {
+    if (dest != viewMat) {
+        dest.set(viewMat);
+    }
+    dest[12] += offset;
+    return dest;
+};
+
+/**
+ * Offsets a World-space eye position for an eye, moving it along the View-space X-axis of the given viewing matrix
+ * @param {Float32Array} viewMat The viewing matrix, without the stereo offset
+ * @param {Float32Array} worldEye The eye position
+ * @param {Number} offset Stereo offset of the eye
+ * @param {Float32Array} dest Destination vector, which may be the eye position
+ * @returns {Float32Array} The destination vector
+ */
+SceneJS_Views.stereoWorldEye = function (viewMat, worldEye, offset, dest) {
+    dest[0] = worldEye[0] - viewMat[0] * offset;
+    dest[1] = worldEye[1] - viewMat[4] * offset;
+    dest[2] = worldEye[2] - viewMat[8] * offset;
+    return dest;
+};
+
+/**
+ * Skews a projection matrix for an eye into an asymmetric frustum, so that the images of both eyes coincide at the
+ * convergence distance
+ * @param {Float32Array} projMat The projection matrix
+ * @param {Number} offset Stereo offset of the eye
+ * @param {Number} convergence Convergence distance
+ * @param {Float32Array} dest Destination matrix, which may be the projection matrix
+ * @returns {Float32Array} The destination matrix
+ */
+SceneJS_Views.stereoProjMat = function (projMat, offset, convergence, dest) {
+    if (dest != projMat) {
+        dest.set(projMat);
+    }
+    dest[8] += projMat[0] * offset / convergence;
+    return dest;
+};
@@ -64,6 +64,19 @@ var SceneJS_Engine = function (json, options) {
      */
     this._numNodesToDestroy = 0;
 
+    /**
+     * Child node configs given to plugin nodes, each paired with the plugin node that was given it,
+     * so that the nodes created from them can be serialized as the content of that plugin node
+     * @see #addPluginContent
+     */
+    this._pluginContent = [];
+
+    /**
+     * Undo/redo history of changes to this engine's scene graph
+     * @type SceneJS_History
+     */
+    this.history = new SceneJS_History(this);
+
     /**
      * Flag which is set while this engine is running - set after call to #start, unset after #stop or #pause
      */
@@ -196,6 +209,54 @@ SceneJS_Engine.prototype.createNode = function (json, ok) {
         });
 };
 
+/**
+ * Notes that the given child node configs were given to a plugin node, which is responsible for
+ * creating them somewhere within its own subgraph
+ *
+ * @param {SceneJS.Node} owner The plugin node
+ * @param {Array} configs The child node configs
+ */
+SceneJS_Engine.prototype.addPluginContent = function (owner, configs) {
+    for (var i = 0, len = configs.length; i < len; i++) {
+        if (configs[i]) {
+            this._pluginContent.push({ config:configs[i], owner:owner });
+        }
+    }
+};
+
+/**
+ * Returns the plugin node that the given node config was given to as child node config, if any. The config
+ * is forgotten after this, so that only the first node created from it is attributed to the plugin node.
+ *
+ * @param {Object} config Node config
+ * @return {SceneJS.Node} The plugin node, or null
+ */
+SceneJS_Engine.prototype.claimPluginContent = function (config) {
+    var content = this._pluginContent;
+    for (var i = 0, len = content.length; i < len; i++) {
+        if (content[i].config === config) {
+            var owner = content[i].owner;
+            content.splice(i, 1);
+            return owner;
+        }
+    }
+    return null;
+};
+
+/**
+ * Forgets the child node configs that were given to the given plugin node
+ *
+ * @param {SceneJS.Node} owner The plugin node
+ */
+SceneJS_Engine.prototype.removePluginContent = function (owner) {
+    var content = this._pluginContent;
+    for (var i = content.length - 1; i >= 0; i--) {
+        if (content[i].owner === owner) {
+            content.splice(i, 1);
+        }
+    }
+};
+
 /**
  * Performs pending node destructions. When destroyed, each node and its core is released back to the
  * node and core pools for reuse, respectively.
@@ -269,13 +330,15 @@ SceneJS_Engine.prototype.branchDirty = function (node) {
 
     /* Dealing with some weirdness with the embedded window and iframe / window fascism.
      */
-    if (node == window) {
+    if (typeof window != "undefined" && node == window) {
         return;
     }
 
     node.branchDirty = true;
     node.dirty = true;
 
+    SceneJS_boundaryModule.invalidate(node); // Branch may have been added or changed
+
     for (var n = node.parent; n && !(n.dirty || n.branchDirty); n = n.parent) { // Flag path down to this node
         n.dirty = true;
     }
@@ -313,7 +376,7 @@ SceneJS_Engine.prototype.start = function () {
         this.paused = false;
 
         var self = this;
-        var fnName = "__scenejs_sceneLoop" + this.id;
+        var host = this.canvas.host;
 
         var sleeping = false;
 
@@ -330,7 +393,9 @@ SceneJS_Engine.prototype.start = function () {
 
         var scene = this.scene;
 
-        window[fnName] = function () {
+        var loop = function () {
+
+            self._frameHandle = null;
 
             if (self.running && !self.paused) {  // idleFunc may have paused scene
 
@@ -353,7 +418,7 @@ SceneJS_Engine.prototype.start = function () {
                     scene.publish("rendered", tick);
 
                     if (self.running) {
-                        window.requestAnimationFrame(window[fnName]);
+                        self._frameHandle = host.requestAnimationFrame(loop);
                     }
 
                 } else {
@@ -365,19 +430,19 @@ SceneJS_Engine.prototype.start = function () {
                     sleeping = true;
 
                     if (self.running) {
-                        window.requestAnimationFrame(window[fnName]);
+                        self._frameHandle = host.requestAnimationFrame(loop);
                     }
                 }
             } else {
 
                 if (self.running) {
-                    window.requestAnimationFrame(window[fnName]);
+                    self._frameHandle = host.requestAnimationFrame(loop);
                 }
             }
         };
 
         if (self.running) {
-            window.requestAnimationFrame(window[fnName]);
+            self._frameHandle = host.requestAnimationFrame(loop);
         }
     }
 };
@@ -389,17 +454,29 @@ SceneJS_Engine.prototype.start = function () {
  * when the 'rayPick' flag is set on the options parameter for this method. For that mode, this method will
  * also find the intersection point on the picked object's near surface with a ray cast from the eye that passes
  * through the mouse position on the projection plane.
+ * <p>When the 'rayCast' flag is set on the options, this method instead picks on the CPU, without rendering, by
+ * intersecting a ray with the triangles of the scene's geometries, as described for {@link SceneJS_Display#rayCastPick}.</p>
  *
  * @param {Number} canvasX X-axis canvas pick coordinate
  * @param {Number} canvasY Y-axis canvas pick coordinate
  * @param options Pick options
  * @param options.rayPick Performs additional ray-intersect pick when true
+ * @param options.rayCast Performs CPU ray-cast pick when true
+ * @param options.pickThrough When ray-casting, ignores objects that are flagged as transparent
  * @returns The pick record
  */
 SceneJS_Engine.prototype.pick = function (canvasX, canvasY, options) {
 
     this._tryCompile();  // Do any pending scene compilations
 
+    if (options && options.rayCast) {
+        return this.display.rayCastPick({
+            canvasX:canvasX,
+            canvasY:canvasY,
+            pickThrough:options.pickThrough
+        });
+    }
+
     var hit = this.display.pick({
         canvasX:canvasX,
         canvasY:canvasY,
@@ -409,6 +486,41 @@ SceneJS_Engine.prototype.pick = function (canvasX, canvasY, options) {
     return hit;
 };
 
+/**
+ * Casts a World-space ray segment on the CPU, intersecting it with the triangles of the scene's geometries, as
+ * described for {@link SceneJS_Display#rayCast}
+ *
+ * @param {Number[]} origin World-space origin of the ray as [x, y, z]
+ * @param {Number[]} dir World-space direction of the ray as [x, y, z], whose length is that of the segment
+ * @param options Ray cast options
+ * @param options.pickThrough Ignores objects that are flagged as transparent
+ * @returns The hit record
+ */
+SceneJS_Engine.prototype.rayCast = function (origin, dir, options) {
+
+    this._tryCompile();  // Do any pending scene compilations
+
+    return this.display.rayCast({
+        origin:origin,
+        dir:dir,
+        pickThrough:options ? options.pickThrough : false
+    });
+};
+
+/**
+ * Picks the named objects that are rendered within a region of the canvas, as described for
+ * {@link SceneJS_Display#pickRegion}
+ *
+ * @param params Region pick parameters
+ * @returns {[*]} The hit records
+ */
+SceneJS_Engine.prototype.pickRegion = function (params) {
+
+    this._tryCompile();  // Do any pending scene compilations
+
+    return this.display.pickRegion(params);
+};
+
 /**
  * Performs any pending scene compilations or display rebuilds, returns true if any of those were done,
  * in which case a display re-render is then needed
@@ -471,7 +583,10 @@ SceneJS_Engine.prototype.stop = function () {
         this.running = false;
         this.paused = false;
 
-        window["__scenejs_sceneLoop" + this.id] = null;
+        if (this._frameHandle != null) {
+            this.canvas.host.cancelAnimationFrame(this._frameHandle);
+            this._frameHandle = null;
+        }
 
         //   this.events.fireEvent("stopped", { sceneId: this.id });
     }
@@ -512,38 +627,7 @@ SceneJS_Engine.prototype.destroy = function () {
  * JavaScript augmentations to support render loop
  *--------------------------------------------------------------------------------------------------------------------*/
 
-if (!self.Int32Array) {
+if (typeof self != "undefined" && !self.Int32Array) {
     self.Int32Array = Array;
     self.Float32Array = Array;
 }
-
-// Ripped off from THREE.js - https://github.com/mrdoob/three.js/blob/master/src/Three.js
-// http://paulirish.com/2011/requestanimationframe-for-smart-animating/
-// http://my.opera.com/emoller/blog/2011/12/20/requestanimationframe-for-smart-er-animating
-
-(function () {
-    var lastTime = 0;
-    var vendors = ['ms', 'moz', 'webkit', 'o'];
-    for (var x = 0; x < vendors.length && !window.requestAnimationFrame; ++x) {
-        window.requestAnimationFrame = window[vendors[x] + 'RequestAnimationFrame'];
-        window.cancelAnimationFrame = window[vendors[x] + 'CancelAnimationFrame']
-            || window[vendors[x] + 'RequestCancelAnimationFrame'];
-    }
-
-    if (!window.requestAnimationFrame)
-        window.requestAnimationFrame = function (callback, element) {
-            var currTime = new Date().getTime();
-            var timeToCall = Math.max(0, 16 - (currTime - lastTime));
-            var id = window.setTimeout(function () {
-                    callback(currTime + timeToCall);
-                },
-                timeToCall);
-            lastTime = currTime + timeToCall;
-            return id;
-        };
-
-    if (!window.cancelAnimationFrame)
-        window.cancelAnimationFrame = function (id) {
-            clearTimeout(id);
-        };
-}());
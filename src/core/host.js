@@ -0,0 +1,327 @@
+/**
+ * SceneJS host registry
+ *
+ * <p>A host provides the services that SceneJS needs from the environment it is running in: scheduling of
+ * animation frames, acquisition of a canvas for the WebGL context, and loading of images and scripts.</p>
+ *
+ * <p>Two hosts are built in: "browser", which is the default when a DOM is present, and "node", which renders
+ * headlessly into a WebGL context that you inject when creating the scene:</p>
+ *
+ * <pre>
+ * var scene = SceneJS.createScene({ nodes: [ ... ] }, {
+ *     host: "node",
+ *     gl: new SceneJS.testing.RecordingGL(), // Or any other WebGL context, eg. from the "gl" NPM module
+ *     width: 640,
+ *     height: 480
+ * });
+ * </pre>
+ *
+ * <p>A host is an object with these methods:</p>
+ * <ul>
+ *     <li><b>requestAnimationFrame(callback)</b> - schedules callback for the next frame, returns a handle</li>
+ *     <li><b>cancelAnimationFrame(handle)</b> - cancels a frame scheduled with requestAnimationFrame</li>
+ *     <li><b>getCanvas(sceneId, canvasId, options)</b> - returns the canvas for a scene, or null when not found</li>
+ *     <li><b>hasCanvas(canvasId)</b> - returns true while the canvas still exists</li>
+ *     <li><b>loadImage(src, ok, error)</b> - loads an image, passing it to the ok callback</li>
+ *     <li><b>loadScript(src, ok, error)</b> - loads and evaluates a JavaScript file</li>
+ * </ul>
+ * <p>A host may also have a <b>dom</b> property, which is true when it is able to show status popups, and a
+ * <b>getDocument()</b> method, which returns the document, or a stand-in for it, that keyboard events are
+ * listened for on.</p>
+ */
+SceneJS.Hosts = new (function () {
+
+    // Hosts mapped to their names
+    var hosts = {};
+
+    // Name of the host used when none is specified
+    var defaultHost = null;
+
+    /**
+     * Installs a host into SceneJS
+     * @param {String} name Host name
+     * @param {Object} host The host
+     */
+    this.addHost = function (name, host) {
+        hosts[name] = host;
+    };
+
+    /**
+     * Tests if given host is installed
+     * @param {String} name Host name
+     */
+    this.hasHost = function (name) {
+        return !!hosts[name];
+    };
+
+    /**
+     * Returns a host. A host object is returned as-is, a name is looked up in the registry
+     * and no argument at all gets the default host.
+     * @param {String|Object} [host] Host name or host object
+     */
+    this.getHost = function (host) {
+        if (host && typeof host == "object") {
+            return host;
+        }
+        var name = host || defaultHost || (typeof document != "undefined" ? "browser" : "node");
+        var found = hosts[name];
+        if (!found) {
+            throw SceneJS_error.fatalError(
+                SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                "Host not found: '" + name + "'");
+        }
+        return found;
+    };
+
+    /**
+     * Sets the host that is used for script loading and for scenes that don't specify a host
+     * @param {String} name Host name
+     */
+    this.setDefaultHost = function (name) {
+        defaultHost = name;
+    };
+
+})();
+
+/**
+ * Host for running SceneJS within a web page
+ */
+SceneJS.Hosts.addHost("browser", new (function () {
+
+    this.dom = true;
+
+    this.requestAnimationFrame = function (callback) {
+        return window.requestAnimationFrame(callback);
+    };
+
+    this.cancelAnimationFrame = function (handle) {
+        window.cancelAnimationFrame(handle);
+    };
+
+    this.getCanvas = function (sceneId, canvasId, options) {
+        if (!canvasId) {
+            // Automatic default canvas
+            canvasId = "canvas-" + sceneId;
+            var body = document.getElementsByTagName("body")[0];
+            var div = document.createElement('div');
+            var style = div.style;
+            style.height = "100%";
+            style.width = "100%";
+            style.padding = "0";
+            style.margin = "0";
+            style.left = "0";
+            style.top = "0";
+            style.position = "absolute";
+            // style["z-index"] = "10000";
+            div.innerHTML += '<canvas id="' + canvasId + '" style="width: 100%; height: 100%; margin: 0; padding: 0;"></canvas>';
+            body.appendChild(div);
+        }
+        return document.getElementById(canvasId);
+    };
+
+    this.hasCanvas = function (canvasId) {
+        return !!document.getElementById(canvasId);
+    };
+
+    this.getDocument = function () {
+        return document;
+    };
+
+    this.loadImage = function (src, ok, error) {
+        var image = new Image();
+        image.onload = function () {
+            ok(image);
+        };
+        image.onerror = error;
+        if (src.indexOf("data") != 0) {  // Image file
+            image.crossOrigin = "Anonymous";
+        }
+        image.src = src;
+    };
+
+    this.loadScript = function (src, ok, error) {
+        var script = document.createElement("script");
+        script.type = "text/javascript";
+        if (script.readyState) {  //IE
+            script.onreadystatechange = function () {
+                if (script.readyState == "loaded" ||
+                    script.readyState == "complete") {
+                    script.onreadystatechange = null;
+                    if (ok) {
+                        ok();
+                    }
+                }
+            };
+        } else {  //Others
+            script.onload = function () {
+                if (ok) {
+                    ok();
+                }
+            };
+        }
+        script.onerror = error;
+        script.src = src;
+        document.getElementsByTagName("head")[0].appendChild(script);
+    };
+
+})());
+
+/**
+ * Host for running SceneJS headlessly, eg. within Node.js
+ *
+ * <p>Renders into the WebGL context given as the <b>gl</b> option to {@link SceneJS#createScene}, on a stand-in
+ * canvas that is sized by the <b>width</b> and <b>height</b> options. Images and scripts are loaded by the
+ * <b>loadImage</b> and <b>loadScript</b> functions on this host, which you may replace. By default, scripts are
+ * read from the file system and images fail to load, since there is no decoder.</p>
+ *
+ * <p>Images given to WebGL by a replacement loadImage may be objects of the form
+ * <b>{ width: Number, height: Number, data: Uint8Array }</b>, where data is RGBA pixels.</p>
+ */
+SceneJS.Hosts.addHost("node", new (function () {
+
+    this.dom = false;
+
+    // Frames are ticked by a timer that does not hold the process open
+    this.requestAnimationFrame = function (callback) {
+        var handle = setTimeout(function () {
+                callback(new Date().getTime());
+            },
+            16);
+        if (handle && handle.unref) {
+            handle.unref();
+        }
+        return handle;
+    };
+
+    this.cancelAnimationFrame = function (handle) {
+        clearTimeout(handle);
+    };
+
+    this.getCanvas = function (sceneId, canvasId, options) {
+        var gl = options.gl;
+        if (!gl) {
+            throw SceneJS_error.fatalError(
+                SceneJS.errors.WEBGL_NOT_SUPPORTED,
+                "SceneJS.createScene option 'gl' expected for host 'node'");
+        }
+        var width = options.width || (gl.drawingBufferWidth || 300);
+        var height = options.height || (gl.drawingBufferHeight || 150);
+        return eventTarget({
+            id: canvasId || ("canvas-" + sceneId),
+            width: width,
+            height: height,
+            clientWidth: width,
+            clientHeight: height,
+            style: {},
+            getContext: function () {
+                return gl;
+            }
+        });
+    };
+
+    this.hasCanvas = function (canvasId) {
+        return true;
+    };
+
+    // Stand-in document, on which keyboard events can be dispatched
+    var doc = eventTarget({
+        pointerLockElement: null
+    });
+
+    this.getDocument = function () {
+        return doc;
+    };
+
+    // Adds methods to add, remove and dispatch event listeners to an object
+    function eventTarget(target) {
+        var listeners = {};
+        target.addEventListener = function (type, listener) {
+            (listeners[type] || (listeners[type] = [])).push(listener);
+        };
+        target.removeEventListener = function (type, listener) {
+            var list = listeners[type];
+            if (list) {
+                for (var i = 0; i < list.length; i++) {
+                    if (list[i] === listener) {
+                        list.splice(i, 1);
+                        return;
+                    }
+                }
+            }
+        };
+        target.dispatchEvent = function (event) {
+            var list = listeners[event.type];
+            if (list) {
+                event.preventDefault = event.preventDefault || function () {
+                };
+                for (var i = 0; i < list.length; i++) {
+                    list[i](event);
+                }
+            }
+        };
+        return target;
+    }
+
+    this.loadImage = function (src, ok, error) {
+        if (error) {
+            error("no image loader for host 'node' - replace SceneJS.Hosts.getHost('node').loadImage to load '" + src + "'");
+        }
+    };
+
+    this.loadScript = function (src, ok, error) {
+        var nodeRequire = (typeof require == "function" && require.resolve)
+            ? require
+            : ((typeof process != "undefined" && process.mainModule) ? process.mainModule.require.bind(process.mainModule) : null);
+        if (!nodeRequire) {
+            if (error) {
+                error("no script loader for host 'node' - replace SceneJS.Hosts.getHost('node').loadScript to load '" + src + "'");
+            }
+            return;
+        }
+        try {
+            nodeRequire("vm").runInThisContext(nodeRequire("fs").readFileSync(src, "utf8"), { filename: src });
+        } catch (e) {
+            if (error) {
+                error(e);
+            }
+            return;
+        }
+        if (ok) {
+            ok();
+        }
+    };
+
+})());
+
+// Ripped off from THREE.js - https://github.com/mrdoob/three.js/blob/master/src/Three.js
+// http://paulirish.com/2011/requestanimationframe-for-smart-animating/
+// http://my.opera.com/emoller/blog/2011/12/20/requestanimationframe-for-smart-er-animating
+
+if (typeof window != "undefined") {
+    (function () {
+        var lastTime = 0;
+        var vendors = ['ms', 'moz', 'webkit', 'o'];
+        for (var x = 0; x < vendors.length && !window.requestAnimationFrame; ++x) {
+            window.requestAnimationFrame = window[vendors[x] + 'RequestAnimationFrame'];
+            window.cancelAnimationFrame = window[vendors[x] + 'CancelAnimationFrame']
+                || window[vendors[x] + 'RequestCancelAnimationFrame'];
+        }
+
+        if (!window.requestAnimationFrame)
+            window.requestAnimationFrame = function (callback, element) {
+                var currTime = new Date().getTime();
+                var timeToCall = Math.max(0, 16 - (currTime - lastTime));
+                var id = window.setTimeout(function () {
+                        callback(currTime + timeToCall);
+                    },
+                    timeToCall);
+                lastTime = currTime + timeToCall;
+                return id;
+            };
+
+        if (!window.cancelAnimationFrame)
+            window.cancelAnimationFrame = function (id) {
+                clearTimeout(id);
+            };
+    }());
+}
@@ -22,6 +22,19 @@ SceneJS.Types = new (function () {
                                 (function () {
                                     var _method = methods[methodName];
                                     type.prototype._init = function (params) {
+
+                                        // Remember configs for serialization with #toJSON
+                                        this._params = {};
+                                        for (var name in params) {
+                                            if (params.hasOwnProperty(name) && name != "type" && name != "id"
+                                                && name != "coreId" && name != "data" && name != "nodes") {
+                                                this._params[name] = params[name];
+                                            }
+                                        }
+                                        if (params.nodes) {
+                                            this._engine.addPluginContent(this, params.nodes);
+                                        }
+
                                         _method.call(this, params);
                                     };
 
@@ -0,0 +1,487 @@
+(function () {
+
+    /**
+     * Easing curves, which map normalised time within a keyframe interval to normalised progress through the interval
+     */
+    var easings = {
+
+        linear:function (t) {
+            return t;
+        },
+
+        easeIn:function (t) {
+            return t * t * t;
+        },
+
+        easeOut:function (t) {
+            t = 1 - t;
+            return 1 - t * t * t;
+        },
+
+        easeInOut:function (t) {
+            if (t < 0.5) {
+                return 4 * t * t * t;
+            }
+            t = 2 - 2 * t;
+            return 1 - t * t * t / 2;
+        }
+    };
+
+    var interpolations = {
+        linear:true,
+        step:true,
+        cubic:true
+    };
+
+    /**
+     * @class Scene graph node which plays keyframe animations of the attributes of other nodes
+     *
+     * <p>Each track of the animation targets an attribute that is reachable through {@link SceneJS.Node#set} on
+     * a node, which is found by ID, and has a sequence of keyframes, each of which gives the attribute's value at a
+     * time in seconds. Values may be numbers, or objects or arrays of numbers, such as the { x, y, z } values of
+     * "xyz" on a {@link SceneJS.Translate} or "eye" on a {@link SceneJS.Lookat}, or the { r, g, b } of "baseColor"
+     * on a {@link SceneJS.Material}.</p>
+     *
+     * <p>On each scene "tick" while playing, the animation advances its time by the elapsed time, multiplied by
+     * its speed, and sets each track's attribute to the value interpolated between the keyframes on either side
+     * of that time. A track interpolates its values with "linear", "step" or "cubic" interpolation, the latter being a
+     * Catmull-Rom spline through the keyframes, and may ease the interpolation within each interval between
+     * keyframes with "linear", "easeIn", "easeOut" or "easeInOut", which a keyframe can override for the interval
+     * that it starts.</p>
+     *
+     * <p>The animation publishes "start" when it starts playing, "loop" each time it wraps around when looping, and
+     * "end" when it reaches its end without looping. These publications are not retained for later subscribers.</p>
+     *
+     * <pre>
+     * var animation = myScene.addNode({
+     *     type: "animation",
+     *     id: "myAnimation",
+     *     target: "myTranslate",  // Default target for tracks
+     *     loop: true,
+     *     speed: 1.0,
+     *     tracks: [
+     *         {
+     *             attr: "xyz",
+     *             interpolation: "cubic",
+     *             keys: [
+     *                 { t: 0, value: { x: 0, y: 0, z: 0 } },
+     *                 { t: 2, value: { x: 10, y: 5, z: 0 } },
+     *                 { t: 4, value: { x: 0, y: 0, z: 0 } }
+     *             ]
+     *         },
+     *         {
+     *             target: "myMaterial",
+     *             attr: "baseColor",
+     *             easing: "easeInOut",
+     *             keys: [
+     *                 { t: 0, value: { r: 1, g: 0, b: 0 } },
+     *                 { t: 4, value: { r: 0, g: 0, b: 1 } }
+     *             ]
+     *         }
+     *     ]
+     * });
+     *
+     * animation.on("loop", function (e) {
+     *     // e.loops is the number of times the animation has looped
+     * });
+     * </pre>
+     *
+     * @extends SceneJS.Node
+     */
+    SceneJS.Animation = SceneJS_NodeFactory.createNodeType("animation");
+
+    SceneJS.Animation.prototype._init = function (params) {
+
+        this._target = params.target;
+        this._speed = (params.speed != undefined) ? params.speed : 1.0;
+        this._loop = !!params.loop;
+        this._autoPlay = params.autoPlay !== false;
+
+        this._time = 0;
+        this._loops = 0;
+        this._playing = false;
+
+        this.setTracks(params.tracks);
+
+        // Advance on every scene tick
+        var self = this;
+        this._tick = this.getScene().on("tick",
+            function (tick) {
+                self._update(tick);
+            });
+
+        if (this._autoPlay) {
+            this.play();
+        }
+    };
+
+    /**
+     * Sets the tracks of this animation, replacing any existing tracks
+     *
+     * @param {[*]} tracks Tracks, each as { target, attr, interpolation, easing, keys: [{ t, value, easing }] }
+     */
+    SceneJS.Animation.prototype.setTracks = function (tracks) {
+
+        tracks = tracks || [];
+
+        var track;
+        var keys;
+
+        this._tracks = [];
+        this._duration = 0;
+
+        for (var i = 0, len = tracks.length; i < len; i++) {
+
+            track = tracks[i];
+
+            if (!track.attr) {
+                throw SceneJS_error.fatalError(
+                    SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                    "animation track " + i + " has no 'attr'");
+            }
+
+            if (!track.target && !this._target) {
+                throw SceneJS_error.fatalError(
+                    SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                    "animation track " + i + " has no 'target', and the animation has no default 'target'");
+            }
+
+            if (track.interpolation && !interpolations[track.interpolation]) {
+                throw SceneJS_error.fatalError(
+                    SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                    "animation track " + i + " has unsupported interpolation: '" + track.interpolation
+                        + "' - supported types are 'linear', 'step' and 'cubic'");
+            }
+
+            if (!track.keys || track.keys.length == 0) {
+                throw SceneJS_error.fatalError(
+                    SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                    "animation track " + i + " has no keys");
+            }
+
+            keys = track.keys.slice(0);
+
+            for (var j = 0, lenj = keys.length; j < lenj; j++) {
+                this._getEasing(keys[j].easing || track.easing); // Validate
+            }
+
+            keys.sort(function (a, b) {
+                return (a.t || 0) - (b.t || 0);
+            });
+
+            this._tracks.push({
+                target:track.target,
+                attr:track.attr,
+                interpolation:track.interpolation || "linear",
+                easing:track.easing,
+                keys:keys
+            });
+
+            this._duration = Math.max(this._duration, keys[keys.length - 1].t || 0);
+        }
+    };
+
+    /**
+     * Returns a copy of the tracks of this animation
+     *
+     * @return {[*]} The tracks
+     */
+    SceneJS.Animation.prototype.getTracks = function () {
+        var tracks = [];
+        var track;
+        for (var i = 0, len = this._tracks.length; i < len; i++) {
+            track = this._tracks[i];
+            tracks.push(SceneJS._copyJSON({
+                target:track.target,
+                attr:track.attr,
+                interpolation:track.interpolation,
+                easing:track.easing,
+                keys:track.keys
+            }));
+        }
+        return tracks;
+    };
+
+    /**
+     * Sets the ID of the node targeted by tracks that don't specify their own target
+     *
+     * @param {String} target ID of target node
+     */
+    SceneJS.Animation.prototype.setTarget = function (target) {
+        this._target = target;
+    };
+
+    SceneJS.Animation.prototype.getTarget = function () {
+        return this._target;
+    };
+
+    /**
+     * Sets the playback speed of this animation, where 1.0 is normal speed and negative speeds play backwards
+     *
+     * @param {Number} speed Playback speed
+     */
+    SceneJS.Animation.prototype.setSpeed = function (speed) {
+        this._speed = (speed != undefined) ? speed : 1.0;
+    };
+
+    SceneJS.Animation.prototype.getSpeed = function () {
+        return this._speed;
+    };
+
+    /**
+     * Sets whether this animation wraps around when it reaches its end
+     *
+     * @param {Boolean} loop True to loop
+     */
+    SceneJS.Animation.prototype.setLoop = function (loop) {
+        this._loop = !!loop;
+    };
+
+    SceneJS.Animation.prototype.getLoop = function () {
+        return this._loop;
+    };
+
+    /**
+     * Returns the duration of this animation in seconds, which is the time of its last keyframe
+     *
+     * @return {Number} The duration
+     */
+    SceneJS.Animation.prototype.getDuration = function () {
+        return this._duration;
+    };
+
+    /**
+     * Returns the current time of this animation in seconds
+     *
+     * @return {Number} The time
+     */
+    SceneJS.Animation.prototype.getTime = function () {
+        return this._time;
+    };
+
+    SceneJS.Animation.prototype.isPlaying = function () {
+        return this._playing;
+    };
+
+    /**
+     * Starts or resumes playing this animation, rewinding it first if it has ended
+     */
+    SceneJS.Animation.prototype.play = function () {
+        if (this._playing) {
+            return;
+        }
+        if (this._speed >= 0 ? this._time >= this._duration : this._time <= 0) { // Rewind after ending
+            this._time = this._speed >= 0 ? 0 : this._duration;
+            this._loops = 0;
+        }
+        this._playing = true;
+        this._apply();
+        this.publish("start", { time:this._time }, true);
+    };
+
+    /**
+     * Pauses this animation at its current time
+     */
+    SceneJS.Animation.prototype.pause = function () {
+        this._playing = false;
+    };
+
+    /**
+     * Stops this animation and rewinds it to the start
+     */
+    SceneJS.Animation.prototype.stop = function () {
+        this._playing = false;
+        this._loops = 0;
+        this.seek(0);
+    };
+
+    /**
+     * Moves this animation to the given time, setting the targeted attributes to their values at that time
+     *
+     * @param {Number} time Time in seconds, clamped to the duration of the animation
+     */
+    SceneJS.Animation.prototype.seek = function (time) {
+        this._time = Math.max(0, Math.min(this._duration, time || 0));
+        this._apply();
+    };
+
+    SceneJS.Animation.prototype._update = function (tick) {
+
+        if (!this._playing || !tick.prevTime) {
+            return;
+        }
+
+        var duration = this._duration;
+        var time = this._time + ((tick.time - tick.prevTime) / 1000) * this._speed;
+
+        if (time >= 0 && time <= duration) {
+            this._time = time;
+            this._apply();
+            return;
+        }
+
+        if (this._loop && duration > 0) {
+            this._time = ((time % duration) + duration) % duration;
+            this._loops++;
+            this._apply();
+            this.publish("loop", { time:this._time, loops:this._loops }, true);
+            return;
+        }
+
+        this._time = (time < 0) ? 0 : duration;
+        this._playing = false;
+        this._apply();
+        this.publish("end", { time:this._time }, true);
+    };
+
+    /**
+     * Sets each track's attribute to its value at the current time
+     */
+    SceneJS.Animation.prototype._apply = function () {
+
+        var track;
+        var node;
+
+        for (var i = 0, len = this._tracks.length; i < len; i++) {
+
+            track = this._tracks[i];
+            node = this._engine.findNode(track.target || this._target);
+
+            if (node) { // Target may not exist yet, or may have been destroyed
+                this._setAttr(node, track.attr, this._evaluate(track, this._time));
+            }
+        }
+    };
+
+    SceneJS.Animation.prototype._setAttr = function (node, attr, value) {
+        var upper = attr.toUpperCase();
+        if (!node["set" + attr.substr(0, 1).toUpperCase() + attr.substr(1)] && node["set" + upper]) {
+            attr = upper; // Eg. "xyz" for #setXYZ
+        }
+        node.set(attr, value);
+    };
+
+    /**
+     * Returns the value of a track at the given time
+     */
+    SceneJS.Animation.prototype._evaluate = function (track, time) {
+
+        var keys = track.keys;
+        var last = keys.length - 1;
+
+        if (time <= (keys[0].t || 0)) {
+            return SceneJS._copyJSON(keys[0].value);
+        }
+
+        if (time >= (keys[last].t || 0)) {
+            return SceneJS._copyJSON(keys[last].value);
+        }
+
+        var i = 0;
+        while ((keys[i + 1].t || 0) <= time) {
+            i++;
+        }
+
+        var k0 = keys[i];
+        var k1 = keys[i + 1];
+
+        if (track.interpolation == "step") {
+            return SceneJS._copyJSON(k0.value);
+        }
+
+        var t0 = k0.t || 0;
+        var t1 = k1.t || 0;
+        var s = this._getEasing(k0.easing || track.easing)((time - t0) / (t1 - t0));
+
+        if (track.interpolation == "linear") {
+            return blend([k0.value, k1.value], [1 - s, s]);
+        }
+
+        /* Cubic Hermite spline, with Catmull-Rom tangents from the neighbouring keyframes, or
+         * from the interval itself at the ends of the track
+         */
+        var kPrev = keys[Math.max(0, i - 1)];
+        var kNext = keys[Math.min(last, i + 2)];
+
+        var s2 = s * s;
+        var s3 = s2 * s;
+
+        var h00 = 2 * s3 - 3 * s2 + 1;
+        var h10 = s3 - 2 * s2 + s;
+        var h01 = -2 * s3 + 3 * s2;
+        var h11 = s3 - s2;
+
+        var a = h10 * (t1 - t0) / (t1 - (kPrev.t || 0)); // Weight of tangent at k0
+        var b = h11 * (t1 - t0) / ((kNext.t || 0) - t0); // Weight of tangent at k1
+
+        return blend(
+            [kPrev.value, k0.value, k1.value, kNext.value],
+            [-a, h00 - b, h01 + a, b]);
+    };
+
+    SceneJS.Animation.prototype._getEasing = function (easing) {
+        var fn = easings[easing || "linear"];
+        if (!fn) {
+            throw SceneJS_error.fatalError(
+                SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                "animation easing unsupported: '" + easing
+                    + "' - supported types are 'linear', 'easeIn', 'easeOut' and 'easeInOut'");
+        }
+        return fn;
+    };
+
+    /**
+     * Returns the weighted sum of the given values, which are numbers, or objects or arrays of numbers
+     * that all have the same structure as the first value
+     */
+    function blend(values, weights) {
+
+        var first = values[0];
+        var i;
+        var len = values.length;
+
+        if (typeof first == "number") {
+            var sum = 0;
+            for (i = 0; i < len; i++) {
+                sum += values[i] * weights[i];
+            }
+            return sum;
+        }
+
+        if (!first || typeof first != "object") {
+            return first; // Can't be interpolated
+        }
+
+        var result = SceneJS._isArray(first) ? [] : {};
+        var subValues = [];
+
+        for (var key in first) {
+            if (first.hasOwnProperty(key)) {
+                for (i = 0; i < len; i++) {
+                    subValues[i] = values[i][key];
+                }
+                result[key] = blend(subValues, weights);
+            }
+        }
+
+        return result;
+    }
+
+    SceneJS.Animation.prototype._getJSON = function () {
+        var json = {
+            tracks:this.getTracks(),
+            speed:this._speed,
+            loop:this._loop,
+            autoPlay:this._autoPlay
+        };
+        if (this._target) {
+            json.target = this._target;
+        }
+        return json;
+    };
+
+    SceneJS.Animation.prototype._destroy = function () {
+        // Stop advancing on each tick
+        this.getScene().off(this._tick);
+    };
+})();
@@ -0,0 +1,445 @@
+new (function () {
+
+    /**
+     * @class Scene graph node which merges the static {@link SceneJS.Geometry}s within its subgraph into shared vertex
+     * buffers, so that they're drawn as a few objects rather than one object each
+     * @extends SceneJS.Node
+     *
+     * <p>The modelling transforms within the subgraph are baked into the merged vertex positions and normals, while
+     * the transforms above this node still apply. Geometries are merged into one object for each combination of
+     * primitive type and vertex arrays among them, so geometries with the same arrays are all drawn in one call.</p>
+     *
+     * <p>Only modelling transforms, names and geometries are merged, so the rendering state of the merged geometries,
+     * such as their material, must be defined above this node. Other nodes within the subgraph have no effect.</p>
+     *
+     * <p>Each vertex is tagged with the merged geometry it came from, so picking still finds the
+     * {@link SceneJS.Name} of each geometry within the subgraph.</p>
+     *
+     * <p>The merged buffers are rebuilt whenever a node within the subgraph is added, removed or updated, so this node
+     * suits parts of a scene that rarely change, such as the fixtures of a building.</p>
+     *
+     * <pre>
+     * myNode.addNode({
+     *     type: "material",
+     *     color: { r: 0.6, g: 0.6, b: 0.7 },
+     *     nodes: [
+     *         {
+     *             type: "batch",
+     *             nodes: [
+     *                 {
+     *                     type: "translate",
+     *                     x: 10,
+     *                     nodes: [
+     *                         {
+     *                             type: "name",
+     *                             name: "pillar1",
+     *                             nodes: [
+     *                                 {
+     *                                     type: "geometry",
+     *                                     source: { type: "box" }
+     *                                 }
+     *                             ]
+     *                         }
+     *                     ]
+     *                 },
+     *                 ...
+     *             ]
+     *         }
+     *     ]
+     * });
+     * </pre>
+     */
+    SceneJS.Batch = SceneJS_NodeFactory.createNodeType("batch");
+
+    SceneJS.Batch.prototype._init = function (params) {
+        this._geometries = [];  // Merged geometry cores
+        this._objectIds = [];   // IDs of the display objects that draw the merged geometries
+        this._bakedCores = [];  // Transform and geometry cores merged into the geometries
+        this._batchDirty = true;
+    };
+
+    /**
+     * Returns the number of objects that the merged geometries are drawn as
+     *
+     * @return {Number}
+     */
+    SceneJS.Batch.prototype.getNumObjects = function () {
+        return this._geometries.length;
+    };
+
+    /**
+     * Schedules the batch nodes that have merged the given transform or geometry core, and the instances nodes
+     * that have merged their instances with it, for rebuilding after the core is updated
+     *
+     * @param {*} core The core
+     * @private
+     */
+    SceneJS.Batch._coreUpdated = function (core) {
+        var nodes = core.batchNodes;
+        for (var i = 0, len = nodes.length; i < len; i++) {
+            if (!nodes[i].destroyed) {
+                nodes[i]._batchDirty = true;
+                nodes[i]._engine.branchDirty(nodes[i]);
+            }
+        }
+    };
+
+    /**
+     * Returns true when the merged geometries need rebuilding because the subgraph has changed
+     * since they were built
+     */
+    SceneJS.Batch.prototype._isDirty = function () {
+
+        if (this._batchDirty) {
+            return true;
+        }
+
+        // This node is flagged by itself when a child is removed, otherwise when a branch above it changed
+        if (this.branchDirty && !(this.parent && this.parent.branchDirty)) {
+            return true;
+        }
+
+        // Nodes in the subgraph are flagged on the path down to each node that's added or changed
+        for (var i = 0, len = this.nodes.length; i < len; i++) {
+            if (this.nodes[i].dirty || this.nodes[i].branchDirty) {
+                return true;
+            }
+        }
+
+        return false;
+    };
+
+    /**
+     * Merges the geometries within the subgraph into new geometry cores
+     */
+    SceneJS.Batch.prototype._buildBatch = function () {
+
+        this._destroyBatch();
+
+        var namePath = this._engine.display.name.path;
+
+        var layouts = {};
+        var layoutList = [];
+
+        for (var i = 0, len = this.nodes.length; i < len; i++) {
+            this._collect(this.nodes[i], SceneJS_math_identityMat4(), null, namePath, null, layouts, layoutList);
+        }
+
+        for (var j = 0, lenj = layoutList.length; j < lenj; j++) {
+            this._geometries.push(SceneJS.Batch._createGeometry(this._engine, layoutList[j]));
+            this._objectIds.push(this.id + "#" + j);
+        }
+
+        this._batchDirty = false;
+    };
+
+    /**
+     * Collects the geometries within a node's subgraph into layouts of merged vertex arrays
+     *
+     * @param {SceneJS.Node} node The node
+     * @param {Array} matrix Product of the modelling matrices from this batch down to the node
+     * @param {*} name The core of the nearest name node above the node within this batch, if any
+     * @param {String} namePath Path of that name
+     * @param {*} vertexArrays Arrays of the nearest geometry above the node that has positions, if any
+     * @param {*} layouts Layouts mapped to their keys
+     * @param {Array} layoutList Layouts in the order they were created
+     */
+    SceneJS.Batch.prototype._collect = function (node, matrix, name, namePath, vertexArrays, layouts, layoutList) {
+
+        if (node.destroyed) { // Awaiting destruction
+            return;
+        }
+
+        node.dirty = false; // The subgraph is not compiled, so its nodes are cleaned here
+        node.branchDirty = false;
+
+        var core = node._core;
+
+        var modelMatrix = SceneJS_boundaryModule.getModelMatrix(node);
+        if (modelMatrix) {
+            SceneJS.Batch._bakeCore(this, core);
+            matrix = SceneJS_math_mulMat4(matrix, modelMatrix, SceneJS_math_mat4());
+        }
+
+        if (node.type == "name") {
+            name = core;
+            namePath = core.path = namePath ? namePath + "." + core.name : core.name;
+        }
+
+        if (node.type == "geometry") {
+
+            this._engine.display.removeObject(node.id); // In case the node was drawn before it was batched
+
+            if (!core._loading && core.arrays) {
+
+                SceneJS.Batch._bakeCore(this, core);
+
+                if (core.arrays.positions) {
+                    vertexArrays = core.arrays;
+                }
+
+                if (vertexArrays && core.arrays.indices) {
+                    SceneJS.Batch._addGeometry(core, vertexArrays, matrix, { name:name, nodeId:node.id }, null, layouts, layoutList);
+                }
+            }
+        }
+
+        for (var i = 0, len = node.nodes.length; i < len; i++) {
+            this._collect(node.nodes[i], matrix, name, namePath, vertexArrays, layouts, layoutList);
+        }
+    };
+
+    /**
+     * Registers a node with a core that's merged into its geometries, so that the node is flagged with
+     * _batchDirty when the core is updated. The node keeps the cores it's registered with in _bakedCores.
+     *
+     * @param {SceneJS.Node} node A batch node, or an instances node that's merging its instances
+     * @param {*} core The core
+     * @private
+     */
+    SceneJS.Batch._bakeCore = function (node, core) {
+        if (!core.batchNodes) {
+            core.batchNodes = [];
+        }
+        if (core.batchNodes.indexOf(node) < 0) {
+            core.batchNodes.push(node);
+            node._bakedCores.push(core);
+        }
+    };
+
+    /**
+     * Deregisters a node from the cores that were merged into its geometries
+     *
+     * @param {SceneJS.Node} node The node
+     * @private
+     */
+    SceneJS.Batch._unbakeCores = function (node) {
+
+        var batchNodes;
+
+        for (var i = 0, len = node._bakedCores.length; i < len; i++) {
+            batchNodes = node._bakedCores[i].batchNodes;
+            batchNodes.splice(batchNodes.indexOf(node), 1);
+            if (batchNodes.length == 0) {
+                delete node._bakedCores[i].batchNodes;
+            }
+        }
+
+        node._bakedCores = [];
+    };
+
+    /**
+     * Appends a geometry to the layout for its primitive type and vertex arrays, transforming its vertices
+     *
+     * @param {*} core The geometry core, which has the indices
+     * @param {*} vertexArrays Vertex arrays that the indices index, which may be those of a higher geometry
+     * @param {Array} matrix Modelling matrix to transform the vertices by
+     * @param {*} piece What picking finds for the geometry, as { name, nodeId } plus { instance } for an instance
+     * @param {Array} color Optional RGBA color of an instance, which is given to each of its vertices
+     * @param {*} layouts Layouts mapped to their keys
+     * @param {Array} layoutList Layouts in the order they were created
+     * @private
+     */
+    SceneJS.Batch._addGeometry = function (core, vertexArrays, matrix, piece, color, layouts, layoutList) {
+
+        var list = SceneJS.Geometry._toListIndices(core.arrays.indices, core.primitiveName);
+
+        var key = [
+            list.primitive,
+            vertexArrays.normals ? "n" : "",
+            vertexArrays.uv ? "u" : "",
+            vertexArrays.uv2 ? "v" : "",
+            vertexArrays.colors ? "c" : "",
+            color ? "i" : ""
+        ].join("");
+
+        var layout = layouts[key];
+
+        if (!layout) {
+            layout = layouts[key] = {
+                primitiveName:list.primitive,
+                positions:[],
+                normals:vertexArrays.normals ? [] : null,
+                uv:vertexArrays.uv ? [] : null,
+                uv2:vertexArrays.uv2 ? [] : null,
+                colors:vertexArrays.colors ? [] : null,
+                instanceColors:color ? [] : null,
+                pickIndices:[],
+                indices:[],
+                pieces:[]
+            };
+            layoutList.push(layout);
+        }
+
+        var positions = vertexArrays.positions;
+        var numVertices = positions.length / 3;
+        var base = layout.positions.length / 3;
+        var pickIndex = layout.pieces.length;
+        var m = matrix;
+        var i, len, x, y, z;
+
+        layout.pieces.push(piece);
+
+        for (i = 0; i < numVertices; i++) {
+            x = positions[i * 3];
+            y = positions[i * 3 + 1];
+            z = positions[i * 3 + 2];
+            layout.positions.push(
+                m[0] * x + m[4] * y + m[8] * z + m[12],
+                m[1] * x + m[5] * y + m[9] * z + m[13],
+                m[2] * x + m[6] * y + m[10] * z + m[14]);
+            layout.pickIndices.push(pickIndex);
+        }
+
+        if (layout.normals) {
+            var normals = vertexArrays.normals;
+            var n = SceneJS_math_transposeMat4(SceneJS_math_inverseMat4(matrix, SceneJS_math_mat4()), SceneJS_math_mat4());
+            var nx, ny, nz, l;
+            for (i = 0; i < numVertices; i++) {
+                x = normals[i * 3];
+                y = normals[i * 3 + 1];
+                z = normals[i * 3 + 2];
+                nx = n[0] * x + n[4] * y + n[8] * z;
+                ny = n[1] * x + n[5] * y + n[9] * z;
+                nz = n[2] * x + n[6] * y + n[10] * z;
+                l = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1.0;
+                layout.normals.push(nx / l, ny / l, nz / l);
+            }
+        }
+
+        if (layout.uv) {
+            pushArray(layout.uv, vertexArrays.uv, numVertices * 2);
+        }
+
+        if (layout.uv2) {
+            pushArray(layout.uv2, vertexArrays.uv2, numVertices * 2);
+        }
+
+        if (layout.colors) {
+            pushArray(layout.colors, vertexArrays.colors, numVertices * 4);
+        }
+
+        if (layout.instanceColors) {
+            for (i = 0; i < numVertices; i++) {
+                pushArray(layout.instanceColors, color, 4);
+            }
+        }
+
+        var indices = list.indices;
+
+        // A mirroring transform reverses the winding of triangles, which is restored so that their front faces stay in front
+        var flip = list.primitive == "triangles" && SceneJS_math_determinantMat4(matrix) < 0;
+
+        for (i = 0, len = indices.length; i < len; i++) {
+            layout.indices.push(base + indices[(flip && i % 3 > 0) ? i + (i % 3 == 1 ? 1 : -1) : i]);
+        }
+    };
+
+    /**
+     * Appends the first items of an array to another array
+     */
+    function pushArray(array, values, length) {
+        for (var i = 0; i < length; i++) {
+            array.push(values[i]);
+        }
+    }
+
+    /**
+     * Creates a geometry core for the merged arrays of a layout
+     *
+     * @param {SceneJS_Engine} engine The engine
+     * @param {*} layout The layout
+     * @return {*} The geometry core
+     * @private
+     */
+    SceneJS.Batch._createGeometry = function (engine, layout) {
+
+        var gl = engine.canvas.gl;
+        var geometry = engine._coreFactory.getCore("geometry");
+
+        geometry.primitiveName = layout.primitiveName;
+        geometry.primitive = gl[{ points:"POINTS", lines:"LINES", triangles:"TRIANGLES" }[layout.primitiveName]];
+        geometry.pieces = layout.pieces;
+
+        var numVertices = layout.positions.length / 3;
+
+        geometry.arrays = {
+            positions:new Float32Array(layout.positions),
+            normals:layout.normals ? new Float32Array(layout.normals) : undefined,
+            uv:layout.uv ? new Float32Array(layout.uv) : undefined,
+            uv2:layout.uv2 ? new Float32Array(layout.uv2) : undefined,
+            colors:layout.colors ? new Float32Array(layout.colors) : undefined,
+            instanceColors:layout.instanceColors ? new Float32Array(layout.instanceColors) : undefined,
+            pickIndices:new Float32Array(layout.pickIndices),
+            indices:numVertices > 65536 ? new Uint32Array(layout.indices) : new Uint16Array(layout.indices)
+        };
+
+        SceneJS.Geometry._buildNodeCore(gl, geometry);
+
+        geometry.hash = ([
+            geometry.normalBuf ? "t" : "f",
+            geometry.uvBuf ? "t" : "f",
+            geometry.uvBuf2 ? "t" : "f",
+            geometry.colorBuf ? "t" : "f",
+            geometry.instanceColorBuf ? "i" : "",
+            "p", // Per-vertex pick indices
+            geometry.primitive
+        ]).join("");
+
+        geometry.webglRestored = function () {
+            SceneJS.Geometry._buildNodeCore(gl, geometry);
+        };
+
+        return geometry;
+    };
+
+    /**
+     * Destroys the merged geometries and their display objects, and deregisters this batch from the merged cores
+     */
+    SceneJS.Batch.prototype._destroyBatch = function () {
+
+        var display = this._engine.display;
+        var canvasExists = this._engine.canvas.exists(); // Context won't exist if canvas has disappeared
+        var geometry;
+        var i, len;
+
+        for (i = 0, len = this._geometries.length; i < len; i++) {
+            geometry = this._geometries[i];
+            display.removeObject(this._objectIds[i]);
+            if (canvasExists) {
+                SceneJS.Geometry._destroyBuffers(geometry);
+            }
+            this._engine._coreFactory.putCore(geometry);
+        }
+
+        this._geometries = [];
+        this._objectIds = [];
+
+        SceneJS.Batch._unbakeCores(this);
+    };
+
+    SceneJS.Batch.prototype._compile = function (ctx) {
+
+        if (this._isDirty()) {
+            this._buildBatch();
+        }
+
+        var display = this._engine.display;
+
+        for (var i = 0, len = this._geometries.length; i < len; i++) {
+
+            display.geometry = this._geometries[i];
+
+            SceneJS_events.fireEvent(SceneJS_events.OBJECT_COMPILING, { // Pull in state updates from scenes nodes
+                display:display
+            });
+
+            display.buildObject(this._objectIds[i]);
+        }
+    };
+
+    SceneJS.Batch.prototype._destroy = function () {
+        this._destroyBatch();
+    };
+
+})();
@@ -0,0 +1,299 @@
+/**
+ * Computes World-space boundaries of scene graph nodes, from the boundaries of the geometries within their subgraphs
+ *
+ * <p>Each node caches its boundary, along with the product of its ancestors' modelling matrices that the boundary
+ * was computed with. When the structure of the scene graph changes beneath a node, or a modelling transform, geometry
+ * positions or instance matrices change at a node, the caches of that node and its ancestors are discarded, while
+ * the caches of its descendants are found to be out of date when their ancestors' matrices no longer match. Since a
+ * node's boundary is computed from the boundaries of its child nodes, boundaries that are found again after an
+ * invalidation are reused from the child nodes whose caches are still up to date.</p>
+ *
+ * <p>Nodes are tracked by their cores once their boundaries have been found, so that changes to cores that are shared
+ * by several nodes invalidate the boundaries of all those nodes.</p>
+ * @private
+ */
+var SceneJS_boundaryModule = new (function () {
+
+    /**
+     * Invalidates the cached boundaries of the given node and its ancestors, after the structure of the
+     * scene graph beneath the node has changed
+     *
+     * @param {SceneJS.Node} node The node
+     */
+    this.invalidate = function (node) {
+        for (; node; node = node.parent) {
+            node._boundaryCache = null;
+        }
+    };
+
+    /**
+     * Invalidates the cached boundaries of the nodes that have the given core, and of their ancestors, after
+     * the core's modelling transform, geometry positions or instance matrices have changed
+     *
+     * @param {SceneJS_Core} core The core
+     */
+    this.invalidateCore = function (core) {
+        var nodes = core.boundaryNodes;
+        if (!nodes) {
+            return;
+        }
+        for (var i = nodes.length - 1; i >= 0; i--) {
+            if (nodes[i]._core !== core || nodes[i].destroyed) { // Node destroyed, or released and reused
+                nodes.splice(i, 1);
+            } else {
+                this.invalidate(nodes[i]);
+            }
+        }
+    };
+
+    /**
+     * Returns the World-space axis-aligned box that encloses the geometry within the subgraph of the given node
+     *
+     * @param {SceneJS.Node} node The node
+     * @return {*} The boundary as { xmin, ymin, zmin, xmax, ymax, zmax }, or null when there is no geometry
+     */
+    this.getWorldBoundary = function (node) {
+        var boundary = getBoundary(true, node, getParentMatrix(node));
+        return boundary ? SceneJS._shallowClone(boundary) : null;
+    };
+
+    /**
+     * Returns the World-space sphere that encloses the boundary of the given node
+     *
+     * @param {SceneJS.Node} node The node
+     * @return {*} The sphere as { center: { x, y, z }, radius }, or null when there is no geometry
+     */
+    this.getBoundingSphere = function (node) {
+        var boundary = getBoundary(true, node, getParentMatrix(node));
+        if (!boundary) {
+            return null;
+        }
+        var dx = boundary.xmax - boundary.xmin;
+        var dy = boundary.ymax - boundary.ymin;
+        var dz = boundary.zmax - boundary.zmin;
+        return {
+            center:{
+                x:(boundary.xmin + boundary.xmax) * 0.5,
+                y:(boundary.ymin + boundary.ymax) * 0.5,
+                z:(boundary.zmin + boundary.zmax) * 0.5
+            },
+            radius:Math.sqrt(dx * dx + dy * dy + dz * dz) * 0.5
+        };
+    };
+
+    /**
+     * Returns the modelling matrix of the given node, or null if it's not a modelling transform node
+     *
+     * @param {SceneJS.Node} node The node
+     * @return {Array} The matrix, or null
+     */
+    this.getModelMatrix = function (node) {
+        return getModelMatrix(node);
+    };
+
+    /**
+     * Returns the product of the modelling matrices of the given node's ancestors, which transforms the
+     * node's Model space into World space
+     *
+     * @param {SceneJS.Node} node The node
+     * @return {Array} The matrix
+     */
+    this.getParentMatrix = function (node) {
+        return getParentMatrix(node);
+    };
+
+    /**
+     * Returns the modelling matrix of the given node, or null if it's not a modelling transform node
+     */
+    function getModelMatrix(node) {
+        var core = node._core;
+        if (!core || core.type != "xform" || !core.matrix) {
+            return null;
+        }
+        if (core.matrixDirty && core.buildMatrix) {
+            core.buildMatrix(); // Leaves the core dirty for its next build, which also updates its World matrix
+        }
+        return core.matrix;
+    }
+
+    /**
+     * Returns the product of the modelling matrices of the given node's ancestors
+     */
+    function getParentMatrix(node) {
+        var matrices = [];
+        var matrix;
+        for (var parent = node.parent; parent; parent = parent.parent) {
+            matrix = getModelMatrix(parent);
+            if (matrix) {
+                matrices.push(matrix);
+            }
+        }
+        matrix = SceneJS_math_identityMat4();
+        while (matrices.length > 0) {
+            matrix = SceneJS_math_mulMat4(matrix, matrices.pop(), SceneJS_math_mat4());
+        }
+        return matrix;
+    }
+
+    /**
+     * Returns the boundary of the given node, caching it on the node
+     *
+     * @param {Boolean} cache True to cache the boundary on the node
+     * @param {SceneJS.Node} node The node
+     * @param {Array} matrix Product of the modelling matrices of the node's ancestors
+     */
+    function getBoundary(cache, node, matrix) {
+
+        var boundaryCache = node._boundaryCache;
+
+        if (cache && boundaryCache && equalMatrices(boundaryCache.matrix, matrix)) {
+            return boundaryCache.boundary;
+        }
+
+        track(node);
+
+        var parentMatrix = matrix;
+
+        var modelMatrix = getModelMatrix(node);
+        if (modelMatrix) {
+            matrix = SceneJS_math_mulMat4(matrix, modelMatrix, SceneJS_math_mat4());
+        }
+
+        var boundary = null;
+
+        if (node.type == "geometry") {
+            var localBoundary = node.getBoundary();
+            if (localBoundary) {
+                boundary = transformBoundary(localBoundary, matrix);
+            }
+        }
+
+        var nodes = node.nodes;
+        var childBoundary;
+
+        if (node.type == "instances") {
+            boundary = getInstancesBoundary(node, matrix);
+
+        } else {
+            for (var i = 0, len = nodes.length; i < len; i++) {
+                childBoundary = getBoundary(cache, nodes[i], matrix);
+                if (childBoundary) {
+                    boundary = boundary ? expandBoundary(boundary, childBoundary) : SceneJS._shallowClone(childBoundary);
+                }
+            }
+        }
+
+        if (cache) {
+            node._boundaryCache = {
+                boundary:boundary,
+                matrix:parentMatrix.slice(0)
+            };
+        }
+
+        return boundary;
+    }
+
+    /**
+     * Tracks a node by its core, so that changes to the core invalidate the node's boundary
+     */
+    function track(node) {
+        var core = node._core;
+        if (core && node._boundaryCore !== core) {
+            node._boundaryCore = core;
+            (core.boundaryNodes || (core.boundaryNodes = [])).push(node);
+        }
+    }
+
+    function equalMatrices(a, b) {
+        for (var i = 0; i < 16; i++) {
+            if (a[i] !== b[i]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Returns the boundary of the given instances node, which encloses the boundary of its subgraph as
+     * transformed by each instance matrix
+     */
+    function getInstancesBoundary(node, matrix) {
+
+        var nodes = node.nodes;
+        var localBoundary = null;
+        var childBoundary;
+
+        // The subgraph has a boundary for each instance, so its boundaries are found without caching them
+        for (var i = 0, len = nodes.length; i < len; i++) {
+            childBoundary = getBoundary(false, nodes[i], SceneJS_math_identityMat4());
+            if (childBoundary) {
+                localBoundary = localBoundary ? expandBoundary(localBoundary, childBoundary) : SceneJS._shallowClone(childBoundary);
+            }
+        }
+
+        var matrices = node._core.matrices;
+
+        if (!localBoundary || !matrices) {
+            return null;
+        }
+
+        var boundary = null;
+        var instanceMatrix = SceneJS_math_mat4();
+        var instanceBoundary;
+
+        for (var j = 0, lenj = matrices.length / 16; j < lenj; j++) {
+            SceneJS_math_mulMat4(matrix, matrices.subarray(j * 16, j * 16 + 16), instanceMatrix);
+            instanceBoundary = transformBoundary(localBoundary, instanceMatrix);
+            boundary = boundary ? expandBoundary(boundary, instanceBoundary) : instanceBoundary;
+        }
+
+        return boundary;
+    }
+
+    /**
+     * Returns the axis-aligned box that encloses the corners of the given box, transformed by the given matrix
+     */
+    function transformBoundary(boundary, matrix) {
+        var result = {
+            xmin:SceneJS_math_MAX_DOUBLE,
+            ymin:SceneJS_math_MAX_DOUBLE,
+            zmin:SceneJS_math_MAX_DOUBLE,
+            xmax:SceneJS_math_MIN_DOUBLE,
+            ymax:SceneJS_math_MIN_DOUBLE,
+            zmax:SceneJS_math_MIN_DOUBLE
+        };
+        var p;
+        for (var i = 0; i < 8; i++) {
+            p = SceneJS_math_transformPoint3(matrix, [
+                (i & 1) ? boundary.xmax : boundary.xmin,
+                (i & 2) ? boundary.ymax : boundary.ymin,
+                (i & 4) ? boundary.zmax : boundary.zmin
+            ]);
+            expandBoundary(result, { xmin:p[0], ymin:p[1], zmin:p[2], xmax:p[0], ymax:p[1], zmax:p[2] });
+        }
+        return result;
+    }
+
+    function expandBoundary(boundary, other) {
+        if (other.xmin < boundary.xmin) {
+            boundary.xmin = other.xmin;
+        }
+        if (other.ymin < boundary.ymin) {
+            boundary.ymin = other.ymin;
+        }
+        if (other.zmin < boundary.zmin) {
+            boundary.zmin = other.zmin;
+        }
+        if (other.xmax > boundary.xmax) {
+            boundary.xmax = other.xmax;
+        }
+        if (other.ymax > boundary.ymax) {
+            boundary.ymax = other.ymax;
+        }
+        if (other.zmax > boundary.zmax) {
+            boundary.zmax = other.zmax;
+        }
+        return boundary;
+    }
+
+})();
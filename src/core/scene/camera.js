@@ -47,10 +47,13 @@
             // Rebuild on every scene tick
             // https://github.com/xeolabs/scenejs/issues/277
             var self = this;
-            this._tick = this.getScene().on("tick", function () {
+            this._tick = this.getScene().on("tick", function (tick) {
                 if (self._core.dirty) {
                     self._core.rebuild();
                 }
+                if (self._core.transition) {
+                    self._updateTransition(tick);
+                }
             });
         }
     };
@@ -65,6 +68,7 @@
 
     SceneJS.Camera.prototype.setOptics = function (optics) {
         var core = this._core;
+        core.transition = null; // Stop any transition in progress
         if (!optics) {
             core.optics = {
                 type:"perspective",
@@ -119,10 +123,14 @@
         this._engine.display.imageDirty = true;
     };
 
-    SceneJS.Camera.prototype._rebuild = function () {
-        var optics = this._core.optics;
+    /**
+     * Returns the projection matrix for the given optics
+     * @param {*} optics Optics like those given to {@link #setOptics}, with all the properties of their type
+     * @return {Array} The matrix
+     */
+    SceneJS.Camera.getOpticsMatrix = function (optics) {
         if (optics.type == "ortho") {
-            this._core.matrix = SceneJS_math_orthoMat4c(
+            return SceneJS_math_orthoMat4c(
                 optics.left,
                 optics.right,
                 optics.bottom,
@@ -131,7 +139,7 @@
                 optics.far);
 
         } else if (optics.type == "frustum") {
-            this._core.matrix = SceneJS_math_frustumMatrix4(
+            return SceneJS_math_frustumMatrix4(
                 optics.left,
                 optics.right,
                 optics.bottom,
@@ -139,13 +147,17 @@
                 optics.near,
                 optics.far);
 
-        } else if (optics.type == "perspective") {
-            this._core.matrix = SceneJS_math_perspectiveMatrix4(
+        } else {
+            return SceneJS_math_perspectiveMatrix4(
                 optics.fovy * Math.PI / 180.0,
                 optics.aspect,
                 optics.near,
                 optics.far);
         }
+    };
+
+    SceneJS.Camera.prototype._rebuild = function () {
+        this._core.matrix = SceneJS.Camera.getOpticsMatrix(this._core.optics);
         if (!this._core.mat) {
             this._core.mat = new Float32Array(this._core.matrix);
         } else {
@@ -154,6 +166,276 @@
         this.publish("matrix", this._core.matrix);
     };
 
+    /**
+     * Smoothly changes the optics, interpolating the projection matrix from the current one to that of the given
+     * optics over the given duration, which may switch between optics types, eg. from perspective to ortho.
+     *
+     * <p>The optics are set immediately, so that {@link #getOptics} returns them throughout the transition, while
+     * the projection matrix eases in and out of the change on each scene "tick", publishing "matrix" each time. When
+     * the transition is done, the camera publishes "transitioned" with the optics. Setting the optics with
+     * {@link #setOptics} or starting another transition stops a transition in progress, with the other transition
+     * starting from the current, part-way matrix.</p>
+     *
+     * <pre>
+     * var lookAt = myScene.getNode("myLookAt");
+     * var camera = myScene.getNode("myCamera");
+     *
+     * // Switch to an orthographic projection that shows the same extent at the point of interest
+     * camera.transitionTo(SceneJS.Camera.getOrthoOptics(camera.getOptics(), lookAt.getDistance()), 0.5);
+     *
+     * // Zoom in on a node
+     * camera.transitionTo(SceneJS.Camera.fitOptics(camera.getOptics(),
+     *     myScene.getNode("myTable").getWorldBoundary(), lookAt.getMatrix()), 1.0);
+     *
+     * camera.on("transitioned", function (optics) {
+     *     // ...
+     * });
+     * </pre>
+     *
+     * @param {*} optics The optics, as for {@link #setOptics}
+     * @param {Number} [duration=1] Duration of the transition in seconds - when zero, the optics are set immediately
+     */
+    SceneJS.Camera.prototype.transitionTo = function (optics, duration) {
+        var from = this._core.matrix.slice(0);
+        this.setOptics(optics);
+        duration = duration == undefined ? 1.0 : duration;
+        if (!(duration > 0)) {
+            this.publish("transitioned", this.getOptics());
+            return;
+        }
+        this._core.transition = {
+            from:from,
+            to:this._core.matrix,
+            duration:duration,
+            time:0
+        };
+        this._setMatrix(from);
+    };
+
+    /**
+     * Returns true while a transition started by {@link #transitionTo} is in progress
+     * @return {Boolean}
+     */
+    SceneJS.Camera.prototype.isTransitioning = function () {
+        return !!this._core.transition;
+    };
+
+    SceneJS.Camera.prototype._updateTransition = function (tick) {
+        if (!tick.prevTime) {
+            return;
+        }
+        var transition = this._core.transition;
+        transition.time += (tick.time - tick.prevTime) / 1000;
+        if (transition.time >= transition.duration) {
+            this._core.transition = null;
+            this._setMatrix(transition.to);
+            this.publish("transitioned", this.getOptics());
+            return;
+        }
+        var t = transition.time / transition.duration;
+        t = t * t * (3 - 2 * t); // Ease in and out
+        var from = transition.from;
+        var to = transition.to;
+        var matrix = [];
+        for (var i = 0; i < 16; i++) {
+            matrix[i] = from[i] + (to[i] - from[i]) * t;
+        }
+        this._setMatrix(matrix);
+    };
+
+    SceneJS.Camera.prototype._setMatrix = function (matrix) {
+        this._core.matrix = matrix;
+        this._core.mat.set(matrix);
+        this.publish("matrix", matrix);
+        this._engine.display.imageDirty = true;
+    };
+
+    /**
+     * Returns orthographic optics that show the same extent as the given perspective optics at the given distance
+     * from the eye, which is usually the distance from the {@link SceneJS.Lookat} eye to the point it looks at, so that
+     * a switch to these optics keeps the objects at that distance the same size
+     *
+     * @param {*} optics Perspective optics, as { fovy, aspect, near, far }
+     * @param {Number} distance Distance from the eye
+     * @return {*} The orthographic optics
+     */
+    SceneJS.Camera.getOrthoOptics = function (optics, distance) {
+        var fovy = optics.fovy || 60.0;
+        var aspect = optics.aspect == undefined ? 1.0 : optics.aspect;
+        var halfHeight = distance * Math.tan(fovy * Math.PI / 360.0);
+        var halfWidth = halfHeight * aspect;
+        return {
+            type:"ortho",
+            left:-halfWidth,
+            right:halfWidth,
+            bottom:-halfHeight,
+            top:halfHeight,
+            near:optics.near || 0.1,
+            far:optics.far || 10000.0
+        };
+    };
+
+    /**
+     * Returns the distance from the eye at which perspective optics with the given field of view show the same
+     * extent as the given orthographic optics, which is the distance to place the {@link SceneJS.Lookat} eye from
+     * the point it looks at when switching to perspective optics, so that the objects at that point keep their size
+     *
+     * @param {*} optics Orthographic optics, as { left, right, bottom, top, near, far }
+     * @param {Number} fovy Vertical field of view of the perspective optics, in degrees
+     * @return {Number} The distance
+     */
+    SceneJS.Camera.getPerspectiveDistance = function (optics, fovy) {
+        return ((optics.top - optics.bottom) * 0.5) / Math.tan(fovy * Math.PI / 360.0);
+    };
+
+    /**
+     * Returns the distance from the eye at which a sphere of the given radius just fits within the view of the
+     * given optics, for the eye to look at the center of the sphere from. For perspective optics, the sphere fits
+     * within the narrower of the vertical and horizontal fields of view, while for frustum optics it fits within
+     * the narrower extent on the near clipping plane. Since distance doesn't change what orthographic optics show,
+     * the distance for them just keeps the eye outside the sphere.
+     *
+     * @param {*} optics The optics, as for {@link #setOptics}
+     * @param {Number} radius Radius of the sphere
+     * @return {Number} The distance
+     */
+    SceneJS.Camera.getFitDistance = function (optics, radius) {
+        var halfFov;
+        if (optics.type == "ortho") {
+            return radius * 2.0;
+        }
+        if (optics.type == "frustum") {
+            halfFov = Math.atan(Math.min(optics.right - optics.left, optics.top - optics.bottom) * 0.5 / optics.near);
+        } else {
+            var tanHalfFovy = Math.tan((optics.fovy || 60.0) * Math.PI / 360.0);
+            var aspect = optics.aspect == undefined ? 1.0 : optics.aspect;
+            halfFov = Math.atan(tanHalfFovy * Math.min(aspect, 1.0));
+        }
+        return radius / Math.sin(halfFov);
+    };
+
+    /**
+     * Returns optics of the same type as the given optics that fit them to the given World-space boundary, as
+     * seen through the given viewing matrix, so that the boundary just fills the view, and the near and far clipping
+     * planes closely enclose it.
+     *
+     * <p>Perspective optics get the field of view that encloses the boundary, keeping their aspect ratio, while
+     * orthographic optics get the extents that enclose it, also keeping their aspect ratio, and frustum optics get
+     * the asymmetric extents that enclose it. The boundary must be in front of the eye for perspective and frustum
+     * optics.</p>
+     *
+     * @param {*} optics The optics, as for {@link #setOptics}
+     * @param {*} boundary World-space boundary as { xmin, ymin, zmin, xmax, ymax, zmax }, such as returned by
+     * {@link SceneJS.Node#getWorldBoundary}
+     * @param {Array} viewMatrix Viewing matrix, such as returned by {@link SceneJS.Lookat#getMatrix}
+     * @param {Number} [padding=0] Margin to leave around the boundary, as a fraction of the boundary's size in the view
+     * @return {*} The fitted optics
+     */
+    SceneJS.Camera.fitOptics = function (optics, boundary, viewMatrix, padding) {
+
+        padding = 1.0 + (padding || 0);
+
+        var corners = [
+            [boundary.xmin, boundary.ymin, boundary.zmin],
+            [boundary.xmax, boundary.ymin, boundary.zmin],
+            [boundary.xmin, boundary.ymax, boundary.zmin],
+            [boundary.xmax, boundary.ymax, boundary.zmin],
+            [boundary.xmin, boundary.ymin, boundary.zmax],
+            [boundary.xmax, boundary.ymin, boundary.zmax],
+            [boundary.xmin, boundary.ymax, boundary.zmax],
+            [boundary.xmax, boundary.ymax, boundary.zmax]
+        ];
+
+        var type = optics.type || "perspective";
+        var near = Number.MAX_VALUE;
+        var far = -Number.MAX_VALUE;
+        var xmin = Number.MAX_VALUE;    // View-space X and Y extents, divided by depth for perspective and frustum
+        var xmax = -Number.MAX_VALUE;
+        var ymin = Number.MAX_VALUE;
+        var ymax = -Number.MAX_VALUE;
+        var v;
+        var depth;
+        var x;
+        var y;
+
+        for (var i = 0; i < 8; i++) {
+            v = SceneJS_math_transformPoint3(viewMatrix, corners[i]);
+            depth = -v[2];
+            near = Math.min(near, depth);
+            far = Math.max(far, depth);
+            x = v[0];
+            y = v[1];
+            if (type != "ortho") {
+                if (depth <= 0) {
+                    throw SceneJS_error.fatalError(
+                        SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                        "SceneJS.Camera.fitOptics - boundary not in front of eye");
+                }
+                x /= depth;
+                y /= depth;
+            }
+            xmin = Math.min(xmin, x);
+            xmax = Math.max(xmax, x);
+            ymin = Math.min(ymin, y);
+            ymax = Math.max(ymax, y);
+        }
+
+        var depthMargin = (far - near) * 0.01 + 0.0001;
+
+        far = far + depthMargin;
+        near = Math.max(near - depthMargin, far * 0.0001); // Keep near plane in front of eye
+
+        var halfWidth;
+        var halfHeight;
+        var aspect;
+
+        if (type == "ortho") {
+            aspect = (optics.right - optics.left) / (optics.top - optics.bottom) || 1.0;
+            halfWidth = Math.max(Math.abs(xmin), Math.abs(xmax)) * padding;
+            halfHeight = Math.max(Math.abs(ymin), Math.abs(ymax)) * padding;
+            if (halfWidth > halfHeight * aspect) {
+                halfHeight = halfWidth / aspect;
+            } else {
+                halfWidth = halfHeight * aspect;
+            }
+            return {
+                type:type,
+                left:-halfWidth,
+                right:halfWidth,
+                bottom:-halfHeight,
+                top:halfHeight,
+                near:near,
+                far:far
+            };
+        }
+
+        if (type == "frustum") {
+            var centerX = (xmin + xmax) * 0.5;
+            var centerY = (ymin + ymax) * 0.5;
+            halfWidth = (xmax - xmin) * 0.5 * padding;
+            halfHeight = (ymax - ymin) * 0.5 * padding;
+            return {
+                type:type,
+                left:(centerX - halfWidth) * near,
+                right:(centerX + halfWidth) * near,
+                bottom:(centerY - halfHeight) * near,
+                top:(centerY + halfHeight) * near,
+                near:near,
+                far:far
+            };
+        }
+
+        aspect = optics.aspect == undefined ? 1.0 : optics.aspect;
+        halfHeight = Math.max(Math.abs(ymin), Math.abs(ymax), Math.abs(xmin) / aspect, Math.abs(xmax) / aspect) * padding;
+        return {
+            type:"perspective",
+            fovy:Math.min(Math.atan(halfHeight) * 360.0 / Math.PI, 179.0),
+            aspect:aspect,
+            near:near,
+            far:far
+        };
+    };
+
     SceneJS.Camera.prototype.getOptics = function () {
         var optics = {};
         for (var key in this._core.optics) {
@@ -168,6 +450,12 @@
         return this._core.matrix.slice(0);
     };
 
+    SceneJS.Camera.prototype._getJSON = function () {
+        return {
+            optics:this.getOptics()
+        };
+    };
+
     /**
      * Compiles this camera node, setting this node's state core on the display, compiling sub-nodes,
      * then restoring the previous camera state core back onto the display on exit.
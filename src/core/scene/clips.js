@@ -83,6 +83,24 @@
         this._core.hash = null;
     };
 
+    SceneJS.Clips.prototype._getJSON = function () {
+        var clips = [];
+        var clip;
+        for (var i = 0, len = this._core.clips.length; i < len; i++) {
+            clip = this._core.clips[i];
+            clips.push({
+                mode:clip.mode,
+                x:clip.normalAndDist[0],
+                y:clip.normalAndDist[1],
+                z:clip.normalAndDist[2],
+                dist:clip.normalAndDist[3]
+            });
+        }
+        return {
+            clips:clips
+        };
+    };
+
     SceneJS.Clips.prototype._compile = function(ctx) {
 
         if (!this._core.hash) {
@@ -55,6 +55,12 @@
         return this._core.blendEnabled;
     };
 
+    SceneJS.ColorBuf.prototype._getJSON = function () {
+        return {
+            blendEnabled:this._core.blendEnabled
+        };
+    };
+
     SceneJS.ColorBuf.prototype._compile = function (ctx) {
         this._engine.display.colorbuf = coreStack[stackLen++] = this._core;
         this._compileNodes(ctx);
@@ -133,6 +133,14 @@
         return this._core._depthFuncName;
     };
 
+    SceneJS.DepthBuf.prototype._getJSON = function () {
+        return {
+            enabled:this._core.enabled,
+            clearDepth:this._core.clearDepth,
+            depthFunc:this._core._depthFuncName
+        };
+    };
+
     SceneJS.DepthBuf.prototype._compile = function (ctx) {
         this._engine.display.depthbuf = coreStack[stackLen++] = this._core;
         this._compileNodes(ctx);
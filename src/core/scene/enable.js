@@ -45,6 +45,12 @@
         return this._core.enabled;
     };
 
+    SceneJS.Enable.prototype._getJSON = function () {
+        return {
+            enabled:this._core.enabled
+        };
+    };
+
     SceneJS.Enable.prototype._compile = function (ctx) {
         this._engine.display.enable = coreStack[stackLen++] = this._core;
         this._compileNodes(ctx);
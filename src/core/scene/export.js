@@ -0,0 +1,787 @@
+/**
+ * @class Exports the geometry within scene subgraphs to mesh file formats
+ *
+ * <p>Each geometry within the subgraph of the given node is exported as a mesh, with its positions and normals
+ * transformed into World space by the modelling transforms above it, and with the material and texture layer
+ * image URIs that apply to it, where the format can carry them. Geometries that are disabled by enable or flags
+ * nodes, or that are within libraries, are not exported. Strips, fans and loops are exported as lists of triangles
+ * or lines.</p>
+ *
+ * <p>The exporters return strings or ArrayBuffers, and need no WebGL, so they can be used with a scene that renders
+ * to a {@link SceneJS.testing.RecordingGL}, as well as to save files from a browser.</p>
+ *
+ * <h2>Usage</h2>
+ * <pre>
+ * var obj = SceneJS.Export.toOBJ(myNode, { mtllib: "model.mtl" });
+ * var mtl = SceneJS.Export.toMTL(myNode);
+ *
+ * var stl = SceneJS.Export.toSTL(myNode, { binary: true }); // ArrayBuffer
+ *
+ * var gltf = SceneJS.Export.toGLTF(myNode);                 // String, with embedded buffer
+ * var glb = SceneJS.Export.toGLTF(myNode, { binary: true }); // ArrayBuffer
+ * </pre>
+ */
+SceneJS.Export = new (function () {
+
+    /**
+     * Exports the geometry within a subgraph as a WaveFront OBJ file, which refers to materials that
+     * are exported by {@link #toMTL}
+     *
+     * @param {SceneJS.Node} node Root of the subgraph
+     * @param {*} [options] Options
+     * @param {String} [options.mtllib] Name of the MTL file for the OBJ file to refer to
+     * @return {String} The OBJ file
+     */
+    this.toOBJ = function (node, options) {
+
+        options = options || {};
+
+        var meshes = collectMeshes(node);
+        var lines = ["# Exported from SceneJS"];
+
+        if (options.mtllib) {
+            lines.push("mtllib " + options.mtllib);
+        }
+
+        var vOffset = 1;
+        var vtOffset = 1;
+        var vnOffset = 1;
+        var mesh;
+        var i, j, len;
+
+        for (i = 0, len = meshes.length; i < len; i++) {
+
+            mesh = meshes[i];
+
+            lines.push("o " + safeName(mesh.name));
+
+            for (j = 0; j < mesh.positions.length; j += 3) {
+                lines.push("v " + mesh.positions[j] + " " + mesh.positions[j + 1] + " " + mesh.positions[j + 2]);
+            }
+
+            if (mesh.uv) {
+                for (j = 0; j < mesh.uv.length; j += 2) {
+                    lines.push("vt " + mesh.uv[j] + " " + mesh.uv[j + 1]);
+                }
+            }
+
+            if (mesh.normals) {
+                for (j = 0; j < mesh.normals.length; j += 3) {
+                    lines.push("vn " + mesh.normals[j] + " " + mesh.normals[j + 1] + " " + mesh.normals[j + 2]);
+                }
+            }
+
+            lines.push("usemtl " + safeName(mesh.material.name));
+
+            var keyword = { triangles:"f", lines:"l", points:"p" }[mesh.primitive];
+            var size = { triangles:3, lines:2, points:1 }[mesh.primitive];
+
+            for (j = 0; j < mesh.indices.length; j += size) {
+                var face = [keyword];
+                for (var k = 0; k < size; k++) {
+                    var v = mesh.indices[j + k];
+                    face.push(mesh.primitive != "triangles"
+                        ? (vOffset + v)
+                        : (vOffset + v) +
+                        (mesh.uv || mesh.normals ? "/" + (mesh.uv ? vtOffset + v : "") : "") +
+                        (mesh.normals ? "/" + (vnOffset + v) : ""));
+                }
+                lines.push(face.join(" "));
+            }
+
+            vOffset += mesh.positions.length / 3;
+
+            if (mesh.uv) {
+                vtOffset += mesh.uv.length / 2;
+            }
+
+            if (mesh.normals) {
+                vnOffset += mesh.normals.length / 3;
+            }
+        }
+
+        return lines.join("\n") + "\n";
+    };
+
+    /**
+     * Exports the materials of the geometry within a subgraph as a WaveFront MTL file, for the OBJ file exported
+     * by {@link #toOBJ}
+     *
+     * @param {SceneJS.Node} node Root of the subgraph
+     * @return {String} The MTL file
+     */
+    this.toMTL = function (node) {
+
+        var meshes = collectMeshes(node);
+        var lines = ["# Exported from SceneJS"];
+        var done = {};
+        var material;
+        var maps = { baseColor:"map_Kd", specular:"map_Ks", alpha:"map_d", normals:"map_bump", emit:"map_Ke" };
+
+        for (var i = 0, len = meshes.length; i < len; i++) {
+
+            material = meshes[i].material;
+
+            if (done[material.name]) {
+                continue;
+            }
+
+            done[material.name] = true;
+
+            var c = material.baseColor;
+            var s = material.specularColor;
+            var specular = material.specular;
+
+            lines.push("newmtl " + safeName(material.name));
+            lines.push("Kd " + c.r + " " + c.g + " " + c.b);
+            lines.push("Ks " + (s.r * specular) + " " + (s.g * specular) + " " + (s.b * specular));
+            lines.push("Ns " + material.shine);
+            lines.push("Ke " + material.emit + " " + material.emit + " " + material.emit);
+            lines.push("d " + material.alpha);
+
+            for (var j = 0; j < material.textures.length; j++) {
+                if (maps[material.textures[j].applyTo]) {
+                    lines.push(maps[material.textures[j].applyTo] + " " + material.textures[j].src);
+                }
+            }
+
+            lines.push("");
+        }
+
+        return lines.join("\n");
+    };
+
+    /**
+     * Exports the triangles within a subgraph as an STL file
+     *
+     * @param {SceneJS.Node} node Root of the subgraph
+     * @param {*} [options] Options
+     * @param {Boolean} [options.binary=false] Set true to export a binary STL file, otherwise exports an ASCII one
+     * @param {String} [options.name="scenejs"] Name of the solid, for an ASCII file
+     * @return {String|ArrayBuffer} The STL file, as a string when ASCII or an ArrayBuffer when binary
+     */
+    this.toSTL = function (node, options) {
+
+        options = options || {};
+
+        var meshes = collectMeshes(node);
+        var triangles = [];
+        var mesh;
+        var i, j, len;
+
+        for (i = 0, len = meshes.length; i < len; i++) {
+            mesh = meshes[i];
+            if (mesh.primitive == "triangles") {
+                for (j = 0; j < mesh.indices.length; j += 3) {
+                    triangles.push(getTriangle(mesh.positions, mesh.indices[j], mesh.indices[j + 1], mesh.indices[j + 2]));
+                }
+            }
+        }
+
+        var t;
+
+        if (options.binary) {
+
+            var data = new ArrayBuffer(84 + triangles.length * 50);
+            var view = new DataView(data);
+            var offset = 84;
+
+            view.setUint32(80, triangles.length, true);
+
+            for (i = 0, len = triangles.length; i < len; i++) {
+                t = triangles[i];
+                for (j = 0; j < 12; j++) {
+                    view.setFloat32(offset + j * 4, t[j], true);
+                }
+                offset += 50; // Attribute word stays zero
+            }
+
+            return data;
+        }
+
+        var name = options.name || "scenejs";
+        var lines = ["solid " + name];
+
+        for (i = 0, len = triangles.length; i < len; i++) {
+            t = triangles[i];
+            lines.push(
+                " facet normal " + t[0] + " " + t[1] + " " + t[2],
+                "  outer loop",
+                "   vertex " + t[3] + " " + t[4] + " " + t[5],
+                "   vertex " + t[6] + " " + t[7] + " " + t[8],
+                "   vertex " + t[9] + " " + t[10] + " " + t[11],
+                "  endloop",
+                " endfacet");
+        }
+
+        lines.push("endsolid " + name);
+
+        return lines.join("\n") + "\n";
+    };
+
+    /**
+     * Exports the geometry within a subgraph as a glTF 2.0 asset, with a node for each geometry
+     *
+     * @param {SceneJS.Node} node Root of the subgraph
+     * @param {*} [options] Options
+     * @param {Boolean} [options.binary=false] Set true to export a binary .glb file, otherwise exports a .gltf file
+     * with its buffer embedded as a data URI
+     * @return {String|ArrayBuffer} The asset, as a string when .gltf or an ArrayBuffer when .glb
+     */
+    this.toGLTF = function (node, options) {
+
+        options = options || {};
+
+        var meshes = collectMeshes(node);
+
+        var gltf = {
+            asset:{ version:"2.0", generator:"SceneJS" },
+            scene:0,
+            scenes:[{ nodes:[] }],
+            nodes:[],
+            meshes:[],
+            materials:[],
+            accessors:[],
+            bufferViews:[],
+            buffers:[]
+        };
+
+        var ctx = {
+            gltf:gltf,
+            chunks:[],
+            byteLength:0,
+            materials:{}, // Material indices, mapped to material names
+            textures:{}, // Texture indices, mapped to image URIs
+            gltfTextures:[],
+            gltfImages:[]
+        };
+
+        var mesh;
+        var attributes;
+        var primitive;
+
+        for (var i = 0, len = meshes.length; i < len; i++) {
+
+            mesh = meshes[i];
+
+            attributes = {
+                POSITION:addAccessor(ctx, new Float32Array(mesh.positions), "VEC3", 34962, true)
+            };
+
+            if (mesh.normals) {
+                attributes.NORMAL = addAccessor(ctx, new Float32Array(mesh.normals), "VEC3", 34962);
+            }
+
+            // glTF texture coordinates have their origin at the top of the image, where SceneJS flips images
+            // by default to have it at the bottom
+            var flipV = !mesh.material.textures.length || mesh.material.textures[0].flipY !== false;
+
+            if (mesh.uv) {
+                attributes.TEXCOORD_0 = addAccessor(ctx, flipUV(mesh.uv, flipV), "VEC2", 34962);
+            }
+
+            if (mesh.uv2) {
+                attributes.TEXCOORD_1 = addAccessor(ctx, flipUV(mesh.uv2, flipV), "VEC2", 34962);
+            }
+
+            if (mesh.colors) {
+                attributes.COLOR_0 = addAccessor(ctx, new Float32Array(mesh.colors), "VEC4", 34962);
+            }
+
+            primitive = {
+                attributes:attributes,
+                indices:addAccessor(ctx,
+                    (mesh.positions.length / 3 > 65536) ? new Uint32Array(mesh.indices) : new Uint16Array(mesh.indices),
+                    "SCALAR", 34963),
+                material:addMaterial(ctx, mesh.material),
+                mode:{ points:0, lines:1, triangles:4 }[mesh.primitive]
+            };
+
+            gltf.meshes.push({ name:mesh.name, primitives:[primitive] });
+            gltf.nodes.push({ name:mesh.name, mesh:gltf.meshes.length - 1 });
+            gltf.scenes[0].nodes.push(gltf.nodes.length - 1);
+        }
+
+        if (ctx.gltfTextures.length > 0) {
+            gltf.textures = ctx.gltfTextures;
+            gltf.images = ctx.gltfImages;
+        }
+
+        var bin = new Uint8Array(ctx.byteLength);
+        for (i = 0; i < ctx.chunks.length; i++) {
+            bin.set(ctx.chunks[i].bytes, ctx.chunks[i].offset);
+        }
+
+        if (!options.binary) {
+            if (bin.length > 0) {
+                gltf.buffers.push({
+                    byteLength:bin.length,
+                    uri:"data:application/octet-stream;base64," + encodeBase64(bin)
+                });
+            } else {
+                delete gltf.buffers;
+                delete gltf.bufferViews;
+                delete gltf.accessors;
+            }
+            return JSON.stringify(gltf);
+        }
+
+        gltf.buffers.push({ byteLength:bin.length });
+
+        var json = encodeText(JSON.stringify(gltf));
+        var jsonLength = align4(json.length);
+        var binLength = align4(bin.length);
+        var data = new ArrayBuffer(12 + 8 + jsonLength + 8 + binLength);
+        var view = new DataView(data);
+        var bytes = new Uint8Array(data);
+
+        view.setUint32(0, 0x46546C67, true); // "glTF"
+        view.setUint32(4, 2, true);
+        view.setUint32(8, data.byteLength, true);
+
+        view.setUint32(12, jsonLength, true);
+        view.setUint32(16, 0x4E4F534A, true); // "JSON"
+        bytes.set(json, 20);
+        for (i = json.length; i < jsonLength; i++) {
+            bytes[20 + i] = 0x20; // JSON chunk is padded with spaces
+        }
+
+        view.setUint32(20 + jsonLength, binLength, true);
+        view.setUint32(24 + jsonLength, 0x004E4942, true); // "BIN"
+        bytes.set(bin, 28 + jsonLength);
+
+        return data;
+    };
+
+    /**
+     * Collects a mesh for each exportable geometry within the subgraph of the given node, with its arrays
+     * transformed into World space, along with the material that applies to it
+     */
+    function collectMeshes(node) {
+
+        if (!node || !node.nodes) {
+            throw SceneJS_error.fatalError(SceneJS.errors.ILLEGAL_NODE_CONFIG, "node expected");
+        }
+
+        // The state that applies to the node from its ancestors
+        var state = {};
+        var ancestors = [];
+        for (var parent = node.parent; parent; parent = parent.parent) {
+            ancestors.unshift(parent);
+        }
+        for (var i = 0, len = ancestors.length; i < len; i++) {
+            state = getState(ancestors[i], state);
+            if (!state) {
+                return [];
+            }
+        }
+
+        var meshes = [];
+
+        collect(node, SceneJS_boundaryModule.getParentMatrix(node), state, meshes);
+
+        return meshes;
+    }
+
+    /**
+     * Returns the state that applies within a node, given the state that applies to it, or null if
+     * the node's subgraph isn't rendered
+     */
+    function getState(node, state) {
+
+        switch (node.type) {
+
+            case "library":
+                return null;
+
+            case "enable":
+                return node.getEnabled() ? state : null;
+
+            case "flags":
+                return node._core.enabled === false ? null : SceneJS._apply({ flags:node._core }, SceneJS._shallowClone(state));
+
+            case "material":
+                return SceneJS._apply({ material:node }, SceneJS._shallowClone(state));
+
+            case "texture":
+                return SceneJS._apply({ texture:node }, SceneJS._shallowClone(state));
+
+            case "name":
+                return SceneJS._apply({ name:node.getName() }, SceneJS._shallowClone(state));
+
+            case "geometry":
+                var arrays = node._core.arrays;
+                return (arrays && arrays.positions)
+                    ? SceneJS._apply({ vertexArrays:arrays }, SceneJS._shallowClone(state))
+                    : state;
+
+            default:
+                return state;
+        }
+    }
+
+    function collect(node, matrix, state, meshes) {
+
+        state = getState(node, state);
+
+        if (!state) {
+            return;
+        }
+
+        var modelMatrix = SceneJS_boundaryModule.getModelMatrix(node);
+        if (modelMatrix) {
+            matrix = SceneJS_math_mulMat4(matrix, modelMatrix, SceneJS_math_mat4());
+        }
+
+        if (node.type == "geometry") {
+            var mesh = buildMesh(node, matrix, state);
+            if (mesh) {
+                meshes.push(mesh);
+            }
+        }
+
+        if (node.type == "instances") { // Subgraph is exported once for each instance
+            var matrices = node.getMatrices();
+            for (var j = 0, lenj = node.getNumInstances(); j < lenj; j++) {
+                var instanceMatrix = SceneJS_math_mulMat4(matrix, matrices.subarray(j * 16, j * 16 + 16), SceneJS_math_mat4());
+                for (var k = 0, lenk = node.nodes.length; k < lenk; k++) {
+                    collect(node.nodes[k], instanceMatrix, state, meshes);
+                }
+            }
+            return;
+        }
+
+        for (var i = 0, len = node.nodes.length; i < len; i++) {
+            collect(node.nodes[i], matrix, state, meshes);
+        }
+    }
+
+    /**
+     * Builds a mesh for a geometry, with only the vertices that its indices use, in World space
+     */
+    function buildMesh(node, matrix, state) {
+
+        var core = node._core;
+        var arrays = core.arrays;
+        var vertexArrays = state.vertexArrays; // Own arrays, or arrays inherited from a higher geometry
+
+        if (!arrays || !arrays.indices || !vertexArrays || core._loading) {
+            return null;
+        }
+
+        var list = SceneJS.Geometry._toListIndices(arrays.indices, core.primitiveName);
+        var indices = list.indices;
+
+        var normalMatrix = SceneJS_math_transposeMat4(SceneJS_math_inverseMat4(matrix, SceneJS_math_mat4()));
+        var mirrored = SceneJS_math_determinantMat4(matrix) < 0;
+        var clockwise = !!(state.flags && state.flags.frontface == "cw");
+
+        var mesh = {
+            name:state.name || node.id,
+            primitive:list.primitive,
+            positions:[],
+            normals:vertexArrays.normals ? [] : null,
+            uv:vertexArrays.uv ? [] : null,
+            uv2:vertexArrays.uv2 ? [] : null,
+            colors:vertexArrays.colors ? [] : null,
+            indices:[],
+            material:getMaterial(state)
+        };
+
+        var vertexMap = {};
+        var index;
+        var v;
+        var p;
+        var n;
+
+        for (var i = 0, len = indices.length; i < len; i++) {
+
+            v = indices[i];
+            index = vertexMap[v];
+
+            if (index == undefined) {
+
+                index = vertexMap[v] = mesh.positions.length / 3;
+
+                p = SceneJS_math_transformPoint3(matrix, [vertexArrays.positions[v * 3], vertexArrays.positions[v * 3 + 1], vertexArrays.positions[v * 3 + 2]]);
+                mesh.positions.push(p[0], p[1], p[2]);
+
+                if (mesh.normals) {
+                    n = SceneJS_math_transformVector3(normalMatrix, [vertexArrays.normals[v * 3], vertexArrays.normals[v * 3 + 1], vertexArrays.normals[v * 3 + 2]]);
+                    n = normalize(n);
+                    mesh.normals.push(n[0], n[1], n[2]);
+                }
+
+                if (mesh.uv) {
+                    mesh.uv.push(vertexArrays.uv[v * 2], vertexArrays.uv[v * 2 + 1]);
+                }
+
+                if (mesh.uv2) {
+                    mesh.uv2.push(vertexArrays.uv2[v * 2], vertexArrays.uv2[v * 2 + 1]);
+                }
+
+                if (mesh.colors) {
+                    mesh.colors.push(vertexArrays.colors[v * 4], vertexArrays.colors[v * 4 + 1], vertexArrays.colors[v * 4 + 2], vertexArrays.colors[v * 4 + 3]);
+                }
+            }
+
+            mesh.indices.push(index);
+        }
+
+        // Keep triangles counter-clockwise when the transform mirrors them or they're wound clockwise
+        if (list.primitive == "triangles" && (mirrored != clockwise)) {
+            for (i = 0, len = mesh.indices.length; i < len; i += 3) {
+                v = mesh.indices[i + 1];
+                mesh.indices[i + 1] = mesh.indices[i + 2];
+                mesh.indices[i + 2] = v;
+            }
+        }
+
+        return mesh.indices.length > 0 ? mesh : null;
+    }
+
+    /**
+     * Returns the material that applies to a geometry, with the image URIs of the texture layers that apply to it
+     */
+    function getMaterial(state) {
+
+        var material = state.material;
+        var flags = state.flags;
+
+        var json = {
+            name:material ? material.id : "default",
+            model:material ? material.getModel() : "phong",
+            baseColor:material ? material.getBaseColor() : { r:1, g:1, b:1 },
+            specularColor:material ? material.getSpecularColor() : { r:1, g:1, b:1 },
+            specular:material ? material.getSpecular() : 1,
+            shine:material ? material.getShine() : 70,
+            emit:material ? material.getEmit() : 0,
+            emitColor:material ? material.getEmitColor() : null,
+            alphaCutoff:material ? material.getAlphaCutoff() : 0,
+            metallic:material ? material.getMetallic() : 0,
+            roughness:material ? material.getRoughness() : 0.5,
+            alpha:material ? material.getAlpha() : 1,
+            transparent:!!(flags && flags.transparent),
+            doubleSided:!(flags && flags.backfaces === false),
+            textures:[]
+        };
+
+        if (state.texture) {
+
+            var layers = state.texture._core.layers;
+            var layer;
+
+            json.name += ":" + state.texture.id; // Geometries with the same material can have different textures
+
+            for (var i = 0, len = layers.length; i < len; i++) {
+                layer = layers[i];
+                if (layer.src || layer.uri) {
+                    json.textures.push({
+                        src:layer.src || layer.uri,
+                        applyTo:layer.applyTo,
+                        applyFrom:layer.applyFrom,
+                        blendFactor:layer.blendFactor,
+                        flipY:layer.flipY
+                    });
+                }
+            }
+        }
+
+        return json;
+    }
+
+    /**
+     * Returns the normal and vertices of a triangle, as a flat array
+     */
+    function getTriangle(positions, a, b, c) {
+
+        a *= 3;
+        b *= 3;
+        c *= 3;
+
+        var n = normalize(SceneJS_math_cross3Vec3(
+            [positions[b] - positions[a], positions[b + 1] - positions[a + 1], positions[b + 2] - positions[a + 2]],
+            [positions[c] - positions[a], positions[c + 1] - positions[a + 1], positions[c + 2] - positions[a + 2]],
+            [0, 0, 0]));
+
+        return [
+            n[0], n[1], n[2],
+            positions[a], positions[a + 1], positions[a + 2],
+            positions[b], positions[b + 1], positions[b + 2],
+            positions[c], positions[c + 1], positions[c + 2]
+        ];
+    }
+
+    function normalize(v) {
+        var len = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+        return (len > 0) ? [v[0] / len, v[1] / len, v[2] / len] : [0, 0, 0];
+    }
+
+    function safeName(name) {
+        return String(name).replace(/\s+/g, "_");
+    }
+
+    function flipUV(uv, flipV) {
+        var result = new Float32Array(uv);
+        if (flipV) {
+            for (var i = 1, len = result.length; i < len; i += 2) {
+                result[i] = 1 - result[i];
+            }
+        }
+        return result;
+    }
+
+    function align4(length) {
+        return (length + 3) & ~3;
+    }
+
+    /**
+     * Adds an accessor and buffer view for a typed array to a glTF asset, returning the index of the accessor
+     */
+    function addAccessor(ctx, array, type, target, withBounds) {
+
+        var gltf = ctx.gltf;
+        var offset = align4(ctx.byteLength);
+
+        ctx.chunks.push({ offset:offset, bytes:new Uint8Array(array.buffer, array.byteOffset, array.byteLength) });
+        ctx.byteLength = offset + array.byteLength;
+
+        gltf.bufferViews.push({
+            buffer:0,
+            byteOffset:offset,
+            byteLength:array.byteLength,
+            target:target
+        });
+
+        var size = { SCALAR:1, VEC2:2, VEC3:3, VEC4:4 }[type];
+
+        var accessor = {
+            bufferView:gltf.bufferViews.length - 1,
+            componentType:(array instanceof Float32Array) ? 5126 : (array instanceof Uint32Array) ? 5125 : 5123,
+            count:array.length / size,
+            type:type
+        };
+
+        if (withBounds) { // Required for positions
+            accessor.min = [];
+            accessor.max = [];
+            for (var i = 0; i < size; i++) {
+                accessor.min.push(Infinity);
+                accessor.max.push(-Infinity);
+            }
+            for (var j = 0; j < array.length; j++) {
+                accessor.min[j % size] = Math.min(accessor.min[j % size], array[j]);
+                accessor.max[j % size] = Math.max(accessor.max[j % size], array[j]);
+            }
+        }
+
+        gltf.accessors.push(accessor);
+
+        return gltf.accessors.length - 1;
+    }
+
+    /**
+     * Adds a material to a glTF asset, unless already added, returning the index of the material
+     */
+    function addMaterial(ctx, material) {
+
+        var index = ctx.materials[material.name];
+
+        if (index != undefined) {
+            return index;
+        }
+
+        var c = material.baseColor;
+        var pbr = material.model == "pbr";
+        var e = (pbr && material.emitColor) ? material.emitColor : c;
+
+        var json = {
+            name:material.name,
+            pbrMetallicRoughness:{
+                baseColorFactor:[c.r, c.g, c.b, material.alpha],
+                metallicFactor:pbr ? material.metallic : 0,
+                roughnessFactor:pbr ? material.roughness : Math.sqrt(2 / (material.shine + 2)) // Approximates a Phong exponent
+            },
+            emissiveFactor:[material.emit * e.r, material.emit * e.g, material.emit * e.b],
+            alphaMode:(material.transparent || material.alpha < 1) ? "BLEND" : (material.alphaCutoff > 0 ? "MASK" : "OPAQUE"),
+            doubleSided:material.doubleSided
+        };
+
+        if (json.alphaMode == "MASK") {
+            json.alphaCutoff = material.alphaCutoff;
+        }
+
+        var texture;
+
+        for (var i = 0, len = material.textures.length; i < len; i++) {
+
+            texture = material.textures[i];
+
+            var info = {
+                index:addTexture(ctx, texture.src),
+                texCoord:texture.applyFrom == "uv2" ? 1 : 0
+            };
+
+            if (texture.applyTo == "baseColor" && !json.pbrMetallicRoughness.baseColorTexture) {
+                json.pbrMetallicRoughness.baseColorTexture = info;
+            } else if ((texture.applyTo == "emit" || (texture.applyTo == "emitColor" && pbr)) && !json.emissiveTexture) {
+                json.emissiveTexture = info;
+                if (!material.emit) {
+                    json.emissiveFactor = [1, 1, 1];
+                }
+            } else if (texture.applyTo == "normals" && !json.normalTexture) {
+                json.normalTexture = info;
+            } else if ((texture.applyTo == "metallic" || texture.applyTo == "roughness") && pbr &&
+                !json.pbrMetallicRoughness.metallicRoughnessTexture) {
+                json.pbrMetallicRoughness.metallicRoughnessTexture = info; // One image holds both channels
+            } else if (texture.applyTo == "occlusion" && !json.occlusionTexture) {
+                if (texture.blendFactor != undefined && texture.blendFactor != 1) {
+                    info.strength = texture.blendFactor;
+                }
+                json.occlusionTexture = info;
+            }
+        }
+
+        ctx.gltf.materials.push(json);
+
+        return ctx.materials[material.name] = ctx.gltf.materials.length - 1;
+    }
+
+    function addTexture(ctx, uri) {
+        var index = ctx.textures[uri];
+        if (index == undefined) {
+            ctx.gltfImages.push({ uri:uri });
+            ctx.gltfTextures.push({ source:ctx.gltfImages.length - 1 });
+            index = ctx.textures[uri] = ctx.gltfTextures.length - 1;
+        }
+        return index;
+    }
+
+    var BASE64_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+    function encodeBase64(bytes) {
+        var s = [];
+        var b0, b1, b2;
+        for (var i = 0, len = bytes.length; i < len; i += 3) {
+            b0 = bytes[i];
+            b1 = (i + 1 < len) ? bytes[i + 1] : 0;
+            b2 = (i + 2 < len) ? bytes[i + 2] : 0;
+            s.push(
+                BASE64_CHARS.charAt(b0 >> 2),
+                BASE64_CHARS.charAt(((b0 & 3) << 4) | (b1 >> 4)),
+                (i + 1 < len) ? BASE64_CHARS.charAt(((b1 & 15) << 2) | (b2 >> 6)) : "=",
+                (i + 2 < len) ? BASE64_CHARS.charAt(b2 & 63) : "=");
+        }
+        return s.join("");
+    }
+
+    function encodeText(text) {
+        var utf8 = unescape(encodeURIComponent(text));
+        var bytes = new Uint8Array(utf8.length);
+        for (var i = 0, len = utf8.length; i < len; i++) {
+            bytes[i] = utf8.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+})();
@@ -19,7 +19,9 @@
         diffuse: true,              // Diffuse lighting enabled
         specular: true,             // Specular lighting enabled
         ambient: true,              // Ambient lighting enabled
-        reflection : true           // Reflection enabled by default
+        reflection : true,          // Reflection enabled by default
+        castShadows : true,         // Casts shadows from shadow-casting lights
+        receiveShadows : true       // Shadowed by shadow-casting lights
     };
 
     var coreStack = [];
@@ -54,6 +56,8 @@
             this._core.specular = true;          // Specular lighting enabled by default
             this._core.ambient = true;           // Ambient lighting enabled by default
             this._core.reflection = true;           // Reflection enabled by default
+            this._core.castShadows = true;       // Casts shadows by default
+            this._core.receiveShadows = true;    // Receives shadows by default
 
             if (params.flags) {                 // 'flags' property is actually optional in the node definition
                 this.setFlags(params.flags);
@@ -125,6 +129,16 @@
             this._engine.display.imageDirty = true;
         }
 
+        if (flags.castShadows != undefined) {
+            core.castShadows = !!flags.castShadows;
+            this._engine.display.drawListDirty = true;
+        }
+
+        if (flags.receiveShadows != undefined) {
+            core.receiveShadows = !!flags.receiveShadows;
+            this._engine.display.imageDirty = true;
+        }
+
         return this;
     };
 
@@ -156,7 +170,9 @@
             ambient: core.ambient,
             backfaceLighting: core.backfaceLighting,
             backfaceTexturing: core.backfaceTexturing,
-            reflection: core.reflection
+            reflection: core.reflection,
+            castShadows: core.castShadows,
+            receiveShadows: core.receiveShadows
         };
     };
 
@@ -315,6 +331,38 @@
         return this._core.reflection;
     };
 
+    SceneJS.Flags.prototype.setCastShadows = function(castShadows) {
+        castShadows = !!castShadows;
+        if (this._core.castShadows != castShadows) {
+            this._core.castShadows = castShadows;
+            this._engine.display.drawListDirty = true;
+        }
+        return this;
+    };
+
+    SceneJS.Flags.prototype.getCastShadows = function() {
+        return this._core.castShadows;
+    };
+
+    SceneJS.Flags.prototype.setReceiveShadows = function(receiveShadows) {
+        receiveShadows = !!receiveShadows;
+        if (this._core.receiveShadows != receiveShadows) {
+            this._core.receiveShadows = receiveShadows;
+            this._engine.display.imageDirty = true;
+        }
+        return this;
+    };
+
+    SceneJS.Flags.prototype.getReceiveShadows = function() {
+        return this._core.receiveShadows;
+    };
+
+    SceneJS.Flags.prototype._getJSON = function () {
+        return {
+            flags:this.getFlags()
+        };
+    };
+
     SceneJS.Flags.prototype._compile = function(ctx) {
         this._engine.display.flags = coreStack[stackLen++] = this._core;
         this._compileNodes(ctx);
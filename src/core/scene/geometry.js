@@ -87,6 +87,7 @@ new (function () {
                                             : data.positions) : undefined;
                                     }
                                     self._initNodeCore(data, options);
+                                    SceneJS_boundaryModule.invalidateCore(self._core);
                                     SceneJS.Geometry._buildNodeCore(self._engine.canvas.gl, self._core);
                                     self._core._loading = false;
                                     //self._fireEvent("loaded");
@@ -106,6 +107,9 @@ new (function () {
                                         core.vertexBuf.bind();
                                         core.vertexBuf.setData(data.positions, data.positionsOffset || 0);
 
+                                        core.boundary = null;
+                                        SceneJS_boundaryModule.invalidateCore(core);
+
                                         if (data.positions.length > core.arrays.positions.length) {
                                             core.arrays.positions = data.positions;
 
@@ -199,6 +203,10 @@ new (function () {
                                     }
 
                                     self._engine.display.imageDirty = true;
+
+                                    if (core.batchNodes) {
+                                        SceneJS.Batch._coreUpdated(core);
+                                    }
                                 }
                             }
                         );
@@ -234,6 +242,7 @@ new (function () {
 
         var primitive = data.primitive || "triangles";
         this._core.primitive = this._getPrimitiveType(primitive);
+        this._core.primitiveName = primitive;
 
         var normals;
 
@@ -260,10 +269,24 @@ new (function () {
             uv:data.uv ? new Float32Array(data.uv) : undefined,
             uv2:data.uv2 ? new Float32Array(data.uv2) : undefined,
             colors:data.colors ? new Float32Array(data.colors) : undefined,
-            indices:data.indices ? new Uint16Array(data.indices) : undefined
+            indices:data.indices ? this._createIndexArray(data.indices) : undefined
         };
     };
 
+    /**
+     * Creates a typed array for indices, which is a Uint32Array when any index is too large for a Uint16Array
+     */
+    SceneJS.Geometry.prototype._createIndexArray = function (indices) {
+
+        for (var i = 0, len = indices.length; i < len; i++) {
+            if (indices[i] > 65535) {
+                return new Uint32Array(indices);
+            }
+        }
+
+        return new Uint16Array(indices);
+    };
+
     /**
      * Returns WebGL constant for primitive name
      */
@@ -344,6 +367,27 @@ new (function () {
      * Destroy vertex buffers associated with given core
      */
     var destroyBuffers = function (core) {
+
+        if (core.batches) {
+
+            var firstBatch = core.batches[0];
+
+            // The core may hold the buffers of its first batch
+            var names = ["vertexBuf", "normalBuf", "uvBuf", "uvBuf2", "colorBuf", "instanceColorBuf", "pickIndexBuf", "indexBuf"];
+            for (var j = 0; j < names.length; j++) {
+                if (core[names[j]] && core[names[j]] === firstBatch[names[j]]) {
+                    core[names[j]] = null;
+                }
+            }
+
+            for (var i = 0, len = core.batches.length; i < len; i++) {
+                destroyBuffers(core.batches[i]);
+            }
+
+            core.batches = null;
+            core.batchSource = null;
+        }
+
         if (core.vertexBuf) {
             core.vertexBuf.destroy();
             core.vertexBuf = null;
@@ -369,6 +413,16 @@ new (function () {
             core.colorBuf = null;
         }
 
+        if (core.instanceColorBuf) {
+            core.instanceColorBuf.destroy();
+            core.instanceColorBuf = null;
+        }
+
+        if (core.pickIndexBuf) {
+            core.pickIndexBuf.destroy();
+            core.pickIndexBuf = null;
+        }
+
         if (core.indexBuf) {
             core.indexBuf.destroy();
             core.indexBuf = null;
@@ -380,6 +434,12 @@ new (function () {
         }
     };
 
+    /**
+     * Destroys the vertex buffers of a core, for {@link SceneJS.Batch} nodes, which build their own geometry cores
+     * @private
+     */
+    SceneJS.Geometry._destroyBuffers = destroyBuffers;
+
     /**
      * Allocates WebGL buffers for geometry arrays
      *
@@ -393,6 +453,28 @@ new (function () {
         try { // TODO: Modify usage flags in accordance with how often geometry is evicted
 
             var arrays = core.arrays;
+
+            // Indices beyond the range of a Uint16Array need the OES_element_index_uint extension, without which
+            // the arrays are split into batches that can each be drawn with 16-bit indices
+            core.indexType = gl.UNSIGNED_SHORT;
+            core.splitIndices = false;
+            core.batches = null;
+            core.batchSource = null;
+
+            if (arrays.indices && arrays.indices.BYTES_PER_ELEMENT == 4) {
+                if (gl.getExtension("OES_element_index_uint")) {
+                    core.indexType = gl.UNSIGNED_INT;
+                } else {
+                    core.splitIndices = true;
+                }
+            }
+
+            if (core.splitIndices) {
+                if (arrays.positions) {
+                    setBatches(core, buildBatches(gl, arrays, arrays.indices, core.primitiveName));
+                }
+                return; // Otherwise batched against inherited arrays when compiled - see #_inheritVBOs
+            }
             var canInterleave = true;
             var dataLength = 0;
             var interleavedValues = 0;
@@ -436,6 +518,14 @@ new (function () {
                 core.colorBuf = new SceneJS_webgl_ArrayBuffer(gl, gl.ARRAY_BUFFER, arrays.colors, arrays.colors.length, 4, usage);
             }
 
+            if (arrays.instanceColors) { // Colors of instances merged by a SceneJS.Instances, not interleaved
+                core.instanceColorBuf = new SceneJS_webgl_ArrayBuffer(gl, gl.ARRAY_BUFFER, arrays.instanceColors, arrays.instanceColors.length, 4, usage);
+            }
+
+            if (arrays.pickIndices) { // Only used for picking, so not interleaved
+                core.pickIndexBuf = new SceneJS_webgl_ArrayBuffer(gl, gl.ARRAY_BUFFER, arrays.pickIndices, arrays.pickIndices.length, 1, usage);
+            }
+
             if (arrays.indices) {
                 core.indexBuf = new SceneJS_webgl_ArrayBuffer(gl, gl.ELEMENT_ARRAY_BUFFER, arrays.indices, arrays.indices.length, 1, usage);
             }
@@ -468,6 +558,171 @@ new (function () {
         }
     };
 
+    // Buffers for each vertex array, with their item sizes
+    var batchArrays = [
+        { name:"positions", buf:"vertexBuf", size:3 },
+        { name:"normals", buf:"normalBuf", size:3 },
+        { name:"uv", buf:"uvBuf", size:2 },
+        { name:"uv2", buf:"uvBuf2", size:2 },
+        { name:"colors", buf:"colorBuf", size:4 },
+        { name:"instanceColors", buf:"instanceColorBuf", size:4 },
+        { name:"pickIndices", buf:"pickIndexBuf", size:1 }
+    ];
+
+    /**
+     * Splits indexed vertex arrays into batches that each have no more vertices than can be drawn with 16-bit
+     * indices. Strips, fans and loops are converted into lists of separate primitives so that they can be split.
+     * Each batch has its own vertex and index buffers, along with a map to the logical vertex of each of its vertices.
+     */
+    var buildBatches = function (gl, arrays, indices, primitiveName) {
+
+        var list = SceneJS.Geometry._toListIndices(indices, primitiveName);
+        var primitive = gl[{ points:"POINTS", lines:"LINES", triangles:"TRIANGLES" }[list.primitive]];
+        var elementSize = { points:1, lines:2, triangles:3 }[list.primitive];
+
+        var numVertices = arrays.positions.length / 3;
+        var batchOf = new Int32Array(numVertices); // Number of the batch that each vertex was last added to, plus one
+        var localIndices = new Int32Array(numVertices);
+
+        var batches = [];
+        var vertexMap = [];
+        var batchIndices = [];
+        var i, j, len;
+        var v;
+
+        var flush = function () {
+            var batch = {
+                primitive:primitive,
+                vertexMap:new Uint32Array(vertexMap),
+                indexBuf:new SceneJS_webgl_ArrayBuffer(gl, gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(batchIndices), batchIndices.length, 1, gl.STATIC_DRAW)
+            };
+            for (var k = 0; k < batchArrays.length; k++) {
+                var array = arrays[batchArrays[k].name];
+                if (array) {
+                    var values = gatherArray(array, batchArrays[k].size, batch.vertexMap);
+                    batch[batchArrays[k].buf] = new SceneJS_webgl_ArrayBuffer(gl, gl.ARRAY_BUFFER, values, values.length, batchArrays[k].size, gl.STATIC_DRAW);
+                }
+            }
+            batches.push(batch);
+            vertexMap = [];
+            batchIndices = [];
+        };
+
+        for (i = 0, len = list.indices.length - elementSize + 1; i < len; i += elementSize) {
+
+            if (vertexMap.length + elementSize > 65536) {
+                flush();
+            }
+
+            for (j = 0; j < elementSize; j++) {
+                v = list.indices[i + j];
+                if (batchOf[v] != batches.length + 1) {
+                    batchOf[v] = batches.length + 1;
+                    localIndices[v] = vertexMap.length;
+                    vertexMap.push(v);
+                }
+                batchIndices.push(localIndices[v]);
+            }
+        }
+
+        if (batchIndices.length > 0 || batches.length == 0) {
+            flush();
+        }
+
+        return batches;
+    };
+
+    /**
+     * Converts indices for the given primitive type into indices for a list of points, lines or triangles
+     *
+     * @param {Array} indices Indices for the primitive type
+     * @param {String} primitiveName Primitive type, as given to geometry nodes
+     * @return {*} The list primitive type and its indices, as { primitive: "points" | "lines" | "triangles", indices }
+     * @private
+     */
+    SceneJS.Geometry._toListIndices = function (indices, primitiveName) {
+
+        var list = [];
+        var i, len;
+
+        switch (primitiveName) {
+
+            case "triangle-strip":
+                for (i = 0, len = indices.length - 2; i < len; i++) {
+                    if (i % 2 == 0) {
+                        list.push(indices[i], indices[i + 1], indices[i + 2]);
+                    } else {
+                        list.push(indices[i + 1], indices[i], indices[i + 2]); // Keep winding consistent
+                    }
+                }
+                return { primitive:"triangles", indices:list };
+
+            case "triangle-fan":
+                for (i = 1, len = indices.length - 1; i < len; i++) {
+                    list.push(indices[0], indices[i], indices[i + 1]);
+                }
+                return { primitive:"triangles", indices:list };
+
+            case "line-strip":
+            case "line-loop":
+                for (i = 0, len = indices.length - 1; i < len; i++) {
+                    list.push(indices[i], indices[i + 1]);
+                }
+                if (primitiveName == "line-loop" && indices.length > 2) {
+                    list.push(indices[indices.length - 1], indices[0]);
+                }
+                return { primitive:"lines", indices:list };
+
+            default:
+                return { primitive:primitiveName, indices:indices };
+        }
+    };
+
+    /**
+     * Gathers the items of a logical vertex array for the vertices of a batch
+     */
+    var gatherArray = function (array, size, vertexMap) {
+        var values = new Float32Array(vertexMap.length * size);
+        for (var i = 0, len = vertexMap.length; i < len; i++) {
+            for (var j = 0; j < size; j++) {
+                values[i * size + j] = array[vertexMap[i] * size + j];
+            }
+        }
+        return values;
+    };
+
+    /**
+     * Sets batches on a core, which takes the buffers of the first batch so that the core
+     * describes which vertex arrays it has, while its draw chunk draws all the batches
+     */
+    var setBatches = function (core, batches) {
+        core.batches = batches;
+        core.vertexBuf = batches[0].vertexBuf;
+        core.normalBuf = batches[0].normalBuf;
+        core.uvBuf = batches[0].uvBuf;
+        core.uvBuf2 = batches[0].uvBuf2;
+        core.colorBuf = batches[0].colorBuf;
+        core.instanceColorBuf = batches[0].instanceColorBuf;
+        core.pickIndexBuf = batches[0].pickIndexBuf;
+        core.indexBuf = batches[0].indexBuf;
+    };
+
+    /**
+     * Updates the buffers of a core's batches from one of its logical vertex arrays
+     */
+    var updateBatches = function (core, name) {
+        for (var i = 0; i < batchArrays.length; i++) {
+            if (batchArrays[i].name == name) {
+                for (var j = 0, len = core.batches.length; j < len; j++) {
+                    var batch = core.batches[j];
+                    batch[batchArrays[i].buf].bind();
+                    batch[batchArrays[i].buf].setData(gatherArray(core.arrays[name], batchArrays[i].size, batch.vertexMap), 0);
+                }
+                return;
+            }
+        }
+    };
+
     SceneJS.Geometry.prototype._updateArray = function (array, items, offset) {
 
         var arrayLen = array.length;
@@ -496,7 +751,7 @@ new (function () {
         var v2;
         var v3;
 
-        for (var i = 0, len = indices.length - 3; i < len; i += 3) {
+        for (var i = 0, len = indices.length - 2; i < len; i += 3) {
             j0 = indices[i + 0];
             j1 = indices[i + 1];
             j2 = indices[i + 2];
@@ -523,6 +778,12 @@ new (function () {
 
         // now go through and average out everything
         for (var i = 0, len = nvecs.length; i < len; i++) {
+            if (!nvecs[i]) { // Vertex not used by any triangle
+                normals[i * 3 + 0] = 0;
+                normals[i * 3 + 1] = 0;
+                normals[i * 3 + 2] = 1;
+                continue;
+            }
             var count = nvecs[i].length;
             var x = 0;
             var y = 0;
@@ -551,17 +812,36 @@ new (function () {
         return this._sourceConfigs || {};
     };
 
+    // Setters take an array in a map, with an optional offset, or the whole array alone, as returned by its getter
+    function setterData(data, name) {
+        if (data && (SceneJS._isArray(data) || typeof data.BYTES_PER_ELEMENT == "number")) {
+            var map = {};
+            map[name] = data;
+            return map;
+        }
+        return data || {};
+    }
+
     SceneJS.Geometry.prototype.setPositions = function (data) {
+        data = setterData(data, "positions");
         if (data.positions && this._core.vertexBuf) {
-            this._boundary = null;
             var core = this._core;
-            core.vertexBuf.bind();
-            core.vertexBuf.setData(new Float32Array(data.positions), data.positionsOffset || 0);
+            core.boundary = null;
+            SceneJS_boundaryModule.invalidateCore(core);
             core.arrays.positions.set(data.positions, data.positionsOffset || 0);
+            if (core.batches) {
+                updateBatches(core, "positions");
+            } else {
+                core.vertexBuf.bind();
+                core.vertexBuf.setData(new Float32Array(data.positions), data.positionsOffset || 0);
+            }
             this._engine.display.imageDirty = true;
             if (core.interleavedBuf) {
                 core.interleavedBuf.dirty = true;
             }
+            if (core.batchNodes) { // Merged into batches, which need rebuilding
+                SceneJS.Batch._coreUpdated(core);
+            }
         }
     };
 
@@ -570,15 +850,23 @@ new (function () {
     };
 
     SceneJS.Geometry.prototype.setNormals = function (data) {
+        data = setterData(data, "normals");
         if (data.normals && this._core.normalBuf) {
             var core = this._core;
-            core.normalBuf.bind();
-            core.normalBuf.setData(new Float32Array(data.normals), data.normalsOffset || 0);
             core.arrays.normals.set(data.normals, data.normalsOffset || 0);
+            if (core.batches) {
+                updateBatches(core, "normals");
+            } else {
+                core.normalBuf.bind();
+                core.normalBuf.setData(new Float32Array(data.normals), data.normalsOffset || 0);
+            }
             this._engine.display.imageDirty = true;
             if (core.interleavedBuf) {
                 core.interleavedBuf.dirty = true;
             }
+            if (core.batchNodes) { // Merged into batches, which need rebuilding
+                SceneJS.Batch._coreUpdated(core);
+            }
         }
     };
 
@@ -587,15 +875,23 @@ new (function () {
     };
 
     SceneJS.Geometry.prototype.setColors = function (data) {
+        data = setterData(data, "colors");
         if (data.colors && this._core.colorBuf) {
             var core = this._core;
-            core.colorBuf.bind();
-            core.colorBuf.setData(new Float32Array(data.colors), data.colorsOffset || 0);
             core.arrays.colors.set(data.colors, data.colorsOffset || 0);
+            if (core.batches) {
+                updateBatches(core, "colors");
+            } else {
+                core.colorBuf.bind();
+                core.colorBuf.setData(new Float32Array(data.colors), data.colorsOffset || 0);
+            }
             this._engine.display.imageDirty = true;
             if (core.interleavedBuf) {
                 core.interleavedBuf.dirty = true;
             }
+            if (core.batchNodes) { // Merged into batches, which need rebuilding
+                SceneJS.Batch._coreUpdated(core);
+            }
         }
     };
 
@@ -608,15 +904,23 @@ new (function () {
     };
 
     SceneJS.Geometry.prototype.setUV = function (data) {
+        data = setterData(data, "uv");
         if (data.uv && this._core.uvBuf) {
             var core = this._core;
-            core.uvBuf.bind();
-            core.uvBuf.setData(new Float32Array(data.uv), data.uvOffset || 0);
             core.arrays.uv.set(data.uv, data.uvOffset || 0);
+            if (core.batches) {
+                updateBatches(core, "uv");
+            } else {
+                core.uvBuf.bind();
+                core.uvBuf.setData(new Float32Array(data.uv), data.uvOffset || 0);
+            }
             this._engine.display.imageDirty = true;
             if (core.interleavedBuf) {
                 core.interleavedBuf.dirty = true;
             }
+            if (core.batchNodes) { // Merged into batches, which need rebuilding
+                SceneJS.Batch._coreUpdated(core);
+            }
         }
     };
 
@@ -625,15 +929,23 @@ new (function () {
     };
 
     SceneJS.Geometry.prototype.setUV2 = function (data) {
-        if (data.uv2 && this._core.uv2Buf) {
+        data = setterData(data, "uv2");
+        if (data.uv2 && this._core.uvBuf2) {
             var core = this._core;
-            core.uv2Buf.bind();
-            core.uv2Buf.setData(new Float32Array(data.uv2), data.uv2Offset || 0);
             core.arrays.uv2.set(data.uv2, data.uv2Offset || 0);
+            if (core.batches) {
+                updateBatches(core, "uv2");
+            } else {
+                core.uvBuf2.bind();
+                core.uvBuf2.setData(new Float32Array(data.uv2), data.uv2Offset || 0);
+            }
             this._engine.display.imageDirty = true;
             if (core.interleavedBuf) {
                 core.interleavedBuf.dirty = true;
             }
+            if (core.batchNodes) { // Merged into batches, which need rebuilding
+                SceneJS.Batch._coreUpdated(core);
+            }
         }
     };
 
@@ -642,15 +954,27 @@ new (function () {
     };
 
     SceneJS.Geometry.prototype.getPrimitive = function () {
-        return this.primitive;
+        return this._core.primitiveName;
     };
 
     SceneJS.Geometry.prototype.getBoundary = function () {
-        if (this._boundary) {
-            return this._boundary;
+        return SceneJS.Geometry._getCoreBoundary(this._core); // Shared by nodes that share the core
+    };
+
+    /**
+     * Returns the Model-space boundary of a geometry core's positions, caching it on the core until they change
+     *
+     * @param {*} core The geometry core
+     * @return {*} The boundary as { xmin, ymin, zmin, xmax, ymax, zmax }, or null when the core has no positions
+     * @private
+     */
+    SceneJS.Geometry._getCoreBoundary = function (core) {
+
+        if (core.boundary) {
+            return core.boundary;
         }
 
-        var arrays = this._core.arrays;
+        var arrays = core.arrays;
 
         if (!arrays) {
             return null;
@@ -662,7 +986,7 @@ new (function () {
             return null;
         }
 
-        this._boundary = {
+        core.boundary = {
             xmin:SceneJS_math_MAX_DOUBLE,
             ymin:SceneJS_math_MAX_DOUBLE,
             zmin:SceneJS_math_MAX_DOUBLE,
@@ -679,27 +1003,63 @@ new (function () {
             y = positions[i + 1];
             z = positions[i + 2];
 
-            if (x < this._boundary.xmin) {
-                this._boundary.xmin = x;
+            if (x < core.boundary.xmin) {
+                core.boundary.xmin = x;
             }
-            if (y < this._boundary.ymin) {
-                this._boundary.ymin = y;
+            if (y < core.boundary.ymin) {
+                core.boundary.ymin = y;
             }
-            if (z < this._boundary.zmin) {
-                this._boundary.zmin = z;
+            if (z < core.boundary.zmin) {
+                core.boundary.zmin = z;
             }
-            if (x > this._boundary.xmax) {
-                this._boundary.xmax = x;
+            if (x > core.boundary.xmax) {
+                core.boundary.xmax = x;
             }
-            if (y > this._boundary.ymax) {
-                this._boundary.ymax = y;
+            if (y > core.boundary.ymax) {
+                core.boundary.ymax = y;
             }
-            if (z > this._boundary.zmax) {
-                this._boundary.zmax = z;
+            if (z > core.boundary.zmax) {
+                core.boundary.zmax = z;
             }
         }
 
-        return this._boundary;
+        return core.boundary;
+    };
+
+    SceneJS.Geometry.prototype._getJSON = function () {
+        if (this._sourceConfigs) {
+            var source = {};
+            for (var key in this._sourceConfigs) {
+                if (this._sourceConfigs.hasOwnProperty(key) && !nodeKeys[key]) {
+                    source[key] = SceneJS._copyJSON(this._sourceConfigs[key]);
+                }
+            }
+            return {
+                source:source
+            };
+        }
+        var arrays = this._core.arrays;
+        if (!arrays) {
+            return null;
+        }
+        return { // Arrays already have any origin and scale applied
+            primitive:this._core.primitiveName,
+            positions:SceneJS._copyJSON(arrays.positions),
+            normals:SceneJS._copyJSON(arrays.normals),
+            uv:SceneJS._copyJSON(arrays.uv),
+            uv2:SceneJS._copyJSON(arrays.uv2),
+            colors:SceneJS._copyJSON(arrays.colors),
+            indices:SceneJS._copyJSON(arrays.indices)
+        };
+    };
+
+    // Properties of plugin-style geometry configs that belong to the node rather than the source
+    var nodeKeys = {
+        id:true,
+        coreId:true,
+        data:true,
+        nodes:true,
+        plugin:true
     };
 
     SceneJS.Geometry.prototype._compile = function (ctx) {
@@ -743,8 +1103,16 @@ new (function () {
                 display:this._engine.display
             });
 
+            var instances = this._engine.display.instances;
+
+            if (instances.matrices) { // May draw the instances as one merged geometry instead
+                SceneJS.Instances._mergeGeometry(this, core);
+            }
+
             this._engine.display.buildObject(this.id); // Use node ID since we may inherit from many cores
 
+            this._engine.display.instances = instances;
+
         } else {
             coreStack[stackLen++] = this._core;
         }
@@ -758,6 +1126,7 @@ new (function () {
 
         var core2 = {
             primitive:core.primitive,
+            arrays:core.arrays,
             boundary:core.boundary,
             normalBuf:core.normalBuf,
             uvBuf:core.uvBuf,
@@ -765,6 +1134,7 @@ new (function () {
             colorBuf:core.colorBuf,
             interleavedBuf:core.interleavedBuf,
             indexBuf:core.indexBuf,
+            indexType:core.indexType,
             interleavedStride:core.interleavedStride,
             interleavedPositionOffset:core.interleavedPositionOffset,
             interleavedNormalOffset:core.interleavedNormalOffset,
@@ -775,7 +1145,26 @@ new (function () {
 
         for (var i = stackLen - 1; i >= 0; i--) {
             if (coreStack[i].vertexBuf) {
+
+                // Indices that need splitting, or that index batched arrays, are batched against the arrays
+                if (core.splitIndices || coreStack[i].batches) {
+                    if (core.batchSource != coreStack[i].arrays) {
+                        if (core.batches) {
+                            destroyBuffers({ batches:core.batches });
+                        }
+                        core.batches = buildBatches(this._engine.canvas.gl, coreStack[i].arrays, core.arrays.indices, core.primitiveName);
+                        core.batchSource = coreStack[i].arrays;
+                    }
+                    setBatches(core2, core.batches);
+                    core2.vertexArrays = coreStack[i].arrays; // For ray-cast picking
+                    core2.vertexCore = coreStack[i];
+                    core2.boundary = coreStack[i].boundary;
+                    return core2;
+                }
+
                 core2.vertexBuf = coreStack[i].vertexBuf;
+                core2.vertexArrays = coreStack[i].arrays; // For ray-cast picking
+                core2.vertexCore = coreStack[i];
                 core2.boundary = coreStack[i].boundary;
                 core2.normalBuf = coreStack[i].normalBuf;
                 core2.uvBuf = coreStack[i].uvBuf;           // Vertex and UVs are a package
@@ -799,6 +1188,10 @@ new (function () {
 
         this._engine.display.removeObject(this.id);
 
+        if (this._core.batchNodes) { // Merged into batches, which need rebuilding without this node
+            SceneJS.Batch._coreUpdated(this._core);
+        }
+
         /* Destroy core if no other references
          */
         if (this._core.useCount == 1) {
@@ -813,7 +1206,7 @@ new (function () {
 
     SceneJS.Geometry.prototype._destroyNodeCore = function () {
 
-        if (document.getElementById(this._engine.canvas.canvasId)) { // Context won't exist if canvas has disappeared
+        if (this._engine.canvas.exists()) { // Context won't exist if canvas has disappeared
             destroyBuffers(this._core);
         }
     };
@@ -0,0 +1,468 @@
+/**
+ * @class Records changes to the scene graph of a {@link SceneJS_Engine} within transactions, which can then be undone and redone
+ *
+ * <p>While a transaction is open, this records the inverse of each change made to the scene graph by node setters,
+ * and by the methods that add, remove and splice child nodes, as long as the change is made to nodes that are connected
+ * to the scene. Changes made by setters and incrementers, such as {@link SceneJS.Rotate#setAngle} and
+ * {@link SceneJS.Rotate#incAngle}, are recorded as the values of the property before and after the change, as read
+ * with the property's getter. Other setters, such as those without a matching getter, are recorded as the changes
+ * they make to the node's configs as serialized by {@link SceneJS.Node#toJSON}. Either way, this includes changes to
+ * cores that the node shares with other nodes.</p>
+ *
+ * <p>Nodes that are removed within a transaction are kept, disconnected, so that undoing the transaction can reconnect
+ * them. They are destroyed once the transaction is dropped from the history.</p>
+ *
+ * @param {SceneJS_Engine} engine The engine
+ * @private
+ */
+var SceneJS_History = function (engine) {
+
+    this._engine = engine;
+
+    /**
+     * Committed transactions, most recently committed last
+     */
+    this._undos = [];
+
+    /**
+     * Undone transactions, most recently undone last
+     */
+    this._redos = [];
+
+    /**
+     * The transaction currently being recorded
+     */
+    this._transaction = null;
+
+    /**
+     * Number of calls to #beginTransaction that have not yet been matched by calls to #commit
+     */
+    this._numOpen = 0;
+
+    /**
+     * Nesting depth of the setter call being recorded, so that setters called by other setters are not recorded
+     */
+    this._setDepth = 0;
+
+    /**
+     * Flag set while changes are made by this history itself
+     */
+    this._replaying = false;
+};
+
+/**
+ * Wraps the setter and incrementer methods of the given node type so that they record their changes while a
+ * transaction is open
+ *
+ * @param {Function} nodeType The node type
+ */
+SceneJS_History.instrumentType = function (nodeType) {
+    var proto = nodeType.prototype;
+    if (proto.hasOwnProperty("_historyInstrumented")) {
+        return;
+    }
+    proto._historyInstrumented = true;
+    for (var name in proto) {
+        if (/^(set|inc)[A-Z]/.test(name) && typeof proto[name] == "function" && !proto[name]._historySetter) {
+            proto[name] = SceneJS_History._wrapSetter(proto[name], name);
+        }
+    }
+};
+
+SceneJS_History._wrapSetter = function (setter, name) {
+    var wrapper = function () {
+        var history = this._engine ? this._engine.history : null;
+        if (!history || !history.isRecording()) {
+            return setter.apply(this, arguments);
+        }
+        return history._recordSet(this, setter, arguments, name);
+    };
+    wrapper._historySetter = true;
+    return wrapper;
+};
+
+/**
+ * Returns true while changes to the scene graph are being recorded, which excludes changes made
+ * by setters that are called by a recorded setter, since replaying that setter also replays them
+ */
+SceneJS_History.prototype.isRecording = function () {
+    return !!this._transaction && !this._replaying && this._setDepth == 0;
+};
+
+/**
+ * Opens a transaction, or nests within one that's already open
+ *
+ * @param {String} [name] Name for the transaction
+ */
+SceneJS_History.prototype.beginTransaction = function (name) {
+    if (this._replaying) {
+        throw SceneJS_error.fatalError(
+            SceneJS.errors.NODE_ILLEGAL_STATE,
+            "SceneJS.Scene#beginTransaction - can't begin a transaction while undoing or redoing");
+    }
+    if (this._numOpen++ == 0) {
+        this._transaction = {
+            name:name,
+            records:[]
+        };
+    }
+};
+
+/**
+ * Closes the transaction opened with the matching call to #beginTransaction. When the outermost transaction is
+ * closed, its changes become a single step in the history, and the transactions that were undone are discarded.
+ */
+SceneJS_History.prototype.commit = function () {
+    if (this._numOpen == 0) {
+        throw SceneJS_error.fatalError(
+            SceneJS.errors.NODE_ILLEGAL_STATE,
+            "SceneJS.Scene#commit - no transaction open");
+    }
+    if (--this._numOpen > 0) {
+        return;
+    }
+    var transaction = this._transaction;
+    this._transaction = null;
+    if (transaction.records.length == 0) {
+        return; // Nothing changed
+    }
+    while (this._redos.length > 0) {
+        this._dropUndone(this._redos.pop());
+    }
+    this._undos.push(transaction);
+    this._publish("commit", transaction);
+};
+
+/**
+ * Undoes the changes recorded by the open transaction, then closes it
+ */
+SceneJS_History.prototype.rollback = function () {
+    if (this._numOpen == 0) {
+        throw SceneJS_error.fatalError(
+            SceneJS.errors.NODE_ILLEGAL_STATE,
+            "SceneJS.Scene#rollback - no transaction open");
+    }
+    var transaction = this._transaction;
+    this._transaction = null;
+    this._numOpen = 0;
+    this._replay(transaction, true);
+    this._dropUndone(transaction);
+    this._publish("rollback", transaction);
+};
+
+/**
+ * Undoes the most recently committed transaction
+ *
+ * @return {Boolean} True if there was a transaction to undo
+ */
+SceneJS_History.prototype.undo = function () {
+    this._checkClosed("undo");
+    var transaction = this._undos.pop();
+    if (!transaction) {
+        return false;
+    }
+    this._replay(transaction, true);
+    this._redos.push(transaction);
+    this._publish("undo", transaction);
+    return true;
+};
+
+/**
+ * Redoes the most recently undone transaction
+ *
+ * @return {Boolean} True if there was a transaction to redo
+ */
+SceneJS_History.prototype.redo = function () {
+    this._checkClosed("redo");
+    var transaction = this._redos.pop();
+    if (!transaction) {
+        return false;
+    }
+    this._replay(transaction, false);
+    this._undos.push(transaction);
+    this._publish("redo", transaction);
+    return true;
+};
+
+/**
+ * Discards all transactions, destroying the nodes they kept for undoing and redoing
+ */
+SceneJS_History.prototype.clear = function () {
+    this._checkClosed("clearHistory");
+    while (this._undos.length > 0) {
+        this._dropDone(this._undos.shift());
+    }
+    while (this._redos.length > 0) {
+        this._dropUndone(this._redos.pop());
+    }
+    this._publish("clear", null);
+};
+
+SceneJS_History.prototype.canUndo = function () {
+    return this._undos.length > 0;
+};
+
+SceneJS_History.prototype.canRedo = function () {
+    return this._redos.length > 0;
+};
+
+SceneJS_History.prototype._checkClosed = function (method) {
+    if (this._numOpen > 0) {
+        throw SceneJS_error.fatalError(
+            SceneJS.errors.NODE_ILLEGAL_STATE,
+            "SceneJS.Scene#" + method + " - not allowed while a transaction is open");
+    }
+};
+
+SceneJS_History.prototype._publish = function (action, transaction) {
+    var undo = this._undos[this._undos.length - 1];
+    var redo = this._redos[this._redos.length - 1];
+    this._engine.scene.publish("history", {
+        action:action,
+        name:transaction ? transaction.name : undefined,
+        numUndos:this._undos.length,
+        numRedos:this._redos.length,
+        undoName:undo ? undo.name : undefined,
+        redoName:redo ? redo.name : undefined
+    });
+};
+
+/**
+ * Notes that a node was connected to a parent, after the parent's child node list was updated
+ */
+SceneJS_History.prototype.attached = function (parent, node) {
+    if (this.isRecording() && this._isLive(parent)) {
+        this._transaction.records.push({
+            op:"attach",
+            parent:parent,
+            node:node,
+            index:this._indexOf(parent, node)
+        });
+    }
+};
+
+/**
+ * Notes that a node was disconnected from the given index in a parent's child node list
+ */
+SceneJS_History.prototype.detached = function (parent, node, index) {
+    if (this.isRecording() && this._isLive(parent)) {
+        this._transaction.records.push({
+            op:"detach",
+            parent:parent,
+            node:node,
+            index:index
+        });
+    }
+};
+
+/**
+ * Intercepts the destruction of a node that was removed from the scene while recording, disconnecting
+ * the node if it's still connected
+ *
+ * @return {Boolean} True if the node is to be kept instead of destroyed
+ */
+SceneJS_History.prototype.retain = function (node) {
+    if (!this.isRecording()) {
+        return false;
+    }
+    if (node.parent) {
+        if (!this._isLive(node.parent)) {
+            return false;
+        }
+        node.disconnect();
+    } else if (!this._wasDetached(node)) {
+        return false;
+    }
+    this._transaction.records.push({
+        op:"destroy",
+        node:node
+    });
+    return true;
+};
+
+SceneJS_History.prototype._recordSet = function (node, setter, args, name) {
+    if (!this._isLive(node)) {
+        return setter.apply(node, args);
+    }
+    var property = this._getProperty(node, name);
+    var before = property ? this._getValue(node, property) : this._getState(node);
+    if (!before) { // Property can't be copied - fall back on the whole node
+        property = null;
+        before = this._getState(node);
+    }
+    var result;
+    this._setDepth++;
+    try {
+        result = setter.apply(node, args);
+    } finally {
+        this._setDepth--;
+    }
+    var after = (property && this._getValue(node, property)) || this._getState(node);
+    var undo = null;
+    var redo = null;
+    for (var name in after) {
+        if (after.hasOwnProperty(name) && before.hasOwnProperty(name)
+            && (name == "data" ? before.data !== after.data : JSON.stringify(before[name]) != JSON.stringify(after[name]))) {
+            (undo || (undo = {}))[name] = before[name];
+            (redo || (redo = {}))[name] = after[name];
+        }
+    }
+    if (undo) {
+        this._transaction.records.push({
+            op:"set",
+            node:node,
+            undo:undo,
+            redo:redo
+        });
+    }
+    return result;
+};
+
+/**
+ * Finds the property that's changed by a setter or incrementer, which is the one with both a setter and a getter
+ * that takes no arguments, such as "angle" for Rotate#setAngle and Rotate#incAngle, so that only that property
+ * needs to be copied before and after the change
+ */
+SceneJS_History.prototype._getProperty = function (node, name) {
+    var property = name.substr(3);
+    var setter = node["set" + property];
+    var getter = node["get" + property];
+    if (typeof setter != "function" || setter.length > 1 || typeof getter != "function" || getter.length > 0) {
+        return null;
+    }
+    return property.substr(0, 1).toLowerCase() + property.substr(1);
+};
+
+// Returns the value of a property as a state for #_recordSet, or null when the value can't be copied
+SceneJS_History.prototype._getValue = function (node, property) {
+    var value = node.get(property);
+    var state = {};
+    if (property == "data") {
+        state.data = value;
+        return state;
+    }
+    state[property] = SceneJS._copyJSON(value);
+    return (state[property] === undefined && value !== undefined) ? null : state;
+};
+
+// Returns the node's configs as they would be serialized, with its data by reference
+SceneJS_History.prototype._getState = function (node) {
+    var state = SceneJS._copyJSON(node._fromPlugin ? node._getPluginJSON() : (node._getJSON ? node._getJSON() : {})) || {};
+    state.data = node.data;
+    return state;
+};
+
+/**
+ * Plays the records of a transaction backwards to undo it, or forwards to redo it
+ */
+SceneJS_History.prototype._replay = function (transaction, undo) {
+    var records = transaction.records;
+    var len = records.length;
+    this._replaying = true;
+    try {
+        for (var i = 0; i < len; i++) {
+            var record = records[undo ? len - 1 - i : i];
+            switch (record.op) {
+
+                case "set":
+                    record.node.set(SceneJS._shallowClone(undo ? record.undo : record.redo));
+                    break;
+
+                case "attach":
+                    if (undo) {
+                        record.node.disconnect();
+                    } else {
+                        this._insert(record.parent, record.node, record.index);
+                    }
+                    break;
+
+                case "detach":
+                    if (undo) {
+                        this._insert(record.parent, record.node, record.index);
+                    } else {
+                        record.node.disconnect();
+                    }
+                    break;
+
+                // Destroyed nodes were kept, disconnected
+            }
+        }
+    } finally {
+        this._replaying = false;
+    }
+};
+
+SceneJS_History.prototype._insert = function (parent, node, index) {
+    if (node.parent) {
+        node.disconnect();
+    }
+    parent.nodes.splice(Math.min(index, parent.nodes.length), 0, node);
+    node.parent = parent;
+    this._engine.branchDirty(node);
+};
+
+/**
+ * Discards a committed transaction, destroying the nodes it removed
+ */
+SceneJS_History.prototype._dropDone = function (transaction) {
+    var records = transaction.records;
+    var node;
+    this._replaying = true;
+    try {
+        for (var i = 0, len = records.length; i < len; i++) {
+            node = records[i].node;
+            if (records[i].op == "destroy" && !node.destroyed && !node.parent) {
+                node.destroy();
+            }
+        }
+    } finally {
+        this._replaying = false;
+    }
+};
+
+/**
+ * Discards an undone transaction, destroying the nodes it added
+ */
+SceneJS_History.prototype._dropUndone = function (transaction) {
+    var records = transaction.records;
+    var node;
+    this._replaying = true;
+    try {
+        for (var i = 0, len = records.length; i < len; i++) {
+            node = records[i].node;
+            if (records[i].op == "attach" && !node.destroyed && !node.parent) {
+                node.destroy();
+            }
+        }
+    } finally {
+        this._replaying = false;
+    }
+};
+
+// Tests if the node is connected to the scene
+SceneJS_History.prototype._isLive = function (node) {
+    while (node.parent) {
+        node = node.parent;
+    }
+    return node === this._engine.scene;
+};
+
+// Tests if the node was disconnected within the transaction being recorded
+SceneJS_History.prototype._wasDetached = function (node) {
+    var records = this._transaction.records;
+    for (var i = records.length - 1; i >= 0; i--) {
+        if (records[i].node === node) {
+            return records[i].op == "detach";
+        }
+    }
+    return false;
+};
+
+SceneJS_History.prototype._indexOf = function (parent, node) {
+    for (var i = 0, len = parent.nodes.length; i < len; i++) {
+        if (parent.nodes[i] === node) {
+            return i;
+        }
+    }
+    return -1;
+};
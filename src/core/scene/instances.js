@@ -0,0 +1,518 @@
+new (function () {
+
+    /**
+     * The default state core singleton for {@link SceneJS.Instances} nodes
+     */
+    var defaultCore = {
+        type:"instances",
+        stateId:SceneJS._baseStateId++,
+        hash:"",
+        matrices:null
+    };
+
+    var coreStack = [];
+    var nodeStack = [];
+    var stackLen = 0;
+
+    SceneJS_events.addListener(
+        SceneJS_events.SCENE_COMPILING,
+        function (params) {
+            params.engine.display.instances = defaultCore;
+            stackLen = 0;
+        });
+
+    /**
+     * @class Scene graph node which draws many copies of the {@link SceneJS.Geometry}s within its subgraph, each with
+     * its own modelling transform and optional color, in a single draw call per geometry
+     * @extends SceneJS.Node
+     *
+     * <p>Each instance has a 4x4 column-major matrix, which transforms the geometry before the modelling transforms
+     * above this node, and an optional RGBA color, which multiplies the material base color. Normals are transformed by
+     * the instance matrices, so instances should only be scaled uniformly.</p>
+     *
+     * <p>Instances are drawn with the ANGLE_instanced_arrays extension. Where that's not supported, each geometry is
+     * instead copied for each instance into shared vertex buffers, with the instance matrices and colors baked into
+     * the vertices, the way a {@link SceneJS.Batch} merges geometries, so that the instances are still drawn in one
+     * call. The copies are rebuilt when the instances or the geometries are updated. Morphing geometries are not
+     * copied, and are drawn with a call for each instance.</p>
+     *
+     * <p>Picking a named instance gives a hit with the index of the instance.</p>
+     *
+     * <pre>
+     * myNode.addNode({
+     *     type: "instances",
+     *     matrices: new Float32Array([ ... ]), // Sixteen elements per instance
+     *     colors: new Float32Array([ ... ]),   // Optional, four elements per instance
+     *     nodes: [
+     *         {
+     *             type: "name",
+     *             name: "building",
+     *             nodes: [
+     *                 {
+     *                     type: "geometry",
+     *                     source: { type: "box" }
+     *                 }
+     *             ]
+     *         }
+     *     ]
+     * });
+     *
+     * myScene.on("pick", function (hit) {
+     *     var index = hit.instance; // Index of the picked instance
+     * });
+     * </pre>
+     */
+    SceneJS.Instances = SceneJS_NodeFactory.createNodeType("instances");
+
+    SceneJS.Instances.prototype._init = function (params) {
+
+        this._merged = {};      // Geometry cores that merge the instances, mapped to the IDs of their geometry nodes
+        this._oldMerged = {};   // Merged geometry cores that are destroyed after compiling, unless merged again
+        this._bakedCores = [];  // Instances and geometry cores merged into the geometries
+        this._batchDirty = false;
+
+        if (this._core.useCount == 1) { // This node defines the core
+
+            this._core.matrices = null;
+            this._core.colors = null;
+            this._core.numInstances = 0;
+
+            this.setMatrices(params.matrices || []);
+
+            if (params.colors) {
+                this.setColors(params.colors);
+            }
+
+            var self = this;
+
+            this._core.webglRestored = function () {
+                self._buildNodeCore();
+            };
+        }
+    };
+
+    /**
+     * Sets the modelling matrices of all the instances, which also sets the number of instances
+     *
+     * @param {Float32Array | [Number]} matrices Column-major 4x4 matrices, with sixteen elements per instance
+     * @return {SceneJS.Instances} This node
+     */
+    SceneJS.Instances.prototype.setMatrices = function (matrices) {
+
+        if (matrices.length % 16 != 0) {
+            throw SceneJS_error.fatalError(
+                SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                "instances matrices should have sixteen elements per instance");
+        }
+
+        var core = this._core;
+
+        core.matrices = new Float32Array(matrices);
+        core.numInstances = matrices.length / 16;
+
+        if (core.colors && core.colors.length != core.numInstances * 4) {
+            core.colors = resizeColors(core.colors, core.numInstances);
+        }
+
+        this._buildNodeCore();
+
+        return this;
+    };
+
+    /**
+     * Returns the modelling matrices of all the instances
+     *
+     * @return {Float32Array} Column-major 4x4 matrices, with sixteen elements per instance
+     */
+    SceneJS.Instances.prototype.getMatrices = function () {
+        return this._core.matrices;
+    };
+
+    /**
+     * Sets the modelling matrix of an instance
+     *
+     * @param {Number} index Index of the instance
+     * @param {[Number]} matrix Column-major 4x4 matrix
+     * @return {SceneJS.Instances} This node
+     */
+    SceneJS.Instances.prototype.setMatrix = function (index, matrix) {
+
+        var core = this._core;
+
+        this._checkIndex(index);
+
+        core.matrices.set(matrix, index * 16);
+
+        if (core.matrixBuf) {
+            core.matrixBuf.bind();
+            core.matrixBuf.setData(new Float32Array(matrix), index * 16 * 4);
+        }
+
+        SceneJS_boundaryModule.invalidateCore(core);
+
+        if (core.batchNodes) { // Merged into geometries, which need rebuilding
+            SceneJS.Batch._coreUpdated(core);
+        }
+
+        this._engine.display.imageDirty = true;
+
+        return this;
+    };
+
+    /**
+     * Returns the modelling matrix of an instance
+     *
+     * @param {Number} index Index of the instance
+     * @return {[Number]} Column-major 4x4 matrix
+     */
+    SceneJS.Instances.prototype.getMatrix = function (index) {
+        this._checkIndex(index);
+        return Array.prototype.slice.call(this._core.matrices, index * 16, index * 16 + 16);
+    };
+
+    /**
+     * Sets the colors of all the instances
+     *
+     * @param {Float32Array | [Number]} colors RGBA colors, with four elements per instance, or null to remove them
+     * @return {SceneJS.Instances} This node
+     */
+    SceneJS.Instances.prototype.setColors = function (colors) {
+
+        var core = this._core;
+
+        if (colors && colors.length != core.numInstances * 4) {
+            throw SceneJS_error.fatalError(
+                SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                "instances colors should have four elements per instance");
+        }
+
+        core.colors = colors ? new Float32Array(colors) : null;
+
+        this._buildNodeCore();
+
+        return this;
+    };
+
+    /**
+     * Returns the colors of all the instances
+     *
+     * @return {Float32Array} RGBA colors, with four elements per instance, or null when the instances have no colors
+     */
+    SceneJS.Instances.prototype.getColors = function () {
+        return this._core.colors;
+    };
+
+    /**
+     * Sets the color of an instance, giving colors to all the instances if they don't have them yet
+     *
+     * @param {Number} index Index of the instance
+     * @param {*} color Color as { r, g, b, a }, where each component defaults to 1.0
+     * @return {SceneJS.Instances} This node
+     */
+    SceneJS.Instances.prototype.setColor = function (index, color) {
+
+        var core = this._core;
+
+        this._checkIndex(index);
+
+        var rgba = new Float32Array([
+            color.r != undefined ? color.r : 1.0,
+            color.g != undefined ? color.g : 1.0,
+            color.b != undefined ? color.b : 1.0,
+            color.a != undefined ? color.a : 1.0
+        ]);
+
+        if (!core.colors) {
+            core.colors = resizeColors(new Float32Array(0), core.numInstances);
+            core.colors.set(rgba, index * 4);
+            this._buildNodeCore(); // Instances now need a program that has colors
+            return this;
+        }
+
+        core.colors.set(rgba, index * 4);
+
+        if (core.colorBuf) {
+            core.colorBuf.bind();
+            core.colorBuf.setData(rgba, index * 4 * 4);
+        }
+
+        if (core.batchNodes) { // Merged into geometries, which need rebuilding
+            SceneJS.Batch._coreUpdated(core);
+        }
+
+        this._engine.display.imageDirty = true;
+
+        return this;
+    };
+
+    /**
+     * Returns the color of an instance
+     *
+     * @param {Number} index Index of the instance
+     * @return {*} Color as { r, g, b, a }
+     */
+    SceneJS.Instances.prototype.getColor = function (index) {
+        this._checkIndex(index);
+        var colors = this._core.colors;
+        return colors ? {
+            r:colors[index * 4],
+            g:colors[index * 4 + 1],
+            b:colors[index * 4 + 2],
+            a:colors[index * 4 + 3]
+        } : { r:1.0, g:1.0, b:1.0, a:1.0 };
+    };
+
+    /**
+     * Returns the number of instances
+     *
+     * @return {Number}
+     */
+    SceneJS.Instances.prototype.getNumInstances = function () {
+        return this._core.numInstances;
+    };
+
+    SceneJS.Instances.prototype._checkIndex = function (index) {
+        if (index < 0 || index >= this._core.numInstances) {
+            throw SceneJS_error.fatalError(
+                SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                "instances index out of range: " + index);
+        }
+    };
+
+    /**
+     * Pads or truncates colors for the given number of instances, padding with white
+     */
+    function resizeColors(colors, numInstances) {
+        var resized = new Float32Array(numInstances * 4);
+        resized.set(colors.subarray(0, Math.min(colors.length, resized.length)));
+        for (var i = colors.length; i < resized.length; i++) {
+            resized[i] = 1.0;
+        }
+        return resized;
+    }
+
+    /**
+     * Allocates WebGL buffers for the instance arrays
+     *
+     * In addition to initially allocating those, this is called to reallocate them after
+     * WebGL context is regained after being lost.
+     */
+    SceneJS.Instances.prototype._buildNodeCore = function () {
+
+        var core = this._core;
+        var gl = this._engine.canvas.gl;
+        var usage = gl.DYNAMIC_DRAW; // Instances are expected to move
+
+        destroyBuffers(core);
+
+        try {
+
+            if (core.numInstances > 0) {
+
+                core.matrixBuf = new SceneJS_webgl_ArrayBuffer(gl, gl.ARRAY_BUFFER, core.matrices, core.matrices.length, 16, usage);
+
+                if (core.colors) {
+                    core.colorBuf = new SceneJS_webgl_ArrayBuffer(gl, gl.ARRAY_BUFFER, core.colors, core.colors.length, 4, usage);
+                }
+
+                // Index of each instance, which the pick shader adds to the pick index of the first instance
+                var pickIndices = new Float32Array(core.numInstances);
+                for (var i = 0; i < core.numInstances; i++) {
+                    pickIndices[i] = i;
+                }
+                core.pickIndexBuf = new SceneJS_webgl_ArrayBuffer(gl, gl.ARRAY_BUFFER, pickIndices, pickIndices.length, 1, gl.STATIC_DRAW);
+            }
+
+        } catch (e) { // Allocation failure - delete whatever buffers got allocated
+            destroyBuffers(core);
+            throw SceneJS_error.fatalError(
+                SceneJS.errors.ERROR,
+                "Failed to allocate instances: " + e);
+        }
+
+        var hash = "instances" + (core.colors ? ";colors" : "");
+
+        if (core.hash != hash) {
+            core.hash = hash;
+            this._engine.branchDirty(this); // Objects need new programs
+        }
+
+        if (core.batchNodes) { // Merged into geometries, which need rebuilding
+            SceneJS.Batch._coreUpdated(core);
+        }
+
+        SceneJS_boundaryModule.invalidateCore(core);
+
+        this._engine.display.imageDirty = true;
+    };
+
+    function destroyBuffers(core) {
+
+        if (core.matrixBuf) {
+            core.matrixBuf.destroy();
+            core.matrixBuf = null;
+        }
+
+        if (core.colorBuf) {
+            core.colorBuf.destroy();
+            core.colorBuf = null;
+        }
+
+        if (core.pickIndexBuf) {
+            core.pickIndexBuf.destroy();
+            core.pickIndexBuf = null;
+        }
+    }
+
+    SceneJS.Instances.prototype._getJSON = function () {
+        var core = this._core;
+        var json = {
+            matrices:SceneJS._copyJSON(core.matrices)
+        };
+        if (core.colors) {
+            json.colors = SceneJS._copyJSON(core.colors);
+        }
+        return json;
+    };
+
+    /**
+     * Replaces the display's geometry with a geometry core that merges a copy of it for each instance, when the
+     * instances can't be drawn with the ANGLE_instanced_arrays extension, so that they're drawn like the geometries
+     * merged by a {@link SceneJS.Batch}. Called by geometry nodes within instances before they build their objects.
+     *
+     * @param {SceneJS.Geometry} geometryNode The geometry node
+     * @param {*} core Its geometry core, which may inherit vertex arrays from a higher geometry
+     * @private
+     */
+    SceneJS.Instances._mergeGeometry = function (geometryNode, core) {
+
+        var engine = geometryNode._engine;
+        var display = engine.display;
+        var targets = display.morphGeometry.targets;
+
+        if (engine.canvas.gl.getExtension("ANGLE_instanced_arrays")) {
+            return;
+        }
+
+        if ((targets && targets.length) || !core.arrays || !core.arrays.indices) {
+            return;
+        }
+
+        var vertexArrays = core.vertexArrays || core.arrays; // Vertices may be inherited from a higher geometry
+
+        if (!vertexArrays.positions) {
+            return;
+        }
+
+        var geometry = nodeStack[stackLen - 1]._getMergedGeometry(geometryNode, core, vertexArrays);
+
+        if (geometry) {
+            display.geometry = geometry;
+            display.instances = defaultCore;
+        }
+    };
+
+    /**
+     * Returns the geometry core that merges a copy of a geometry for each instance, merging them if not done yet
+     */
+    SceneJS.Instances.prototype._getMergedGeometry = function (geometryNode, core, vertexArrays) {
+
+        var id = geometryNode.id;
+        var geometry = this._merged[id] || (!this._batchDirty && this._oldMerged[id]);
+
+        if (geometry) {
+            delete this._oldMerged[id];
+            return this._merged[id] = geometry;
+        }
+
+        var instances = this._core;
+
+        SceneJS.Batch._bakeCore(this, instances);
+
+        if (instances.numInstances == 0) { // Merged once there are instances
+            return null;
+        }
+
+        SceneJS.Batch._bakeCore(this, geometryNode._core);
+
+        if (core.vertexCore) {
+            SceneJS.Batch._bakeCore(this, core.vertexCore);
+        }
+
+        var matrices = instances.matrices;
+        var colors = instances.colors;
+        var layouts = {};
+        var layoutList = [];
+
+        for (var i = 0, len = instances.numInstances; i < len; i++) {
+            SceneJS.Batch._addGeometry(
+                geometryNode._core,
+                vertexArrays,
+                matrices.subarray(i * 16, i * 16 + 16),
+                { name:null, nodeId:id, instance:i },
+                colors ? colors.subarray(i * 4, i * 4 + 4) : null,
+                layouts,
+                layoutList);
+        }
+
+        return this._merged[id] = SceneJS.Batch._createGeometry(this._engine, layoutList[0]);
+    };
+
+    /**
+     * Destroys merged geometry cores
+     */
+    SceneJS.Instances.prototype._destroyMerged = function (merged) {
+
+        var canvasExists = this._engine.canvas.exists(); // Context won't exist if canvas has disappeared
+
+        for (var id in merged) {
+            if (merged.hasOwnProperty(id)) {
+                if (canvasExists) {
+                    SceneJS.Geometry._destroyBuffers(merged[id]);
+                }
+                this._engine._coreFactory.putCore(merged[id]);
+            }
+        }
+    };
+
+    SceneJS.Instances.prototype._compile = function (ctx) {
+
+        // When the whole subgraph is compiled, geometries merged before are kept only if merged again, and are
+        // destroyed afterwards, once the objects that drew them have been rebuilt
+        var sweep = this.branchDirty || this._engine.sceneDirty;
+
+        if (sweep) {
+            this._oldMerged = this._merged;
+            this._merged = {};
+            if (this._batchDirty) { // All merged again, registering with the cores that are merged now
+                SceneJS.Batch._unbakeCores(this);
+            }
+        }
+
+        this._engine.display.instances = coreStack[stackLen] = this._core;
+        nodeStack[stackLen++] = this;
+        this._compileNodes(ctx);
+        this._engine.display.instances = (--stackLen > 0) ? coreStack[stackLen - 1] : defaultCore;
+
+        if (sweep) {
+            this._destroyMerged(this._oldMerged);
+            this._oldMerged = {};
+            this._batchDirty = false;
+        }
+    };
+
+    SceneJS.Instances.prototype._destroy = function () {
+
+        this._destroyMerged(this._merged);
+        this._merged = {};
+
+        SceneJS.Batch._unbakeCores(this);
+
+        if (this._core.useCount == 1) { // Destroy core if no other references
+            if (this._engine.canvas.exists()) { // Context won't exist if canvas has disappeared
+                destroyBuffers(this._core);
+            }
+        }
+    };
+
+})();
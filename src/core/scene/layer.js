@@ -73,6 +73,13 @@
         return this._core.clearDepth;
     };
 
+    SceneJS.Layer.prototype._getJSON = function () {
+        return {
+            priority:this._core.priority,
+            enabled:this._core.enabled
+        };
+    };
+
     SceneJS.Layer.prototype._compile = function(ctx) {
         this._engine.display.layer = coreStack[stackLen++] = this._core;
         this._compileNodes(ctx);
@@ -51,6 +51,9 @@
                     parts.push("d");
                 }
                 parts.push((light.space == "world") ? "w" : "v");
+                if (light.castShadow) {
+                    parts.push("c");
+                }
             }
             core.hash = parts.join("");
 
@@ -71,6 +74,13 @@
 
     /**
      * @class Scene graph node which defines light sources to illuminate the {@link SceneJS.Geometry}s within its subgraph
+     * <p>Each light has a mode, which is "ambient", "dir" (directional), "point" or "spot". A spot light has a position
+     * and direction, along with a cutoff angle (in degrees) and an exponent that softens the edge of its cone.</p>
+     * <p>A "dir" or "spot" light in World space can cast shadows onto the objects within its subgraph, by setting
+     * its "castShadow" property. The light then renders a depth map of its subgraph on each frame, fitted to the
+     * subgraph boundary, with optional "shadowResolution" (pixels, default 1024), "shadowBias" (default 0.005)
+     * and "shadowSoftness" (filter radius in texels, default 1.0) properties. Use the "castShadows" and
+     * "receiveShadows" properties of a {@link SceneJS.Flags} node to exclude objects from shadowing.</p>
      * @extends SceneJS.Node
      */
     SceneJS.Lights = SceneJS_NodeFactory.createNodeType("lights");
@@ -79,6 +89,23 @@
 
         if (this._core.useCount == 1) { // This node defines the resource
 
+            var self = this;
+
+            // Shadow-casting lights fit their depth maps to the boundary of this subgraph
+            this._core.getBoundingSphere = function () {
+                return SceneJS_boundaryModule.getBoundingSphere(self);
+            };
+
+            this._core.webglRestored = function () {
+                var gl = self._engine.canvas.gl;
+                var lights = self._core.lights;
+                for (var i = 0, len = lights.length; i < len; i++) {
+                    if (lights[i].shadow) {
+                        lights[i].shadow.buf.webglRestored(gl);
+                    }
+                }
+            };
+
             var lights = params.lights;
 
             if (!lights) {
@@ -101,10 +128,10 @@
         this._core.lights[index] = light;
 
         var mode = cfg.mode || "dir";
-        if (mode != "dir" && mode != "point" && mode != "ambient") {
+        if (mode != "dir" && mode != "point" && mode != "spot" && mode != "ambient") {
             throw SceneJS_error.fatalError(
                 SceneJS.errors.ILLEGAL_NODE_CONFIG,
-                "Light mode not supported - should be 'dir' or 'point' or 'ambient'");
+                "Light mode not supported - should be 'dir', 'point', 'spot' or 'ambient'");
         }
 
         var pos = cfg.pos;
@@ -128,6 +155,8 @@
             cfg.linearAttenuation || 0.0,
             cfg.quadraticAttenuation || 0.0
         ];
+        light.cutoff = cfg.cutoff != undefined ? cfg.cutoff : 45.0;
+        light.exponent = cfg.exponent != undefined ? cfg.exponent : 10.0;
 
         var space = cfg.space;
 
@@ -144,9 +173,59 @@
 
         light.space = space;
 
+        this._setShadow(light, cfg);
+
         this._core.hash = null;
     };
 
+    /**
+     * Updates the shadow casting properties of a light, returning true if its shader code needs regenerating
+     * @private
+     */
+    SceneJS.Lights.prototype._setShadow = function (light, cfg) {
+
+        var castShadow = (cfg.castShadow != undefined) ? !!cfg.castShadow : !!light.castShadow;
+
+        if (castShadow && ((light.mode != "dir" && light.mode != "spot") || light.space != "world")) {
+            throw SceneJS_error.fatalError(
+                SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                "lights node property 'castShadow' only supported for 'dir' and 'spot' lights in 'world' space");
+        }
+
+        var shadow = light.shadow;
+        var resolution = cfg.shadowResolution || (shadow ? shadow.resolution : 1024);
+
+        if (shadow && (!castShadow || resolution != shadow.resolution)) {
+            shadow.buf.destroy();
+            shadow = light.shadow = null;
+        }
+
+        if (castShadow && !shadow) {
+            shadow = light.shadow = {
+                resolution:resolution,
+                bias:0.005,
+                softness:1.0,
+                buf:new SceneJS_PickBuffer({ canvas:this._engine.canvas, size:resolution }),
+                viewMat:null, // Light view and projection matrices, fitted to the subgraph on each render
+                projMat:null,
+                nearFar:null
+            };
+        }
+
+        if (shadow) {
+            if (cfg.shadowBias != undefined) {
+                shadow.bias = cfg.shadowBias;
+            }
+            if (cfg.shadowSoftness != undefined) {
+                shadow.softness = cfg.shadowSoftness;
+            }
+        }
+
+        var changed = (castShadow != !!light.castShadow);
+        light.castShadow = castShadow;
+        return changed;
+    };
+
 
     SceneJS.Lights.prototype.setLights = function (lights) {
         var indexNum;
@@ -176,10 +255,10 @@
 
         if (cfg.mode && cfg.mode != light.mode) {
             var mode = cfg.mode;
-            if (mode != "dir" && mode != "point" && mode != "ambient") {
+            if (mode != "dir" && mode != "point" && mode != "spot" && mode != "ambient") {
                 throw SceneJS_error.fatalError(
                     SceneJS.errors.ILLEGAL_NODE_CONFIG,
-                    "Light mode not supported - should be 'dir' or 'point' or 'ambient'");
+                    "Light mode not supported - should be 'dir', 'point', 'spot' or 'ambient'");
             }
             light.mode = mode;
             light.diffuse = (mode == "ambient") ? true : ((cfg.diffuse != undefined) ? cfg.diffuse : true);
@@ -222,6 +301,15 @@
             imageDirty = true;
         }
 
+        if (cfg.cutoff != undefined) {
+            light.cutoff = cfg.cutoff;
+            imageDirty = true;
+        }
+        if (cfg.exponent != undefined) {
+            light.exponent = cfg.exponent;
+            imageDirty = true;
+        }
+
         if (cfg.space && cfg.space != light.space) {
             var space = cfg.space;
             if (space != "view" && space != "world") {
@@ -234,6 +322,12 @@
             branchDirty = true;
         }
 
+        if (this._setShadow(light, cfg)) {
+            branchDirty = true;
+        } else if (cfg.shadowBias != undefined || cfg.shadowSoftness != undefined || cfg.shadowResolution != undefined) {
+            imageDirty = true;
+        }
+
         if (cfg.specular != light.specular) {
             light.specular = cfg.specular;
             branchDirty = true;
@@ -252,6 +346,35 @@
         this._core.hash = null;
     };
 
+    SceneJS.Lights.prototype._getJSON = function () {
+        var lights = [];
+        var light;
+        for (var i = 0, len = this._core.lights.length; i < len; i++) {
+            light = this._core.lights[i];
+            lights.push({
+                mode:light.mode,
+                color:{ r:light.color[0], g:light.color[1], b:light.color[2] },
+                diffuse:light.diffuse,
+                specular:light.specular,
+                pos:light.pos ? { x:light.pos[0], y:light.pos[1], z:light.pos[2] } : undefined,
+                dir:light.dir ? { x:light.dir[0], y:light.dir[1], z:light.dir[2] } : undefined,
+                constantAttenuation:light.attenuation[0],
+                linearAttenuation:light.attenuation[1],
+                quadraticAttenuation:light.attenuation[2],
+                cutoff:light.mode == "spot" ? light.cutoff : undefined,
+                exponent:light.mode == "spot" ? light.exponent : undefined,
+                space:light.space,
+                castShadow:light.castShadow || undefined,
+                shadowResolution:light.shadow ? light.shadow.resolution : undefined,
+                shadowBias:light.shadow ? light.shadow.bias : undefined,
+                shadowSoftness:light.shadow ? light.shadow.softness : undefined
+            });
+        }
+        return {
+            lights:SceneJS._copyJSON(lights) // Drops undefined properties
+        };
+    };
+
     SceneJS.Lights.prototype._compile = function (ctx) {
 
         if (!this._core.hash) {
@@ -263,4 +386,15 @@
         this._engine.display.lights = (--stackLen > 0) ? coreStack[stackLen - 1] : defaultCore;
     };
 
+    SceneJS.Lights.prototype._destroy = function () {
+        if (this._core.useCount == 1 && this._engine.canvas.exists()) { // Last resource user
+            var lights = this._core.lights;
+            for (var i = 0, len = lights.length; i < len; i++) {
+                if (lights[i].shadow) {
+                    lights[i].shadow.buf.destroy();
+                }
+            }
+        }
+    };
+
 })();
\ No newline at end of file
@@ -361,6 +361,17 @@
         };
     };
 
+    /**
+     * Returns the distance from the eye to the point of interest
+     * @returns {Number}
+     */
+    SceneJS.Lookat.prototype.getDistance = function () {
+        var dx = this._core.lookX - this._core.eyeX;
+        var dy = this._core.lookY - this._core.eyeY;
+        var dz = this._core.lookZ - this._core.eyeZ;
+        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    };
+
     /**
      * Returns a copy of the matrix as a 1D array of 16 elements
      * @returns {Number[16]}
@@ -394,6 +405,10 @@
         };
     };
 
+    SceneJS.Lookat.prototype._getJSON = function () {
+        return this.getAttributes();
+    };
+
     SceneJS.Lookat.prototype._compile = function (ctx) {
         this._engine.display.viewTransform = coreStack[stackLen++] = this._core;
         this._compileNodes(ctx);
@@ -25,7 +25,13 @@ new (function () {
         specular:1.0,
         shine:70.0,
         alpha:1.0,
-        emit:0.0
+        emit:0.0,
+        emitColor:null,
+        alphaCutoff:0.0,
+        model:"phong",
+        metallic:0.0,
+        roughness:0.5,
+        hash:""
     };
 
     var coreStack = [];
@@ -40,6 +46,15 @@ new (function () {
 
     /**
      * @class Scene graph node which defines surface material properties for the {@link SceneJS.Geometry}s within its subgraph
+     * <p>The material model is either "phong" (the default), which shades with the base color, specular color,
+     * specular and shine properties, or "pbr", which shades with the base color and the metallic and roughness
+     * properties, in the range [0..1], using a metallic/roughness model like that of glTF. In the "pbr" model, the
+     * cube map of an enclosing {@link SceneJS.Reflect} node provides image-based lighting, which is blurred according
+     * to roughness, and texture layers may apply to "metallic", "roughness" and "occlusion". A "pbr" material may
+     * also have an emit color, which it emits instead of its base color, and which "emitColor" texture layers
+     * apply to.</p>
+     * <p>When the alpha cutoff is greater than zero, fragments whose alpha is below it are discarded, as for masked
+     * materials, which are opaque and need no "transparent" {@link SceneJS.Flags}.</p>
      * @extends SceneJS.Node
      */
     SceneJS.Material = SceneJS_NodeFactory.createNodeType("material");
@@ -52,9 +67,55 @@ new (function () {
             this.setShine(params.shine);
             this.setEmit(params.emit);
             this.setAlpha(params.alpha);
+            this.setMetallic(params.metallic);
+            this.setRoughness(params.roughness);
+            this.setEmitColor(params.emitColor);
+            this._setModel(params.model);
+            this._setAlphaCutoff(params.alphaCutoff);
+            this._core.hash = this._getHash();
         }
     };
 
+    /**
+     * Returns the hash of the core's model and alpha cutoff, which select its shader
+     */
+    SceneJS.Material.prototype._getHash = function () {
+        return ((this._core.model == "pbr") ? "pbr" : "") + ((this._core.alphaCutoff > 0) ? "c" : "");
+    };
+
+    SceneJS.Material.prototype._updateHash = function () {
+        var hash = this._getHash();
+        if (this._core.hash != hash) {
+            this._core.hash = hash;
+            this._engine.branchDirty(this); // Schedule recompilation of this subgraph, which needs a different shader
+        }
+    };
+
+    SceneJS.Material.prototype._setModel = function (model) {
+        model = model || defaultCore.model;
+        if (model != "phong" && model != "pbr") {
+            throw SceneJS_error.fatalError(
+                SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                "material model value is unsupported - should be either 'phong' or 'pbr'");
+        }
+        this._core.model = model;
+    };
+
+    /**
+     * Sets the material model, which is either "phong" or "pbr"
+     * @param {String} model The material model
+     * @return {*}
+     */
+    SceneJS.Material.prototype.setModel = function (model) {
+        this._setModel(model);
+        this._updateHash();
+        return this;
+    };
+
+    SceneJS.Material.prototype.getModel = function () {
+        return this._core.model;
+    };
+
     /**
      * @deprecated
      * @param color
@@ -136,6 +197,29 @@ new (function () {
         return this._core.emit;
     };
 
+    /**
+     * Sets the color that a "pbr" material emits, or null to emit its base color
+     * @param {{r:Number, g:Number, b:Number}} color The emit color
+     * @return {*}
+     */
+    SceneJS.Material.prototype.setEmitColor = function (color) {
+        this._core.emitColor = color ? [
+            color.r != undefined && color.r != null ? color.r : 1.0,
+            color.g != undefined && color.g != null ? color.g : 1.0,
+            color.b != undefined && color.b != null ? color.b : 1.0
+        ] : defaultCore.emitColor;
+        this._engine.display.imageDirty = true;
+        return this;
+    };
+
+    SceneJS.Material.prototype.getEmitColor = function () {
+        return this._core.emitColor ? {
+            r:this._core.emitColor[0],
+            g:this._core.emitColor[1],
+            b:this._core.emitColor[2]
+        } : null;
+    };
+
     SceneJS.Material.prototype.setAlpha = function (alpha) {
         this._core.alpha = (alpha != undefined && alpha != null) ? alpha : defaultCore.alpha;
         this._engine.display.imageDirty = true;
@@ -146,6 +230,69 @@ new (function () {
         return this._core.alpha;
     };
 
+    SceneJS.Material.prototype._setAlphaCutoff = function (alphaCutoff) {
+        this._core.alphaCutoff = (alphaCutoff != undefined && alphaCutoff != null) ? alphaCutoff : defaultCore.alphaCutoff;
+    };
+
+    /**
+     * Sets the alpha below which fragments are discarded, where zero discards none
+     * @param {Number} alphaCutoff The alpha cutoff, in the range [0..1]
+     * @return {*}
+     */
+    SceneJS.Material.prototype.setAlphaCutoff = function (alphaCutoff) {
+        this._setAlphaCutoff(alphaCutoff);
+        this._updateHash();
+        this._engine.display.imageDirty = true;
+        return this;
+    };
+
+    SceneJS.Material.prototype.getAlphaCutoff = function () {
+        return this._core.alphaCutoff;
+    };
+
+    SceneJS.Material.prototype.setMetallic = function (metallic) {
+        this._core.metallic = (metallic != undefined && metallic != null) ? metallic : defaultCore.metallic;
+        this._engine.display.imageDirty = true;
+        return this;
+    };
+
+    SceneJS.Material.prototype.getMetallic = function () {
+        return this._core.metallic;
+    };
+
+    SceneJS.Material.prototype.setRoughness = function (roughness) {
+        this._core.roughness = (roughness != undefined && roughness != null) ? roughness : defaultCore.roughness;
+        this._engine.display.imageDirty = true;
+        return this;
+    };
+
+    SceneJS.Material.prototype.getRoughness = function () {
+        return this._core.roughness;
+    };
+
+    SceneJS.Material.prototype._getJSON = function () {
+        var json = {
+            color:this.getBaseColor(),
+            specularColor:this.getSpecularColor(),
+            specular:this._core.specular,
+            shine:this._core.shine,
+            emit:this._core.emit,
+            alpha:this._core.alpha
+        };
+        if (this._core.model == "pbr") {
+            json.model = this._core.model;
+            json.metallic = this._core.metallic;
+            json.roughness = this._core.roughness;
+            if (this._core.emitColor) {
+                json.emitColor = this.getEmitColor();
+            }
+        }
+        if (this._core.alphaCutoff > 0) {
+            json.alphaCutoff = this._core.alphaCutoff;
+        }
+        return json;
+    };
+
     SceneJS.Material.prototype._compile = function (ctx) {
         this._engine.display.material = coreStack[stackLen++] = this._core;
         this._compileNodes(ctx);
@@ -78,6 +78,12 @@ SceneJS.Matrix.prototype.setMatrix = function(elements) {
  */
 SceneJS.Matrix.prototype.setElements = SceneJS.Matrix.prototype.setMatrix;
 
+SceneJS.Matrix.prototype._getJSON = function() {
+    return {
+        elements:SceneJS._copyJSON(this._core.matrix)
+    };
+};
+
 SceneJS.Matrix.prototype._compile = function(ctx) {
     SceneJS_modelXFormStack.push(this._core);
     this._compileNodes(ctx);
@@ -95,6 +95,12 @@ var SceneJS_modelXFormStack = new (function () {
 
             core.matrixDirty = true;
 
+            SceneJS_boundaryModule.invalidateCore(core); // Node boundaries depend on modelling transforms
+
+            if (core.batchNodes) { // Baked into batches, which need rebuilding
+                SceneJS.Batch._coreUpdated(core);
+            }
+
             if (core.dirty) {
                 // return;
             }
@@ -316,6 +316,7 @@ new (function () {
         /* Normalise factor to range [0.0..1.0] for the target frame
          */
         core.factor = (factor - keys[key1]) / (keys[key2] - keys[key1]);
+        core.rawFactor = factor; // As given, for #toJSON
         core.key1 = key1;
         core.key2 = key2;
 
@@ -334,6 +335,32 @@ new (function () {
         return this._core.targets;
     };
 
+    SceneJS.MorphGeometry.prototype._getJSON = function () {
+        var core = this._core;
+        var json = {
+            factor:core.rawFactor,
+            clamp:core.clamp
+        };
+        if (this._sourceConfigs) {
+            json.source = SceneJS._copyJSON(this._sourceConfigs);
+        } else if (core.targets) {
+            var targets = [];
+            var target;
+            for (var i = 0, len = core.targets.length; i < len; i++) {
+                target = core.targets[i];
+                targets.push({
+                    positions:SceneJS._copyJSON(target.positions),
+                    normals:SceneJS._copyJSON(target.normals),
+                    uv:SceneJS._copyJSON(target.uv),
+                    uv2:SceneJS._copyJSON(target.uv2)
+                });
+            }
+            json.keys = SceneJS._copyJSON(core.keys);
+            json.targets = targets;
+        }
+        return json;
+    };
+
     SceneJS.MorphGeometry.prototype._compile = function (ctx) {
 
         if (!this._core.hash) {
@@ -364,7 +391,7 @@ new (function () {
 
     SceneJS.MorphGeometry.prototype._destroy = function () {
         if (this._core.useCount == 1) { // Destroy core if no other references
-            if (document.getElementById(this._engine.canvas.canvasId)) { // Context won't exist if canvas has disappeared
+            if (this._engine.canvas.exists()) { // Context won't exist if canvas has disappeared
                 var core = this._core;
                 var target;
                 for (var i = 0, len = core.targets.length; i < len; i++) {
@@ -39,6 +39,12 @@
         return this._core.name;
     };
 
+    SceneJS.Name.prototype._getJSON = function () {
+        return {
+            name:this._core.name
+        };
+    };
+
     SceneJS.Name.prototype._compile = function (ctx) {
 
         this._engine.display.name = coreStack[stackLen++] = this._core;
@@ -91,6 +91,17 @@ SceneJS.Node.prototype._construct = function (engine, core, cfg, nodeId) {
      */
     this.branchDirty = false;
 
+    /**
+     * World-space boundary of this node's subgraph, cached by {@link SceneJS_boundaryModule}
+     */
+    this._boundaryCache = null;
+
+    /**
+     * Plugin node that was given this node's config as a child node config, if any
+     * @type SceneJS.Node
+     */
+    this._pluginOwner = engine.claimPluginContent(cfg);
+
     if (this._init) {
         this._init(cfg);
     }
@@ -404,6 +415,8 @@ SceneJS.Node.prototype.disconnectNodeAt = function (index) {
     var r = this.nodes.splice(index, 1);
     if (r.length > 0) {
         r[0].parent = null;
+        this._engine.history.detached(this, r[0], index);
+        SceneJS_boundaryModule.invalidate(this);
         this._engine.display.objectListDirty = true;
         return r[0];
     } else {
@@ -490,6 +503,12 @@ SceneJS.Node.prototype.disconnectNodes = function () {
 
     this.nodes = [];
 
+    for (i = len - 1; i >= 0; i--) { // Undone in reverse, reconnecting each node at its index
+        this._engine.history.detached(this, nodes[i], i);
+    }
+
+    SceneJS_boundaryModule.invalidate(this);
+
     this._engine.display.objectListDirty = true;
 
     return nodes;
@@ -527,6 +546,11 @@ SceneJS.Node.prototype.splice = function () {
             this.nodes = [];
             this.parent = null;
 
+            this._engine.history.detached(parent, this, i);
+            for (var j = 0; j < nodes.length; j++) {
+                this._engine.history.attached(parent, nodes[j]);
+            }
+
             this.destroy();
 
             this._engine.branchDirty(parent);
@@ -601,6 +625,7 @@ SceneJS.Node.prototype.addNode = function (node, ok) {
         }
         this.nodes.push(node);
         node.parent = this;
+        this._engine.history.attached(this, node);
         this._engine.branchDirty(node);
         if (ok) {
             ok(node);
@@ -624,6 +649,7 @@ SceneJS.Node.prototype.addNode = function (node, ok) {
         }
         this.nodes.push(node);
         node.parent = this;
+        this._engine.history.attached(this, node);
         this._engine.branchDirty(node);
         if (ok) {
             ok(node);
@@ -645,6 +671,7 @@ SceneJS.Node.prototype.addNode = function (node, ok) {
         node = this._engine.createNode(node);
         this.nodes.push(node);
         node.parent = this;
+        this._engine.history.attached(this, node);
         this._engine.branchDirty(node);
         if (ok) {
             ok(node);
@@ -662,6 +689,7 @@ SceneJS.Node.prototype.addNode = function (node, ok) {
             function (node) {
                 self.nodes.push(node);
                 node.parent = self;
+                self._engine.history.attached(self, node);
                 self._engine.branchDirty(node);
                 if (ok) {
                     ok(node);
@@ -710,13 +738,17 @@ SceneJS.Node.prototype.insertNode = function (node, i) {
             SceneJS.errors.ILLEGAL_NODE_CONFIG,
             "SceneJS.Node#insertNode - node index out of range: -1");
 
-    } else if (i >= this.nodes.length) {
-        this.nodes.push(node);
     } else {
-        this.nodes.splice(i, 0, node);
+        if (i >= this.nodes.length) {
+            this.nodes.push(node);
+        } else {
+            this.nodes.splice(i, 0, node);
+        }
+        node.parent = this;
+        this._engine.history.attached(this, node);
+        this._engine.branchDirty(node);
     }
 
-    node.parent = this;
     return node;
 };
 
@@ -1076,6 +1108,29 @@ SceneJS.Node.prototype.findParentByType = function (type) {
     return parent;
 };
 
+/**
+ * Returns the World-space axis-aligned boundary of the geometry within the subgraph rooted at this node, including
+ * any geometry at this node. Each geometry's boundary is transformed by the modelling transforms above it in
+ * the scene graph.
+ *
+ * <p>Boundaries are cached, and are recomputed when modelling transforms, geometry positions or the structure of the
+ * scene graph change.</p>
+ *
+ * @return {*} The boundary as { xmin, ymin, zmin, xmax, ymax, zmax }, or null when there is no geometry
+ */
+SceneJS.Node.prototype.getWorldBoundary = function () {
+    return SceneJS_boundaryModule.getWorldBoundary(this);
+};
+
+/**
+ * Returns a World-space sphere that encloses the boundary returned by {@link #getWorldBoundary}
+ *
+ * @return {*} The sphere as { center: { x, y, z }, radius }, or null when there is no geometry
+ */
+SceneJS.Node.prototype.getBoundingSphere = function () {
+    return SceneJS_boundaryModule.getBoundingSphere(this);
+};
+
 
 /**
  * Given a map of name-value pairs, calls a getter method for each name,
@@ -1279,14 +1334,157 @@ SceneJS.Node.prototype.bind = function (name, handler) {
 };
 
 /**
- * Returns an object containing the attributes that were given when creating the node. Obviously, the map will have
- * the current values, plus any attributes that were later added through set/add methods on the node
+ * Returns a JSON representation of this node and its subgraph, from which {@link SceneJS#createScene} or
+ * {@link #addNode} can recreate it. The JSON reflects the current state of the nodes, so it includes any
+ * updates that were made through set/add methods on them.
+ *
+ * <p>Auto-generated node and core IDs are omitted. Where the application assigned a core ID, the default is to
+ * include the ID and the state of the core only on the first node that uses it, so that the recreated nodes
+ * share the core again. Set <b>cores</b> to "inline" to instead omit core IDs and copy the state onto each node.</p>
+ *
+ * <p>Nodes of types that were installed with {@link SceneJS.Types#addType} are represented by their configs, with
+ * each property refreshed from the matching getter on the node if it has one, and with the nodes that were created
+ * from their child node configs as their children. Such a type may instead define its own toJSON method.</p>
  *
+ * @param {Object} [options] Options
+ * @param {String} [options.cores="reference"] How to represent shared cores - "reference" or "inline"
+ * @return {Object} The JSON representation
  */
-SceneJS.Node.prototype.getJSON = function () {
-    return this;
+SceneJS.Node.prototype.toJSON = function (options) {
+    if (!options || typeof options != "object") { // Also called by JSON.stringify with a key
+        options = {};
+    }
+    var cores = options.cores || "reference";
+    if (cores != "reference" && cores != "inline") {
+        throw SceneJS_error.fatalError(
+            SceneJS.errors.ILLEGAL_NODE_CONFIG,
+            "SceneJS.Node.toJSON option 'cores' invalid - should be 'reference' or 'inline'");
+    }
+    return this._toJSON({
+        cores:cores,
+        coresDone:{}
+    });
 };
 
+/**
+ * @deprecated
+ * @see #toJSON
+ */
+SceneJS.Node.prototype.getJSON = function (options) {
+    return this.toJSON(options);
+};
+
+/**
+ * Serializes this node, given the state of an ongoing serialization
+ * @private
+ */
+SceneJS.Node.prototype._toJSON = function (ctx) {
+
+    if (this._fromPlugin && this.toJSON !== SceneJS.Node.prototype.toJSON) { // Plugin does its own thing
+        return this.toJSON();
+    }
+
+    var json = {
+        type:this.type
+    };
+
+    if (typeof this.id == "string") { // Auto-generated node IDs are numbers
+        json.id = this.id;
+    }
+
+    var core = this._core;
+    var coreDone = false;
+
+    if (ctx.cores == "reference" && core && core.coreId !== core.stateId) { // Application-assigned core ID
+        json.coreId = core.coreId;
+        var coreKey = core.type + ":" + core.coreId;
+        coreDone = !!ctx.coresDone[coreKey];
+        ctx.coresDone[coreKey] = true;
+    }
+
+    if (this.data != undefined) {
+        json.data = SceneJS._copyJSON(this.data);
+    }
+
+    if (!coreDone) {
+        var state = this._fromPlugin ? this._getPluginJSON() : (this._getJSON ? this._getJSON() : null);
+        if (state) {
+            for (var name in state) {
+                if (state.hasOwnProperty(name) && state[name] !== undefined) {
+                    json[name] = state[name];
+                }
+            }
+        }
+    }
+
+    var children = this._getContentNodes();
+
+    if (children.length > 0) {
+        json.nodes = [];
+        for (var i = 0, len = children.length; i < len; i++) {
+            json.nodes.push(children[i]._toJSON(ctx));
+        }
+    }
+
+    return json;
+};
+
+/**
+ * Returns the current configs of a node whose type was installed with {@link SceneJS.Types#addType}
+ * @private
+ */
+SceneJS.Node.prototype._getPluginJSON = function () {
+    var params = this._params || {};
+    var json = {};
+    var value;
+    var getter;
+    for (var name in params) {
+        if (params.hasOwnProperty(name)) {
+            value = params[name];
+            getter = "get" + name.substr(0, 1).toUpperCase() + name.substr(1);
+            if (typeof this[getter] == "function" && !SceneJS.Node.prototype[getter]) { // Not eg. getId
+                value = this[getter]();
+            }
+            value = SceneJS._copyJSON(value);
+            if (value !== undefined) {
+                json[name] = value;
+            }
+        }
+    }
+    return json;
+};
+
+/**
+ * Returns the nodes that are the children of this node in its JSON representation. For a node whose type was
+ * installed with {@link SceneJS.Types#addType}, those are the nodes that were created from its child node configs,
+ * wherever it attached them within its subgraph.
+ * @private
+ */
+SceneJS.Node.prototype._getContentNodes = function () {
+    if (!this._fromPlugin) {
+        return this.nodes;
+    }
+    var nodes = [];
+    this._collectPluginContent(this, nodes);
+    return nodes;
+};
+
+/**
+ * Collects the nodes within this subgraph that were created from the child node configs of the given
+ * plugin node, without descending into them
+ * @private
+ */
+SceneJS.Node.prototype._collectPluginContent = function (owner, nodes) {
+    var node;
+    for (var i = 0, len = this.nodes.length; i < len; i++) {
+        node = this.nodes[i];
+        if (node._pluginOwner === owner) {
+            nodes.push(node);
+        } else {
+            node._collectPluginContent(owner, nodes);
+        }
+    }
+};
 
 SceneJS.Node.prototype._compile = function (ctx) {
     if (this.preCompile) {
@@ -1342,7 +1540,7 @@ SceneJS.Node.prototype._compileNodes = function (ctx) {
  */
 SceneJS.Node.prototype.destroy = function () {
 
-    if (!this.destroyed) {
+    if (!this.destroyed && !this._engine.history.retain(this)) { // Kept for undo when removed within a transaction
 
         if (this.parent) {
 
@@ -1354,6 +1552,8 @@ SceneJS.Node.prototype.destroy = function () {
                     break;
                 }
             }
+
+            SceneJS_boundaryModule.invalidate(this.parent);
         }
 
         // Remove publication
@@ -1392,5 +1592,9 @@ SceneJS.Node.prototype._doDestroy = function () {
         this._destroy();
     }
 
+    if (this._fromPlugin) {
+        this._engine.removePluginContent(this);
+    }
+
     return this;
 };
\ No newline at end of file
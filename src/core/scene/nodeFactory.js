@@ -88,6 +88,7 @@ SceneJS_NodeFactory.prototype.getNode = function (engine, json, core, ok) {
 };
 
 SceneJS_NodeFactory.prototype._createNode = function (nodeType, engine, json, core, ok) {
+    SceneJS_History.instrumentType(nodeType); // Setters record to history once the type is fully defined
     var node = new nodeType();
     var id = json.id || json.nodeId; // 'id' and 'nodeId' are aliases
     if (id) {
@@ -132,11 +133,7 @@ SceneJS_NodeFactory.prototype._getType = function (engine, typeName, ok) {
 };
 
 SceneJS_NodeFactory.prototype._loadScript = function (url, error) {
-    var script = document.createElement("script");
-    script.type = "text/javascript";
-    script.src = url;
-    script.onerror = error;
-    document.getElementsByTagName("head")[0].appendChild(script);
+    SceneJS.Hosts.getHost().loadScript(url, null, error);
 };
 
 /**
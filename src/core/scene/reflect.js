@@ -40,9 +40,29 @@
             this._core.blendMode = params.blendMode || "multiply";
             this._core.intensity = (params.intensity != undefined && params.intensity != null) ? params.intensity : 1.0;
             this._core.applyTo = "reflect";
+            this._core.src = params.src;
+            this._core.mipmaps = false;
             var self = this;
             var gl = this._engine.canvas.gl;
             var texture = gl.createTexture();
+            var core = this._core;
+
+            /* Called by the display when a "pbr" material is built with this reflection, since only those
+             * materials blur it through the mipmaps, according to their roughness
+             */
+            this._core.useMipmaps = function () {
+                if (core.mipmaps) {
+                    return;
+                }
+                core.mipmaps = true;
+                if (core.texture) { // Already loaded - otherwise mipmapped when loaded
+                    gl.bindTexture(gl.TEXTURE_CUBE_MAP, texture);
+                    gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+                    gl.generateMipmap(gl.TEXTURE_CUBE_MAP);
+                    gl.bindTexture(gl.TEXTURE_CUBE_MAP, null);
+                    core.texture.minFilter = gl.LINEAR_MIPMAP_LINEAR;
+                }
+            };
             var faces = [
                 gl.TEXTURE_CUBE_MAP_POSITIVE_X,
                 gl.TEXTURE_CUBE_MAP_NEGATIVE_X,
@@ -54,43 +74,45 @@
             var taskId = SceneJS_sceneStatusModule.taskStarted(this, "Loading reflection texture");
             var numImagesLoaded = 0;
             var loadFailed = false;
+            var host = this._engine.canvas.host;
             for (var i = 0; i < faces.length; i++) {
-                var face = faces[i];
-                var image = new Image();
-                image.onload = function (face, image) {
-                    return function () {
-                        if (loadFailed) {
-                            return;
+                host.loadImage(params.src[i],
+                    function (face) {
+                        return function (image) {
+                            if (loadFailed) {
+                                return;
+                            }
+                            gl.bindTexture(gl.TEXTURE_CUBE_MAP, texture);
+                            gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+                            SceneJS_webgl_texImage2D(gl, face, ensureImageSizePowerOfTwo(image));
+                            if (++numImagesLoaded == faces.length) {
+                                self._core.texture = new SceneJS_webgl_Texture2D(gl, {
+                                    texture: texture,
+                                    target: gl.TEXTURE_CUBE_MAP,
+                                    minFilter: core.mipmaps ? gl.LINEAR_MIPMAP_LINEAR : gl.LINEAR,
+                                    magFilter: gl.LINEAR,
+                                    wrapS: gl.CLAMP_TO_EDGE,
+                                    wrapT: gl.CLAMP_TO_EDGE
+                                });
+                                SceneJS_sceneStatusModule.taskFinished(taskId);
+                                self._engine.display.imageDirty = true;
+                            }
                         }
-                        gl.bindTexture(gl.TEXTURE_CUBE_MAP, texture);
-                        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
-                        gl.texImage2D(face, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, ensureImageSizePowerOfTwo(image));
-                        //self._core.texture = texture;
-                        //gl.texImage2D(face, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE,  ensureImageSizePowerOfTwo(image));
-                        if (++numImagesLoaded == faces.length) {
-                            self._core.texture = new SceneJS_webgl_Texture2D(gl, {
-                                texture: texture,
-                                target: gl.TEXTURE_CUBE_MAP,
-                                minFilter: gl.LINEAR,
-                                magFilter: gl.LINEAR,
-                                wrapS: gl.CLAMP_TO_EDGE,
-                                wrapT: gl.CLAMP_TO_EDGE
-                            });
-                            SceneJS_sceneStatusModule.taskFinished(taskId);
-                            self._engine.display.imageDirty = true;
+                    }(faces[i]),
+                    function () {
+                        if (!loadFailed) {
+                            loadFailed = true;
+                            SceneJS_sceneStatusModule.taskFailed(taskId);
                         }
-                    }
-                }(face, image);
-                image.onerror = function () {
-                    loadFailed = true;
-                    SceneJS_sceneStatusModule.taskFailed(taskId);
-                };
-                image.src = params.src[i];
+                    });
             }
         }
     };
 
     function ensureImageSizePowerOfTwo(image) {
+        if (image.data) {
+            return image; // Headless image, no canvas to resize it on
+        }
         if (!isPowerOfTwo(image.width) || !isPowerOfTwo(image.height)) {
             var canvas = document.createElement("canvas");
             canvas.width = nextHighestPowerOfTwo(image.width);
@@ -118,6 +140,14 @@
         return x + 1;
     }
 
+    SceneJS.Reflect.prototype._getJSON = function () {
+        return {
+            src:SceneJS._copyJSON(this._core.src),
+            blendMode:this._core.blendMode,
+            intensity:this._core.intensity
+        };
+    };
+
     SceneJS.Reflect.prototype._compile = function (ctx) {
         if (!this.__core) {
             this.__core = this._engine._coreFactory.getCore("cubemap");
@@ -766,6 +766,27 @@ new (function() {
         } : undefined;
     };
 
+    SceneJS.Renderer.prototype._getJSON = function() {
+        var json = {};
+        for (var key in this._core) {
+            if (this._core.hasOwnProperty(key) && !coreKeys[key]) {
+                json[key] = SceneJS._copyJSON(this._core[key]);
+            }
+        }
+        return json;
+    };
+
+    // Properties of renderer cores that are not renderer configs
+    var coreKeys = {
+        type:true,
+        coreId:true,
+        stateId:true,
+        useCount:true,
+        hash:true,
+        dirty:true,
+        props:true
+    };
+
     SceneJS.Renderer.prototype._compile = function(ctx) {
 
 //        if (this._core.dirty) {
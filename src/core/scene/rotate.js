@@ -141,6 +141,16 @@ SceneJS.Rotate.prototype.incAngle = function(angle) {
     this._engine.display.imageDirty = true;
 };
 
+SceneJS.Rotate.prototype._getJSON = function() {
+    return {
+        x:this._core.x,
+        y:this._core.y,
+        z:this._core.z,
+        angle:this._core.angle,
+        multOrder:this._core.multOrder
+    };
+};
+
 SceneJS.Rotate.prototype._compile = function(ctx) {
     SceneJS_modelXFormStack.push(this._core);
     this._compileNodes(ctx);
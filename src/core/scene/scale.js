@@ -145,6 +145,15 @@ SceneJS.Scale.prototype.incZ = function (z) {
     this._engine.display.imageDirty = true;
 };
 
+SceneJS.Scale.prototype._getJSON = function () {
+    return {
+        x:this._core.x,
+        y:this._core.y,
+        z:this._core.z,
+        multOrder:this._core.multOrder
+    };
+};
+
 SceneJS.Scale.prototype._compile = function (ctx) {
     SceneJS_modelXFormStack.push(this._core);
     this._compileNodes(ctx);
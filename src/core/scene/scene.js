@@ -19,6 +19,18 @@ SceneJS.Scene.prototype._init = function (params) {
      * @type {boolean}
      */
     this.transparent = (params.transparent === true);
+
+    if (params.postEffects) {
+        this.setPostEffects(params.postEffects);
+    }
+
+    if (params.views) {
+        this.setViews(params.views);
+    }
+
+    if (params.stereo) {
+        this.setStereo(params.stereo);
+    }
 };
 
 
@@ -39,6 +51,14 @@ SceneJS.Scene.prototype.getCanvas = function () {
     return this._engine.canvas.canvas;
 };
 
+/**
+ * Returns the host this scene runs on
+ * @return {*} The host, as described for {@link SceneJS.Hosts}
+ */
+SceneJS.Scene.prototype.getHost = function () {
+    return this._engine.canvas.host;
+};
+
 /**
  * Returns the WebGL context for this scene
  */
@@ -85,6 +105,219 @@ SceneJS.Scene.prototype.getTagMask = function () {
     return this._tagSelector ? this._tagSelector.mask : null;
 };
 
+/**
+ * Sets the chain of full-screen post-processing effects that are applied to the rendered image, replacing any
+ * existing effects.
+ *
+ * <p>While any effect is enabled, the scene is rendered into an offscreen buffer, then each enabled effect is applied
+ * in turn by a full-screen pass, which reads the image written by the previous pass, with the last pass writing to the
+ * canvas. Each effect has a type, an optional ID through which it can be updated with {@link #setPostEffect}, and an
+ * optional 'enabled' flag, along with the parameters of its type, which default to the values shown here:</p>
+ *
+ * <pre>
+ * myScene.setPostEffects([
+ *     { type: "ssao", radius: 8.0, intensity: 1.0, bias: 0.0005, falloff: 0.01 },
+ *     { type: "bloom", threshold: 0.8, intensity: 1.0, radius: 1.0 },
+ *     { type: "toneMap", mode: "aces", exposure: 1.0, gamma: 1.0 },  // Modes are "aces", "reinhard" or "linear"
+ *     { type: "colorGrade", brightness: 0.0, contrast: 1.0, saturation: 1.0, tint: { r: 1, g: 1, b: 1 } },
+ *     { type: "vignette", radius: 0.75, softness: 0.45, intensity: 1.0, color: { r: 0, g: 0, b: 0 } },
+ *     { type: "fxaa" },
+ *     {
+ *         type: "shader",
+ *         id: "myScanlines",
+ *         code: [
+ *             "uniform float lineCount;",
+ *             "void main(void) {",
+ *             "    vec4 color = texture2D(SCENEJS_uColorSampler, SCENEJS_vUV);",
+ *             "    gl_FragColor = vec4(color.rgb * (0.8 + 0.2 * sin(SCENEJS_vUV.y * lineCount)), color.a);",
+ *             "}"
+ *         ],
+ *         shaderParams: {
+ *             lineCount: 400.0
+ *         }
+ *     }
+ * ]);
+ *
+ * myScene.setPostEffect("myScanlines", { shaderParams: { lineCount: 800.0 } });
+ * </pre>
+ *
+ * <p>A "shader" effect is a custom GLSL fragment shader, given as a string or an array of strings, which loads its
+ * 'shaderParams' into uniforms of the same names. The shader is preceded by these declarations:</p>
+ * <pre>
+ * uniform sampler2D SCENEJS_uColorSampler; // Image written by previous pass
+ * uniform sampler2D SCENEJS_uDepthSampler; // Packed depth of scene, when the effect has 'depth: true'
+ * uniform vec2 SCENEJS_uViewportSize;      // Size of canvas, in pixels
+ * varying vec2 SCENEJS_vUV;                // Image coordinates, in range [0..1]
+ * float SCENEJS_unpackDepth(const in vec4 rgba); // Unpacks depth, in range [0..1] between near and far clip planes
+ * </pre>
+ *
+ * <p>The depth of the scene is only rendered for objects that are pickable.</p>
+ *
+ * @param {Array} postEffects Effect configs, in the order they are applied
+ */
+SceneJS.Scene.prototype.setPostEffects = function (postEffects) {
+    this._engine.display.postProcess.setEffects(postEffects || []);
+    this._engine.display.imageDirty = true;
+};
+
+/**
+ * Returns copies of the configs of the post-processing effects, in the order they are applied
+ * @see #setPostEffects
+ * @returns {Array} Effect configs
+ */
+SceneJS.Scene.prototype.getPostEffects = function () {
+    return this._engine.display.postProcess.getEffects();
+};
+
+/**
+ * Updates the parameters of a post-processing effect, eg. to enable or disable it, or to set its custom shader params
+ * @see #setPostEffects
+ * @param {String|Number} id ID of the effect, or its index in the effects
+ * @param {Object} params Parameters to update on the effect
+ */
+SceneJS.Scene.prototype.setPostEffect = function (id, params) {
+    this._engine.display.postProcess.setEffect(id, params || {});
+    this._engine.display.imageDirty = true;
+};
+
+/**
+ * Returns a copy of the config of a post-processing effect
+ * @see #setPostEffects
+ * @param {String|Number} id ID of the effect, or its index in the effects
+ * @returns {Object} Effect config
+ */
+SceneJS.Scene.prototype.getPostEffect = function (id) {
+    return this._engine.display.postProcess.getEffect(id);
+};
+
+/**
+ * Sets the views through which the scene is rendered, each within its own viewport on the canvas, replacing any
+ * existing views.
+ *
+ * <p>While any view is enabled, the scene is rendered once for each enabled view, in order, within the view's
+ * viewport, which is given as fractions of the canvas size, with the origin at the top left corner. Each view may
+ * have its own 'lookAt' and 'optics', which are like the parameters of {@link SceneJS.Lookat} and
+ * {@link SceneJS.Camera} nodes, and which override those nodes while the view is rendered, so that all views share the
+ * same geometry and textures. A view without a 'lookAt' or 'optics' uses those of the nodes. When perspective optics
+ * have no 'aspect', the aspect ratio follows that of the viewport. Each view also has an optional ID, through which
+ * it can be updated with {@link #setView}, and an optional 'enabled' flag:</p>
+ *
+ * <pre>
+ * myScene.setViews([
+ *     {
+ *         id: "perspective",
+ *         viewport: { x: 0, y: 0, width: 0.5, height: 1 }
+ *     },
+ *     {
+ *         id: "top",
+ *         viewport: { x: 0.5, y: 0, width: 0.5, height: 0.5 },
+ *         lookAt: { eye: { y: 50 }, look: { y: 0 }, up: { z: -1 } },
+ *         optics: { type: "ortho", left: -20, right: 20, bottom: -10, top: 10, near: 0.1, far: 100 }
+ *     },
+ *     {
+ *         id: "front",
+ *         viewport: { x: 0.5, y: 0.5, width: 0.5, height: 0.5 },
+ *         lookAt: { eye: { z: 50 } },
+ *         optics: { type: "perspective", fovy: 45 }
+ *     }
+ * ]);
+ *
+ * myScene.setView("top", { lookAt: { eye: { y: 80 } } });
+ *
+ * var hit = myScene.pick(x, y);
+ * if (hit) {
+ *     var viewId = hit.view; // "perspective", "top" or "front"
+ * }
+ * </pre>
+ *
+ * @param {Array} views View configs, in the order they are rendered
+ */
+SceneJS.Scene.prototype.setViews = function (views) {
+    this._engine.display.views.setViews(views || []);
+    this._engine.display.imageDirty = true;
+};
+
+/**
+ * Returns copies of the configs of the views, in the order they are rendered
+ * @see #setViews
+ * @returns {Array} View configs
+ */
+SceneJS.Scene.prototype.getViews = function () {
+    return this._engine.display.views.getViews();
+};
+
+/**
+ * Updates the parameters of a view, eg. to enable or disable it, move its viewport or change its lookAt or optics
+ * @see #setViews
+ * @param {String|Number} id ID of the view, or its index in the views
+ * @param {Object} params Parameters to update on the view
+ */
+SceneJS.Scene.prototype.setView = function (id, params) {
+    this._engine.display.views.setView(id, params || {});
+    this._engine.display.imageDirty = true;
+};
+
+/**
+ * Returns a copy of the config of a view
+ * @see #setViews
+ * @param {String|Number} id ID of the view, or its index in the views
+ * @returns {Object} View config
+ */
+SceneJS.Scene.prototype.getView = function (id) {
+    return this._engine.display.views.getView(id);
+};
+
+/**
+ * Sets the stereo mode, in which the scene is rendered once for each eye, replacing any existing stereo config.
+ *
+ * <p>Each eye sees the scene from half the interocular distance to the side of the {@link SceneJS.Lookat} eye
+ * position, through an asymmetric frustum derived from the {@link SceneJS.Camera} optics, so that the images of both
+ * eyes coincide at the convergence distance, in front of which objects appear to stand out of the screen. The
+ * interocular distance and convergence are in World-space units. In "sideBySide" mode, the left eye is rendered in
+ * the left half of the canvas and the right eye in the right half, while in "topBottom" mode, the left eye is
+ * rendered in the top half and the right eye in the bottom half. Each eye's image is squeezed into its half, as for
+ * half-resolution 3D display formats, unless the camera aspect ratio is set to match the half. In "anaglyph" mode,
+ * the left eye is rendered in red and the right eye in cyan, for viewing with red-cyan glasses. When the scene also
+ * has {@link #setViews}, each view is rendered once for each eye within its own viewport.</p>
+ *
+ * <pre>
+ * myScene.setStereo({
+ *     mode: "sideBySide",          // "sideBySide", "topBottom" or "anaglyph"
+ *     interocularDistance: 0.065,  // Default
+ *     convergence: 10.0            // Default
+ * });
+ *
+ * var hit = myScene.pick(x, y);
+ * if (hit) {
+ *     var eye = hit.eye; // "left" or "right"
+ * }
+ *
+ * myScene.setStereo(null); // Back to mono
+ * </pre>
+ *
+ * <p>A pick is done through the eye whose half of the canvas contains the pick coordinates, and in anaglyph mode,
+ * through the left eye.</p>
+ *
+ * @param {Object} stereo Stereo config, or null to render the scene once
+ * @param {Boolean} [stereo.enabled=true] Set false to render the scene once
+ * @param {String} [stereo.mode="sideBySide"] Stereo mode
+ * @param {Number} [stereo.interocularDistance=0.065] Distance between the eyes
+ * @param {Number} [stereo.convergence=10.0] Distance from the eyes at which their images coincide
+ */
+SceneJS.Scene.prototype.setStereo = function (stereo) {
+    this._engine.display.views.setStereo(stereo);
+    this._engine.display.imageDirty = true;
+};
+
+/**
+ * Returns a copy of the stereo config
+ * @see #setStereo
+ * @returns {Object} Stereo config, or null when there is none
+ */
+SceneJS.Scene.prototype.getStereo = function () {
+    return this._engine.display.views.getStereo();
+};
+
 /**
  * Render a single frame if new frame pending, or force a new frame
  * Returns true if frame rendered
@@ -118,10 +351,48 @@ SceneJS.Scene.prototype.isRunning = function () {
 
 /**
  * Picks whatever geometry will be rendered at the given canvas coordinates.
+ *
+ * <p>By default this is a GPU colour-indexed pick, which finds the {@link SceneJS.Name} of the object at the
+ * coordinates, and with the 'rayPick' option also finds the World-space position on the object. When the object is
+ * within a {@link SceneJS.Instances}, the hit record also has the index of the instance that was picked.</p>
+ *
+ * <p>With the 'rayCast' option, the pick is instead done on the CPU, without rendering, which also works for
+ * headless scenes. This intersects a ray cast through the coordinates with the triangles of each geometry, and the hit
+ * record then also has the ID of the {@link SceneJS.Geometry} that was hit, the index of the hit triangle and its
+ * vertex indices, the barycentric coordinates of the hit within the triangle, and the interpolated World-space
+ * normal and UV coordinates at the hit. With the 'pickThrough' option as well, the ray passes through objects
+ * that are flagged as transparent:</p>
+ *
+ * <pre>
+ * var hit = myScene.pick(x, y, { rayCast: true, pickThrough: true });
+ * if (hit) {
+ *     var geometryId = hit.geometryNodeId;
+ *     var triangle = hit.triangle;      // Index of triangle
+ *     var indices = hit.indices;        // Indices of the triangle's vertices
+ *     var weights = hit.barycentric;    // Weights of the vertices at the hit position
+ *     var worldPos = hit.worldPos;
+ *     var normal = hit.normal;
+ *     var uv = hit.uv;                  // Undefined when geometry has no UVs
+ * }
+ * </pre>
+ *
+ * <p>When the scene has {@link #setViews}, the pick is done through the view whose viewport contains the
+ * coordinates, and the hit record also has the ID of that view as 'view'. Likewise, in {@link #setStereo} mode, the
+ * pick is done through an eye, and the hit record also has the eye as 'eye', either "left" or "right".</p>
+ *
+ * @param {Number} canvasX X-axis canvas pick coordinate
+ * @param {Number} canvasY Y-axis canvas pick coordinate
+ * @param [options] Pick options
+ * @param {Boolean} [options.rayPick=false] Finds the World-space position of a GPU pick
+ * @param {Boolean} [options.rayCast=false] Picks by casting a ray on the CPU
+ * @param {Boolean} [options.pickThrough=false] When ray-casting, ignores objects flagged as transparent
+ * @returns The hit record, or undefined when nothing was picked
  */
 SceneJS.Scene.prototype.pick = function (canvasX, canvasY, options) {
     var result = this._engine.pick(canvasX, canvasY, options);
-    this.renderFrame({force:true }); // HACK: canvas blanks after picking
+    if (!options || !options.rayCast) {
+        this.renderFrame({force:true }); // HACK: canvas blanks after picking
+    }
     if (result) {
         this.publish("pick", result);
         return result;
@@ -130,18 +401,93 @@ SceneJS.Scene.prototype.pick = function (canvasX, canvasY, options) {
     }
 };
 
+/**
+ * Casts a World-space ray segment on the CPU, from an origin to the origin plus a direction vector, and returns the
+ * nearest intersection with the triangles of the visible and pickable geometries, without rendering, for things like
+ * collision detection and line-of-sight tests.
+ *
+ * <p>The hit record is like that of {@link #pick} with the 'rayCast' option, without the canvas position, and with
+ * the distance from the origin to the hit:</p>
+ *
+ * <pre>
+ * var hit = myScene.rayCast([0, 10, 0], [0, -100, 0]); // Straight down, up to 100 units
+ * if (hit) {
+ *     var height = hit.distance;
+ *     var floorPos = hit.worldPos;
+ *     var normal = hit.normal;
+ * }
+ * </pre>
+ *
+ * <p>Unlike {@link #pick}, this doesn't publish "pick" or "nopick".</p>
+ *
+ * @param {Number[]} origin World-space origin of the ray as [x, y, z]
+ * @param {Number[]} dir World-space direction of the ray as [x, y, z], whose length is that of the segment
+ * @param [options] Ray cast options
+ * @param {Boolean} [options.pickThrough=false] Ignores objects flagged as transparent
+ * @returns The hit record, or undefined when nothing was hit
+ */
+SceneJS.Scene.prototype.rayCast = function (origin, dir, options) {
+    return this._engine.rayCast(origin, dir, options) || undefined;
+};
+
+/**
+ * Picks all the named objects that are rendered within a rectangle or polygon on the canvas, for box and lasso selection.
+ *
+ * <p>Returns a hit record for each {@link SceneJS.Name} that is rendered within the region, with the number of pixels
+ * the name covers within the region, in order of decreasing coverage. With the 'enclosed' option, the hits are only
+ * for names that are fully enclosed by the region, ie. which have no visible pixels outside of it.</p>
+ *
+ * <pre>
+ * var hits = myScene.pickRegion({ x: 10, y: 10, width: 200, height: 100 });
+ *
+ * var lassoHits = myScene.pickRegion([[10, 10], [200, 30], [120, 150]], { enclosed: true });
+ *
+ * for (var i = 0; i < lassoHits.length; i++) {
+ *     var name = lassoHits[i].name;
+ *     var path = lassoHits[i].path;
+ *     var nodeId = lassoHits[i].nodeId;
+ *     var coverage = lassoHits[i].coverage;
+ * }
+ * </pre>
+ *
+ * @param {*} region Either a rectangle as { x, y, width, height }, or a polygon as an array of [x, y], in canvas coordinates
+ * @param [options] Pick options
+ * @param {Boolean} [options.enclosed=false] Only return hits for names that are fully enclosed by the region
+ * @returns {[*]} Hit records as { name, path, nodeId, coverage }
+ */
+SceneJS.Scene.prototype.pickRegion = function (region, options) {
+    if (!region) {
+        throw SceneJS_error.fatalError(
+            SceneJS.errors.ILLEGAL_NODE_CONFIG,
+            "SceneJS.Scene#pickRegion - region expected");
+    }
+    var polygon = SceneJS._isArray(region);
+    var result = this._engine.pickRegion({
+        rect:polygon ? null : region,
+        polygon:polygon ? region : null,
+        enclosed:!!(options && options.enclosed)
+    });
+    this.renderFrame({force:true }); // HACK: canvas blanks after picking
+    return result;
+};
+
 /**
  * Scene node's destroy handler, called by {@link SceneJS_node#destroy}
  * @private
  */
 SceneJS.Scene.prototype._destroy = function () {
 
-    if (!this.destroyed) {
+    if (!this._engine.destroyed) { // Node#destroy has already flagged this node as destroyed
 
         delete SceneJS._engines[this.id];  // HACK: circular dependency
         SceneJS._engineIds.removeItem(this.id); // HACK: circular dependency
 
-        this.destroyed = true;
+        this._engine.stop();
+        this._engine.destroy();
+
+        SceneJS_events.fireEvent(SceneJS_events.SCENE_DESTROYED, {
+            engine: this._engine
+        });
     }
 };
 
@@ -245,3 +591,163 @@ SceneJS.Scene.prototype.getStatus = function () {
     }
     return SceneJS._shallowClone(sceneStatus);
 };
+
+/**
+ * Returns a JSON representation of this scene, from which {@link SceneJS#createScene} can recreate it
+ * @param {Object} [options] Options - see {@link SceneJS.Node#toJSON}
+ * @return {Object} The JSON representation
+ */
+SceneJS.Scene.prototype.toJSON = function (options) {
+    return SceneJS.Node.prototype.toJSON.call(this, options);
+};
+
+SceneJS.Scene.prototype._getJSON = function () {
+    var canvasId = this._engine.canvas.canvasId;
+    var postEffects = this.getPostEffects();
+    var views = this.getViews();
+    var stereo = this.getStereo();
+    return {
+        canvasId:(canvasId != "canvas-" + this.id) ? canvasId : undefined, // Omit automatic canvas
+        contextAttr:SceneJS._copyJSON(this._engine.canvas.contextAttr),
+        transparent:this.transparent || undefined,
+        tagMask:this._tagSelector ? this._tagSelector.mask : undefined,
+        postEffects:postEffects.length > 0 ? postEffects : undefined,
+        views:views.length > 0 ? views : undefined,
+        stereo:stereo || undefined
+    };
+};
+
+/**
+ * Returns a patch that transforms the scene described by one JSON description into the scene described by another
+ *
+ * <p>When only one JSON description is given, returns a patch that transforms this scene into the scene it describes.</p>
+ *
+ * <p>The patch is an array of operations which {@link #applyPatch} applies in order, each locating its target nodes by
+ * ID, or by child node indices from the nearest node that has an ID:</p>
+ * <pre>
+ * [
+ *     { op: "set", target: { id: "myLookAt" }, attr: { eye: { x: 0, y: 0, z: 10 } } },
+ *     { op: "add", parent: { id: "myRoot", path: [0, 2] }, index: 1, node: { type: "name", name: "box" } },
+ *     { op: "remove", target: { id: "myOldNode" } },
+ *     { op: "move", target: { id: "myNode" }, parent: { id: null }, index: 0 },
+ *     { op: "rebuild", target: { id: "myTexture" }, node: { type: "texture", layers: [ ... ] } }
+ * ]
+ * </pre>
+ *
+ * <p>Nodes are updated in place through their setters where possible, while nodes whose changes can't be made that way
+ * are rebuilt from their new configs and keep their child nodes. Nodes of plugin types are recreated, along with their
+ * subgraphs, when their configs or the nodes they create change.</p>
+ *
+ * @param {Object} jsonA JSON description of the scene as it is, or as it should be when jsonB is omitted
+ * @param {Object} [jsonB] JSON description of the scene as it should be
+ * @return {Array} The patch
+ */
+SceneJS.Scene.prototype.diff = function (jsonA, jsonB) {
+    if (jsonB === undefined) {
+        jsonB = jsonA;
+        jsonA = this.toJSON();
+    }
+    return SceneJS_scenePatchModule.diff( // Descriptions given to SceneJS#createScene may omit the type
+        SceneJS._apply(jsonA, { type:"scene" }),
+        SceneJS._apply(jsonB, { type:"scene" }));
+};
+
+/**
+ * Applies a patch created by {@link #diff} to this scene
+ *
+ * <p>Only the branches of the scene graph that the patch changes are recompiled.</p>
+ *
+ * @param {Array} patch The patch
+ */
+SceneJS.Scene.prototype.applyPatch = function (patch) {
+    SceneJS_scenePatchModule.applyPatch(this, patch);
+};
+
+/**
+ * Begins a transaction, within which changes to this scene graph are recorded so that they can be undone and redone
+ *
+ * <p>Recorded changes are those made by node setters, such as {@link SceneJS.Lookat#setEye} and
+ * {@link SceneJS.Material#setBaseColor}, including changes to cores that nodes share, and those made by adding,
+ * removing, moving and splicing child nodes. Only changes to nodes that are connected to this scene are recorded.</p>
+ *
+ * <p>Transactions may be nested, in which case the changes within the outermost transaction are committed as a single
+ * step in the history. Nodes removed within a transaction are kept, disconnected, for as long as that step remains
+ * in the history, so their IDs stay in use.</p>
+ *
+ * <p>Each change to the history is published on the "history" topic, which you can subscribe to with {@link #on}:</p>
+ * <pre>
+ * scene.on("history",
+ *     function (history) {
+ *         // history.action - "commit", "rollback", "undo", "redo" or "clear"
+ *         // history.name - name of the transaction that was committed, rolled back, undone or redone
+ *         // history.numUndos, history.numRedos - numbers of transactions that can be undone and redone
+ *         // history.undoName, history.redoName - names of the transactions that would be undone and redone next
+ *     });
+ *
+ * scene.beginTransaction("Move camera");
+ * scene.getNode("myLookAt").setEye({ x: 0, y: 10, z: 20 });
+ * scene.commit();
+ *
+ * scene.undo();
+ * scene.redo();
+ * </pre>
+ *
+ * @param {String} [name] Name for the transaction, for display in an editor's undo menu for example
+ */
+SceneJS.Scene.prototype.beginTransaction = function (name) {
+    this._engine.history.beginTransaction(name);
+};
+
+/**
+ * Ends the transaction begun with the matching call to {@link #beginTransaction}, committing its changes to the
+ * history when it's the outermost transaction. This discards any transactions that were undone.
+ */
+SceneJS.Scene.prototype.commit = function () {
+    this._engine.history.commit();
+};
+
+/**
+ * Undoes the changes made within the current transaction, then ends it, along with any transactions it's nested within
+ */
+SceneJS.Scene.prototype.rollback = function () {
+    this._engine.history.rollback();
+};
+
+/**
+ * Undoes the most recently committed transaction
+ * @return {Boolean} True if there was a transaction to undo
+ */
+SceneJS.Scene.prototype.undo = function () {
+    return this._engine.history.undo();
+};
+
+/**
+ * Redoes the most recently undone transaction
+ * @return {Boolean} True if there was a transaction to redo
+ */
+SceneJS.Scene.prototype.redo = function () {
+    return this._engine.history.redo();
+};
+
+/**
+ * Returns true if there is a committed transaction to undo
+ * @return {Boolean}
+ */
+SceneJS.Scene.prototype.canUndo = function () {
+    return this._engine.history.canUndo();
+};
+
+/**
+ * Returns true if there is an undone transaction to redo
+ * @return {Boolean}
+ */
+SceneJS.Scene.prototype.canRedo = function () {
+    return this._engine.history.canRedo();
+};
+
+/**
+ * Discards all committed and undone transactions, destroying the nodes they kept for undoing and redoing
+ */
+SceneJS.Scene.prototype.clearHistory = function () {
+    this._engine.history.clear();
+};
@@ -0,0 +1,608 @@
+/**
+ * Computes patches between JSON scene descriptions and applies them to live scenes
+ *
+ * <p>A patch is an array of operations that are applied in order. Each operation locates its target nodes with
+ * addresses of the form <b>{ id: String, path: [Number] }</b>, where id is the ID of a node, or null for the scene,
+ * and the optional path is a sequence of child node indices that descends from there to a node that has no ID.
+ * The operations are:</p>
+ * <ul>
+ *     <li><b>{ op: "set", target: addr, attr: { ... } }</b> - updates configs with {@link SceneJS.Node#set}</li>
+ *     <li><b>{ op: "add", parent: addr, index: Number, node: json }</b> - creates a subgraph at the given child index</li>
+ *     <li><b>{ op: "remove", target: addr }</b> - destroys a subgraph</li>
+ *     <li><b>{ op: "move", target: addr, parent: addr, index: Number }</b> - moves a subgraph to the given child index</li>
+ *     <li><b>{ op: "rebuild", target: addr, node: json }</b> - recreates a node from the given configs, for changes
+ *     that {@link SceneJS.Node#set} can't make, keeping the node's child nodes</li>
+ * </ul>
+ * @private
+ */
+var SceneJS_scenePatchModule = new (function () {
+
+    /* Configs that setters on each core node type fully update in place. Nodes of other types, eg. plugin types,
+     * are updated through whatever setters they have.
+     */
+    var settable = {
+        scene:["tagMask", "postEffects", "views", "stereo"],
+        node:[],
+        animation:["target", "tracks", "speed", "loop"],
+        camera:["optics"],
+        clips:["clips"],
+        colorbuf:["blendEnabled"],
+        depthbuf:["enabled", "clearDepth", "depthFunc"],
+        enable:["enabled"],
+        flags:["flags"],
+        framebuf:[],
+        geometry:["source"],
+        layer:["priority", "enabled"],
+        library:[],
+        lights:["lights"],
+        lookAt:["eye", "look", "up"],
+        material:["color", "baseColor", "specularColor", "specular", "shine", "emit", "alpha", "model", "metallic", "roughness",
+            "emitColor", "alphaCutoff"],
+        matrix:["elements"],
+        morphGeometry:["factor"],
+        name:["name"],
+        reflect:[],
+        renderer:[],
+        rotate:["x", "y", "z", "angle", "multOrder"],
+        scale:["x", "y", "z", "multOrder"],
+        shader:["params"],
+        shaderParams:["params"],
+        style:["lineWidth"],
+        tag:["tag"],
+        texture:[],
+        translate:["x", "y", "z", "multOrder"],
+        view:["scissorTestEnabled"],
+        xform:["elements"]
+    };
+
+    /* Settable configs that setters replace entirely, rather than updating only what they're given
+     */
+    var replaced = {
+        scene:["postEffects", "views", "stereo"]
+    };
+
+    /**
+     * Returns a patch that transforms the scene described by jsonA into the scene described by jsonB
+     *
+     * @param {Object} jsonA JSON description of the scene or subgraph as it is
+     * @param {Object} jsonB JSON description of the scene or subgraph as it should be
+     * @return {Array} The patch
+     */
+    this.diff = function (jsonA, jsonB) {
+
+        jsonA = normalize(SceneJS._copyJSON(jsonA || {}));
+        jsonB = normalize(SceneJS._copyJSON(jsonB || {}));
+
+        if (typeOf(jsonA) != typeOf(jsonB) || (typeOf(jsonA) != "scene" && idOf(jsonA) != idOf(jsonB))) {
+            throw SceneJS_error.fatalError(
+                SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                "SceneJS.Scene#diff - root nodes should have the same type and ID");
+        }
+
+        if (typeOf(jsonA) != "scene" && idOf(jsonA) == null) {
+            throw SceneJS_error.fatalError(
+                SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                "SceneJS.Scene#diff - root node should be a scene or have an ID");
+        }
+
+        var diff = {
+            patch:[],
+            nodes:{} // Simulated nodes that currently exist, mapped to their IDs
+        };
+
+        var root = buildNode(diff, jsonA, null);
+        if (root.type == "scene") {
+            delete diff.nodes[root.id];
+            root.id = null; // Patches address the scene as the root
+        }
+
+        diffConfigs(diff, root, jsonB);
+        diffNodes(diff, root, jsonB.nodes || []);
+        removeLeftovers(diff, root);
+
+        return diff.patch;
+    };
+
+    /**
+     * Gives each node that shares a core the core state from the first node that has the core,
+     * since that's the node that defines the core state when the scene is created
+     */
+    function normalize(json) {
+        var cores = {};
+        (function visit(json) {
+            var type = typeOf(json);
+            if (json.coreId != undefined && !isPlugin(type)) {
+                var key = (SceneJS_CoreFactory.coreAliases[type] || type) + ":" + json.coreId;
+                var state = cores[key];
+                if (!state) {
+                    cores[key] = getConfigs(json);
+                } else {
+                    for (var name in json) {
+                        if (json.hasOwnProperty(name) && !isNodeConfig(name)) {
+                            delete json[name];
+                        }
+                    }
+                    for (name in state) {
+                        if (state.hasOwnProperty(name) && !isNodeConfig(name)) {
+                            json[name] = state[name];
+                        }
+                    }
+                }
+            }
+            var nodes = json.nodes || [];
+            for (var i = 0, len = nodes.length; i < len; i++) {
+                visit(nodes[i]);
+            }
+        })(json);
+        return json;
+    }
+
+    // Configs of a node that are not held by its core
+    function isNodeConfig(name) {
+        return name == "type" || name == "id" || name == "nodeId" || name == "coreId" || name == "data" || name == "nodes";
+    }
+
+    function typeOf(json) {
+        return json.type || "node";
+    }
+
+    function idOf(json) {
+        var id = json.id != undefined ? json.id : json.nodeId; // 'id' and 'nodeId' are aliases
+        return id != undefined ? id : null;
+    }
+
+    // Returns a node's configs, without its ID and child nodes
+    function getConfigs(json) {
+        var configs = {};
+        for (var name in json) {
+            if (json.hasOwnProperty(name) && name != "id" && name != "nodeId" && name != "nodes") {
+                configs[name] = json[name];
+            }
+        }
+        configs.type = typeOf(json);
+        return configs;
+    }
+
+    // Plugin types create their child nodes within themselves, which we can only do by recreating them
+    function isPlugin(type) {
+        if (type == "node") {
+            return false;
+        }
+        var nodeType = SceneJS_NodeFactory.nodeTypes[type];
+        return !nodeType || !!nodeType.prototype._fromPlugin; // Types that aren't loaded yet can only be plugins
+    }
+
+    /**
+     * Builds a simulated node from the given JSON, which tracks the state of the scene as the patch is applied to it
+     */
+    function buildNode(diff, json, parent) {
+        var node = {
+            id:idOf(json),
+            type:typeOf(json),
+            configs:getConfigs(json),
+            parent:parent,
+            nodes:[],
+            numNodes:0 // Number of leading child nodes that are in their final place
+        };
+        if (node.id != null) {
+            diff.nodes[node.id] = node;
+        }
+        var nodes = json.nodes || [];
+        for (var i = 0, len = nodes.length; i < len; i++) {
+            node.nodes.push(buildNode(diff, nodes[i], node));
+        }
+        node.numNodes = node.nodes.length;
+        return node;
+    }
+
+    function getAddress(node) {
+        var path = [];
+        while (node.parent && node.id == null) {
+            path.unshift(indexOf(node.parent.nodes, node));
+            node = node.parent;
+        }
+        var address = { id:node.id };
+        if (path.length > 0) {
+            address.path = path;
+        }
+        return address;
+    }
+
+    function indexOf(nodes, node) {
+        for (var i = 0, len = nodes.length; i < len; i++) {
+            if (nodes[i] === node) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Transforms the child nodes of the given simulated node into the given child node JSON
+     */
+    function diffNodes(diff, parent, nodesB) {
+
+        var nodesA = parent.nodes.slice(0);
+        var matched = [];
+        var jsonB;
+        var node;
+
+        for (var i = 0, len = nodesB.length; i < len; i++) {
+
+            jsonB = nodesB[i];
+            node = null;
+
+            if (idOf(jsonB) != null) {
+                node = diff.nodes[idOf(jsonB)] || null;
+
+            } else { // Match nodes without IDs by their order among siblings of the same type
+                for (var j = 0, lenj = nodesA.length; j < lenj; j++) {
+                    if (nodesA[j].id == null && !matched[j] && nodesA[j].type == typeOf(jsonB)) {
+                        matched[j] = true;
+                        node = nodesA[j];
+                        break;
+                    }
+                }
+            }
+
+            if (node && (isPlugin(node.type) || isPlugin(typeOf(jsonB)))
+                && (node.type != typeOf(jsonB) || needsRebuild(node, jsonB) || !sameNodes(node, jsonB))) {
+                removeNode(diff, node);
+                node = null;
+            }
+
+            if (node) {
+                if (node.parent !== parent || indexOf(parent.nodes, node) != i) {
+                    diff.patch.push({
+                        op:"move",
+                        target:getAddress(node),
+                        parent:getAddress(parent),
+                        index:i
+                    });
+                    node.parent.nodes.splice(indexOf(node.parent.nodes, node), 1);
+                    parent.nodes.splice(i, 0, node);
+                    node.parent = parent;
+                }
+                diffConfigs(diff, node, jsonB);
+                diffNodes(diff, node, jsonB.nodes || []);
+
+            } else {
+                addNode(diff, parent, i, jsonB);
+            }
+        }
+
+        parent.numNodes = nodesB.length;
+    }
+
+    // Tests if nodes have the same child nodes, in the same order
+    function sameNodes(node, jsonB) {
+        var nodesB = jsonB.nodes || [];
+        if (node.nodes.length != nodesB.length) {
+            return false;
+        }
+        for (var i = 0, len = nodesB.length; i < len; i++) {
+            if (node.nodes[i].id != idOf(nodesB[i]) || node.nodes[i].type != typeOf(nodesB[i])) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    function addNode(diff, parent, index, jsonB) {
+
+        var ids = [];
+        (function collect(json) {
+            if (idOf(json) != null && diff.nodes[idOf(json)]) {
+                ids.push(idOf(json));
+            }
+            var nodes = json.nodes || [];
+            for (var i = 0, len = nodes.length; i < len; i++) {
+                collect(nodes[i]);
+            }
+        })(jsonB);
+
+        var node;
+
+        if (ids.length == 0 || isPlugin(typeOf(jsonB))) {
+
+            // Create the whole subgraph, after destroying any existing nodes that have the same IDs
+
+            for (var i = 0, len = ids.length; i < len; i++) {
+                if (diff.nodes[ids[i]]) {
+                    removeNode(diff, diff.nodes[ids[i]]);
+                }
+            }
+            diff.patch.push({
+                op:"add",
+                parent:getAddress(parent),
+                index:index,
+                node:jsonB
+            });
+            node = buildNode(diff, jsonB, parent);
+            parent.nodes.splice(index, 0, node);
+
+        } else {
+
+            // Create the node alone, then move in the existing nodes
+
+            var configs = getConfigs(jsonB);
+            if (idOf(jsonB) != null) {
+                configs.id = idOf(jsonB);
+            }
+            diff.patch.push({
+                op:"add",
+                parent:getAddress(parent),
+                index:index,
+                node:configs
+            });
+            node = buildNode(diff, configs, parent);
+            parent.nodes.splice(index, 0, node);
+            diffNodes(diff, node, jsonB.nodes || []);
+        }
+    }
+
+    function removeNode(diff, node) {
+        diff.patch.push({
+            op:"remove",
+            target:getAddress(node)
+        });
+        node.parent.nodes.splice(indexOf(node.parent.nodes, node), 1);
+        (function forget(node) {
+            if (node.id != null) {
+                delete diff.nodes[node.id];
+            }
+            for (var i = 0, len = node.nodes.length; i < len; i++) {
+                forget(node.nodes[i]);
+            }
+        })(node);
+    }
+
+    // Removes the nodes that were not moved into place
+    function removeLeftovers(diff, node) {
+        for (var i = node.nodes.length - 1; i >= node.numNodes; i--) {
+            removeNode(diff, node.nodes[i]);
+        }
+        for (i = 0; i < node.nodes.length; i++) {
+            removeLeftovers(diff, node.nodes[i]);
+        }
+    }
+
+    /* Configs that a description omits keep their current values, as they do with SceneJS.Node#set,
+     * so only the configs it gives are compared
+     */
+    function needsRebuild(node, jsonB) {
+        var configsA = node.configs;
+        var configsB = getConfigs(jsonB);
+        for (var name in configsB) {
+            if (configsB.hasOwnProperty(name) && !equal(configsA[name], configsB[name])
+                && !isSettable(node.type, name, configsA[name], configsB[name])) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Updates the configs of the given simulated node to those of the given JSON
+     */
+    function diffConfigs(diff, node, jsonB) {
+
+        var configsA = node.configs;
+        var configsB = getConfigs(jsonB);
+        var configs = (node.type == configsB.type) ? SceneJS._apply(configsB, SceneJS._shallowClone(configsA)) : configsB;
+        var name;
+
+        if (node.type != configsB.type || needsRebuild(node, jsonB)) {
+            if (!node.parent) {
+                throw SceneJS_error.fatalError(
+                    SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                    "SceneJS.Scene#diff - root node configs can't be changed in place");
+            }
+            var json = SceneJS._shallowClone(configs);
+            if (node.id != null) {
+                json.id = node.id;
+            }
+            diff.patch.push({
+                op:"rebuild",
+                target:getAddress(node),
+                node:json
+            });
+
+        } else {
+            var attr = null;
+            for (name in configsB) {
+                if (configsB.hasOwnProperty(name) && !equal(configsA[name], configsB[name])) {
+                    (attr || (attr = {}))[name] = configsB[name];
+                }
+            }
+            if (attr) {
+                diff.patch.push({
+                    op:"set",
+                    target:getAddress(node),
+                    attr:attr
+                });
+            }
+        }
+
+        node.type = configsB.type;
+        node.configs = configs;
+    }
+
+    function isSettable(type, name, valueA, valueB) {
+        if (name == "data" || (replaced[type] && indexOf(replaced[type], name) >= 0)) {
+            return true;
+        }
+        var setterName = "set" + name.substr(0, 1).toUpperCase() + name.substr(1);
+        var names = settable[type];
+        if (names) {
+            if (indexOf(names, name) < 0) {
+                return false;
+            }
+        } else {
+            var nodeType = SceneJS_NodeFactory.nodeTypes[type];
+            if (!nodeType || typeof nodeType.prototype[setterName] != "function"
+                || nodeType.prototype[setterName] === SceneJS.Node.prototype[setterName]) {
+                return false;
+            }
+        }
+        return covers(valueA, valueB);
+    }
+
+    /* Setters generally update only the array elements and object properties that they are given,
+     * so they can't fully update an array or object config to one that has fewer of them
+     */
+    function covers(valueA, valueB) {
+        if (valueA == null || typeof valueA != "object") {
+            return true;
+        }
+        if (valueB == null || typeof valueB != "object") {
+            return false;
+        }
+        if (SceneJS._isArray(valueA)) {
+            if (!SceneJS._isArray(valueB) || valueA.length != valueB.length) {
+                return false;
+            }
+        }
+        for (var name in valueA) {
+            if (valueA.hasOwnProperty(name)) {
+                if (!valueB.hasOwnProperty(name) || !covers(valueA[name], valueB[name])) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    function equal(a, b) {
+        if (a === b) {
+            return true;
+        }
+        if (a == null || b == null || typeof a != "object" || typeof b != "object") {
+            return false;
+        }
+        if (SceneJS._isArray(a) != SceneJS._isArray(b)) {
+            return false;
+        }
+        var name;
+        for (name in a) {
+            if (a.hasOwnProperty(name) && (!b.hasOwnProperty(name) || !equal(a[name], b[name]))) {
+                return false;
+            }
+        }
+        for (name in b) {
+            if (b.hasOwnProperty(name) && !a.hasOwnProperty(name)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Applies a patch to a scene
+     *
+     * @param {SceneJS.Scene} scene The scene
+     * @param {Array} patch The patch, as created by #diff
+     */
+    this.applyPatch = function (scene, patch) {
+
+        var op;
+        var node;
+
+        for (var i = 0, len = patch.length; i < len; i++) {
+
+            op = patch[i];
+
+            switch (op.op) {
+
+                case "set":
+                    getNode(scene, op.target).set(SceneJS._copyJSON(op.attr));
+                    break;
+
+                case "add":
+                    insertNode(getNode(scene, op.parent), SceneJS._copyJSON(op.node), op.index);
+                    break;
+
+                case "remove":
+                    node = getNode(scene, op.target);
+                    if (!node.parent) {
+                        throw SceneJS_error.fatalError(
+                            SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                            "SceneJS.Scene#applyPatch - can't remove the root node");
+                    }
+                    node.parent.removeNode(node);
+                    break;
+
+                case "move":
+                    node = getNode(scene, op.target);
+                    var parent = getNode(scene, op.parent);
+                    node.disconnect();
+                    insertNode(parent, node, op.index);
+                    break;
+
+                case "rebuild":
+                    node = getNode(scene, op.target);
+                    rebuildNode(node, SceneJS._copyJSON(op.node));
+                    break;
+
+                default:
+                    throw SceneJS_error.fatalError(
+                        SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                        "SceneJS.Scene#applyPatch - unsupported operation: '" + op.op + "'");
+            }
+        }
+    };
+
+    function getNode(scene, address) {
+        var node = (address.id == null) ? scene : scene._engine.findNode(address.id);
+        if (!node) {
+            throw SceneJS_error.fatalError(
+                SceneJS.errors.NODE_NOT_FOUND,
+                "SceneJS.Scene#applyPatch - node not found: '" + address.id + "'");
+        }
+        var path = address.path || [];
+        for (var i = 0, len = path.length; i < len; i++) {
+            node = node._getContentNodes()[path[i]];
+            if (!node) {
+                throw SceneJS_error.fatalError(
+                    SceneJS.errors.NODE_NOT_FOUND,
+                    "SceneJS.Scene#applyPatch - node not found: '" + address.id + "' path [" + path.join(",") + "]");
+            }
+        }
+        return node;
+    }
+
+    // Adds a node object or JSON at the given child index, placing it there directly so that history records that index
+    function insertNode(parent, node, index, ok) {
+        if (node._compile) {
+            parent.insertNode(node, index);
+            return;
+        }
+        parent._engine.createNode(node,
+            function (node) {
+                parent.insertNode(node, index);
+                if (ok) {
+                    ok(node);
+                }
+            });
+    }
+
+    // Replaces a node with one created from the given JSON, moving its child nodes across to the new node
+    function rebuildNode(node, json) {
+        var parent = node.parent;
+        if (!parent) {
+            throw SceneJS_error.fatalError(
+                SceneJS.errors.ILLEGAL_NODE_CONFIG,
+                "SceneJS.Scene#applyPatch - can't rebuild the root node");
+        }
+        var index = indexOf(parent.nodes, node);
+        var nodes = node.disconnectNodes();
+        parent.removeNode(node);
+        insertNode(parent, json, index,
+            function (node) {
+                for (var i = 0, len = nodes.length; i < len; i++) {
+                    node.addNode(nodes[i]);
+                }
+            });
+    }
+
+})();
@@ -165,6 +165,25 @@ new (function() {
         return params;
     };
 
+    SceneJS.Shader.prototype._getJSON = function () {
+        var shaders = [];
+        var shader;
+        for (var stage in this._core.shaders) {
+            if (this._core.shaders.hasOwnProperty(stage)) {
+                shader = this._core.shaders[stage];
+                shaders.push({
+                    stage:stage,
+                    code:shader.code,
+                    hooks:SceneJS._copyJSON(shader.hooks)
+                });
+            }
+        }
+        return {
+            shaders:shaders,
+            params:SceneJS._copyJSON(this.getParams())
+        };
+    };
+
     SceneJS.Shader.prototype._compile = function(ctx) {
 
         idStack[stackLen] = this._core.coreId; // Draw list node tied to core, not node
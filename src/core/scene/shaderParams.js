@@ -81,6 +81,12 @@ new (function() {
         return params;
     };
 
+    SceneJS.ShaderParams.prototype._getJSON = function () {
+        return {
+            params:SceneJS._copyJSON(this.getParams())
+        };
+    };
+
     SceneJS.ShaderParams.prototype._compile = function(ctx) {
 
         idStack[stackLen] = this._core.coreId; // Tie draw list state to core, not to scene node
@@ -55,6 +55,12 @@
         return this._core.lineWidth;
     };
 
+    SceneJS.Style.prototype._getJSON = function () {
+        return {
+            lineWidth:this._core.lineWidth
+        };
+    };
+
     SceneJS.Style.prototype._compile = function (ctx) {
         this._engine.display.style = coreStack[stackLen++] = this._core;
         this._compileNodes(ctx);
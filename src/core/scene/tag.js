@@ -52,6 +52,12 @@
         return this._core.tag;
     };
 
+    SceneJS.Tag.prototype._getJSON = function () {
+        return {
+            tag:this._core.tag
+        };
+    };
+
     SceneJS.Tag.prototype._compile = function(ctx) {
         this._engine.display.tag = coreStack[stackLen++] = this._core;
         this._compileNodes(ctx);
@@ -81,13 +81,18 @@ new (function () {
                         layerParams.applyTo != "color" && // Colour map
                         layerParams.applyTo != "specular" && // Specular map
                         layerParams.applyTo != "emit" && // Emission map
+                        layerParams.applyTo != "emitColor" && // Emission color map, for "pbr" materials with an emit color
                         layerParams.applyTo != "alpha" && // Alpha map
                         layerParams.applyTo != "normals" && // Normal map
-                        layerParams.applyTo != "shine") { // Shininess map
+                        layerParams.applyTo != "shine" && // Shininess map
+                        layerParams.applyTo != "metallic" && // Metalness map, from blue channel, for "pbr" materials
+                        layerParams.applyTo != "roughness" && // Roughness map, from green channel, for "pbr" materials
+                        layerParams.applyTo != "occlusion") { // Ambient occlusion map, from red channel
                         throw SceneJS_error.fatalError(
                             SceneJS.errors.NODE_CONFIG_EXPECTED,
                             "texture layer " + i + " applyTo value is unsupported - " +
-                                "should be either 'color', 'baseColor', 'specular' or 'normals'");
+                                "should be either 'color', 'baseColor', 'specular', 'emit', 'emitColor', 'alpha', 'normals', " +
+                                "'shine', 'metallic', 'roughness' or 'occlusion'");
                     }
                 }
 
@@ -210,32 +215,27 @@ new (function () {
 
             var taskId = SceneJS_sceneStatusModule.taskStarted(this, "Loading texture");
 
-            var image = new Image();
-
-            image.onload = function () {
-                var texture = gl.createTexture();
-                gl.bindTexture(gl.TEXTURE_2D, texture);
-                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, self._ensureImageSizePowerOfTwo(image));
-                self._setLayerTexture(gl, layer, texture);
-                SceneJS_sceneStatusModule.taskFinished(taskId);
-                self._engine.display.imageDirty = true;
-            };
-
-            image.onerror = function () {
-                SceneJS_sceneStatusModule.taskFailed(taskId);
-            };
-
-            if (src.indexOf("data") == 0) {  // Image data
-                image.src = src;
-            } else { // Image file
-                image.crossOrigin = "Anonymous";
-                image.src = src;
-            }
+            this._engine.canvas.host.loadImage(src,
+                function (image) {
+                    var texture = gl.createTexture();
+                    gl.bindTexture(gl.TEXTURE_2D, texture);
+                    SceneJS_webgl_texImage2D(gl, gl.TEXTURE_2D, self._ensureImageSizePowerOfTwo(image));
+                    self._setLayerTexture(gl, layer, texture);
+                    SceneJS_sceneStatusModule.taskFinished(taskId);
+                    self._engine.display.imageDirty = true;
+                },
+                function () {
+                    SceneJS_sceneStatusModule.taskFailed(taskId);
+                });
         }
     };
 
     SceneJS.Texture.prototype._ensureImageSizePowerOfTwo = function (image) {
 
+        if (image.data) {
+            return image; // Headless image, no canvas to resize it on
+        }
+
         if (!this._isPowerOfTwo(image.width) || !this._isPowerOfTwo(image.height)) {
 
             var canvas = document.createElement("canvas");
@@ -371,6 +371,7 @@ new (function () {
         }
 
         if (cfg.source) {
+            layer.source = SceneJS._apply(cfg.source, SceneJS._shallowClone(layer.source)); // Track for #toJSON
             var source = layer._source;
             if (source && source.configure) {
                 source.configure(cfg.source);
@@ -431,6 +432,35 @@ new (function () {
         }
     };
 
+    SceneJS.Texture.prototype._getJSON = function () {
+        var layers = [];
+        var layer;
+        var json;
+        for (var i = 0, len = this._core.layers.length; i < len; i++) {
+            layer = this._core.layers[i];
+            json = {};
+            for (var key in layer) {
+                if (layer.hasOwnProperty(key) && !layerStateKeys[key]) {
+                    json[key] = SceneJS._copyJSON(layer[key]);
+                }
+            }
+            layers.push(json);
+        }
+        return {
+            waitForLoad:layers.length > 0 ? this._core.layers[0].waitForLoad : undefined,
+            layers:layers
+        };
+    };
+
+    // Properties of texture layers that are not layer configs
+    var layerStateKeys = {
+        waitForLoad:true,
+        texture:true,
+        matrix:true,
+        matrixAsArray:true,
+        _source:true
+    };
+
     SceneJS.Texture.prototype._compile = function (ctx) {
         if (!this._core.hash) {
             this._makeHash();
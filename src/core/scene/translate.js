@@ -151,6 +151,15 @@ SceneJS.Translate.prototype.incZ = function(z) {
     return this;
 };
 
+SceneJS.Translate.prototype._getJSON = function() {
+    return {
+        x:this._core.x,
+        y:this._core.y,
+        z:this._core.z,
+        multOrder:this._core.multOrder
+    };
+};
+
 SceneJS.Translate.prototype._compile = function(ctx) {
     SceneJS_modelXFormStack.push(this._core);
     this._compileNodes(ctx);
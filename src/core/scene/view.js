@@ -65,6 +65,12 @@
         return this._core.scissorTestEnabled;
     };
 
+    SceneJS.View.prototype._getJSON = function () {
+        return {
+            scissorTestEnabled:this._core.scissorTestEnabled
+        };
+    };
+
     SceneJS.View.prototype._compile = function (ctx) {
         this._engine.display.view = coreStack[stackLen++] = this._core;
         this._compileNodes(ctx);
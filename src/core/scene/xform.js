@@ -73,6 +73,12 @@ SceneJS.XForm.prototype.setElements = function (elements) {
     return this;
 };
 
+SceneJS.XForm.prototype._getJSON = function () {
+    return {
+        elements:SceneJS._copyJSON(this._core.matrix)
+    };
+};
+
 SceneJS.XForm.prototype._compile = function (ctx) {
     SceneJS_modelXFormStack.push(this._core);
     this._compileNodes(ctx);
@@ -139,6 +139,10 @@ var SceneJS = new (function () {
      * @param {String} json JSON scene description
      * @param {*} options Optional options
      * @param {Boolean} options.simulateWebGLContextLost Set true to enable simulation of lost WebGL context (has performance impact)
+     * @param {String|Object} [options.host] Name of a host registered with {@link SceneJS.Hosts}, or a host object - defaults to "browser" when there is a DOM, else "node"
+     * @param {WebGLRenderingContext} [options.gl] WebGL context to render into, selects the "node" host when no host is given
+     * @param {Number} [options.width] Canvas width for the "node" host
+     * @param {Number} [options.height] Canvas height for the "node" host
      * @returns {SceneJS.Scene} New scene
      */
     this.createScene = function (json, options) {
@@ -284,6 +288,47 @@ var SceneJS = new (function () {
         return o2;
     };
 
+    /**
+     * Returns a deep copy of the given value that contains only JSON data. Typed arrays become plain arrays,
+     * while functions, nodes and other objects with prototypes are dropped, ie. the copy is undefined.
+     * @private
+     */
+    this._copyJSON = function (value) {
+        if (value == null || typeof value != "object") {
+            return (typeof value == "function") ? undefined : value;
+        }
+        var copy;
+        var i;
+        var len;
+        if (SceneJS._isArray(value) || (value.buffer && typeof value.BYTES_PER_ELEMENT == "number")) {
+            copy = [];
+            for (i = 0, len = value.length; i < len; i++) {
+                copy.push(value[i]);
+            }
+            if (!value.BYTES_PER_ELEMENT) {
+                for (i = 0; i < len; i++) {
+                    copy[i] = SceneJS._copyJSON(copy[i]);
+                }
+            }
+            return copy;
+        }
+        var proto = Object.getPrototypeOf(value);
+        if (proto != null && Object.getPrototypeOf(proto) != null) { // Not a plain object, possibly from another frame
+            return undefined;
+        }
+        copy = {};
+        var v;
+        for (var name in value) {
+            if (value.hasOwnProperty(name)) {
+                v = SceneJS._copyJSON(value[name]);
+                if (v !== undefined) {
+                    copy[name] = v;
+                }
+            }
+        }
+        return copy;
+    };
+
 
     /**
      * Resets SceneJS, destroying all existing scenes
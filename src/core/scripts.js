@@ -41,27 +41,7 @@ new (function () {
     };
 
     function loadScript(src, ok) {
-        var script = document.createElement("script");
-        script.type = "text/javascript";
-        if (script.readyState) {  //IE
-            script.onreadystatechange = function () {
-                if (script.readyState == "loaded" ||
-                    script.readyState == "complete") {
-                    script.onreadystatechange = null;
-                    if (ok) {
-                        ok();
-                    }
-                }
-            };
-        } else {  //Others
-            script.onload = function () {
-                if (ok) {
-                    ok();
-                }
-            };
-        }
-        script.src = src;
-        document.getElementsByTagName("head")[0].appendChild(script);
+        SceneJS.Hosts.getHost().loadScript(src, ok);
     }
 
 })();
\ No newline at end of file
@@ -22,6 +22,16 @@ var SceneJS_sceneStatusModule = new (function () {
 
     var self = this;
 
+    SceneJS_events.addListener(
+        SceneJS_events.SCENE_CREATED,
+        function (params) {
+            if (!self.sceneStatus[params.engine.id]) { // Nodes may have started tasks while the scene was being created
+                self.sceneStatus[params.engine.id] = {
+                    numTasks: 0
+                };
+            }
+        });
+
     SceneJS_events.addListener(
         SceneJS_events.SCENE_DESTROYED,
         function (params) {
@@ -34,9 +44,9 @@ var SceneJS_sceneStatusModule = new (function () {
      */
     this.taskStarted = function (node, description) {
 
-        var popups = SceneJS_configsModule.configs.statusPopups !== false;
-
         var scene = node.getScene();
+        var popups = SceneJS_configsModule.configs.statusPopups !== false && scene._engine.canvas.host.dom;
+
         var sceneId = scene.getId();
         var nodeId = node.getId();
         var canvas = scene.getCanvas();
@@ -174,7 +184,7 @@ var SceneJS_sceneStatusModule = new (function () {
         var popups = !!SceneJS_configsModule.configs.statusPopups;
         var sceneState = task.sceneState;
         this.sceneStatus[sceneState.sceneId].numTasks--;
-        if (popups) {
+        if (popups && task.element) {
             failPopup(task.element);
         }
         var nodeState = task.nodeState;
@@ -0,0 +1,1240 @@
+/**
+ * Support for testing SceneJS
+ */
+SceneJS.testing = SceneJS.testing || {};
+
+/**
+ * @class A WebGL 1 context implemented in pure JavaScript, which records every call that is made on it.
+ *
+ * <p>Give one to {@link SceneJS#createScene} to render a scene headlessly, then inspect what the display
+ * actually issued to WebGL - program binds, uniform sets, draw calls with their element counts etc:</p>
+ *
+ * <pre>
+ * var gl = new SceneJS.testing.RecordingGL({ width: 640, height: 480 });
+ *
+ * var scene = SceneJS.createScene({ nodes: [ ... ] }, { gl: gl });
+ *
+ * scene.stop(); // Render frames on demand
+ *
+ * var frame = gl.record(function () {
+ *     scene.renderFrame({ force: true });
+ * });
+ *
+ * frame.count("useProgram");   // Number of program binds
+ * frame.drawCalls();           // [{ mode: gl.TRIANGLES, count: 36, type: gl.UNSIGNED_SHORT, offset: 0, program: 1 }, ...]
+ * frame.redundant();           // Calls which did not change any state, eg. binding the program that was already bound
+ *
+ * SceneJS.testing.diffFrames(frameA, frameB); // Compare two recorded frames
+ * </pre>
+ *
+ * <p>Shaders always compile and programs always link; the active attributes and uniforms of a program are
+ * discovered from the declarations in its shader sources. Pixels read with <b>readPixels</b> are zero, unless
+ * you supply a <b>readPixels</b> function to fill them in.</p>
+ *
+ * @param {Object} [cfg] Configuration
+ * @param {Number} [cfg.width=300] Width of the drawing buffer
+ * @param {Number} [cfg.height=150] Height of the drawing buffer
+ * @param {[String]} [cfg.extensions] Names of the extensions to support, out of "OES_vertex_array_object",
+ * "OES_element_index_uint", "ANGLE_instanced_arrays", "OES_standard_derivatives", "OES_texture_float" and "WEBGL_depth_texture"
+ * @param {Function(x, y, width, height, format, type, pixels)} [cfg.readPixels] Fills in the pixels read by readPixels
+ */
+SceneJS.testing.RecordingGL = function (cfg) {
+
+    cfg = cfg || {};
+
+    this.drawingBufferWidth = cfg.width || 300;
+    this.drawingBufferHeight = cfg.height || 150;
+
+    this.canvas = null;
+
+    /**
+     * Calls recorded since the last {@link #reset} or {@link #takeFrame}
+     * @type {[{name:String, args:Array, redundant:Boolean, program:Number}]}
+     */
+    this.calls = [];
+
+    /**
+     * Set false to stop recording calls
+     * @type Boolean
+     */
+    this.recording = true;
+
+    this._readPixels = cfg.readPixels;
+    this._contextAttributes = cfg.contextAttributes || {
+        alpha: true,
+        depth: true,
+        stencil: false,
+        antialias: true,
+        premultipliedAlpha: true,
+        preserveDrawingBuffer: false
+    };
+
+    this._supportedExtensions = cfg.extensions || [];
+    this._extensions = {};
+
+    this._nextId = 1;
+    this._state = {};
+    this._program = null;
+    this._activeTexture = this.TEXTURE0;
+    this._caps = {};
+    this._caps[this.DITHER] = true;
+    this._viewport = [0, 0, this.drawingBufferWidth, this.drawingBufferHeight];
+    this._bindings = {};
+    this._redundant = false;
+};
+
+(function () {
+
+    var RecordingGL = SceneJS.testing.RecordingGL;
+
+    var constants = {
+        DEPTH_BUFFER_BIT: 0x00000100, STENCIL_BUFFER_BIT: 0x00000400, COLOR_BUFFER_BIT: 0x00004000,
+        POINTS: 0x0000, LINES: 0x0001, LINE_LOOP: 0x0002, LINE_STRIP: 0x0003, TRIANGLES: 0x0004, TRIANGLE_STRIP: 0x0005, TRIANGLE_FAN: 0x0006,
+        ZERO: 0, ONE: 1, SRC_COLOR: 0x0300, ONE_MINUS_SRC_COLOR: 0x0301, SRC_ALPHA: 0x0302, ONE_MINUS_SRC_ALPHA: 0x0303,
+        DST_ALPHA: 0x0304, ONE_MINUS_DST_ALPHA: 0x0305, DST_COLOR: 0x0306, ONE_MINUS_DST_COLOR: 0x0307, SRC_ALPHA_SATURATE: 0x0308,
+        FUNC_ADD: 0x8006, BLEND_EQUATION: 0x8009, BLEND_EQUATION_RGB: 0x8009, BLEND_EQUATION_ALPHA: 0x883D,
+        FUNC_SUBTRACT: 0x800A, FUNC_REVERSE_SUBTRACT: 0x800B,
+        BLEND_DST_RGB: 0x80C8, BLEND_SRC_RGB: 0x80C9, BLEND_DST_ALPHA: 0x80CA, BLEND_SRC_ALPHA: 0x80CB,
+        CONSTANT_COLOR: 0x8001, ONE_MINUS_CONSTANT_COLOR: 0x8002, CONSTANT_ALPHA: 0x8003, ONE_MINUS_CONSTANT_ALPHA: 0x8004, BLEND_COLOR: 0x8005,
+        ARRAY_BUFFER: 0x8892, ELEMENT_ARRAY_BUFFER: 0x8893, ARRAY_BUFFER_BINDING: 0x8894, ELEMENT_ARRAY_BUFFER_BINDING: 0x8895,
+        STREAM_DRAW: 0x88E0, STATIC_DRAW: 0x88E4, DYNAMIC_DRAW: 0x88E8, BUFFER_SIZE: 0x8764, BUFFER_USAGE: 0x8765, CURRENT_VERTEX_ATTRIB: 0x8626,
+        FRONT: 0x0404, BACK: 0x0405, FRONT_AND_BACK: 0x0408,
+        CULL_FACE: 0x0B44, BLEND: 0x0BE2, DITHER: 0x0BD0, STENCIL_TEST: 0x0B90, DEPTH_TEST: 0x0B71, SCISSOR_TEST: 0x0C11,
+        POLYGON_OFFSET_FILL: 0x8037, SAMPLE_ALPHA_TO_COVERAGE: 0x809E, SAMPLE_COVERAGE: 0x80A0,
+        NO_ERROR: 0, INVALID_ENUM: 0x0500, INVALID_VALUE: 0x0501, INVALID_OPERATION: 0x0502, OUT_OF_MEMORY: 0x0505,
+        CW: 0x0900, CCW: 0x0901,
+        LINE_WIDTH: 0x0B21, ALIASED_POINT_SIZE_RANGE: 0x846D, ALIASED_LINE_WIDTH_RANGE: 0x846E, CULL_FACE_MODE: 0x0B45, FRONT_FACE: 0x0B46,
+        DEPTH_RANGE: 0x0B70, DEPTH_WRITEMASK: 0x0B72, DEPTH_CLEAR_VALUE: 0x0B73, DEPTH_FUNC: 0x0B74,
+        STENCIL_CLEAR_VALUE: 0x0B91, STENCIL_FUNC: 0x0B92, STENCIL_FAIL: 0x0B94, STENCIL_PASS_DEPTH_FAIL: 0x0B95, STENCIL_PASS_DEPTH_PASS: 0x0B96,
+        STENCIL_REF: 0x0B97, STENCIL_VALUE_MASK: 0x0B93, STENCIL_WRITEMASK: 0x0B98,
+        STENCIL_BACK_FUNC: 0x8800, STENCIL_BACK_FAIL: 0x8801, STENCIL_BACK_PASS_DEPTH_FAIL: 0x8802, STENCIL_BACK_PASS_DEPTH_PASS: 0x8803,
+        STENCIL_BACK_REF: 0x8CA3, STENCIL_BACK_VALUE_MASK: 0x8CA4, STENCIL_BACK_WRITEMASK: 0x8CA5,
+        VIEWPORT: 0x0BA2, SCISSOR_BOX: 0x0C10, COLOR_CLEAR_VALUE: 0x0C22, COLOR_WRITEMASK: 0x0C23,
+        UNPACK_ALIGNMENT: 0x0CF5, PACK_ALIGNMENT: 0x0D05, MAX_TEXTURE_SIZE: 0x0D33, MAX_VIEWPORT_DIMS: 0x0D3A, SUBPIXEL_BITS: 0x0D50,
+        RED_BITS: 0x0D52, GREEN_BITS: 0x0D53, BLUE_BITS: 0x0D54, ALPHA_BITS: 0x0D55, DEPTH_BITS: 0x0D56, STENCIL_BITS: 0x0D57,
+        POLYGON_OFFSET_UNITS: 0x2A00, POLYGON_OFFSET_FACTOR: 0x8038, TEXTURE_BINDING_2D: 0x8069,
+        SAMPLE_BUFFERS: 0x80A8, SAMPLES: 0x80A9, SAMPLE_COVERAGE_VALUE: 0x80AA, SAMPLE_COVERAGE_INVERT: 0x80AB,
+        COMPRESSED_TEXTURE_FORMATS: 0x86A3,
+        DONT_CARE: 0x1100, FASTEST: 0x1101, NICEST: 0x1102, GENERATE_MIPMAP_HINT: 0x8192,
+        BYTE: 0x1400, UNSIGNED_BYTE: 0x1401, SHORT: 0x1402, UNSIGNED_SHORT: 0x1403, INT: 0x1404, UNSIGNED_INT: 0x1405, FLOAT: 0x1406,
+        DEPTH_COMPONENT: 0x1902, ALPHA: 0x1906, RGB: 0x1907, RGBA: 0x1908, LUMINANCE: 0x1909, LUMINANCE_ALPHA: 0x190A,
+        UNSIGNED_SHORT_4_4_4_4: 0x8033, UNSIGNED_SHORT_5_5_5_1: 0x8034, UNSIGNED_SHORT_5_6_5: 0x8363,
+        FRAGMENT_SHADER: 0x8B30, VERTEX_SHADER: 0x8B31,
+        MAX_VERTEX_ATTRIBS: 0x8869, MAX_VERTEX_UNIFORM_VECTORS: 0x8DFB, MAX_VARYING_VECTORS: 0x8DFC,
+        MAX_COMBINED_TEXTURE_IMAGE_UNITS: 0x8B4D, MAX_VERTEX_TEXTURE_IMAGE_UNITS: 0x8B4C, MAX_TEXTURE_IMAGE_UNITS: 0x8872,
+        MAX_FRAGMENT_UNIFORM_VECTORS: 0x8DFD, SHADER_TYPE: 0x8B4F, DELETE_STATUS: 0x8B80, LINK_STATUS: 0x8B82, VALIDATE_STATUS: 0x8B83,
+        ATTACHED_SHADERS: 0x8B85, ACTIVE_UNIFORMS: 0x8B86, ACTIVE_ATTRIBUTES: 0x8B89, SHADING_LANGUAGE_VERSION: 0x8B8C, CURRENT_PROGRAM: 0x8B8D,
+        NEVER: 0x0200, LESS: 0x0201, EQUAL: 0x0202, LEQUAL: 0x0203, GREATER: 0x0204, NOTEQUAL: 0x0205, GEQUAL: 0x0206, ALWAYS: 0x0207,
+        KEEP: 0x1E00, REPLACE: 0x1E01, INCR: 0x1E02, DECR: 0x1E03, INVERT: 0x150A, INCR_WRAP: 0x8507, DECR_WRAP: 0x8508,
+        VENDOR: 0x1F00, RENDERER: 0x1F01, VERSION: 0x1F02,
+        NEAREST: 0x2600, LINEAR: 0x2601, NEAREST_MIPMAP_NEAREST: 0x2700, LINEAR_MIPMAP_NEAREST: 0x2701,
+        NEAREST_MIPMAP_LINEAR: 0x2702, LINEAR_MIPMAP_LINEAR: 0x2703,
+        TEXTURE_MAG_FILTER: 0x2800, TEXTURE_MIN_FILTER: 0x2801, TEXTURE_WRAP_S: 0x2802, TEXTURE_WRAP_T: 0x2803,
+        TEXTURE_2D: 0x0DE1, TEXTURE: 0x1702, TEXTURE_CUBE_MAP: 0x8513, TEXTURE_BINDING_CUBE_MAP: 0x8514,
+        TEXTURE_CUBE_MAP_POSITIVE_X: 0x8515, TEXTURE_CUBE_MAP_NEGATIVE_X: 0x8516, TEXTURE_CUBE_MAP_POSITIVE_Y: 0x8517,
+        TEXTURE_CUBE_MAP_NEGATIVE_Y: 0x8518, TEXTURE_CUBE_MAP_POSITIVE_Z: 0x8519, TEXTURE_CUBE_MAP_NEGATIVE_Z: 0x851A,
+        MAX_CUBE_MAP_TEXTURE_SIZE: 0x851C, ACTIVE_TEXTURE: 0x84E0,
+        REPEAT: 0x2901, CLAMP_TO_EDGE: 0x812F, MIRRORED_REPEAT: 0x8370,
+        FLOAT_VEC2: 0x8B50, FLOAT_VEC3: 0x8B51, FLOAT_VEC4: 0x8B52, INT_VEC2: 0x8B53, INT_VEC3: 0x8B54, INT_VEC4: 0x8B55,
+        BOOL: 0x8B56, BOOL_VEC2: 0x8B57, BOOL_VEC3: 0x8B58, BOOL_VEC4: 0x8B59,
+        FLOAT_MAT2: 0x8B5A, FLOAT_MAT3: 0x8B5B, FLOAT_MAT4: 0x8B5C, SAMPLER_2D: 0x8B5E, SAMPLER_CUBE: 0x8B60,
+        VERTEX_ATTRIB_ARRAY_ENABLED: 0x8622, VERTEX_ATTRIB_ARRAY_SIZE: 0x8623, VERTEX_ATTRIB_ARRAY_STRIDE: 0x8624,
+        VERTEX_ATTRIB_ARRAY_TYPE: 0x8625, VERTEX_ATTRIB_ARRAY_NORMALIZED: 0x886A, VERTEX_ATTRIB_ARRAY_POINTER: 0x8645,
+        VERTEX_ATTRIB_ARRAY_BUFFER_BINDING: 0x889F,
+        IMPLEMENTATION_COLOR_READ_TYPE: 0x8B9A, IMPLEMENTATION_COLOR_READ_FORMAT: 0x8B9B,
+        COMPILE_STATUS: 0x8B81,
+        LOW_FLOAT: 0x8DF0, MEDIUM_FLOAT: 0x8DF1, HIGH_FLOAT: 0x8DF2, LOW_INT: 0x8DF3, MEDIUM_INT: 0x8DF4, HIGH_INT: 0x8DF5,
+        FRAMEBUFFER: 0x8D40, RENDERBUFFER: 0x8D41,
+        RGBA4: 0x8056, RGB5_A1: 0x8057, RGB565: 0x8D62, DEPTH_COMPONENT16: 0x81A5, STENCIL_INDEX8: 0x8D48, DEPTH_STENCIL: 0x84F9,
+        RENDERBUFFER_WIDTH: 0x8D42, RENDERBUFFER_HEIGHT: 0x8D43, RENDERBUFFER_INTERNAL_FORMAT: 0x8D44,
+        RENDERBUFFER_RED_SIZE: 0x8D50, RENDERBUFFER_GREEN_SIZE: 0x8D51, RENDERBUFFER_BLUE_SIZE: 0x8D52, RENDERBUFFER_ALPHA_SIZE: 0x8D53,
+        RENDERBUFFER_DEPTH_SIZE: 0x8D54, RENDERBUFFER_STENCIL_SIZE: 0x8D55,
+        FRAMEBUFFER_ATTACHMENT_OBJECT_TYPE: 0x8CD0, FRAMEBUFFER_ATTACHMENT_OBJECT_NAME: 0x8CD1,
+        FRAMEBUFFER_ATTACHMENT_TEXTURE_LEVEL: 0x8CD2, FRAMEBUFFER_ATTACHMENT_TEXTURE_CUBE_MAP_FACE: 0x8CD3,
+        COLOR_ATTACHMENT0: 0x8CE0, DEPTH_ATTACHMENT: 0x8D00, STENCIL_ATTACHMENT: 0x8D20, DEPTH_STENCIL_ATTACHMENT: 0x821A, NONE: 0,
+        FRAMEBUFFER_COMPLETE: 0x8CD5, FRAMEBUFFER_INCOMPLETE_ATTACHMENT: 0x8CD6, FRAMEBUFFER_INCOMPLETE_MISSING_ATTACHMENT: 0x8CD7,
+        FRAMEBUFFER_INCOMPLETE_DIMENSIONS: 0x8CD9, FRAMEBUFFER_UNSUPPORTED: 0x8CDD,
+        FRAMEBUFFER_BINDING: 0x8CA6, RENDERBUFFER_BINDING: 0x8CA7, MAX_RENDERBUFFER_SIZE: 0x84E8, INVALID_FRAMEBUFFER_OPERATION: 0x0506,
+        UNPACK_FLIP_Y_WEBGL: 0x9240, UNPACK_PREMULTIPLY_ALPHA_WEBGL: 0x9241, CONTEXT_LOST_WEBGL: 0x9242,
+        UNPACK_COLORSPACE_CONVERSION_WEBGL: 0x9243, BROWSER_DEFAULT_WEBGL: 0x9244
+    };
+
+    for (var i = 0; i < 32; i++) {
+        constants["TEXTURE" + i] = 0x84C0 + i;
+    }
+
+    SceneJS._apply(constants, RecordingGL.prototype);
+
+    // Values returned by getParameter for the implementation limits
+    var limits = {};
+    limits[constants.MAX_TEXTURE_SIZE] = 4096;
+    limits[constants.MAX_CUBE_MAP_TEXTURE_SIZE] = 4096;
+    limits[constants.MAX_RENDERBUFFER_SIZE] = 4096;
+    limits[constants.MAX_VERTEX_ATTRIBS] = 16;
+    limits[constants.MAX_VERTEX_UNIFORM_VECTORS] = 256;
+    limits[constants.MAX_FRAGMENT_UNIFORM_VECTORS] = 256;
+    limits[constants.MAX_VARYING_VECTORS] = 16;
+    limits[constants.MAX_TEXTURE_IMAGE_UNITS] = 16;
+    limits[constants.MAX_VERTEX_TEXTURE_IMAGE_UNITS] = 16;
+    limits[constants.MAX_COMBINED_TEXTURE_IMAGE_UNITS] = 32;
+    limits[constants.RED_BITS] = 8;
+    limits[constants.GREEN_BITS] = 8;
+    limits[constants.BLUE_BITS] = 8;
+    limits[constants.ALPHA_BITS] = 8;
+    limits[constants.DEPTH_BITS] = 24;
+    limits[constants.STENCIL_BITS] = 8;
+    limits[constants.SUBPIXEL_BITS] = 4;
+    limits[constants.VENDOR] = "SceneJS";
+    limits[constants.RENDERER] = "SceneJS RecordingGL";
+    limits[constants.VERSION] = "WebGL 1.0 (SceneJS RecordingGL)";
+    limits[constants.SHADING_LANGUAGE_VERSION] = "WebGL GLSL ES 1.0 (SceneJS RecordingGL)";
+
+    // GL types of the GLSL types that may be declared by attributes and uniforms
+    var glslTypes = {
+        "float": constants.FLOAT, "vec2": constants.FLOAT_VEC2, "vec3": constants.FLOAT_VEC3, "vec4": constants.FLOAT_VEC4,
+        "int": constants.INT, "ivec2": constants.INT_VEC2, "ivec3": constants.INT_VEC3, "ivec4": constants.INT_VEC4,
+        "bool": constants.BOOL, "bvec2": constants.BOOL_VEC2, "bvec3": constants.BOOL_VEC3, "bvec4": constants.BOOL_VEC4,
+        "mat2": constants.FLOAT_MAT2, "mat3": constants.FLOAT_MAT3, "mat4": constants.FLOAT_MAT4,
+        "sampler2D": constants.SAMPLER_2D, "samplerCube": constants.SAMPLER_CUBE
+    };
+
+    /**
+     * Creates a WebGL object, which is described in recorded calls by its type and ID
+     */
+    RecordingGL.prototype._createObject = function (type) {
+        return {
+            glType: type,
+            glId: this._nextId++
+        };
+    };
+
+    /**
+     * Sets a piece of tracked state, flagging the current call as redundant when the state is unchanged
+     */
+    RecordingGL.prototype._setState = function (key, value) {
+        var str = describe(value);
+        if (this._state[key] === str) {
+            this._redundant = true;
+        }
+        this._state[key] = str;
+    };
+
+    /**
+     * Records a call
+     */
+    RecordingGL.prototype._record = function (name, args) {
+        if (this.recording) {
+            var snapshot = [];
+            for (var i = 0, len = args.length; i < len; i++) {
+                snapshot.push(snapshotArg(args[i]));
+            }
+            this.calls.push({
+                name: name,
+                args: snapshot,
+                redundant: this._redundant,
+                program: this._program ? this._program.glId : null
+            });
+        }
+        this._redundant = false;
+    };
+
+    // Copies small arrays so that later changes to them don't alter the record, summarises big ones
+    function snapshotArg(arg) {
+        if (arg && typeof arg == "object" && typeof arg.length == "number" && !arg.glType) {
+            if (arg.length <= 16) {
+                return Array.prototype.slice.call(arg);
+            }
+            return { glType: (arg.constructor && arg.constructor.name) || "Array", length: arg.length };
+        }
+        return arg;
+    }
+
+    // Describes a value for comparison and printing
+    function describe(value) {
+        if (value === null || value === undefined) {
+            return String(value);
+        }
+        if (value.glType) {
+            if (value.glType == "WebGLUniformLocation") {
+                return value.name;
+            }
+            return value.glType + (value.glId ? "#" + value.glId : "(" + value.length + ")");
+        }
+        if (typeof value == "object" && typeof value.length == "number") {
+            var parts = [];
+            for (var i = 0, len = value.length; i < len; i++) {
+                parts.push(describe(value[i]));
+            }
+            return "[" + parts.join(",") + "]";
+        }
+        if (typeof value == "object") {
+            return "{...}";
+        }
+        return String(value);
+    }
+
+    /**
+     * Returns a one-line description of a recorded call, eg. "uniform1f(SCENEJS_uMaterialAlpha, 1)"
+     * @param {{name:String, args:Array}} call The call
+     * @returns {String}
+     */
+    RecordingGL.describeCall = function (call) {
+        var args = [];
+        for (var i = 0, len = call.args.length; i < len; i++) {
+            args.push(describe(call.args[i]));
+        }
+        return call.name + "(" + args.join(", ") + ")";
+    };
+
+    /**
+     * Clears the recorded calls
+     */
+    RecordingGL.prototype.reset = function () {
+        this.calls = [];
+    };
+
+    /**
+     * Returns the calls recorded since the last call to this method or {@link #reset} as a frame, then clears them
+     * @returns {SceneJS.testing.RecordingGL.Frame}
+     */
+    RecordingGL.prototype.takeFrame = function () {
+        var frame = new RecordingGL.Frame(this.calls);
+        this.calls = [];
+        return frame;
+    };
+
+    /**
+     * Records the calls that are made by the given function as a frame
+     * @param {Function} fn Function that makes the calls, eg. by rendering a scene
+     * @returns {SceneJS.testing.RecordingGL.Frame}
+     */
+    RecordingGL.prototype.record = function (fn) {
+        this.reset();
+        fn();
+        return this.takeFrame();
+    };
+
+    /*----------------------------------------------------------------------------------------------------------------
+     * WebGL API
+     *--------------------------------------------------------------------------------------------------------------*/
+
+    // Implementations of the WebGL methods that do more than just get recorded
+    var methods = {
+
+        getContextAttributes: function () {
+            return SceneJS._shallowClone(this._contextAttributes);
+        },
+
+        isContextLost: function () {
+            return false;
+        },
+
+        getSupportedExtensions: function () {
+            return this._supportedExtensions.slice(0);
+        },
+
+        getExtension: function (name) {
+            if (this._supportedExtensions.indexOf(name) < 0 || !extensions[name]) {
+                return null;
+            }
+            return this._extensions[name] || (this._extensions[name] = extensions[name](this));
+        },
+
+        getError: function () {
+            return constants.NO_ERROR;
+        },
+
+        getParameter: function (pname) {
+            switch (pname) {
+                case constants.VIEWPORT:
+                    return new Int32Array(this._viewport);
+                case constants.MAX_VIEWPORT_DIMS:
+                    return new Int32Array([4096, 4096]);
+                case constants.CURRENT_PROGRAM:
+                    return this._program;
+                case constants.ACTIVE_TEXTURE:
+                    return this._activeTexture;
+                case constants.ARRAY_BUFFER_BINDING:
+                    return this._bindings[constants.ARRAY_BUFFER] || null;
+                case constants.ELEMENT_ARRAY_BUFFER_BINDING:
+                    return this._bindings[constants.ELEMENT_ARRAY_BUFFER] || null;
+                case constants.FRAMEBUFFER_BINDING:
+                    return this._bindings[constants.FRAMEBUFFER] || null;
+                case constants.RENDERBUFFER_BINDING:
+                    return this._bindings[constants.RENDERBUFFER] || null;
+                case constants.TEXTURE_BINDING_2D:
+                    return this._bindings[this._activeTexture + ":" + constants.TEXTURE_2D] || null;
+                case constants.TEXTURE_BINDING_CUBE_MAP:
+                    return this._bindings[this._activeTexture + ":" + constants.TEXTURE_CUBE_MAP] || null;
+                case constants.BLEND:
+                case constants.CULL_FACE:
+                case constants.DEPTH_TEST:
+                case constants.DITHER:
+                case constants.POLYGON_OFFSET_FILL:
+                case constants.SAMPLE_ALPHA_TO_COVERAGE:
+                case constants.SAMPLE_COVERAGE:
+                case constants.SCISSOR_TEST:
+                case constants.STENCIL_TEST:
+                    return !!this._caps[pname];
+            }
+            return limits.hasOwnProperty(pname) ? limits[pname] : null;
+        },
+
+        getShaderPrecisionFormat: function () {
+            return { rangeMin: 127, rangeMax: 127, precision: 23 };
+        },
+
+        isEnabled: function (cap) {
+            return !!this._caps[cap];
+        },
+
+        enable: function (cap) {
+            this._setState("cap:" + cap, true);
+            this._caps[cap] = true;
+        },
+
+        disable: function (cap) {
+            this._setState("cap:" + cap, false);
+            this._caps[cap] = false;
+        },
+
+        viewport: function (x, y, width, height) {
+            this._setState("viewport", [x, y, width, height]);
+            this._viewport = [x, y, width, height];
+        },
+
+        scissor: function (x, y, width, height) {
+            this._setState("scissor", [x, y, width, height]);
+        },
+
+        clearColor: function (r, g, b, a) {
+            this._setState("clearColor", [r, g, b, a]);
+        },
+
+        clearDepth: function (depth) {
+            this._setState("clearDepth", depth);
+        },
+
+        clearStencil: function (s) {
+            this._setState("clearStencil", s);
+        },
+
+        colorMask: function (r, g, b, a) {
+            this._setState("colorMask", [r, g, b, a]);
+        },
+
+        depthMask: function (flag) {
+            this._setState("depthMask", flag);
+        },
+
+        depthFunc: function (func) {
+            this._setState("depthFunc", func);
+        },
+
+        depthRange: function (zNear, zFar) {
+            this._setState("depthRange", [zNear, zFar]);
+        },
+
+        blendColor: function (r, g, b, a) {
+            this._setState("blendColor", [r, g, b, a]);
+        },
+
+        blendEquation: function (mode) {
+            this._setState("blendEquation", [mode, mode]);
+        },
+
+        blendEquationSeparate: function (modeRGB, modeAlpha) {
+            this._setState("blendEquation", [modeRGB, modeAlpha]);
+        },
+
+        blendFunc: function (sfactor, dfactor) {
+            this._setState("blendFunc", [sfactor, dfactor, sfactor, dfactor]);
+        },
+
+        blendFuncSeparate: function (srcRGB, dstRGB, srcAlpha, dstAlpha) {
+            this._setState("blendFunc", [srcRGB, dstRGB, srcAlpha, dstAlpha]);
+        },
+
+        cullFace: function (mode) {
+            this._setState("cullFace", mode);
+        },
+
+        frontFace: function (mode) {
+            this._setState("frontFace", mode);
+        },
+
+        lineWidth: function (width) {
+            this._setState("lineWidth", width);
+        },
+
+        polygonOffset: function (factor, units) {
+            this._setState("polygonOffset", [factor, units]);
+        },
+
+        pixelStorei: function (pname, param) {
+            this._setState("pixelStore:" + pname, param);
+        },
+
+        hint: function (target, mode) {
+            this._setState("hint:" + target, mode);
+        },
+
+        activeTexture: function (texture) {
+            this._setState("activeTexture", texture);
+            this._activeTexture = texture;
+        },
+
+        /*------------------------------------------------------------------------------------------------------------
+         * Objects
+         *----------------------------------------------------------------------------------------------------------*/
+
+        createBuffer: function () {
+            return this._createObject("WebGLBuffer");
+        },
+
+        createFramebuffer: function () {
+            return this._createObject("WebGLFramebuffer");
+        },
+
+        createRenderbuffer: function () {
+            return this._createObject("WebGLRenderbuffer");
+        },
+
+        createTexture: function () {
+            return this._createObject("WebGLTexture");
+        },
+
+        createProgram: function () {
+            var program = this._createObject("WebGLProgram");
+            program.shaders = [];
+            program.attribLocations = {};
+            program.attributes = [];
+            program.uniforms = [];
+            program.uniformLocations = {};
+            program.uniformValues = {};
+            program.linked = false;
+            return program;
+        },
+
+        createShader: function (type) {
+            var shader = this._createObject("WebGLShader");
+            shader.type = type;
+            shader.source = "";
+            shader.compiled = false;
+            return shader;
+        },
+
+        deleteBuffer: function (buffer) {
+            this._deleteObject(buffer);
+        },
+
+        deleteFramebuffer: function (framebuffer) {
+            this._deleteObject(framebuffer);
+        },
+
+        deleteRenderbuffer: function (renderbuffer) {
+            this._deleteObject(renderbuffer);
+        },
+
+        deleteTexture: function (texture) {
+            this._deleteObject(texture);
+        },
+
+        deleteProgram: function (program) {
+            if (program && this._program === program) {
+                this._program = null;
+            }
+            this._deleteObject(program);
+        },
+
+        deleteShader: function (shader) {
+            this._deleteObject(shader);
+        },
+
+        isBuffer: function (buffer) {
+            return isLive(buffer, "WebGLBuffer");
+        },
+
+        isFramebuffer: function (framebuffer) {
+            return isLive(framebuffer, "WebGLFramebuffer");
+        },
+
+        isRenderbuffer: function (renderbuffer) {
+            return isLive(renderbuffer, "WebGLRenderbuffer");
+        },
+
+        isTexture: function (texture) {
+            return isLive(texture, "WebGLTexture");
+        },
+
+        isProgram: function (program) {
+            return isLive(program, "WebGLProgram");
+        },
+
+        isShader: function (shader) {
+            return isLive(shader, "WebGLShader");
+        },
+
+        bindBuffer: function (target, buffer) {
+            this._bind(target, buffer);
+        },
+
+        bindFramebuffer: function (target, framebuffer) {
+            this._bind(target, framebuffer);
+        },
+
+        bindRenderbuffer: function (target, renderbuffer) {
+            this._bind(target, renderbuffer);
+        },
+
+        bindTexture: function (target, texture) {
+            this._bind(this._activeTexture + ":" + target, texture);
+        },
+
+        bufferData: function (target, data, usage) {
+            var buffer = this._bindings[target];
+            if (buffer) {
+                buffer.size = (typeof data == "number") ? data : data.byteLength;
+                buffer.usage = usage;
+            }
+        },
+
+        getBufferParameter: function (target, pname) {
+            var buffer = this._bindings[target];
+            if (!buffer) {
+                return null;
+            }
+            return (pname == constants.BUFFER_SIZE) ? buffer.size : buffer.usage;
+        },
+
+        checkFramebufferStatus: function () {
+            return constants.FRAMEBUFFER_COMPLETE;
+        },
+
+        renderbufferStorage: function (target, internalFormat, width, height) {
+            var renderbuffer = this._bindings[target];
+            if (renderbuffer) {
+                renderbuffer.width = width;
+                renderbuffer.height = height;
+                renderbuffer.internalFormat = internalFormat;
+            }
+        },
+
+        getRenderbufferParameter: function (target, pname) {
+            var renderbuffer = this._bindings[target];
+            if (!renderbuffer) {
+                return null;
+            }
+            switch (pname) {
+                case constants.RENDERBUFFER_WIDTH:
+                    return renderbuffer.width;
+                case constants.RENDERBUFFER_HEIGHT:
+                    return renderbuffer.height;
+                case constants.RENDERBUFFER_INTERNAL_FORMAT:
+                    return renderbuffer.internalFormat;
+            }
+            return 0;
+        },
+
+        readPixels: function (x, y, width, height, format, type, pixels) {
+            if (pixels) {
+                for (var i = 0, len = pixels.length; i < len; i++) {
+                    pixels[i] = 0;
+                }
+                if (this._readPixels) {
+                    this._readPixels(x, y, width, height, format, type, pixels);
+                }
+            }
+        },
+
+        /*------------------------------------------------------------------------------------------------------------
+         * Shaders and programs
+         *----------------------------------------------------------------------------------------------------------*/
+
+        shaderSource: function (shader, source) {
+            shader.source = source;
+        },
+
+        getShaderSource: function (shader) {
+            return shader.source;
+        },
+
+        compileShader: function (shader) {
+            shader.declarations = parseDeclarations(shader.source);
+            shader.compiled = true;
+        },
+
+        getShaderParameter: function (shader, pname) {
+            switch (pname) {
+                case constants.COMPILE_STATUS:
+                    return shader.compiled;
+                case constants.SHADER_TYPE:
+                    return shader.type;
+                case constants.DELETE_STATUS:
+                    return !!shader.deleted;
+            }
+            return null;
+        },
+
+        getShaderInfoLog: function () {
+            return "";
+        },
+
+        attachShader: function (program, shader) {
+            program.shaders.push(shader);
+        },
+
+        detachShader: function (program, shader) {
+            var i = program.shaders.indexOf(shader);
+            if (i >= 0) {
+                program.shaders.splice(i, 1);
+            }
+        },
+
+        getAttachedShaders: function (program) {
+            return program.shaders.slice(0);
+        },
+
+        bindAttribLocation: function (program, index, name) {
+            program.attribLocations[name] = index;
+        },
+
+        linkProgram: function (program) {
+            var attributes = [];
+            var uniforms = [];
+            var seen = {};
+            var shader, decl, i, j, len;
+            for (i = 0; i < program.shaders.length; i++) {
+                shader = program.shaders[i];
+                for (j = 0, len = shader.declarations.length; j < len; j++) {
+                    decl = shader.declarations[j];
+                    if (decl.qualifier == "attribute") {
+                        if (shader.type == constants.VERTEX_SHADER && !seen["a:" + decl.name]) {
+                            seen["a:" + decl.name] = true;
+                            attributes.push(decl);
+                        }
+                    } else if (!seen["u:" + decl.name]) {
+                        seen["u:" + decl.name] = true;
+                        uniforms.push(decl);
+                    }
+                }
+            }
+            var used = {};
+            for (var name in program.attribLocations) {
+                if (program.attribLocations.hasOwnProperty(name)) {
+                    used[program.attribLocations[name]] = true;
+                }
+            }
+            var next = 0;
+            for (i = 0; i < attributes.length; i++) {
+                decl = attributes[i];
+                if (program.attribLocations[decl.name] === undefined) {
+                    while (used[next]) {
+                        next++;
+                    }
+                    program.attribLocations[decl.name] = next;
+                    used[next] = true;
+                }
+            }
+            program.attributes = attributes;
+            program.uniforms = uniforms;
+            program.uniformLocations = {};
+            program.uniformValues = {};
+            for (i = 0; i < uniforms.length; i++) {
+                decl = uniforms[i];
+                if (decl.size > 1) {
+                    for (j = 0; j < decl.size; j++) {
+                        program.uniformLocations[decl.name + "[" + j + "]"] = {
+                            glType: "WebGLUniformLocation",
+                            name: decl.name + "[" + j + "]",
+                            program: program
+                        };
+                    }
+                    program.uniformLocations[decl.name] = program.uniformLocations[decl.name + "[0]"];
+                } else {
+                    program.uniformLocations[decl.name] = {
+                        glType: "WebGLUniformLocation",
+                        name: decl.name,
+                        program: program
+                    };
+                }
+            }
+            program.linked = true;
+        },
+
+        validateProgram: function (program) {
+            program.validated = true;
+        },
+
+        getProgramParameter: function (program, pname) {
+            switch (pname) {
+                case constants.LINK_STATUS:
+                    return program.linked;
+                case constants.VALIDATE_STATUS:
+                    return !!program.validated;
+                case constants.DELETE_STATUS:
+                    return !!program.deleted;
+                case constants.ATTACHED_SHADERS:
+                    return program.shaders.length;
+                case constants.ACTIVE_ATTRIBUTES:
+                    return program.attributes.length;
+                case constants.ACTIVE_UNIFORMS:
+                    return program.uniforms.length;
+            }
+            return null;
+        },
+
+        getProgramInfoLog: function () {
+            return "";
+        },
+
+        getActiveAttrib: function (program, index) {
+            var decl = program.attributes[index];
+            return decl ? { name: decl.name, type: decl.type, size: decl.size } : null;
+        },
+
+        getActiveUniform: function (program, index) {
+            var decl = program.uniforms[index];
+            return decl ? { name: decl.size > 1 ? decl.name + "[0]" : decl.name, type: decl.type, size: decl.size } : null;
+        },
+
+        getAttribLocation: function (program, name) {
+            var location = program.attribLocations[name];
+            return (location === undefined) ? -1 : location;
+        },
+
+        getUniformLocation: function (program, name) {
+            return program.uniformLocations[name] || null;
+        },
+
+        getUniform: function (program, location) {
+            return program.uniformValues[location.name];
+        },
+
+        useProgram: function (program) {
+            this._setState("program", program);
+            this._program = program;
+        },
+
+        /*------------------------------------------------------------------------------------------------------------
+         * Vertex attributes
+         *----------------------------------------------------------------------------------------------------------*/
+
+        enableVertexAttribArray: function (index) {
+            this._setState("attribArray:" + index, true);
+        },
+
+        disableVertexAttribArray: function (index) {
+            this._setState("attribArray:" + index, false);
+        },
+
+        vertexAttribPointer: function (index, size, type, normalized, stride, offset) {
+            this._setState("attribPointer:" + index,
+                [this._bindings[constants.ARRAY_BUFFER] || null, size, type, !!normalized, stride, offset]);
+        },
+
+        /*------------------------------------------------------------------------------------------------------------
+         * Drawing
+         *----------------------------------------------------------------------------------------------------------*/
+
+        clear: function () {
+        },
+
+        drawArrays: function () {
+        },
+
+        drawElements: function () {
+        }
+    };
+
+    // Uniform setters, which record the value on the current program
+    var uniformSetters = [
+        "uniform1f", "uniform2f", "uniform3f", "uniform4f",
+        "uniform1i", "uniform2i", "uniform3i", "uniform4i"
+    ];
+
+    var uniformVectorSetters = [
+        "uniform1fv", "uniform2fv", "uniform3fv", "uniform4fv",
+        "uniform1iv", "uniform2iv", "uniform3iv", "uniform4iv"
+    ];
+
+    var uniformMatrixSetters = [
+        "uniformMatrix2fv", "uniformMatrix3fv", "uniformMatrix4fv"
+    ];
+
+    for (i = 0; i < uniformSetters.length; i++) {
+        methods[uniformSetters[i]] = function (location) {
+            var value = Array.prototype.slice.call(arguments, 1);
+            this._setUniform(location, value.length == 1 ? value[0] : value);
+        };
+    }
+
+    for (i = 0; i < uniformVectorSetters.length; i++) {
+        methods[uniformVectorSetters[i]] = function (location, value) {
+            this._setUniform(location, Array.prototype.slice.call(value));
+        };
+    }
+
+    for (i = 0; i < uniformMatrixSetters.length; i++) {
+        methods[uniformMatrixSetters[i]] = function (location, transpose, value) {
+            this._setUniform(location, Array.prototype.slice.call(value));
+        };
+    }
+
+    // Remaining WebGL methods, which are just recorded
+    var recordedMethods = [
+        "bufferSubData", "compressedTexImage2D", "compressedTexSubImage2D", "copyTexImage2D", "copyTexSubImage2D",
+        "finish", "flush", "framebufferRenderbuffer", "framebufferTexture2D", "generateMipmap",
+        "getFramebufferAttachmentParameter", "getTexParameter", "getVertexAttrib", "getVertexAttribOffset",
+        "sampleCoverage", "stencilFunc", "stencilFuncSeparate", "stencilMask", "stencilMaskSeparate",
+        "stencilOp", "stencilOpSeparate", "texImage2D", "texParameterf", "texParameteri", "texSubImage2D",
+        "vertexAttrib1f", "vertexAttrib2f", "vertexAttrib3f", "vertexAttrib4f",
+        "vertexAttrib1fv", "vertexAttrib2fv", "vertexAttrib3fv", "vertexAttrib4fv"
+    ];
+
+    for (i = 0; i < recordedMethods.length; i++) {
+        if (!methods[recordedMethods[i]]) {
+            methods[recordedMethods[i]] = null;
+        }
+    }
+
+    for (var name in methods) {
+        if (methods.hasOwnProperty(name)) {
+            RecordingGL.prototype[name] = wrap(name, methods[name]);
+        }
+    }
+
+    // Wraps a WebGL method implementation so that calls to it are recorded
+    function wrap(name, impl) {
+        return function () {
+            var result = impl ? impl.apply(this, arguments) : undefined;
+            this._record(name, arguments);
+            return result;
+        };
+    }
+
+    RecordingGL.prototype._bind = function (target, object) {
+        this._setState("binding:" + target, object);
+        this._bindings[target] = object;
+    };
+
+    RecordingGL.prototype._deleteObject = function (object) {
+        if (object) {
+            object.deleted = true;
+        }
+    };
+
+    RecordingGL.prototype._setUniform = function (location, value) {
+        if (!location) {
+            return;
+        }
+        this._setState("uniform:" + location.program.glId + ":" + location.name, value);
+        location.program.uniformValues[location.name] = value;
+    };
+
+    function isLive(object, type) {
+        return !!object && object.glType == type && !object.deleted;
+    }
+
+    // Finds the attribute and uniform declarations in GLSL source
+    function parseDeclarations(source) {
+        var declarations = [];
+        var src = source
+            .replace(/\/\*[\s\S]*?\*\//g, "")
+            .replace(/\/\/.*$/gm, "");
+        var regex = /\b(attribute|uniform)\s+(?:(?:lowp|mediump|highp)\s+)?(\w+)\s+([^;]+);/g;
+        var match, type, names, parts, i;
+        while ((match = regex.exec(src))) {
+            type = glslTypes[match[2]];
+            if (!type) {
+                continue; // Structs are not supported
+            }
+            names = match[3].split(",");
+            for (i = 0; i < names.length; i++) {
+                parts = /^\s*(\w+)\s*(?:\[\s*(\d+)\s*\])?\s*$/.exec(names[i]);
+                if (parts) {
+                    declarations.push({
+                        qualifier: match[1],
+                        name: parts[1],
+                        type: type,
+                        size: parts[2] ? parseInt(parts[2], 10) : 1
+                    });
+                }
+            }
+        }
+        return declarations;
+    }
+
+    /*----------------------------------------------------------------------------------------------------------------
+     * Extensions
+     *--------------------------------------------------------------------------------------------------------------*/
+
+    // Creates an extension object whose methods are recorded on the context
+    function createExtension(gl, members, methods) {
+        var ext = members || {};
+        for (var name in methods) {
+            if (methods.hasOwnProperty(name)) {
+                ext[name] = (function (name, impl) {
+                    return function () {
+                        var result = impl ? impl.apply(gl, arguments) : undefined;
+                        gl._record(name, arguments);
+                        return result;
+                    };
+                })(name, methods[name]);
+            }
+        }
+        return ext;
+    }
+
+    var extensions = {
+
+        "OES_vertex_array_object": function (gl) {
+            return createExtension(gl, { VERTEX_ARRAY_BINDING_OES: 0x85B5 }, {
+                createVertexArrayOES: function () {
+                    return this._createObject("WebGLVertexArrayObjectOES");
+                },
+                deleteVertexArrayOES: function (vao) {
+                    this._deleteObject(vao);
+                },
+                isVertexArrayOES: function (vao) {
+                    return isLive(vao, "WebGLVertexArrayObjectOES");
+                },
+                bindVertexArrayOES: function (vao) {
+                    this._bind("vertexArray", vao);
+                }
+            });
+        },
+
+        "OES_element_index_uint": function (gl) {
+            return {};
+        },
+
+        "ANGLE_instanced_arrays": function (gl) {
+            return createExtension(gl, { VERTEX_ATTRIB_ARRAY_DIVISOR_ANGLE: 0x88FE }, {
+                drawArraysInstancedANGLE: null,
+                drawElementsInstancedANGLE: null,
+                vertexAttribDivisorANGLE: function (index, divisor) {
+                    this._setState("attribDivisor:" + index, divisor);
+                }
+            });
+        },
+
+        "OES_standard_derivatives": function (gl) {
+            return { FRAGMENT_SHADER_DERIVATIVE_HINT_OES: 0x8B8B };
+        },
+
+        "OES_texture_float": function (gl) {
+            return {};
+        },
+
+        "WEBGL_depth_texture": function (gl) {
+            return { UNSIGNED_INT_24_8_WEBGL: 0x84FA };
+        }
+    };
+
+    /*----------------------------------------------------------------------------------------------------------------
+     * Frames
+     *--------------------------------------------------------------------------------------------------------------*/
+
+    /**
+     * @class A sequence of calls recorded by a {@link SceneJS.testing.RecordingGL}
+     * @param {[{name:String, args:Array, redundant:Boolean, program:Number}]} calls The calls
+     */
+    RecordingGL.Frame = function (calls) {
+
+        /**
+         * The recorded calls
+         */
+        this.calls = calls;
+    };
+
+    /**
+     * Returns the calls to the given method, or all calls when no method name is given
+     * @param {String} [name] WebGL method name, eg. "useProgram"
+     */
+    RecordingGL.Frame.prototype.filter = function (name) {
+        if (!name) {
+            return this.calls.slice(0);
+        }
+        var calls = [];
+        for (var i = 0, len = this.calls.length; i < len; i++) {
+            if (this.calls[i].name == name) {
+                calls.push(this.calls[i]);
+            }
+        }
+        return calls;
+    };
+
+    /**
+     * Returns the number of calls to the given method, or of all calls when no method name is given
+     * @param {String} [name] WebGL method name, eg. "useProgram"
+     */
+    RecordingGL.Frame.prototype.count = function (name) {
+        return name ? this.filter(name).length : this.calls.length;
+    };
+
+    /**
+     * Returns the draw calls, ie. the calls to drawElements, drawArrays and their instanced variants
+     * @returns {[{name:String, mode:Number, count:Number, type:Number, offset:Number, first:Number, instances:Number, program:Number}]}
+     */
+    RecordingGL.Frame.prototype.drawCalls = function () {
+        var draws = [];
+        var call, args;
+        for (var i = 0, len = this.calls.length; i < len; i++) {
+            call = this.calls[i];
+            args = call.args;
+            switch (call.name) {
+                case "drawElements":
+                case "drawElementsInstancedANGLE":
+                    draws.push({
+                        name: call.name,
+                        mode: args[0],
+                        count: args[1],
+                        type: args[2],
+                        offset: args[3],
+                        instances: call.name == "drawElements" ? 1 : args[4],
+                        program: call.program
+                    });
+                    break;
+                case "drawArrays":
+                case "drawArraysInstancedANGLE":
+                    draws.push({
+                        name: call.name,
+                        mode: args[0],
+                        first: args[1],
+                        count: args[2],
+                        instances: call.name == "drawArrays" ? 1 : args[3],
+                        program: call.program
+                    });
+                    break;
+            }
+        }
+        return draws;
+    };
+
+    /**
+     * Returns the IDs of the programs bound with useProgram, in order, including redundant binds
+     * @returns {[Number]}
+     */
+    RecordingGL.Frame.prototype.programBinds = function () {
+        var binds = this.filter("useProgram");
+        var ids = [];
+        for (var i = 0, len = binds.length; i < len; i++) {
+            ids.push(binds[i].args[0] ? binds[i].args[0].glId : null);
+        }
+        return ids;
+    };
+
+    /**
+     * Returns the calls which did not change any state, because they set it to the value it already had.
+     * Such calls indicate a state-sorting or redundant-bind problem.
+     * @param {String} [name] Only return redundant calls to this method
+     */
+    RecordingGL.Frame.prototype.redundant = function (name) {
+        var calls = [];
+        for (var i = 0, len = this.calls.length; i < len; i++) {
+            if (this.calls[i].redundant && (!name || this.calls[i].name == name)) {
+                calls.push(this.calls[i]);
+            }
+        }
+        return calls;
+    };
+
+    /**
+     * Returns the number of calls made to each method
+     * @returns {{String:Number}}
+     */
+    RecordingGL.Frame.prototype.counts = function () {
+        var counts = {};
+        for (var i = 0, len = this.calls.length; i < len; i++) {
+            counts[this.calls[i].name] = (counts[this.calls[i].name] || 0) + 1;
+        }
+        return counts;
+    };
+
+    /**
+     * Compares this frame with another, see {@link SceneJS.testing#diffFrames}
+     */
+    RecordingGL.Frame.prototype.diff = function (other) {
+        return SceneJS.testing.diffFrames(this, other);
+    };
+
+    /**
+     * Returns a listing of the calls in this frame, one per line, with redundant calls marked by an asterisk
+     */
+    RecordingGL.Frame.prototype.toString = function () {
+        var lines = [];
+        for (var i = 0, len = this.calls.length; i < len; i++) {
+            lines.push((this.calls[i].redundant ? "* " : "  ") + RecordingGL.describeCall(this.calls[i]));
+        }
+        return lines.join("\n");
+    };
+
+    /**
+     * Compares two frames recorded by a {@link SceneJS.testing.RecordingGL}.
+     *
+     * <p>The result tells whether the frames made identical calls, which call is the first to differ, and how
+     * the numbers of calls to each method, draw calls and redundant calls changed from frame a to frame b:</p>
+     *
+     * <pre>
+     * {
+     *     identical: false,
+     *     firstDifference: { index: 12, a: "useProgram(WebGLProgram#3)", b: "uniform1f(SCENEJS_uMaterialAlpha, 1)" },
+     *     counts: { useProgram: { a: 2, b: 5 } },        // Only methods whose call counts differ
+     *     drawCalls: { a: 10, b: 10 },
+     *     redundant: { a: 0, b: 3 }
+     * }
+     * </pre>
+     *
+     * WebGL objects are compared by their type and ID, so frames recorded on different contexts, or across
+     * a restore of the context, may differ only in the IDs of the objects they use.
+     *
+     * @param {SceneJS.testing.RecordingGL.Frame} a First frame
+     * @param {SceneJS.testing.RecordingGL.Frame} b Second frame
+     */
+    SceneJS.testing.diffFrames = function (a, b) {
+
+        var firstDifference = null;
+        var len = Math.max(a.calls.length, b.calls.length);
+        var descA, descB;
+
+        for (var i = 0; i < len; i++) {
+            descA = a.calls[i] ? RecordingGL.describeCall(a.calls[i]) : null;
+            descB = b.calls[i] ? RecordingGL.describeCall(b.calls[i]) : null;
+            if (descA !== descB) {
+                firstDifference = {
+                    index: i,
+                    a: descA,
+                    b: descB
+                };
+                break;
+            }
+        }
+
+        var countsA = a.counts();
+        var countsB = b.counts();
+        var counts = {};
+        var name;
+
+        for (name in countsA) {
+            if (countsA.hasOwnProperty(name) && countsA[name] !== countsB[name]) {
+                counts[name] = { a: countsA[name], b: countsB[name] || 0 };
+            }
+        }
+
+        for (name in countsB) {
+            if (countsB.hasOwnProperty(name) && !countsA.hasOwnProperty(name)) {
+                counts[name] = { a: 0, b: countsB[name] };
+            }
+        }
+
+        return {
+            identical: !firstDifference,
+            firstDifference: firstDifference,
+            counts: counts,
+            drawCalls: { a: a.drawCalls().length, b: b.drawCalls().length },
+            redundant: { a: a.redundant().length, b: b.redundant().length }
+        };
+    };
+
+})();
@@ -228,7 +228,9 @@ var SceneJS_webgl_Program = function (gl, vertexSources, fragmentSources) {
         specular: 0,
         shine: 0,
         emit: 0,
-        alpha: 0
+        alpha: 0,
+        metallic: 0,
+        roughness: 0
     };
 
     /* Create shaders from sources
@@ -519,7 +521,23 @@ var SceneJS_webgl_Texture2D = function (gl, cfg) {
 };
 
 
+/**
+ * Uploads an image into the given target of the currently bound texture. The image may be an HTML image or canvas,
+ * or a headless image of the form { width: Number, height: Number, data: Uint8Array }, where data is RGBA pixels.
+ * @private
+ */
+function SceneJS_webgl_texImage2D(gl, target, image) {
+    if (image.data) {
+        gl.texImage2D(target, 0, gl.RGBA, image.width, image.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, image.data);
+    } else {
+        gl.texImage2D(target, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+    }
+}
+
 function SceneJS_webgl_ensureImageSizePowerOfTwo(image) {
+    if (image.data) {
+        return image; // Headless image, no canvas to resize it on
+    }
     if (!SceneJS_webgl_isPowerOfTwo(image.width) || !SceneJS_webgl_isPowerOfTwo(image.height)) {
         var canvas = document.createElement("canvas");
         canvas.width = SceneJS_webgl_nextHighestPowerOfTwo(image.width);
@@ -606,10 +624,24 @@ SceneJS_webgl_ArrayBuffer.prototype.bind = function () {
 };
 
 
+/**
+ * Offscreen RGBA render target, sized to the canvas unless a fixed size is given, which is used
+ * for pick and ray-pick renders, as a depth map for shadow-casting lights, and for post-processing
+ *
+ * @param cfg
+ * @param cfg.canvas The SceneJS_Canvas
+ * @param [cfg.size] Fixed width and height, in pixels
+ * @param [cfg.scale=1] Scale of the buffer relative to the canvas, when no fixed size is given
+ * @param [cfg.linear=false] Set true for the texture to be sampled with linear filtering
+ * @private
+ */
 var SceneJS_PickBuffer = function (cfg) {
 
     var canvas = cfg.canvas;
     var gl = canvas.gl;
+    var size = cfg.size;
+    var scale = cfg.scale || 1;
+    var linear = !!cfg.linear;
 
     var pickBuf;
     var bound = false;
@@ -624,8 +656,8 @@ var SceneJS_PickBuffer = function (cfg) {
 
     this._touch = function () {
 
-        var width = canvas.canvas.width;
-        var height = canvas.canvas.height;
+        var width = size || Math.max(1, Math.round(canvas.canvas.width * scale));
+        var height = size || Math.max(1, Math.round(canvas.canvas.height * scale));
 
         if (pickBuf) { // Currently have a pick buffer
             if (pickBuf.width == width && pickBuf.height == height) { // Canvas size unchanged, buffer still good
@@ -649,8 +681,8 @@ var SceneJS_PickBuffer = function (cfg) {
         gl.bindFramebuffer(gl.FRAMEBUFFER, pickBuf.framebuf);
 
         gl.bindTexture(gl.TEXTURE_2D, pickBuf.texture);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, linear ? gl.LINEAR : gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, linear ? gl.LINEAR : gl.NEAREST);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
 
@@ -708,6 +740,20 @@ var SceneJS_PickBuffer = function (cfg) {
         bound = true;
     };
 
+    /** Binds the buffer again, after some other frame buffer may have been bound in its place
+     */
+    this.rebind = function () {
+        bound = false;
+        this.bind();
+    };
+
+    /** Returns the current width and height of the buffer, in pixels
+     */
+    this.getSize = function () {
+        this._touch();
+        return [pickBuf.width, pickBuf.height];
+    };
+
     this.clear = function () {
 
         if (!bound) {
@@ -729,10 +775,53 @@ var SceneJS_PickBuffer = function (cfg) {
         return pix;
     };
 
+    /** Reads a rectangle of pick buffer pixels, given in canvas coordinates, returns RGBA values with rows bottom-up
+     */
+    this.readRegion = function (pickX, pickY, width, height) {
+        var y = canvas.canvas.height - pickY - height;
+        var pix = new Uint8Array(width * height * 4);
+        gl.readPixels(pickX, y, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pix);
+        return pix;
+    };
+
     this.unbind = function () {
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
         bound = false;
     };
+
+    /** Releases the buffer's WebGL resources
+     */
+    this.destroy = function () {
+        if (pickBuf) {
+            gl.deleteTexture(pickBuf.texture);
+            gl.deleteFramebuffer(pickBuf.framebuf);
+            gl.deleteRenderbuffer(pickBuf.renderbuf);
+            pickBuf = null;
+        }
+        bound = false;
+    };
+
+    /** Gets the texture that this buffer renders to, for binding to a sampler
+     */
+    this.getTexture = function () {
+
+        var self = this;
+
+        return {
+
+            bind: function (unit) {
+                self._touch();
+                gl.activeTexture(gl["TEXTURE" + unit]);
+                gl.bindTexture(gl.TEXTURE_2D, pickBuf.texture);
+                return true;
+            },
+
+            unbind: function (unit) {
+                gl.activeTexture(gl["TEXTURE" + unit]);
+                gl.bindTexture(gl.TEXTURE_2D, null);
+            }
+        };
+    };
 };
 
 var SceneJS_PickBufferOLD = function (cfg) {
@@ -0,0 +1,362 @@
+/**
+ * First-person walkthrough camera node type
+ *
+ * Usage example
+ * -------------
+ *
+ * someNode.addNode({
+ *      type: "cameras/firstPerson",
+ *      eye: { x: 0, y: 1.7, z: 10 },
+ *      yaw: 0,                 // Degrees about the World Y-axis, where zero looks down the -Z axis
+ *      pitch: 0,               // Degrees up or down, limited to [-89..89]
+ *      speed: 5.0,             // Walking speed, in World units per second
+ *      runMultiplier: 2.0,     // Speed multiplier while holding shift
+ *      lookSensitivity: 0.2,   // Degrees of turn per pixel of mouse movement
+ *      eyeHeight: 1.7,         // Height of the eye above the floor
+ *      gravity: 9.8,           // Downward acceleration, in World units per second squared - zero to fly
+ *      maxStep: 0.4,           // Greatest rise in the floor that can be stepped up onto
+ *      collision: true,        // Set false to walk through walls
+ *      collisionRadius: 0.3,   // Closest distance to walls
+ *      headBob: 0.05,          // Height of head bob while walking - zero for none
+ *      headBobFrequency: 2.0,  // Head bobs per second
+ *      pointerLock: false,     // Set true to look with mouse movement after clicking on the canvas, instead of dragging
+ *      nodes: [ ... ]
+ * });
+ *
+ * The camera walks forwards, backwards and sideways with the W, S, A and D keys, or the arrow keys, and looks around
+ * as the mouse is dragged on the canvas. The values shown above are the defaults. Keyboard events are listened for on
+ * the document given by the scene's host, which for the headless "node" host is a stand-in that you can dispatch
+ * events on.
+ *
+ * With zero gravity, the camera flies instead, moving forwards and backwards in the direction it's looking, and
+ * straight up and down with the E and Q keys.
+ *
+ * Collision and gravity work by casting rays against the triangles of the visible and pickable geometry in the
+ * scene, using SceneJS.Scene#rayCast. A ray is cast ahead of each movement, at eye height and at the height of
+ * 'maxStep' above the floor, which stops the camera 'collisionRadius' short of walls. A ray cast straight down finds
+ * the floor, which the camera falls onto under gravity, keeping the eye 'eyeHeight' above it, and stepping up onto
+ * floors that rise by up to 'maxStep'. Geometry that is not pickable, such as glass flagged with picking:false, can
+ * be walked through.
+ *
+ * var camera = myScene.getNode("myFirstPerson");
+ *
+ * camera.setEye({ x: 0, y: 1.7, z: 10 });  // Teleport
+ *
+ * camera.on("eye", function (eye) {
+ *      // Eye position after each movement
+ * });
+ *
+ */
+SceneJS.Types.addType("cameras/firstPerson", {
+
+    construct:function (params) {
+
+        var lookat = this.addNode({
+            type:"lookAt",
+
+            // A plugin node type is responsible for attaching specified
+            // child nodes within itself
+            nodes:params.nodes
+        });
+
+        var eye = params.eye || { x:0, y:0, z:0 };
+
+        var pos = [eye.x || 0, eye.y || 0, eye.z || 0]; // Eye position, without head bob
+        var yaw = params.yaw || 0;
+        var pitch = params.pitch || 0;
+
+        var speed = params.speed != undefined ? params.speed : 5.0;
+        var runMultiplier = params.runMultiplier != undefined ? params.runMultiplier : 2.0;
+        var lookSensitivity = params.lookSensitivity != undefined ? params.lookSensitivity : 0.2;
+        var eyeHeight = params.eyeHeight != undefined ? params.eyeHeight : 1.7;
+        var gravity = params.gravity != undefined ? params.gravity : 9.8;
+        var maxStep = params.maxStep != undefined ? params.maxStep : 0.4;
+        var collision = params.collision !== false;
+        var collisionRadius = params.collisionRadius != undefined ? params.collisionRadius : 0.3;
+        var headBob = params.headBob != undefined ? params.headBob : 0.05;
+        var headBobFrequency = params.headBobFrequency != undefined ? params.headBobFrequency : 2.0;
+        var pointerLock = !!params.pointerLock;
+
+        var fallSpeed = 0;
+        var grounded = false;
+        var bobPhase = 0;
+        var bobWeight = 0; // Eases head bob in and out as we start and stop walking
+        var lastBob = 0;
+
+        var keys = {};
+        var lastX;
+        var lastY;
+        var dragging = false;
+
+        var self = this;
+        var scene = this.getScene();
+        var canvas = scene.getCanvas();
+        var host = scene.getHost();
+        var doc = host.getDocument ? host.getDocument() : null; // Custom hosts may not provide keyboard events
+
+        update(0);
+
+        this._setEye = function (eye) {
+            pos = [eye.x || 0, eye.y || 0, eye.z || 0];
+            fallSpeed = 0;
+            grounded = false;
+            update(0);
+        };
+
+        this._getEye = function () {
+            return { x:pos[0], y:pos[1], z:pos[2] };
+        };
+
+        function keyDown(event) {
+            keys[event.keyCode] = true;
+            keys.shift = event.shiftKey;
+        }
+
+        function keyUp(event) {
+            keys[event.keyCode] = false;
+            keys.shift = event.shiftKey;
+        }
+
+        function mouseDown(event) {
+            lastX = event.clientX;
+            lastY = event.clientY;
+            dragging = true;
+            if (pointerLock && canvas.requestPointerLock) {
+                canvas.requestPointerLock();
+            }
+        }
+
+        function mouseUp() {
+            dragging = false;
+        }
+
+        function mouseMove(event) {
+            if (pointerLock && doc && doc.pointerLockElement == canvas) {
+                turn(event.movementX || 0, event.movementY || 0);
+            } else if (dragging) {
+                turn(event.clientX - lastX, event.clientY - lastY);
+            }
+            lastX = event.clientX;
+            lastY = event.clientY;
+        }
+
+        function touchStart(event) {
+            lastX = event.targetTouches[0].clientX;
+            lastY = event.targetTouches[0].clientY;
+            dragging = true;
+        }
+
+        function touchMove(event) {
+            var posX = event.targetTouches[0].clientX;
+            var posY = event.targetTouches[0].clientY;
+            if (dragging) {
+                turn(posX - lastX, posY - lastY);
+            }
+            lastX = posX;
+            lastY = posY;
+        }
+
+        function touchEnd() {
+            dragging = false;
+        }
+
+        function turn(dx, dy) {
+            yaw -= dx * lookSensitivity;
+            pitch -= dy * lookSensitivity;
+            update(0);
+        }
+
+        if (doc) {
+            doc.addEventListener('keydown', keyDown, true);
+            doc.addEventListener('keyup', keyUp, true);
+        }
+        canvas.addEventListener('mousedown', mouseDown, true);
+        canvas.addEventListener('mousemove', mouseMove, true);
+        canvas.addEventListener('mouseup', mouseUp, true);
+        canvas.addEventListener('touchstart', touchStart, true);
+        canvas.addEventListener('touchmove', touchMove, true);
+        canvas.addEventListener('touchend', touchEnd, true);
+
+        this._removeListeners = function () {
+            if (doc) {
+                doc.removeEventListener('keydown', keyDown, true);
+                doc.removeEventListener('keyup', keyUp, true);
+            }
+            canvas.removeEventListener('mousedown', mouseDown, true);
+            canvas.removeEventListener('mousemove', mouseMove, true);
+            canvas.removeEventListener('mouseup', mouseUp, true);
+            canvas.removeEventListener('touchstart', touchStart, true);
+            canvas.removeEventListener('touchmove', touchMove, true);
+            canvas.removeEventListener('touchend', touchEnd, true);
+        };
+
+        this._tick = scene.on("tick",
+            function (tick) {
+                if (tick.prevTime) {
+                    update(Math.min((tick.time - tick.prevTime) / 1000, 0.1)); // Limit step after a stall
+                }
+            });
+
+        // Walks, falls and bobs for the given number of seconds, then updates the lookAt
+        function update(dt) {
+
+            if (pitch > 89) {
+                pitch = 89;
+            } else if (pitch < -89) {
+                pitch = -89;
+            }
+
+            var yawRad = yaw * Math.PI / 180.0;
+            var pitchRad = pitch * Math.PI / 180.0;
+
+            var flying = gravity <= 0;
+            var cosPitch = Math.cos(pitchRad);
+
+            var forward = [-Math.sin(yawRad), 0, -Math.cos(yawRad)];
+            var right = [Math.cos(yawRad), 0, -Math.sin(yawRad)];
+            var look = [forward[0] * cosPitch, Math.sin(pitchRad), forward[2] * cosPitch];
+
+            var ahead = (keys[87] || keys[38] ? 1 : 0) - (keys[83] || keys[40] ? 1 : 0);    // W, up / S, down
+            var aside = (keys[68] || keys[39] ? 1 : 0) - (keys[65] || keys[37] ? 1 : 0);    // D, right / A, left
+            var rise = flying ? (keys[69] ? 1 : 0) - (keys[81] ? 1 : 0) : 0;                 // E / Q
+
+            var walking = dt > 0 && (ahead != 0 || aside != 0 || rise != 0);
+            var moved = false;
+
+            if (walking) {
+
+                var ahead3 = flying ? look : forward; // Fly where we're looking, walk on the level
+
+                var dx = ahead3[0] * ahead + right[0] * aside;
+                var dy = ahead3[1] * ahead + rise;
+                var dz = ahead3[2] * ahead + right[2] * aside;
+                var len = Math.sqrt(dx * dx + dy * dy + dz * dz);
+                var step = len > 0 ? speed * (keys.shift ? runMultiplier : 1.0) * dt / len : 0;
+
+                dx *= step;
+                dy *= step;
+                dz *= step;
+
+                if (collision) { // Move along each axis separately, to slide along walls
+                    dx = collide(dx, 0);
+                    dy = collide(dy, 1);
+                    dz = collide(dz, 2);
+                }
+
+                pos[0] += dx;
+                pos[1] += dy;
+                pos[2] += dz;
+
+                moved = dx != 0 || dy != 0 || dz != 0;
+            }
+
+            if (!flying && dt > 0 && (moved || !grounded)) {
+
+                var lastY = pos[1];
+                var hit = scene.rayCast(pos, [0, -(eyeHeight + 1000.0), 0]);
+                var floorEyeY = hit ? hit.worldPos[1] + eyeHeight : -Number.MAX_VALUE;
+
+                if (pos[1] <= floorEyeY + 0.001) { // On or below floor - stand or step up onto it
+                    pos[1] = floorEyeY;
+                    fallSpeed = 0;
+                    grounded = true;
+
+                } else { // Above floor - fall
+                    fallSpeed += gravity * dt;
+                    pos[1] -= fallSpeed * dt;
+                    grounded = false;
+                    if (pos[1] <= floorEyeY) {
+                        pos[1] = floorEyeY;
+                        fallSpeed = 0;
+                        grounded = true;
+                    }
+                }
+                moved = moved || pos[1] != lastY;
+            }
+
+            // Ease head bob in while walking on the floor, and out when stopped
+
+            var bobbing = walking && (grounded || flying) && headBob > 0;
+
+            bobWeight = Math.max(0, Math.min(1, bobWeight + (bobbing ? dt : -dt) * 4.0));
+
+            if (bobWeight > 0) {
+                bobPhase += dt * headBobFrequency * Math.PI;
+            } else {
+                bobPhase = 0;
+            }
+
+            var bob = Math.abs(Math.sin(bobPhase)) * headBob * bobWeight;
+
+            if (dt > 0 && !moved && bob == lastBob) { // Nothing changed on this tick
+                return;
+            }
+
+            lastBob = bob;
+
+            var eye = { x:pos[0], y:pos[1] + bob, z:pos[2] };
+
+            lookat.set({
+                eye:eye,
+                look:{
+                    x:eye.x + look[0],
+                    y:eye.y + look[1],
+                    z:eye.z + look[2]
+                },
+                up:{ x:0, y:1, z:0 }
+            });
+
+            if (moved) {
+                self.publish("eye", { x:pos[0], y:pos[1], z:pos[2] });
+            }
+        }
+
+        // Shortens a movement along a World axis so that the camera stops short of any wall, floor or ceiling ahead
+        function collide(d, axis) {
+
+            if (d == 0) {
+                return 0;
+            }
+
+            var dir = [0, 0, 0];
+            var dist = Math.abs(d) + collisionRadius;
+            dir[axis] = d > 0 ? dist : -dist;
+
+            var heights = (axis == 1) ? [0] : [0, -eyeHeight + maxStep + 0.01]; // Eye and just above step height
+            var hit;
+
+            for (var i = 0; i < heights.length; i++) {
+                hit = scene.rayCast([pos[0], pos[1] + heights[i], pos[2]], dir);
+                if (hit) {
+                    var allowed = Math.max(0, hit.distance - collisionRadius);
+                    if (allowed < Math.abs(d)) {
+                        d = d > 0 ? allowed : -allowed;
+                    }
+                }
+            }
+
+            return d;
+        }
+    },
+
+    /**
+     * Moves the eye to the given World-space position
+     * @param {*} eye Position as { x, y, z }
+     */
+    setEye:function (eye) {
+        this._setEye(eye);
+    },
+
+    /**
+     * Returns the World-space position of the eye, without any head bob
+     * @return {*} Position as { x, y, z }
+     */
+    getEye:function () {
+        return this._getEye();
+    },
+
+    destruct:function () {
+        this.getScene().off(this._tick);
+        this._removeListeners();
+    }
+});
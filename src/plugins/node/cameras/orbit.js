@@ -15,7 +15,33 @@
  * });
  *
  * The camera is initially positioned at the given 'eye' and 'look', then the distance of 'eye' is zoomed out
- * away from 'look' by the amount given in 'zoom', and then 'eye' is rotated by 'yaw' and 'pitch'.
+ * away from 'look' by the amount given in 'zoom', and then 'eye' is rotated by 'yaw' and 'pitch' about 'look'.
+ *
+ * Note that a 'look' away from the World origin moves the whole orbit with it. Earlier versions orbited 'eye' about
+ * the origin while facing 'look', so scenes which relied on that need their 'look' moved to the origin.
+ *
+ * Zooming to fit
+ * --------------
+ *
+ * The camera can smoothly fly to frame a node, or a World-space boundary, so that it fills the view of the
+ * camera node within or above this node. The camera moves 'look' to the center of the node's World-space bounding
+ * sphere, and zooms 'eye' out to the distance at which the sphere fits the field of view, optionally also turning to
+ * a given yaw and pitch. Dragging or zooming with the mouse stops the flight.
+ *
+ * var orbit = myScene.getNode("myOrbit");
+ *
+ * orbit.fitToNode("myTable", {
+ *      duration: 1.0,  // Seconds, default 1
+ *      padding: 0.1,   // Margin around the node, as a fraction of its size, default 0
+ *      yaw: 45,        // Optional
+ *      pitch: -20      // Optional
+ * });
+ *
+ * orbit.fitToBoundary([-10, -10, -10], [10, 10, 10], { duration: 0.5 });
+ *
+ * orbit.on("fitted", function (e) {
+ *      // e.look, e.zoom, e.yaw and e.pitch are where the camera ended up
+ * });
  *
  */
 SceneJS.Types.addType("cameras/orbit", {
@@ -44,6 +70,10 @@ SceneJS.Types.addType("cameras/orbit", {
         var eye = params.eye || { x:0, y:0, z:0 };
         var look = params.look || { x:0, y:0, z:0};
 
+        var pivot = [look.x || 0, look.y || 0, look.z || 0]; // Point we orbit about
+
+        var flight = null; // Flight to fit a boundary
+
         lookat.set({
             eye:{ x:eye.x, y:eye.y, z:-zoom },
             look:{ x:look.x, y:look.y, z:look.z },
@@ -52,7 +82,77 @@ SceneJS.Types.addType("cameras/orbit", {
 
         update();
 
-        var canvas = this.getScene().getCanvas();
+        var self = this;
+        var scene = this.getScene();
+
+        this._fit = function (boundary, options) {
+
+            options = options || {};
+
+            var sphere = getBoundingSphere(boundary);
+            var distance = SceneJS.Camera.getFitDistance(getOptics(), sphere.radius * (1.0 + (options.padding || 0)));
+
+            flight = {
+                boundary:boundary,
+                time:0,
+                duration:options.duration == undefined ? 1.0 : options.duration,
+                startPivot:pivot.slice(0),
+                endPivot:sphere.center,
+                startYaw:yaw,
+                endYaw:options.yaw == undefined ? yaw : options.yaw,
+                startPitch:pitch,
+                endPitch:options.pitch == undefined ? pitch : options.pitch,
+                startZoom:zoom,
+                endZoom:distance
+            };
+
+            if (!(flight.duration > 0)) {
+                flyTo(1.0);
+            }
+        };
+
+        this._tick = scene.on("tick",
+            function (tick) {
+                if (flight && tick.prevTime) {
+                    flight.time += (tick.time - tick.prevTime) / 1000;
+                    flyTo(Math.min(flight.time / flight.duration, 1.0));
+                }
+            });
+
+        // Moves the camera part-way along the flight to fit a boundary, in range [0..1]
+        function flyTo(t) {
+            var f = flight;
+            var e = t * t * (3 - 2 * t); // Ease in and out
+            pivot = [
+                f.startPivot[0] + (f.endPivot[0] - f.startPivot[0]) * e,
+                f.startPivot[1] + (f.endPivot[1] - f.startPivot[1]) * e,
+                f.startPivot[2] + (f.endPivot[2] - f.startPivot[2]) * e
+            ];
+            yaw = f.startYaw + (f.endYaw - f.startYaw) * e;
+            pitch = f.startPitch + (f.endPitch - f.startPitch) * e;
+            zoom = f.startZoom + (f.endZoom - f.startZoom) * e;
+            update();
+            if (t >= 1.0) {
+                flight = null;
+                self.publish("fitted", {
+                    boundary:f.boundary,
+                    look:{ x:pivot[0], y:pivot[1], z:pivot[2] },
+                    zoom:zoom,
+                    yaw:yaw,
+                    pitch:pitch
+                });
+            }
+        }
+
+        // Finds the optics of the camera that views through this orbit
+        function getOptics() {
+            var camera = lookat.eachNode(function () {
+                return this.type == "camera";
+            }, { depthFirst:true }) || self.getParentOfType("camera");
+            return camera ? camera.getOptics() : { type:"perspective", fovy:45.0, aspect:1.0 };
+        }
+
+        var canvas = scene.getCanvas();
 
         canvas.addEventListener('mousedown', mouseDown, true);
         canvas.addEventListener('mousemove', mouseMove, true);
@@ -98,6 +198,8 @@ SceneJS.Types.addType("cameras/orbit", {
         function actionMove(posX, posY) {
             if (dragging) {
 
+                flight = null;
+
                 yaw -= (posX - lastX) * 0.1;
                 pitch -= (posY - lastY) * 0.1;
 
@@ -118,6 +220,7 @@ SceneJS.Types.addType("cameras/orbit", {
                 delta = -event.detail / 3;
             }
             if (delta) {
+                flight = null;
                 if (delta < 0) {
                     zoom -= zoomSensitivity;
                 } else {
@@ -157,7 +260,22 @@ SceneJS.Types.addType("cameras/orbit", {
             var eye3 = SceneJS_math_transformPoint3(pitchMat, eye);
             eye3 = SceneJS_math_transformPoint3(yawMat, eye3);
 
-            lookat.setEye({x:eye3[0], y:eye3[1], z:eye3[2] });
+            lookat.setLook({x:pivot[0], y:pivot[1], z:pivot[2] });
+            lookat.setEye({x:pivot[0] + eye3[0], y:pivot[1] + eye3[1], z:pivot[2] + eye3[2] });
+        }
+
+        function getBoundingSphere(boundary) {
+            var dx = boundary.xmax - boundary.xmin;
+            var dy = boundary.ymax - boundary.ymin;
+            var dz = boundary.zmax - boundary.zmin;
+            return {
+                center:[
+                    (boundary.xmin + boundary.xmax) * 0.5,
+                    (boundary.ymin + boundary.ymax) * 0.5,
+                    (boundary.zmin + boundary.zmax) * 0.5
+                ],
+                radius:Math.sqrt(dx * dx + dy * dy + dz * dz) * 0.5
+            };
         }
     },
 
@@ -166,7 +284,33 @@ SceneJS.Types.addType("cameras/orbit", {
 
     },
 
+    /**
+     * Flies the camera to frame the given node
+     * @param {String} nodeId ID of the node
+     * @param {*} [options] Options as { duration, padding, yaw, pitch }
+     */
+    fitToNode:function (nodeId, options) {
+        var node = this.getScene().getNode(nodeId);
+        var boundary = node ? node.getWorldBoundary() : null;
+        if (!boundary) {
+            this.log("error", "cameras/orbit fitToNode - node not found or has no geometry: '" + nodeId + "'");
+            return;
+        }
+        this._fit(boundary, options);
+    },
+
+    /**
+     * Flies the camera to frame the given World-space boundary
+     * @param {Number[]} min Minimum corner as [x, y, z]
+     * @param {Number[]} max Maximum corner as [x, y, z]
+     * @param {*} [options] Options as { duration, padding, yaw, pitch }
+     */
+    fitToBoundary:function (min, max, options) {
+        this._fit({ xmin:min[0], ymin:min[1], zmin:min[2], xmax:max[0], ymax:max[1], zmax:max[2] }, options);
+    },
+
     destruct:function () {
+        this.getScene().off(this._tick);
         // TODO: remove mouse handlers
     }
 });
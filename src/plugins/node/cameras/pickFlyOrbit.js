@@ -18,6 +18,24 @@
  * The camera is initially positioned at the given 'eye' and 'look', then the distance of 'eye' is zoomed out
  * away from 'look' by the amount given in 'zoom', and then 'eye' is rotated by 'yaw' and 'pitch'.
  *
+ * Zooming to fit
+ * --------------
+ *
+ * Like cameras/orbit, the camera can smoothly fly to frame a node, or a World-space boundary, moving the point it
+ * orbits about to the center of the node's World-space bounding sphere and zooming out to the distance at which the
+ * sphere fits the field of view of the camera node within or above this node. Picking a point or dragging stops
+ * the flight.
+ *
+ * var camera = myScene.getNode("myPickFlyOrbit");
+ *
+ * camera.fitToNode("myTable", { duration: 1.0, padding: 0.1, yaw: 45, pitch: -20 }); // Only nodeId required
+ *
+ * camera.fitToBoundary([-10, -10, -10], [10, 10, 10]);
+ *
+ * camera.on("fitted", function (e) {
+ *      // e.look, e.zoom, e.yaw and e.pitch are where the camera ended up
+ * });
+ *
  */
 require([
     SceneJS.getConfigs("pluginPath") + "/lib/gl-matrix-min.js"
@@ -199,6 +217,47 @@ require([
                 var flying = false;
                 var orbiting = true;
 
+                var fit = null; // Flight to fit a boundary
+
+                var self = this;
+
+                this._fit = function (boundary, options) {
+
+                    options = options || {};
+
+                    var dx = boundary.xmax - boundary.xmin;
+                    var dy = boundary.ymax - boundary.ymin;
+                    var dz = boundary.zmax - boundary.zmin;
+                    var radius = Math.sqrt(dx * dx + dy * dy + dz * dz) * 0.5;
+
+                    flying = false; // Stop any flight to a picked point
+
+                    fit = {
+                        boundary:boundary,
+                        startTime:null,
+                        duration:1000.0 * (options.duration == undefined ? 1.0 : options.duration),
+                        startPivot:glmat.vec3.fromValues(currentPivot[0], currentPivot[1], currentPivot[2]),
+                        endPivot:glmat.vec3.fromValues(
+                            (boundary.xmin + boundary.xmax) * 0.5,
+                            (boundary.ymin + boundary.ymax) * 0.5,
+                            (boundary.zmin + boundary.zmax) * 0.5),
+                        startYaw:yaw,
+                        endYaw:options.yaw == undefined ? yaw : options.yaw,
+                        startPitch:pitch,
+                        endPitch:options.pitch == undefined ? pitch : options.pitch,
+                        startZoom:zoom,
+                        endZoom:SceneJS.Camera.getFitDistance(getOptics(), radius * (1.0 + (options.padding || 0)))
+                    };
+                };
+
+                // Finds the optics of the camera that views through this node
+                function getOptics() {
+                    var camera = lookat.eachNode(function () {
+                        return this.type == "camera";
+                    }, { depthFirst:true }) || self.getParentOfType("camera");
+                    return camera ? camera.getOptics() : { type:"perspective", fovy:45.0, aspect:1.0 };
+                }
+
                 function mouseDown(event) {
                     lastX = downX = event.clientX;
                     lastY = downY = event.clientY;
@@ -244,6 +303,7 @@ require([
 
                 function actionMove(posX, posY) {
                     if (dragging) {
+                        fit = null;
                         yaw += (posX - lastX) * 0.1;
                         pitch -= (posY - lastY) * 0.1;
                         orbiting = true;
@@ -290,6 +350,8 @@ require([
                             return;
                         }
 
+                        fit = null;
+
                         startPivot = glmat.vec3.fromValues(currentPivot[0], currentPivot[1], currentPivot[2]);
                         endPivot = hit.worldPos;
 
@@ -310,9 +372,40 @@ require([
                         label.setText("[ " + Math.round(endPivot[0]) + ", " + Math.round(endPivot[1]) + ", " + Math.round(endPivot[2]) + " ]");
                     });
 
-                scene.on("tick",
+                this._tick = scene.on("tick",
                     function () {
 
+                        if (fit) {
+
+                            var timeNow = (new Date()).getTime();
+
+                            if (fit.startTime == null) {
+                                fit.startTime = timeNow;
+                            }
+
+                            var t = fit.duration > 0 ? Math.min((timeNow - fit.startTime) / fit.duration, 1.0) : 1.0;
+                            var eased = easeOut(t, 0, 1, 1);
+
+                            glmat.vec3.lerp(currentPivot, fit.startPivot, fit.endPivot, eased);
+
+                            yaw = fit.startYaw + (fit.endYaw - fit.startYaw) * eased;
+                            pitch = fit.startPitch + (fit.endPitch - fit.startPitch) * eased;
+                            zoom = fit.startZoom + (fit.endZoom - fit.startZoom) * eased;
+
+                            orbiting = true;
+
+                            if (t >= 1.0) {
+                                self.publish("fitted", {
+                                    boundary:fit.boundary,
+                                    look:{ x:currentPivot[0], y:currentPivot[1], z:currentPivot[2] },
+                                    zoom:zoom,
+                                    yaw:yaw,
+                                    pitch:pitch
+                                });
+                                fit = null;
+                            }
+                        }
+
                         if (flying) {
 
                             if (flightStartTime == null) {
@@ -388,7 +481,33 @@ require([
                     });
             },
 
+            /**
+             * Flies the camera to frame the given node
+             * @param {String} nodeId ID of the node
+             * @param {*} [options] Options as { duration, padding, yaw, pitch }
+             */
+            fitToNode:function (nodeId, options) {
+                var node = this.getScene().getNode(nodeId);
+                var boundary = node ? node.getWorldBoundary() : null;
+                if (!boundary) {
+                    this.log("error", "cameras/pickFlyOrbit fitToNode - node not found or has no geometry: '" + nodeId + "'");
+                    return;
+                }
+                this._fit(boundary, options);
+            },
+
+            /**
+             * Flies the camera to frame the given World-space boundary
+             * @param {Number[]} min Minimum corner as [x, y, z]
+             * @param {Number[]} max Maximum corner as [x, y, z]
+             * @param {*} [options] Options as { duration, padding, yaw, pitch }
+             */
+            fitToBoundary:function (min, max, options) {
+                this._fit({ xmin:min[0], ymin:min[1], zmin:min[2], xmax:max[0], ymax:max[1], zmax:max[2] }, options);
+            },
+
             destruct:function () {
+                this.getScene().off(this._tick);
                 // TODO: remove mouse handlers
             }
         });
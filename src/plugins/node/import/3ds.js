@@ -1,91 +1,961 @@
 /**
  * 3DS importer plugin
  *
- * Uses the K3D library to parse 3DS
- * © 2012 Ivan Kuckir
- * http://k3d.ivank.net/
+ * Imports every object in a 3D Studio .3DS file from a URL or from an ArrayBuffer, along with its materials and,
+ * where the file has a keyframer section, its node hierarchy.
  *
+ * Each object becomes a name node for the object, containing a geometry for each material used by its faces, each
+ * within a material node, along with a texture node for the material's texture maps. Normals are generated from
+ * the object's smoothing groups.
+ *
+ * When the file has a keyframer section, the objects are arranged in its node hierarchy, with translate, rotate and
+ * scale nodes for the first key of each node's tracks, and each object's vertices are moved into its local space and
+ * offset by its pivot. Without a keyframer section, the objects are imported in the world space they are stored in.
+ * Cameras, lights and animation tracks beyond the first key are not imported.
+ *
+ * Usage examples:
+ *
+ * someNode.addNode({
+ *      type: "import/3ds",
+ *      src: "models/house.3ds"     // Texture maps are loaded relative to this
+ *  });
+ *
+ * someNode.addNode({
+ *      type: "import/3ds",
+ *      data: arrayBuffer,          // Contents of a .3DS file
+ *      baseUri: "models/"          // Optional location of texture maps
+ *  });
  */
-require([
+(function () {
+
+    // Chunk IDs
+    var MAIN = 0x4D4D;
+    var EDIT = 0x3D3D;
+    var MATERIAL = 0xAFFF;
+    var MAT_NAME = 0xA000;
+    var MAT_DIFFUSE = 0xA020;
+    var MAT_SPECULAR = 0xA030;
+    var MAT_SHININESS = 0xA040;
+    var MAT_SHIN_STRENGTH = 0xA041;
+    var MAT_TRANSPARENCY = 0xA050;
+    var MAT_SELF_ILLUM = 0xA084;
+    var MAT_MAP_FILENAME = 0xA300;
+    var MAT_MAP_USCALE = 0xA354;
+    var MAT_MAP_VSCALE = 0xA356;
+    var MAT_MAP_UOFFSET = 0xA358;
+    var MAT_MAP_VOFFSET = 0xA35A;
+    var MAT_MAP_ANGLE = 0xA35C;
+    var COLOR_FLOAT = 0x0010;
+    var COLOR_BYTE = 0x0011;
+    var PERCENT_INT = 0x0030;
+    var PERCENT_FLOAT = 0x0031;
+    var OBJECT = 0x4000;
+    var TRIMESH = 0x4100;
+    var VERTICES = 0x4110;
+    var FACES = 0x4120;
+    var FACE_MATERIAL = 0x4130;
+    var MAPPING_COORDS = 0x4140;
+    var SMOOTHING_GROUPS = 0x4150;
+    var MESH_MATRIX = 0x4160;
+    var KEYFRAMER = 0xB000;
+    var KF_OBJECT_NODE = 0xB002;
+    var KF_NODE_HEADER = 0xB010;
+    var KF_INSTANCE_NAME = 0xB011;
+    var KF_PIVOT = 0xB013;
+    var KF_POSITION_TRACK = 0xB020;
+    var KF_ROTATION_TRACK = 0xB021;
+    var KF_SCALE_TRACK = 0xB022;
+    var KF_NODE_ID = 0xB030;
+
+    // Texture map chunks, mapped to the texture layer targets they are imported as
+    var textureMaps = {
+        0xA200:{ applyTo:"baseColor", blendMode:"multiply" },
+        0xA204:{ applyTo:"specular", blendMode:"multiply" },
+        0xA210:{ applyTo:"alpha", blendMode:"multiply" },
+        0xA230:{ applyTo:"normals", blendMode:"multiply" },
+        0xA33D:{ applyTo:"emit", blendMode:"add" }
+    };
+
+    SceneJS.Types.addType("import/3ds", {
+
+        construct:function (params) {
 
-    // This prefix routes to the 3rd-party libs directory containing resources used by plugins
-    "scenejsPluginDeps/k3d"
-],
-    function () {
+            if (!params.src && !params.data) {
+                this.log("error", "Attribute expected: src or data");
+                return;
+            }
+
+            // Notify SceneJS so it can support loading/busy indicators etc
+            this._taskId = this.taskStarted("Loading .3DS");
 
-        SceneJS.Types.addType("import/3ds", {
+            var self = this;
+            var baseUri = (params.baseUri != undefined)
+                ? params.baseUri
+                : (params.src ? params.src.substring(0, params.src.lastIndexOf("/") + 1) : "");
+            var coreIdPrefix = params.src ? "import/3ds:" + params.src + ":" : undefined;
 
-            construct:function (params) {
+            var build = function (data) {
+
+                if (self.destroyed) {
+                    return;
+                }
 
-                if (!params.src) {
-                    this.log("error", "Attribute expected: src");
+                try {
+                    var nodes = buildScene(parse3DS(data), baseUri, coreIdPrefix);
+                    for (var i = 0, len = nodes.length; i < len; i++) {
+                        self.addNode(nodes[i]);
+                    }
+                } catch (e) {
+                    self.log("error", "Failed to import .3DS file: " + e);
+                    self._taskId = self.taskFailed(self._taskId);
+                    return;
                 }
 
-                // Notify SceneJS so it can support loading/busy indicators etc
-                this._taskId = this.taskStarted("Loading .3DS");
+                self._taskId = self.taskFinished(self._taskId);
+            };
 
-                var self = this;
+            if (params.data) {
+                build(params.data);
+                return;
+            }
 
-                load(params.src,
-                    function (data) {
+            load(params.src,
+                build,
+                function (err) {
+                    self.log("error", "Failed to load file: " + err);
+                    self._taskId = self.taskFailed(self._taskId);
+                });
+        },
 
-                        var m = K3D.parse.from3DS(data);
+        destruct:function () {
+            this._taskId = this.taskFinished(this._taskId);
+        }
+    });
 
-                        console.log(m);
+    /**
+     * Reads the chunks of a .3DS file into lists of materials, objects and keyframer nodes
+     */
+    function parse3DS(data) {
 
-                        var mesh = m.edit.objects[0].mesh;
+        var view = new DataView(data);
 
-                        // Need to flip the UV coordinates on Y-axis for SceneJS geometry
-                        for (var i = 1, len = mesh.uvt.length; i < len; i += 2) {
-                            mesh.uvt[i] *= -1.0;
+        if (data.byteLength < 6 || view.getUint16(0, true) != MAIN) {
+            throw "not a .3DS file";
+        }
+
+        var model = {
+            materials:{},
+            objects:[],
+            kfNodes:[]
+        };
+
+        forEachChunk(view, 6, chunkEnd(view, 0), function (id, start, end) {
+            if (id == EDIT) {
+                forEachChunk(view, start, end, function (id, start, end) {
+                    if (id == MATERIAL) {
+                        var material = parseMaterial(view, start, end);
+                        model.materials[material.name] = material;
+                    } else if (id == OBJECT) {
+                        var object = parseObject(view, start, end);
+                        if (object.mesh) {
+                            model.objects.push(object);
                         }
+                    }
+                });
+            } else if (id == KEYFRAMER) {
+                forEachChunk(view, start, end, function (id, start, end) {
+                    if (id == KF_OBJECT_NODE) {
+                        model.kfNodes.push(parseKeyframerNode(view, start, end));
+                    }
+                });
+            }
+        });
+
+        return model;
+    }
+
+    function chunkEnd(view, offset) {
+        return Math.min(offset + view.getUint32(offset + 2, true), view.byteLength);
+    }
+
+    /**
+     * Calls back with the ID and content extents of each chunk in the given range
+     */
+    function forEachChunk(view, offset, end, callback) {
+        var id;
+        var next;
+        while (offset + 6 <= end) {
+            id = view.getUint16(offset, true);
+            next = Math.min(chunkEnd(view, offset), end);
+            if (next <= offset) {
+                break; // Corrupt chunk length
+            }
+            callback(id, offset + 6, next);
+            offset = next;
+        }
+    }
+
+    function readString(view, offset, end) {
+        var s = "";
+        var c;
+        while (offset < end && (c = view.getUint8(offset++)) != 0) {
+            s += String.fromCharCode(c);
+        }
+        return s;
+    }
+
+    function readColor(view, start, end) {
+        var color = null;
+        forEachChunk(view, start, end, function (id, start) {
+            if (color) {
+                return; // The first color is used in preference to any gamma-corrected one that follows
+            }
+            if (id == COLOR_FLOAT) {
+                color = {
+                    r:view.getFloat32(start, true),
+                    g:view.getFloat32(start + 4, true),
+                    b:view.getFloat32(start + 8, true)
+                };
+            } else if (id == COLOR_BYTE) {
+                color = {
+                    r:view.getUint8(start) / 255,
+                    g:view.getUint8(start + 1) / 255,
+                    b:view.getUint8(start + 2) / 255
+                };
+            }
+        });
+        return color;
+    }
+
+    /**
+     * Reads a percentage chunk as a fraction in the range [0..1]
+     */
+    function readPercent(view, start, end) {
+        var percent = null;
+        forEachChunk(view, start, end, function (id, start) {
+            if (id == PERCENT_INT) {
+                percent = view.getInt16(start, true) / 100;
+            } else if (id == PERCENT_FLOAT) {
+                percent = view.getFloat32(start, true);
+            }
+        });
+        return percent;
+    }
+
+    function parseMaterial(view, start, end) {
+
+        var material = {
+            name:"",
+            maps:[]
+        };
+
+        forEachChunk(view, start, end, function (id, start, end) {
+
+            switch (id) {
+
+                case MAT_NAME:
+                    material.name = readString(view, start, end);
+                    break;
+
+                case MAT_DIFFUSE:
+                    material.baseColor = readColor(view, start, end);
+                    break;
+
+                case MAT_SPECULAR:
+                    material.specularColor = readColor(view, start, end);
+                    break;
+
+                case MAT_SHININESS:
+                    material.shine = readPercent(view, start, end) * 100;
+                    break;
+
+                case MAT_SHIN_STRENGTH:
+                    material.specular = readPercent(view, start, end);
+                    break;
+
+                case MAT_TRANSPARENCY:
+                    material.alpha = 1 - readPercent(view, start, end);
+                    break;
+
+                case MAT_SELF_ILLUM:
+                    material.emit = readPercent(view, start, end);
+                    break;
+
+                default:
+                    if (textureMaps[id]) {
+                        var map = parseTextureMap(view, start, end, textureMaps[id]);
+                        if (map.src) {
+                            material.maps.push(map);
+                        }
+                    }
+            }
+        });
+
+        return material;
+    }
+
+    function parseTextureMap(view, start, end, target) {
+
+        var map = {
+            applyTo:target.applyTo,
+            blendMode:target.blendMode,
+            blendFactor:readPercent(view, start, end),
+            scale:{ x:1, y:1 },
+            translate:{ x:0, y:0 },
+            rotate:{ z:0 }
+        };
+
+        if (map.blendFactor == null) {
+            map.blendFactor = 1;
+        }
+
+        forEachChunk(view, start, end, function (id, start, end) {
+
+            switch (id) {
+
+                case MAT_MAP_FILENAME:
+                    map.src = readString(view, start, end);
+                    break;
+
+                case MAT_MAP_USCALE:
+                    map.scale.x = view.getFloat32(start, true);
+                    break;
 
-                        self.addNode({
-                            type:"geometry",
-                            primitive:"triangles",
-                            positions:mesh.vertices,
-                            uv:mesh.uvt,
-                            //normals:"auto",
-                            indices:mesh.indices
-                        });
-
-                        self._taskId = self.taskFinished(self._taskId);
-                    },
-
-                    function (err) {
-                        self.log("error", "Failed to load file: " + err);
-                        self._taskId = self.taskFailed(self._taskId);
+                case MAT_MAP_VSCALE:
+                    map.scale.y = view.getFloat32(start, true);
+                    break;
+
+                case MAT_MAP_UOFFSET:
+                    map.translate.x = view.getFloat32(start, true);
+                    break;
+
+                case MAT_MAP_VOFFSET:
+                    map.translate.y = view.getFloat32(start, true);
+                    break;
+
+                case MAT_MAP_ANGLE:
+                    map.rotate.z = view.getFloat32(start, true);
+                    break;
+            }
+        });
+
+        return map;
+    }
+
+    function parseObject(view, start, end) {
+
+        var object = {
+            name:readString(view, start, end),
+            mesh:null
+        };
+
+        start += object.name.length + 1;
+
+        forEachChunk(view, start, end, function (id, start, end) {
+            if (id == TRIMESH) {
+                object.mesh = parseMesh(view, start, end);
+            }
+        });
+
+        return object;
+    }
+
+    function parseMesh(view, start, end) {
+
+        var mesh = {
+            positions:[],
+            uv:null,
+            indices:[],
+            smoothingGroups:null,
+            faceMaterials:[], // Material name and face indices for each material used by the mesh
+            matrix:null
+        };
+
+        forEachChunk(view, start, end, function (id, start, end) {
+
+            var count;
+            var i;
+
+            switch (id) {
+
+                case VERTICES:
+                    count = view.getUint16(start, true);
+                    for (i = 0; i < count * 3; i++) {
+                        mesh.positions.push(view.getFloat32(start + 2 + i * 4, true));
+                    }
+                    break;
+
+                case MAPPING_COORDS:
+                    count = view.getUint16(start, true);
+                    mesh.uv = [];
+                    for (i = 0; i < count * 2; i++) {
+                        mesh.uv.push(view.getFloat32(start + 2 + i * 4, true));
+                    }
+                    break;
+
+                case MESH_MATRIX:
+                    mesh.matrix = [];
+                    for (i = 0; i < 12; i++) {
+                        mesh.matrix.push(view.getFloat32(start + i * 4, true));
+                    }
+                    break;
+
+                case FACES:
+                    count = view.getUint16(start, true);
+                    for (i = 0; i < count; i++) {
+                        mesh.indices.push(
+                            view.getUint16(start + 2 + i * 8, true),
+                            view.getUint16(start + 4 + i * 8, true),
+                            view.getUint16(start + 6 + i * 8, true));
+                    }
+
+                    // The face list is followed by subchunks for face materials and smoothing groups
+                    forEachChunk(view, start + 2 + count * 8, end, function (id, start, end) {
+                        var j;
+                        if (id == FACE_MATERIAL) {
+                            var name = readString(view, start, end);
+                            var offset = start + name.length + 1;
+                            var numFaces = view.getUint16(offset, true);
+                            var faces = [];
+                            for (j = 0; j < numFaces; j++) {
+                                faces.push(view.getUint16(offset + 2 + j * 2, true));
+                            }
+                            mesh.faceMaterials.push({ name:name, faces:faces });
+                        } else if (id == SMOOTHING_GROUPS) {
+                            mesh.smoothingGroups = [];
+                            for (j = 0; j < count; j++) {
+                                mesh.smoothingGroups.push(view.getUint32(start + j * 4, true));
+                            }
+                        }
                     });
+                    break;
+            }
+        });
+
+        return mesh;
+    }
+
+    function parseKeyframerNode(view, start, end) {
+
+        var node = {
+            id:null,
+            name:"",
+            instanceName:null,
+            parentId:null,
+            pivot:[0, 0, 0],
+            position:null,
+            rotation:null,
+            scale:null
+        };
+
+        forEachChunk(view, start, end, function (id, start, end) {
+
+            switch (id) {
+
+                case KF_NODE_ID:
+                    node.id = view.getUint16(start, true);
+                    break;
+
+                case KF_NODE_HEADER:
+                    node.name = readString(view, start, end);
+                    var parentId = view.getUint16(start + node.name.length + 5, true);
+                    node.parentId = (parentId == 0xFFFF) ? null : parentId;
+                    break;
+
+                case KF_INSTANCE_NAME:
+                    node.instanceName = readString(view, start, end);
+                    break;
+
+                case KF_PIVOT:
+                    node.pivot = readVec3(view, start);
+                    break;
+
+                case KF_POSITION_TRACK:
+                    node.position = readFirstKey(view, start, end, 3);
+                    break;
+
+                case KF_ROTATION_TRACK:
+                    node.rotation = readFirstKey(view, start, end, 4); // Angle in radians, then axis
+                    break;
+
+                case KF_SCALE_TRACK:
+                    node.scale = readFirstKey(view, start, end, 3);
+                    break;
+            }
+        });
+
+        return node;
+    }
+
+    function readVec3(view, offset) {
+        return [view.getFloat32(offset, true), view.getFloat32(offset + 4, true), view.getFloat32(offset + 8, true)];
+    }
+
+    /**
+     * Reads the value of the first key of a keyframer track
+     */
+    function readFirstKey(view, start, end, numValues) {
+
+        // Track flags, two unused words and the key count precede the keys
+        if (view.getUint32(start + 10, true) == 0) {
+            return null;
+        }
+
+        var offset = start + 14 + 4; // Skip the key's frame number
+        var splineFlags = view.getUint16(offset, true);
+
+        offset += 2;
+
+        // Tension, continuity, bias, ease to and ease from, each present when its flag is set
+        for (var bit = 0; bit < 5; bit++) {
+            if (splineFlags & (1 << bit)) {
+                offset += 4;
+            }
+        }
+
+        if (offset + numValues * 4 > end) {
+            return null;
+        }
+
+        var value = [];
+        for (var i = 0; i < numValues; i++) {
+            value.push(view.getFloat32(offset + i * 4, true));
+        }
+
+        return value;
+    }
+
+    /**
+     * Builds the scene graph for a model, arranged in its keyframer hierarchy if it has one
+     */
+    function buildScene(model, baseUri, coreIdPrefix) {
+
+        var ctx = {
+            model:model,
+            baseUri:baseUri,
+            coreIdPrefix:coreIdPrefix,
+            objects:{},
+            meshes:{}
+        };
 
-            },
+        var i;
+        var len;
 
-            destruct:function () {
-                this._taskId = this.taskFinished(this._taskId);
+        for (i = 0, len = model.objects.length; i < len; i++) {
+            ctx.objects[model.objects[i].name] = model.objects[i];
+        }
+
+        var nodes = [];
+
+        if (model.kfNodes.length == 0) {
+            for (i = 0, len = model.objects.length; i < len; i++) {
+                nodes.push({
+                    type:"name",
+                    name:model.objects[i].name,
+                    nodes:buildMesh(ctx, model.objects[i], null)
+                });
+            }
+            return nodes;
+        }
+
+        // Keyframer nodes refer to their parents by ID, which defaults to their position in the file
+        var kfNodes = {};
+        var kfNode;
+
+        for (i = 0, len = model.kfNodes.length; i < len; i++) {
+            kfNode = model.kfNodes[i];
+            if (kfNode.id == null) {
+                kfNode.id = i;
+            }
+            kfNode.json = buildKeyframerNode(ctx, kfNode);
+            kfNodes[kfNode.id] = kfNode;
+        }
+
+        var parent;
+
+        for (i = 0, len = model.kfNodes.length; i < len; i++) {
+            kfNode = model.kfNodes[i];
+            parent = (kfNode.parentId != null) ? kfNodes[kfNode.parentId] : null;
+            if (parent && parent != kfNode) {
+                parent.json.leaf.nodes.push(kfNode.json.root);
+            } else {
+                nodes.push(kfNode.json.root);
+            }
+        }
+
+        // Objects that have no keyframer node stay in world space
+        for (i = 0, len = model.objects.length; i < len; i++) {
+            if (!ctx.meshes[model.objects[i].name]) {
+                nodes.push({
+                    type:"name",
+                    name:model.objects[i].name,
+                    nodes:buildMesh(ctx, model.objects[i], null)
+                });
             }
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Builds the transforms for a keyframer node, with a name node containing its object's mesh, if any
+     */
+    function buildKeyframerNode(ctx, kfNode) {
+
+        var root = null;
+        var leaf = null;
+
+        function wrap(json) {
+            if (leaf) {
+                leaf.nodes = [json];
+            } else {
+                root = json;
+            }
+            leaf = json;
+        }
+
+        var p = kfNode.position;
+        if (p && (p[0] != 0 || p[1] != 0 || p[2] != 0)) {
+            wrap({ type:"translate", x:p[0], y:p[1], z:p[2] });
+        }
+
+        var r = kfNode.rotation;
+        if (r && r[0] != 0 && (r[1] != 0 || r[2] != 0 || r[3] != 0)) {
+            wrap({ type:"rotate", x:r[1], y:r[2], z:r[3], angle:r[0] * 180 / Math.PI });
+        }
+
+        var s = kfNode.scale;
+        if (s && (s[0] != 1 || s[1] != 1 || s[2] != 1)) {
+            wrap({ type:"scale", x:s[0], y:s[1], z:s[2] });
+        }
+
+        var object = ctx.objects[kfNode.name];
+
+        wrap({
+            type:"name",
+            name:kfNode.instanceName || kfNode.name
         });
 
+        var nodes = leaf.nodes = [];
+
+        if (object) {
+
+            var pivot = kfNode.pivot;
+            var mesh = buildMesh(ctx, object, object.mesh.matrix);
+
+            if (pivot[0] != 0 || pivot[1] != 0 || pivot[2] != 0) {
+                nodes.push({
+                    type:"translate",
+                    x:-pivot[0],
+                    y:-pivot[1],
+                    z:-pivot[2],
+                    nodes:mesh
+                });
+            } else {
+                nodes.push.apply(nodes, mesh);
+            }
+        }
+
+        return {
+            root:root,
+            leaf:leaf
+        };
+    }
+
+    /**
+     * Builds the material, texture and geometry nodes for each material used by an object's faces, with the
+     * object's vertices moved into local space by the inverse of the given mesh matrix, if any. Objects that are
+     * instanced by several keyframer nodes share their geometry nodes.
+     */
+    function buildMesh(ctx, object, matrix) {
+
+        var nodes = ctx.meshes[object.name];
+
+        if (nodes) {
+            return nodes;
+        }
+
+        var mesh = object.mesh;
+        var numFaces = mesh.indices.length / 3;
+        var positions = matrix ? toLocal(mesh.positions, matrix) : mesh.positions;
+        var normals = buildNormals(positions, mesh.indices, mesh.smoothingGroups);
+
+        // Faces without a material are rendered with a default material
+        var faceMaterials = mesh.faceMaterials.slice();
+        var assigned = [];
+        var unassigned = [];
+        var i;
+        var j;
+        var len;
+
+        for (i = 0, len = faceMaterials.length; i < len; i++) {
+            for (j = 0; j < faceMaterials[i].faces.length; j++) {
+                assigned[faceMaterials[i].faces[j]] = true;
+            }
+        }
+
+        for (i = 0; i < numFaces; i++) {
+            if (!assigned[i]) {
+                unassigned.push(i);
+            }
+        }
+
+        if (unassigned.length > 0) {
+            faceMaterials.push({ name:null, faces:unassigned });
+        }
+
+        nodes = [];
+
+        for (i = 0, len = faceMaterials.length; i < len; i++) {
+            if (faceMaterials[i].faces.length > 0) {
+                nodes.push(buildMaterial(ctx,
+                    ctx.model.materials[faceMaterials[i].name],
+                    buildGeometry(ctx, object, i, mesh, positions, normals, faceMaterials[i].faces)));
+            }
+        }
+
+        ctx.meshes[object.name] = nodes;
+
+        return nodes;
+    }
+
+    /**
+     * Transforms world-space positions into the local space of a mesh matrix, which is stored as its X, Y and Z
+     * axes followed by its origin
+     */
+    function toLocal(positions, m) {
+
+        var mat = [
+            m[0], m[1], m[2], 0,
+            m[3], m[4], m[5], 0,
+            m[6], m[7], m[8], 0,
+            m[9], m[10], m[11], 1
+        ];
+
+        var inv = SceneJS_math_inverseMat4(mat, SceneJS_math_mat4());
+        var local = [];
+        var v;
+
+        for (var i = 0, len = positions.length; i < len; i += 3) {
+            v = SceneJS_math_transformPoint3(inv, [positions[i], positions[i + 1], positions[i + 2]]);
+            local.push(v[0], v[1], v[2]);
+        }
+
+        return local;
+    }
 
-        function load(url, ok, error) {
-            var xhr = new XMLHttpRequest();
-            xhr.responseType = "arraybuffer";
-//            xhr.addEventListener('progress',
-//                function (event) {
-//                    // TODO: Update the task? { type:'progress', loaded:event.loaded, total:event.total }
-//                }, false);
-            xhr.addEventListener('load',
-                function (event) {
-                    if (event.target.response) {
-                        ok(event.target.response);
-                    } else {
-                        error('Invalid file [' + url + ']');
+    /**
+     * Builds normals for each face corner, averaging the normals of faces around each vertex that share a
+     * smoothing group with the face, or using the face normal where the face has no smoothing groups
+     */
+    function buildNormals(positions, indices, smoothingGroups) {
+
+        var numFaces = indices.length / 3;
+        var faceNormals = [];
+        var vertexFaces = [];
+        var i;
+        var j;
+        var a, b, c;
+
+        for (i = 0; i < numFaces; i++) {
+
+            a = indices[i * 3] * 3;
+            b = indices[i * 3 + 1] * 3;
+            c = indices[i * 3 + 2] * 3;
+
+            faceNormals.push(SceneJS_math_cross3Vec3( // Length is proportional to area, for weighting
+                [positions[b] - positions[a], positions[b + 1] - positions[a + 1], positions[b + 2] - positions[a + 2]],
+                [positions[c] - positions[a], positions[c + 1] - positions[a + 1], positions[c + 2] - positions[a + 2]],
+                [0, 0, 0]));
+
+            for (j = 0; j < 3; j++) {
+                (vertexFaces[indices[i * 3 + j]] || (vertexFaces[indices[i * 3 + j]] = [])).push(i);
+            }
+        }
+
+        var normals = []; // Normal for each face corner
+        var group;
+        var faces;
+        var sum;
+        var n;
+
+        for (i = 0; i < numFaces; i++) {
+
+            group = smoothingGroups ? smoothingGroups[i] : 1;
+
+            for (j = 0; j < 3; j++) {
+
+                sum = faceNormals[i].slice(0);
+
+                if (group != 0) {
+                    faces = vertexFaces[indices[i * 3 + j]];
+                    for (var k = 0, len = faces.length; k < len; k++) {
+                        if (faces[k] != i && (!smoothingGroups || (smoothingGroups[faces[k]] & group))) {
+                            n = faceNormals[faces[k]];
+                            sum[0] += n[0];
+                            sum[1] += n[1];
+                            sum[2] += n[2];
+                        }
                     }
-                }, false);
-            xhr.addEventListener('error',
-                function () {
-                    error('Couldn\'t load URL [' + url + ']');
-                }, false);
-            xhr.open('GET', url, true);
-            xhr.send(null);
+                }
+
+                n = SceneJS_math_lenVec3(sum);
+                normals.push((n > 0) ? [sum[0] / n, sum[1] / n, sum[2] / n] : [0, 0, 1]); // Degenerate faces face +Z
+            }
         }
 
-    })();
\ No newline at end of file
+        return normals;
+    }
+
+    /**
+     * Builds a geometry for the given faces of a mesh, with a vertex for each unique combination of position and
+     * normal
+     */
+    function buildGeometry(ctx, object, partIndex, mesh, positions, normals, faces) {
+
+        var geometry = {
+            type:"geometry",
+            coreId:ctx.coreIdPrefix ? ctx.coreIdPrefix + object.name + "." + partIndex : undefined,
+            primitive:"triangles",
+            positions:[],
+            normals:[],
+            uv:mesh.uv ? [] : undefined,
+            indices:[]
+        };
+
+        var vertexMap = {};
+        var vertex;
+        var normal;
+        var key;
+        var index;
+
+        for (var i = 0, len = faces.length; i < len; i++) {
+            for (var j = 0; j < 3; j++) {
+
+                vertex = mesh.indices[faces[i] * 3 + j];
+                normal = normals[faces[i] * 3 + j];
+                key = vertex + "/" + normal[0].toFixed(4) + "," + normal[1].toFixed(4) + "," + normal[2].toFixed(4);
+                index = vertexMap[key];
+
+                if (index == undefined) {
+
+                    index = vertexMap[key] = geometry.positions.length / 3;
+
+                    geometry.positions.push(positions[vertex * 3], positions[vertex * 3 + 1], positions[vertex * 3 + 2]);
+                    geometry.normals.push(normal[0], normal[1], normal[2]);
+
+                    if (geometry.uv) {
+                        geometry.uv.push(mesh.uv[vertex * 2] || 0, mesh.uv[vertex * 2 + 1] || 0);
+                    }
+                }
+
+                geometry.indices.push(index);
+            }
+        }
+
+        return geometry;
+    }
+
+    /**
+     * Wraps a geometry in material and texture nodes, and in a flags node when the material is transparent
+     */
+    function buildMaterial(ctx, material, geometry) {
+
+        material = material || { maps:[] };
+
+        var coreId = (ctx.coreIdPrefix && material.name != undefined)
+            ? ctx.coreIdPrefix + "material:" + material.name
+            : undefined;
+
+        var json = {
+            type:"material",
+            coreId:coreId,
+            baseColor:material.baseColor || { r:1, g:1, b:1 },
+            nodes:[geometry]
+        };
+
+        if (material.specularColor) {
+            json.specularColor = material.specularColor;
+        }
+
+        if (material.specular != undefined) {
+            json.specular = material.specular;
+        }
+
+        if (material.shine != undefined) {
+            json.shine = material.shine;
+        }
+
+        if (material.emit != undefined) {
+            json.emit = material.emit;
+        }
+
+        if (material.alpha != undefined) {
+            json.alpha = material.alpha;
+        }
+
+        var layers = [];
+        var map;
+
+        for (var i = 0, len = material.maps.length; i < len; i++) {
+            map = material.maps[i];
+            layers.push({
+                src:ctx.baseUri + map.src,
+                applyTo:map.applyTo,
+                blendMode:map.blendMode,
+                blendFactor:map.blendFactor,
+                scale:map.scale,
+                translate:map.translate,
+                rotate:map.rotate
+            });
+        }
+
+        if (layers.length > 0 && geometry.uv) {
+            json.nodes = [
+                {
+                    type:"texture",
+                    coreId:coreId ? coreId + ".texture" : undefined,
+                    layers:layers,
+                    nodes:[geometry]
+                }
+            ];
+        }
+
+        var hasAlphaMap = false;
+        for (i = 0; i < material.maps.length; i++) {
+            if (material.maps[i].applyTo == "alpha") {
+                hasAlphaMap = true;
+            }
+        }
+
+        if ((material.alpha != undefined && material.alpha < 1) || hasAlphaMap) {
+            json = {
+                type:"flags",
+                flags:{ transparent:true },
+                nodes:[json]
+            };
+        }
+
+        return json;
+    }
+
+    function load(url, ok, error) {
+        var xhr = new XMLHttpRequest();
+        xhr.responseType = "arraybuffer";
+        xhr.addEventListener('load',
+            function (event) {
+                if (event.target.response) {
+                    ok(event.target.response);
+                } else {
+                    error('Invalid file [' + url + ']');
+                }
+            }, false);
+        xhr.addEventListener('error',
+            function () {
+                error('Couldn\'t load URL [' + url + ']');
+            }, false);
+        xhr.open('GET', url, true);
+        xhr.send(null);
+    }
+
+})();
@@ -0,0 +1,682 @@
+/**
+ * glTF 2.0 importer
+ *
+ * Imports the default scene of a .gltf or .glb file, with buffers that are either external, embedded as data URIs,
+ * or within the binary chunk of a .glb file.
+ *
+ * The glTF node hierarchy is rebuilt as translate, rotate, scale and matrix nodes, with a name node for each glTF
+ * node that has a name. Each mesh primitive becomes a geometry, within a "pbr" model material node for its base color,
+ * metallic and roughness factors, emissive factor and alpha, along with a texture node for its base color,
+ * metallic-roughness, occlusion and emissive textures. Alpha blended materials are flagged as transparent, alpha
+ * masked materials discard fragments below their alpha cutoff, and single-sided materials cull backfaces. Cameras,
+ * lights, skins and animations are not imported.
+ *
+ * Usage example:
+ *
+ * someNode.addNode({
+ *      type: "import/gltf",
+ *      src: "models/duck.glb",
+ *      scene: 0 // Optional index of scene to import, defaults to the file's default scene
+ *  });
+ */
+(function () {
+
+    // Component readers for accessor component types, with normalisation divisors
+    var componentTypes = {
+        5120:{ size:1, get:"getInt8", max:127 },
+        5121:{ size:1, get:"getUint8", max:255 },
+        5122:{ size:2, get:"getInt16", max:32767 },
+        5123:{ size:2, get:"getUint16", max:65535 },
+        5125:{ size:4, get:"getUint32", max:4294967295 },
+        5126:{ size:4, get:"getFloat32", max:1 }
+    };
+
+    var numComponents = {
+        SCALAR:1,
+        VEC2:2,
+        VEC3:3,
+        VEC4:4,
+        MAT2:4,
+        MAT3:9,
+        MAT4:16
+    };
+
+    var primitiveModes = {
+        0:"points",
+        1:"lines",
+        2:"line-loop",
+        3:"line-strip",
+        4:"triangles",
+        5:"triangle-strip",
+        6:"triangle-fan"
+    };
+
+    var samplerEnums = {
+        9728:"nearest",
+        9729:"linear",
+        9984:"nearestMipMapNearest",
+        9985:"linearMipMapNearest",
+        9986:"nearestMipMapLinear",
+        9987:"linearMipMapLinear",
+        10497:"repeat",
+        33071:"clampToEdge",
+        33648:"mirroredRepeat"
+    };
+
+    var GLB_MAGIC = 0x46546C67; // "glTF"
+    var GLB_CHUNK_JSON = 0x4E4F534A;
+    var GLB_CHUNK_BIN = 0x004E4942;
+
+    SceneJS.Types.addType("import/gltf", {
+
+        construct:function (params) {
+
+            if (!params.src) {
+                this.log("error", "Attribute expected: src");
+                return;
+            }
+
+            // Notify SceneJS so it can support loading/busy indicators etc
+            this._taskId = this.taskStarted("Loading glTF");
+
+            var self = this;
+            var src = params.src;
+            var baseUri = src.substring(0, src.lastIndexOf("/") + 1);
+
+            load(src,
+                function (data) {
+
+                    if (self.destroyed) {
+                        return;
+                    }
+
+                    var gltf;
+                    var binChunk = null;
+
+                    try {
+                        var dataView = new DataView(data);
+                        if (data.byteLength >= 12 && dataView.getUint32(0, true) == GLB_MAGIC) {
+                            var glb = parseGLB(data);
+                            gltf = glb.json;
+                            binChunk = glb.bin;
+                        } else {
+                            gltf = JSON.parse(decodeText(new Uint8Array(data)));
+                        }
+                    } catch (e) {
+                        self.log("error", "Failed to parse glTF file [" + src + "]: " + e);
+                        self._taskId = self.taskFailed(self._taskId);
+                        return;
+                    }
+
+                    loadBuffers(self, gltf, binChunk, baseUri,
+                        function (buffers) {
+
+                            if (self.destroyed) {
+                                return;
+                            }
+
+                            try {
+                                var nodes = buildScene(gltf, buffers, baseUri, params.scene, src);
+                                for (var i = 0, len = nodes.length; i < len; i++) {
+                                    self.addNode(nodes[i]);
+                                }
+                            } catch (e) {
+                                self.log("error", "Failed to import glTF file [" + src + "]: " + e);
+                                self._taskId = self.taskFailed(self._taskId);
+                                return;
+                            }
+
+                            self._taskId = self.taskFinished(self._taskId);
+                        },
+                        function (err) {
+                            self.log("error", "Failed to load glTF buffer: " + err);
+                            self._taskId = self.taskFailed(self._taskId);
+                        });
+                },
+
+                function (err) {
+                    self.log("error", "Failed to load file: " + err);
+                    self._taskId = self.taskFailed(self._taskId);
+                });
+        },
+
+        destruct:function () {
+            this._taskId = this.taskFinished(this._taskId);
+        }
+    });
+
+    /**
+     * Splits a .glb file into its JSON and binary chunks
+     */
+    function parseGLB(data) {
+
+        var dataView = new DataView(data);
+        var version = dataView.getUint32(4, true);
+
+        if (version != 2) {
+            throw "unsupported .glb version: " + version;
+        }
+
+        var length = Math.min(dataView.getUint32(8, true), data.byteLength);
+        var offset = 12;
+        var json = null;
+        var bin = null;
+        var chunkLength;
+        var chunkType;
+
+        while (offset + 8 <= length) {
+            chunkLength = dataView.getUint32(offset, true);
+            chunkType = dataView.getUint32(offset + 4, true);
+            offset += 8;
+            if (chunkType == GLB_CHUNK_JSON) {
+                json = JSON.parse(decodeText(new Uint8Array(data, offset, chunkLength)));
+            } else if (chunkType == GLB_CHUNK_BIN) {
+                bin = data.slice(offset, offset + chunkLength);
+            }
+            offset += chunkLength;
+        }
+
+        if (!json) {
+            throw ".glb has no JSON chunk";
+        }
+
+        return { json:json, bin:bin };
+    }
+
+    /**
+     * Loads the buffers of a glTF file, reporting a task for each external buffer
+     */
+    function loadBuffers(node, gltf, binChunk, baseUri, ok, error) {
+
+        var buffers = [];
+        var gltfBuffers = gltf.buffers || [];
+        var numPending = 0;
+        var failed = false;
+        var done = false;
+
+        function finish() {
+            if (!done && !failed && numPending == 0) {
+                done = true;
+                ok(buffers);
+            }
+        }
+
+        for (var i = 0, len = gltfBuffers.length; i < len; i++) {
+
+            (function (index) {
+
+                var uri = gltfBuffers[index].uri;
+
+                if (uri == undefined) { // Binary chunk of .glb
+                    if (!binChunk) {
+                        failed = true;
+                        error("buffer " + index + " has no uri and there is no .glb binary chunk");
+                        return;
+                    }
+                    buffers[index] = binChunk;
+
+                } else if (uri.indexOf("data:") == 0) { // Embedded
+                    buffers[index] = decodeDataUri(uri);
+
+                } else { // External
+                    numPending++;
+                    var taskId = node.taskStarted("Loading glTF buffer");
+                    load(baseUri + uri,
+                        function (data) {
+                            node.taskFinished(taskId);
+                            buffers[index] = data;
+                            numPending--;
+                            finish();
+                        },
+                        function (err) {
+                            node.taskFailed(taskId);
+                            if (!failed) {
+                                failed = true;
+                                error(err);
+                            }
+                        });
+                }
+            })(i);
+
+            if (failed) {
+                return;
+            }
+        }
+
+        finish();
+    }
+
+    /**
+     * Builds the SceneJS node JSON for a glTF scene
+     */
+    function buildScene(gltf, buffers, baseUri, sceneIndex, src) {
+
+        var ctx = {
+            gltf:gltf,
+            buffers:buffers,
+            baseUri:baseUri,
+            coreIdPrefix:"import/gltf:" + src + ":",
+            accessors:{} // Accessor data, shared by primitives that use the same accessors
+        };
+
+        var scenes = gltf.scenes || [];
+        var scene = scenes[(sceneIndex != undefined) ? sceneIndex : (gltf.scene || 0)];
+        var nodes = [];
+
+        if (scene) {
+            var rootNodes = scene.nodes || [];
+            for (var i = 0, len = rootNodes.length; i < len; i++) {
+                nodes.push(buildNode(ctx, rootNodes[i]));
+            }
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Builds a subgraph for a glTF node, which nests transform nodes, then a name node if the glTF node is named,
+     * then the mesh primitives and child nodes
+     */
+    function buildNode(ctx, nodeIndex) {
+
+        var gltfNode = ctx.gltf.nodes[nodeIndex];
+
+        var root = { type:"node" };
+        var leaf = root;
+
+        function wrap(json) {
+            json.nodes = [];
+            if (leaf === root && root.type == "node") {
+                root = json;
+            } else {
+                leaf.nodes = [json];
+            }
+            leaf = json;
+        }
+
+        if (gltfNode.matrix) {
+            wrap({ type:"matrix", elements:gltfNode.matrix.slice(0) }); // Both column-major
+
+        } else {
+
+            var t = gltfNode.translation;
+            if (t && (t[0] != 0 || t[1] != 0 || t[2] != 0)) {
+                wrap({ type:"translate", x:t[0], y:t[1], z:t[2] });
+            }
+
+            var r = gltfNode.rotation;
+            if (r && r[3] < 1) {
+                var w = Math.max(-1, Math.min(1, r[3]));
+                var s = Math.sqrt(1 - w * w);
+                wrap(s < 0.000001
+                    ? { type:"rotate", x:1, y:0, z:0, angle:0 }
+                    : { type:"rotate", x:r[0] / s, y:r[1] / s, z:r[2] / s, angle:2 * Math.acos(w) * 180 / Math.PI });
+            }
+
+            var sc = gltfNode.scale;
+            if (sc && (sc[0] != 1 || sc[1] != 1 || sc[2] != 1)) {
+                wrap({ type:"scale", x:sc[0], y:sc[1], z:sc[2] });
+            }
+        }
+
+        if (gltfNode.name) {
+            wrap({ type:"name", name:gltfNode.name });
+        }
+
+        var nodes = leaf.nodes || (leaf.nodes = []);
+
+        if (gltfNode.mesh != undefined) {
+            var primitives = ctx.gltf.meshes[gltfNode.mesh].primitives;
+            for (var i = 0, len = primitives.length; i < len; i++) {
+                nodes.push(buildPrimitive(ctx, gltfNode.mesh, i, primitives[i]));
+            }
+        }
+
+        var children = gltfNode.children || [];
+        for (var j = 0, lenj = children.length; j < lenj; j++) {
+            nodes.push(buildNode(ctx, children[j]));
+        }
+
+        return root;
+    }
+
+    /**
+     * Builds the flags, material and texture nodes and geometry for a mesh primitive
+     */
+    function buildPrimitive(ctx, meshIndex, primitiveIndex, primitive) {
+
+        var attributes = primitive.attributes;
+        var primitiveName = primitiveModes[primitive.mode != undefined ? primitive.mode : 4];
+
+        if (!primitiveName) {
+            throw "mesh " + meshIndex + " primitive " + primitiveIndex + " has unsupported mode: " + primitive.mode;
+        }
+
+        if (attributes.POSITION == undefined) {
+            throw "mesh " + meshIndex + " primitive " + primitiveIndex + " has no POSITION attribute";
+        }
+
+        var positions = getAccessorData(ctx, attributes.POSITION);
+
+        var geometry = {
+            type:"geometry",
+            coreId:ctx.coreIdPrefix + "mesh" + meshIndex + "." + primitiveIndex, // Shared by nodes that instance the mesh
+            primitive:primitiveName,
+            positions:positions
+        };
+
+        if (attributes.NORMAL != undefined) {
+            geometry.normals = getAccessorData(ctx, attributes.NORMAL);
+        }
+
+        if (attributes.TEXCOORD_0 != undefined) {
+            geometry.uv = getAccessorData(ctx, attributes.TEXCOORD_0);
+        }
+
+        if (attributes.TEXCOORD_1 != undefined) {
+            geometry.uv2 = getAccessorData(ctx, attributes.TEXCOORD_1);
+        }
+
+        if (attributes.COLOR_0 != undefined) {
+            var colors = getAccessorData(ctx, attributes.COLOR_0);
+            if (ctx.gltf.accessors[attributes.COLOR_0].type == "VEC3") { // Add alpha
+                var rgba = [];
+                for (var i = 0, len = colors.length; i < len; i += 3) {
+                    rgba.push(colors[i], colors[i + 1], colors[i + 2], 1.0);
+                }
+                colors = rgba;
+            }
+            geometry.colors = colors;
+        }
+
+        if (primitive.indices != undefined) {
+            geometry.indices = getAccessorData(ctx, primitive.indices);
+        } else {
+            geometry.indices = [];
+            for (var j = 0, lenj = positions.length / 3; j < lenj; j++) {
+                geometry.indices.push(j);
+            }
+        }
+
+        if (!geometry.normals && primitiveName == "triangles") {
+            geometry.normals = "auto";
+        }
+
+        return buildMaterial(ctx, primitive.material, geometry);
+    }
+
+    /**
+     * Wraps a geometry in the flags, material and texture nodes for a glTF material
+     */
+    function buildMaterial(ctx, materialIndex, geometry) {
+
+        var gltfMaterial = (materialIndex != undefined) ? ctx.gltf.materials[materialIndex] : {};
+        var pbr = gltfMaterial.pbrMetallicRoughness || {};
+        var baseColor = pbr.baseColorFactor || [1, 1, 1, 1];
+        var emissive = gltfMaterial.emissiveFactor || [0, 0, 0];
+        var coreId = (materialIndex != undefined) ? ctx.coreIdPrefix + "material" + materialIndex : undefined;
+
+        var material = {
+            type:"material",
+            coreId:coreId,
+            model:"pbr",
+            baseColor:{ r:baseColor[0], g:baseColor[1], b:baseColor[2] },
+            metallic:pbr.metallicFactor != undefined ? pbr.metallicFactor : 1.0,
+            roughness:pbr.roughnessFactor != undefined ? pbr.roughnessFactor : 1.0,
+            alpha:baseColor[3],
+            emit:(emissive[0] > 0 || emissive[1] > 0 || emissive[2] > 0) ? 1.0 : 0.0,
+            emitColor:{ r:emissive[0], g:emissive[1], b:emissive[2] },
+            nodes:[geometry]
+        };
+
+        if (gltfMaterial.alphaMode == "MASK") { // Opaque, with fragments below the cutoff discarded
+            material.alphaCutoff = gltfMaterial.alphaCutoff != undefined ? gltfMaterial.alphaCutoff : 0.5;
+        }
+
+        var layers = [];
+
+        if (pbr.baseColorTexture) {
+            layers.push(buildTextureLayer(ctx, pbr.baseColorTexture, "baseColor", "multiply"));
+        }
+
+        if (pbr.metallicRoughnessTexture) { // Metallic in blue channel, roughness in green
+            layers.push(buildTextureLayer(ctx, pbr.metallicRoughnessTexture, "metallic", "multiply"));
+            layers.push(buildTextureLayer(ctx, pbr.metallicRoughnessTexture, "roughness", "multiply"));
+        }
+
+        if (gltfMaterial.occlusionTexture) {
+            var occlusion = buildTextureLayer(ctx, gltfMaterial.occlusionTexture, "occlusion", "add");
+            if (gltfMaterial.occlusionTexture.strength != undefined) {
+                occlusion.blendFactor = gltfMaterial.occlusionTexture.strength; // Blends from no occlusion
+            }
+            layers.push(occlusion);
+        }
+
+        if (gltfMaterial.emissiveTexture) {
+            layers.push(buildTextureLayer(ctx, gltfMaterial.emissiveTexture, "emitColor", "multiply")); // Scales emissiveFactor
+        }
+
+        var json = material;
+
+        if (layers.length > 0) {
+            material.nodes = [
+                {
+                    type:"texture",
+                    coreId:coreId ? coreId + ".texture" : undefined,
+                    layers:layers,
+                    nodes:[geometry]
+                }
+            ];
+        }
+
+        var flags = {};
+        var hasFlags = false;
+
+        if (gltfMaterial.alphaMode == "BLEND") {
+            flags.transparent = true;
+            hasFlags = true;
+        }
+
+        if (materialIndex != undefined && !gltfMaterial.doubleSided) {
+            flags.backfaces = false;
+            hasFlags = true;
+        }
+
+        if (hasFlags) {
+            json = {
+                type:"flags",
+                flags:flags,
+                nodes:[material]
+            };
+        }
+
+        return json;
+    }
+
+    function buildTextureLayer(ctx, textureInfo, applyTo, blendMode) {
+
+        var gltfTexture = ctx.gltf.textures[textureInfo.index];
+        var sampler = (gltfTexture.sampler != undefined) ? ctx.gltf.samplers[gltfTexture.sampler] : {};
+
+        var layer = {
+            src:getImageSrc(ctx, gltfTexture.source),
+            applyTo:applyTo,
+            applyFrom:textureInfo.texCoord == 1 ? "uv2" : "uv",
+            blendMode:blendMode,
+            flipY:false // glTF UVs have their origin at the top left of the image
+        };
+
+        if (sampler.minFilter != undefined) {
+            layer.minFilter = samplerEnums[sampler.minFilter];
+        }
+        if (sampler.magFilter != undefined) {
+            layer.magFilter = samplerEnums[sampler.magFilter];
+        }
+        if (sampler.wrapS != undefined) {
+            layer.wrapS = samplerEnums[sampler.wrapS];
+        }
+        if (sampler.wrapT != undefined) {
+            layer.wrapT = samplerEnums[sampler.wrapT];
+        }
+
+        return layer;
+    }
+
+    /**
+     * Returns a URL for a glTF image, which is a data URI for an image within a buffer
+     */
+    function getImageSrc(ctx, imageIndex) {
+
+        var image = ctx.gltf.images[imageIndex];
+
+        if (image.uri != undefined) {
+            return image.uri.indexOf("data:") == 0 ? image.uri : ctx.baseUri + image.uri;
+        }
+
+        var bufferView = ctx.gltf.bufferViews[image.bufferView];
+        var bytes = new Uint8Array(ctx.buffers[bufferView.buffer], bufferView.byteOffset || 0, bufferView.byteLength);
+
+        return "data:" + (image.mimeType || "image/png") + ";base64," + encodeBase64(bytes);
+    }
+
+    /**
+     * Returns the elements of an accessor as an array of numbers
+     */
+    function getAccessorData(ctx, accessorIndex) {
+
+        var data = ctx.accessors[accessorIndex];
+        if (data) {
+            return data;
+        }
+
+        var gltf = ctx.gltf;
+        var accessor = gltf.accessors[accessorIndex];
+        var size = numComponents[accessor.type];
+        var componentType = componentTypes[accessor.componentType];
+
+        if (!size || !componentType) {
+            throw "accessor " + accessorIndex + " has unsupported type";
+        }
+
+        var count = accessor.count;
+        data = new Array(count * size);
+
+        if (accessor.bufferView != undefined) {
+            readElements(ctx, accessor.bufferView, accessor.byteOffset || 0, componentType, size, count,
+                accessor.normalized, data, null);
+        } else {
+            for (var i = 0, len = data.length; i < len; i++) {
+                data[i] = 0;
+            }
+        }
+
+        var sparse = accessor.sparse;
+
+        if (sparse) { // Substitute sparse elements
+            var indices = [];
+            readElements(ctx, sparse.indices.bufferView, sparse.indices.byteOffset || 0,
+                componentTypes[sparse.indices.componentType], 1, sparse.count, false, indices, null);
+            readElements(ctx, sparse.values.bufferView, sparse.values.byteOffset || 0, componentType, size,
+                sparse.count, accessor.normalized, data, indices);
+        }
+
+        ctx.accessors[accessorIndex] = data;
+
+        return data;
+    }
+
+    /**
+     * Reads elements from a buffer view into an array, optionally at the given element indices of the array
+     */
+    function readElements(ctx, bufferViewIndex, byteOffset, componentType, size, count, normalized, data, indices) {
+
+        var bufferView = ctx.gltf.bufferViews[bufferViewIndex];
+        var buffer = ctx.buffers[bufferView.buffer];
+        var dataView = new DataView(buffer, (bufferView.byteOffset || 0) + byteOffset);
+        var stride = bufferView.byteStride || (componentType.size * size);
+        var get = componentType.get;
+        var scale = (normalized && componentType.max != 1) ? 1 / componentType.max : 1;
+        var value;
+        var element;
+
+        for (var i = 0; i < count; i++) {
+            element = indices ? indices[i] : i;
+            for (var j = 0; j < size; j++) {
+                value = dataView[get](i * stride + j * componentType.size, true) * scale;
+                data[element * size + j] = (scale < 1 && value < -1) ? -1 : value; // Signed normalisation clamps at -1
+            }
+        }
+    }
+
+    function decodeText(bytes) {
+        if (typeof TextDecoder != "undefined") {
+            return new TextDecoder("utf-8").decode(bytes);
+        }
+        var s = "";
+        for (var i = 0, len = bytes.length; i < len; i++) {
+            s += String.fromCharCode(bytes[i]);
+        }
+        return decodeURIComponent(escape(s));
+    }
+
+    var BASE64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+    /**
+     * Decodes a base64 data URI into an ArrayBuffer
+     */
+    function decodeDataUri(uri) {
+
+        var base64 = uri.substring(uri.indexOf(",") + 1).replace(/[^A-Za-z0-9\+\/]/g, "");
+        var bytes = new Uint8Array(Math.floor(base64.length * 3 / 4));
+        var bits = 0;
+        var numBits = 0;
+        var j = 0;
+
+        for (var i = 0, len = base64.length; i < len; i++) {
+            bits = (bits << 6) | BASE64.indexOf(base64.charAt(i));
+            numBits += 6;
+            if (numBits >= 8) {
+                numBits -= 8;
+                bytes[j++] = (bits >> numBits) & 0xFF;
+            }
+        }
+
+        return bytes.buffer;
+    }
+
+    function encodeBase64(bytes) {
+
+        var s = "";
+        var len = bytes.length;
+        var b;
+
+        for (var i = 0; i < len; i += 3) {
+            b = (bytes[i] << 16) | ((i + 1 < len ? bytes[i + 1] : 0) << 8) | (i + 2 < len ? bytes[i + 2] : 0);
+            s += BASE64.charAt((b >> 18) & 63) + BASE64.charAt((b >> 12) & 63)
+                + (i + 1 < len ? BASE64.charAt((b >> 6) & 63) : "=")
+                + (i + 2 < len ? BASE64.charAt(b & 63) : "=");
+        }
+
+        return s;
+    }
+
+    function load(url, ok, error) {
+        var xhr = new XMLHttpRequest();
+        xhr.responseType = "arraybuffer";
+        xhr.addEventListener('load',
+            function (event) {
+                if (event.target.response) {
+                    ok(event.target.response);
+                } else {
+                    error('Invalid file [' + url + ']');
+                }
+            }, false);
+        xhr.addEventListener('error',
+            function () {
+                error('Couldn\'t load URL [' + url + ']');
+            }, false);
+        xhr.open('GET', url, true);
+        xhr.send(null);
+    }
+
+})();
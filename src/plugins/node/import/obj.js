@@ -1,100 +1,692 @@
 /**
  * WaveFront OBJ mesh importer
  *
- * Uses the K3D library to parse OBJ
- * © 2012 Ivan Kuckir
- * http://k3d.ivank.net/
+ * Imports an OBJ file from a URL, or from inline text or an ArrayBuffer, along with the materials in the
+ * companion .mtl files that the OBJ references with mtllib statements.
  *
+ * The mesh is split into a geometry for each combination of group (or object) and material, each within a name
+ * node for the group (or object), so that they are pickable, and a material node, along with a texture node when
+ * the material has texture maps. Missing normals are generated, smoothed across faces that share vertices within
+ * the same smoothing group, and flat for faces with smoothing off.
+ *
+ * Usage examples:
+ *
+ * someNode.addNode({
+ *      type: "import/obj",
+ *      src: "models/car.obj"   // Companion .mtl files are loaded relative to this
+ *  });
+ *
+ * someNode.addNode({
+ *      type: "import/obj",
+ *      data: objText,          // OBJ as a string or ArrayBuffer
+ *      mtl: mtlText,           // Optional MTL as a string or ArrayBuffer, instead of loading the OBJ's mtllib files
+ *      baseUri: "models/"      // Optional location of the .mtl and texture files
+ *  });
  */
-require([
+(function () {
 
-    // This prefix routes to the 3rd-party libs directory containing resources used by plugins
-    "scenejsPluginDeps/k3d"
-],
-    function () {
+    SceneJS.Types.addType("import/obj", {
 
-        SceneJS.Types.addType("import/obj", {
+        construct:function (params) {
 
-            construct:function (params) {
-
-                if (!params.src) {
-                    this.log("error", "Attribute expected: src");
-                }
+            if (!params.src && params.data == undefined) {
+                this.log("error", "Attribute expected: src or data");
+                return;
+            }
 
-                // Notify SceneJS so it can support loading/busy indicators etc
-                this._taskId = this.taskStarted("Loading .OBJ");
+            // Notify SceneJS so it can support loading/busy indicators etc
+            this._taskId = this.taskStarted("Loading .OBJ");
 
-                var self = this;
+            var self = this;
+            var baseUri = (params.baseUri != undefined)
+                ? params.baseUri
+                : (params.src ? params.src.substring(0, params.src.lastIndexOf("/") + 1) : "");
 
-                load(params.src,
-                    function (data) {
+            getText(params.data, params.src,
+                function (text) {
 
-                        var m = K3D.parse.fromOBJ(data);	// done !
+                    if (self.destroyed) {
+                        return;
+                    }
 
-                        // unwrap simply duplicates some values, so they can be indexed with indices [0,1,2,3 ... ]
-                        // In some rendering engines, you can have only one index value for vertices, UVs, normals ...,
-                        // so "unwrapping" is a simple solution.
+                    var model = parseOBJ(text);
 
-                        var positions = K3D.edit.unwrap(m.i_verts, m.c_verts, 3);
-                        var normals = K3D.edit.unwrap(m.i_norms, m.c_norms, 3);
-                        var uv = K3D.edit.unwrap(m.i_uvt, m.c_uvt, 2);
+                    getMaterials(self, model, params.mtl, baseUri,
+                        function (materials) {
 
-                        var indices = [];
-                        for (var i = 0; i < m.i_verts.length; i++) {
-                            indices.push(i);
-                        }
+                            if (self.destroyed) {
+                                return;
+                            }
 
-                        // Need to flip the UV coordinates on Y-axis for SceneJS geometry
-                        for (var i = 1, len = uv.length; i < len; i += 2) {
-                            uv[i] *= -1.0;
-                        }
+                            var nodes = buildNodes(model, materials, baseUri);
+                            for (var i = 0, len = nodes.length; i < len; i++) {
+                                self.addNode(nodes[i]);
+                            }
 
-                        self.addNode({
-                            type:"geometry",
-                            primitive:"triangles",
-                            positions:positions,
-                            uv:uv.length > 0 ? uv : undefined,
-                            normals:normals.length > 0 ? normals : undefined,
-                            indices:indices
+                            self._taskId = self.taskFinished(self._taskId);
                         });
+                },
 
-                        self._taskId = self.taskFinished(self._taskId);
-                    },
+                function (err) {
+                    self.log("error", "Failed to load file: " + err);
+                    self._taskId = self.taskFailed(self._taskId);
+                });
+        },
 
+        destruct:function () {
+            this._taskId = this.taskFinished(this._taskId);
+        }
+    });
+
+    /**
+     * Gets inline text or ArrayBuffer data as text, or loads it from a URL
+     */
+    function getText(data, src, ok, error) {
+        if (data != undefined) {
+            ok(typeof data == "string" ? data : decodeText(new Uint8Array(data)));
+        } else {
+            load(src,
+                function (data) {
+                    ok(decodeText(new Uint8Array(data)));
+                },
+                error);
+        }
+    }
+
+    /**
+     * Gets the materials for a model, from inline MTL data or else from the model's mtllib files, which are
+     * each loaded as a task. Materials that can't be loaded are logged and the model is built without them.
+     */
+    function getMaterials(node, model, mtl, baseUri, ok) {
+
+        var materials = {};
+
+        if (mtl != undefined) {
+            parseMTL(typeof mtl == "string" ? mtl : decodeText(new Uint8Array(mtl)), materials);
+            ok(materials);
+            return;
+        }
+
+        var numPending = model.mtllibs.length;
+
+        if (numPending == 0) {
+            ok(materials);
+            return;
+        }
+
+        for (var i = 0, len = model.mtllibs.length; i < len; i++) {
+            (function (url) {
+                var taskId = node.taskStarted("Loading .MTL");
+                load(url,
+                    function (data) {
+                        parseMTL(decodeText(new Uint8Array(data)), materials);
+                        node.taskFinished(taskId);
+                        if (--numPending == 0) {
+                            ok(materials);
+                        }
+                    },
                     function (err) {
-                        self.log("error", "Failed to load file: " + err);
-                        self._taskId = self.taskFailed(self._taskId);
+                        node.log("warn", "Failed to load material file: " + err);
+                        node.taskFailed(taskId);
+                        if (--numPending == 0) {
+                            ok(materials);
+                        }
                     });
+            })(baseUri + model.mtllibs[i]);
+        }
+    }
+
+    /**
+     * Parses OBJ text into vertex arrays and faces, with each face belonging to a part of the model for its
+     * group (or object) and material
+     */
+    function parseOBJ(text) {
+
+        var model = {
+            positions:[],
+            uv:[],
+            normals:[],
+            parts:[],
+            mtllibs:[]
+        };
+
+        var partMap = {};
+        var objectName = "";
+        var groupName = "";
+        var materialName = "";
+        var smoothingGroup = 0;
+        var part = null;
+
+        var lines = text.split(/\r?\n/);
+        var line;
+        var tokens;
+        var keyword;
+
+        for (var i = 0, len = lines.length; i < len; i++) {
+
+            line = lines[i];
+
+            while (line.charAt(line.length - 1) == "\\" && i + 1 < len) { // Line continuation
+                line = line.substring(0, line.length - 1) + " " + lines[++i];
+            }
+
+            line = line.replace(/#.*/, "").replace(/^\s+|\s+$/g, "");
+
+            if (line.length == 0) {
+                continue;
+            }
+
+            tokens = line.split(/\s+/);
+            keyword = tokens[0];
+
+            switch (keyword) {
+
+                case "v":
+                    model.positions.push(parseFloat(tokens[1]), parseFloat(tokens[2]), parseFloat(tokens[3]));
+                    break;
+
+                case "vt":
+                    model.uv.push(parseFloat(tokens[1]), tokens.length > 2 ? parseFloat(tokens[2]) : 0);
+                    break;
+
+                case "vn":
+                    model.normals.push(parseFloat(tokens[1]), parseFloat(tokens[2]), parseFloat(tokens[3]));
+                    break;
+
+                case "f":
+                    if (!part) {
+                        part = getPart(model, partMap, groupName || objectName, materialName);
+                    }
+                    part.faces.push(parseFace(model, tokens, smoothingGroup));
+                    break;
+
+                case "o":
+                    objectName = line.substring(1).replace(/^\s+/, "");
+                    groupName = "";
+                    part = null;
+                    break;
 
-            },
+                case "g":
+                    groupName = line.substring(1).replace(/^\s+/, "");
+                    part = null;
+                    break;
 
-            destruct:function () {
-                this._taskId = this.taskFinished(this._taskId);
+                case "usemtl":
+                    materialName = line.substring(6).replace(/^\s+/, "");
+                    part = null;
+                    break;
+
+                case "s":
+                    smoothingGroup = (tokens[1] == "off") ? 0 : (parseInt(tokens[1], 10) || 0);
+                    break;
+
+                case "mtllib":
+                    model.mtllibs.push(line.substring(6).replace(/^\s+/, ""));
+                    break;
+            }
+        }
+
+        return model;
+    }
+
+    function getPart(model, partMap, name, materialName) {
+        var key = name + "\n" + materialName;
+        var part = partMap[key];
+        if (!part) {
+            part = partMap[key] = {
+                name:name,
+                materialName:materialName,
+                faces:[]
+            };
+            model.parts.push(part);
+        }
+        return part;
+    }
+
+    /**
+     * Parses the vertices of a face, resolving negative (relative) indices to zero-based absolute indices
+     */
+    function parseFace(model, tokens, smoothingGroup) {
+
+        var face = {
+            smoothingGroup:smoothingGroup,
+            vertices:[]
+        };
+
+        var numPositions = model.positions.length / 3;
+        var numUV = model.uv.length / 2;
+        var numNormals = model.normals.length / 3;
+        var parts;
+
+        for (var i = 1, len = tokens.length; i < len; i++) {
+            parts = tokens[i].split("/");
+            face.vertices.push({
+                position:resolveIndex(parts[0], numPositions),
+                uv:resolveIndex(parts[1], numUV),
+                normal:resolveIndex(parts[2], numNormals)
+            });
+        }
+
+        return face;
+    }
+
+    function resolveIndex(token, count) {
+        if (token == undefined || token == "") {
+            return -1;
+        }
+        var index = parseInt(token, 10);
+        return (index < 0) ? count + index : index - 1;
+    }
+
+    /**
+     * Parses MTL text into a map of materials
+     */
+    function parseMTL(text, materials) {
+
+        var material = null;
+        var lines = text.split(/\r?\n/);
+        var line;
+        var tokens;
+        var value;
+
+        for (var i = 0, len = lines.length; i < len; i++) {
+
+            line = lines[i].replace(/#.*/, "").replace(/^\s+|\s+$/g, "");
+
+            if (line.length == 0) {
+                continue;
+            }
+
+            tokens = line.split(/\s+/);
+
+            if (tokens[0] == "newmtl") {
+                material = materials[line.substring(6).replace(/^\s+/, "")] = {};
+                continue;
             }
-        });
-
-
-        function load(url, ok, error) {
-            var xhr = new XMLHttpRequest();
-            xhr.responseType = "arraybuffer";
-//            xhr.addEventListener('progress',
-//                function (event) {
-//                    // TODO: Update the task? { type:'progress', loaded:event.loaded, total:event.total }
-//                }, false);
-            xhr.addEventListener('load',
-                function (event) {
-                    if (event.target.response) {
-                        ok(event.target.response);
+
+            if (!material) {
+                continue;
+            }
+
+            switch (tokens[0]) {
+
+                case "Kd":
+                    material.baseColor = parseColor(tokens);
+                    break;
+
+                case "Ks":
+                    material.specularColor = parseColor(tokens);
+                    break;
+
+                case "Ke":
+                    var emissive = parseColor(tokens);
+                    material.emit = Math.max(emissive.r, emissive.g, emissive.b);
+                    break;
+
+                case "Ns":
+                    material.shine = parseFloat(tokens[1]);
+                    break;
+
+                case "d":
+                    value = parseFloat(tokens[tokens.length - 1]); // May be preceded by -halo
+                    material.alpha = value;
+                    break;
+
+                case "Tr":
+                    material.alpha = 1 - parseFloat(tokens[1]);
+                    break;
+
+                case "map_Kd":
+                    material.colorMap = parseMapPath(tokens);
+                    break;
+
+                case "map_Ks":
+                    material.specularMap = parseMapPath(tokens);
+                    break;
+
+                case "map_Ke":
+                    material.emitMap = parseMapPath(tokens);
+                    break;
+
+                case "map_d":
+                    material.alphaMap = parseMapPath(tokens);
+                    break;
+
+                case "map_bump":
+                case "map_Bump":
+                case "bump":
+                case "norm":
+                    material.normalMap = parseMapPath(tokens);
+                    break;
+            }
+        }
+    }
+
+    function parseColor(tokens) {
+        var r = parseFloat(tokens[1]);
+        return {
+            r:r,
+            g:tokens.length > 2 ? parseFloat(tokens[2]) : r,
+            b:tokens.length > 3 ? parseFloat(tokens[3]) : r
+        };
+    }
+
+    // Options that may precede the path in a texture map statement, mapped to their maximum numbers of arguments
+    var mapOptionArgs = {
+        "-blendu":1, "-blendv":1, "-bm":1, "-boost":1, "-cc":1, "-clamp":1, "-imfchan":1,
+        "-mm":2, "-o":3, "-s":3, "-t":3, "-texres":1, "-type":1
+    };
+
+    /**
+     * Gets the path from a texture map statement, skipping any options before it
+     */
+    function parseMapPath(tokens) {
+        var i = 1;
+        var numArgs;
+        while (i < tokens.length - 1 && (numArgs = mapOptionArgs[tokens[i]]) != undefined) {
+            i++;
+            for (var j = 0; j < numArgs && i < tokens.length - 1; j++) {
+                if (j > 0 && isNaN(parseFloat(tokens[i]))) { // Optional trailing arguments, eg. "-s u [v] [w]"
+                    break;
+                }
+                i++;
+            }
+        }
+        return tokens.slice(i).join(" ");
+    }
+
+    /**
+     * Builds the name, material, texture and geometry nodes for each part of a model
+     */
+    function buildNodes(model, materials, baseUri) {
+
+        var smoothNormals = buildSmoothNormals(model);
+        var nodes = [];
+        var part;
+        var geometry;
+
+        for (var i = 0, len = model.parts.length; i < len; i++) {
+
+            part = model.parts[i];
+            geometry = buildGeometry(model, part, smoothNormals);
+
+            if (!geometry) {
+                continue;
+            }
+
+            nodes.push({
+                type:"name",
+                name:part.name || part.materialName || "default",
+                nodes:[
+                    buildMaterial(materials[part.materialName], baseUri, geometry)
+                ]
+            });
+        }
+
+        return nodes;
+    }
+
+    function getFaceNormal(positions, face) {
+
+        // Newell's method, which handles non-planar polygons
+        var nx = 0, ny = 0, nz = 0;
+        var vertices = face.vertices;
+        var a, b;
+
+        for (var i = 0, len = vertices.length; i < len; i++) {
+            a = vertices[i].position * 3;
+            b = vertices[(i + 1) % len].position * 3;
+            nx += (positions[a + 1] - positions[b + 1]) * (positions[a + 2] + positions[b + 2]);
+            ny += (positions[a + 2] - positions[b + 2]) * (positions[a] + positions[b]);
+            nz += (positions[a] - positions[b]) * (positions[a + 1] + positions[b + 1]);
+        }
+
+        return [nx, ny, nz]; // Length is proportional to area, for weighting
+    }
+
+    /**
+     * Sums the normals of the faces around each position within each smoothing group, across all parts of the model,
+     * for faces that have no normals of their own
+     */
+    function buildSmoothNormals(model) {
+
+        var sums = {};
+        var faces;
+        var face;
+        var normal;
+        var key;
+
+        for (var i = 0, len = model.parts.length; i < len; i++) {
+
+            faces = model.parts[i].faces;
+
+            for (var j = 0, lenj = faces.length; j < lenj; j++) {
+
+                face = faces[j];
+
+                if (face.smoothingGroup == 0 || face.vertices[0].normal >= 0) {
+                    continue;
+                }
+
+                normal = getFaceNormal(model.positions, face);
+
+                for (var k = 0, lenk = face.vertices.length; k < lenk; k++) {
+                    key = face.vertices[k].position + ":" + face.smoothingGroup;
+                    var sum = sums[key] || (sums[key] = [0, 0, 0]);
+                    sum[0] += normal[0];
+                    sum[1] += normal[1];
+                    sum[2] += normal[2];
+                }
+            }
+        }
+
+        return sums;
+    }
+
+    /**
+     * Builds a geometry for a part of the model, with vertices unwrapped so that each unique combination of
+     * position, UV and normal has one index
+     */
+    function buildGeometry(model, part, smoothNormals) {
+
+        var positions = [];
+        var uv = [];
+        var normals = [];
+        var indices = [];
+
+        var vertexMap = {};
+        var hasUV = false;
+        var faces = part.faces;
+        var face;
+        var faceNormal;
+        var vertex;
+        var corners;
+        var normal;
+        var key;
+        var index;
+        var p;
+
+        for (var i = 0, len = faces.length; i < len; i++) {
+
+            face = faces[i];
+
+            if (face.vertices.length < 3) {
+                continue;
+            }
+
+            faceNormal = (face.smoothingGroup == 0 && face.vertices[0].normal < 0)
+                ? normalize(getFaceNormal(model.positions, face))
+                : null;
+
+            corners = [];
+
+            for (var j = 0, lenj = face.vertices.length; j < lenj; j++) {
+
+                vertex = face.vertices[j];
+
+                if (vertex.normal >= 0) {
+                    key = vertex.position + "/" + vertex.uv + "/" + vertex.normal;
+                } else if (faceNormal) {
+                    key = vertex.position + "/" + vertex.uv + "/f" + i; // Flat shaded
+                } else {
+                    key = vertex.position + "/" + vertex.uv + "/s" + face.smoothingGroup;
+                }
+
+                index = vertexMap[key];
+
+                if (index == undefined) {
+
+                    index = vertexMap[key] = positions.length / 3;
+
+                    p = vertex.position * 3;
+                    positions.push(model.positions[p], model.positions[p + 1], model.positions[p + 2]);
+
+                    if (vertex.uv >= 0) {
+                        uv.push(model.uv[vertex.uv * 2], model.uv[vertex.uv * 2 + 1]);
+                        hasUV = true;
                     } else {
-                        error('Invalid file [' + url + ']');
+                        uv.push(0, 0);
                     }
-                }, false);
-            xhr.addEventListener('error',
-                function () {
-                    error('Couldn\'t load URL [' + url + ']');
-                }, false);
-            xhr.open('GET', url, true);
-            xhr.send(null);
+
+                    if (vertex.normal >= 0) {
+                        p = vertex.normal * 3;
+                        normal = [model.normals[p], model.normals[p + 1], model.normals[p + 2]];
+                    } else if (faceNormal) {
+                        normal = faceNormal;
+                    } else {
+                        normal = normalize(smoothNormals[vertex.position + ":" + face.smoothingGroup]);
+                    }
+
+                    normals.push(normal[0], normal[1], normal[2]);
+                }
+
+                corners.push(index);
+            }
+
+            for (var k = 1, lenk = corners.length - 1; k < lenk; k++) { // Triangulate as a fan
+                indices.push(corners[0], corners[k], corners[k + 1]);
+            }
+        }
+
+        if (indices.length == 0) {
+            return null;
+        }
+
+        return {
+            type:"geometry",
+            primitive:"triangles",
+            positions:positions,
+            uv:hasUV ? uv : undefined,
+            normals:normals,
+            indices:indices
+        };
+    }
+
+    function normalize(v) {
+        var len = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+        return (len > 0) ? [v[0] / len, v[1] / len, v[2] / len] : [0, 0, 1];
+    }
+
+    /**
+     * Wraps a geometry in material and texture nodes, and in a flags node when the material is transparent
+     */
+    function buildMaterial(material, baseUri, geometry) {
+
+        material = material || {};
+
+        var json = {
+            type:"material",
+            baseColor:material.baseColor || { r:1, g:1, b:1 },
+            nodes:[geometry]
+        };
+
+        if (material.specularColor) {
+            json.specularColor = material.specularColor;
+        }
+
+        if (material.shine != undefined) {
+            json.shine = material.shine;
+        }
+
+        if (material.emit != undefined) {
+            json.emit = material.emit;
+        }
+
+        if (material.alpha != undefined) {
+            json.alpha = material.alpha;
         }
 
-    })();
\ No newline at end of file
+        var layers = [];
+
+        if (material.colorMap) {
+            layers.push({ src:baseUri + material.colorMap, applyTo:"baseColor", blendMode:"multiply" });
+        }
+
+        if (material.specularMap) {
+            layers.push({ src:baseUri + material.specularMap, applyTo:"specular", blendMode:"multiply" });
+        }
+
+        if (material.emitMap) {
+            layers.push({ src:baseUri + material.emitMap, applyTo:"emit", blendMode:"add" });
+        }
+
+        if (material.alphaMap) {
+            layers.push({ src:baseUri + material.alphaMap, applyTo:"alpha", blendMode:"multiply" });
+        }
+
+        if (material.normalMap) {
+            layers.push({ src:baseUri + material.normalMap, applyTo:"normals", blendMode:"multiply" });
+        }
+
+        if (layers.length > 0 && geometry.uv) {
+            json.nodes = [
+                {
+                    type:"texture",
+                    layers:layers,
+                    nodes:[geometry]
+                }
+            ];
+        }
+
+        if ((material.alpha != undefined && material.alpha < 1) || material.alphaMap) {
+            json = {
+                type:"flags",
+                flags:{ transparent:true },
+                nodes:[json]
+            };
+        }
+
+        return json;
+    }
+
+    function decodeText(bytes) {
+        if (typeof TextDecoder != "undefined") {
+            return new TextDecoder("utf-8").decode(bytes);
+        }
+        var s = "";
+        for (var i = 0, len = bytes.length; i < len; i++) {
+            s += String.fromCharCode(bytes[i]);
+        }
+        return decodeURIComponent(escape(s));
+    }
+
+    function load(url, ok, error) {
+        var xhr = new XMLHttpRequest();
+        xhr.responseType = "arraybuffer";
+        xhr.addEventListener('load',
+            function (event) {
+                if (event.target.response) {
+                    ok(event.target.response);
+                } else {
+                    error('Invalid file [' + url + ']');
+                }
+            }, false);
+        xhr.addEventListener('error',
+            function () {
+                error('Couldn\'t load URL [' + url + ']');
+            }, false);
+        xhr.open('GET', url, true);
+        xhr.send(null);
+    }
+
+})();
@@ -0,0 +1,545 @@
+/**
+ * PLY mesh importer
+ *
+ * Imports an ASCII or binary (little or big endian) PLY file from a URL, or from inline text or an ArrayBuffer,
+ * detecting the encoding from the file's header.
+ *
+ * Vertex positions, normals, colors and texture coordinates are imported from the vertex element, and polygons from
+ * the face element are triangulated. Where the file has no normals, normals are generated by averaging the normals
+ * of the faces around each vertex. A file without faces is imported as a point cloud.
+ *
+ * Meshes with more vertices than a geometry can index are split into several geometries.
+ *
+ * Usage examples:
+ *
+ * someNode.addNode({
+ *      type: "import/ply",
+ *      src: "models/scan.ply"
+ *  });
+ *
+ * someNode.addNode({
+ *      type: "import/ply",
+ *      data: arrayBuffer  // Contents of a PLY file, as an ArrayBuffer or a string
+ *  });
+ */
+(function () {
+
+    // Maximum number of vertices that a geometry can index
+    var MAX_VERTICES = 65535;
+
+    // Readers for PLY property types, with divisors to normalise colors of each type
+    var propertyTypes = {
+        "char":{ size:1, get:"getInt8", max:127 },
+        "int8":{ size:1, get:"getInt8", max:127 },
+        "uchar":{ size:1, get:"getUint8", max:255 },
+        "uint8":{ size:1, get:"getUint8", max:255 },
+        "short":{ size:2, get:"getInt16", max:32767 },
+        "int16":{ size:2, get:"getInt16", max:32767 },
+        "ushort":{ size:2, get:"getUint16", max:65535 },
+        "uint16":{ size:2, get:"getUint16", max:65535 },
+        "int":{ size:4, get:"getInt32", max:2147483647 },
+        "int32":{ size:4, get:"getInt32", max:2147483647 },
+        "uint":{ size:4, get:"getUint32", max:4294967295 },
+        "uint32":{ size:4, get:"getUint32", max:4294967295 },
+        "float":{ size:4, get:"getFloat32", max:1 },
+        "float32":{ size:4, get:"getFloat32", max:1 },
+        "double":{ size:8, get:"getFloat64", max:1 },
+        "float64":{ size:8, get:"getFloat64", max:1 }
+    };
+
+    SceneJS.Types.addType("import/ply", {
+
+        construct:function (params) {
+
+            if (!params.src && params.data == undefined) {
+                this.log("error", "Attribute expected: src or data");
+                return;
+            }
+
+            // Notify SceneJS so it can support loading/busy indicators etc
+            this._taskId = this.taskStarted("Loading .PLY");
+
+            var self = this;
+            var coreIdPrefix = params.src ? "import/ply:" + params.src + ":" : undefined;
+
+            var build = function (data) {
+
+                if (self.destroyed) {
+                    return;
+                }
+
+                try {
+                    var geometries = buildGeometries(parsePLY(data));
+                    for (var i = 0, len = geometries.length; i < len; i++) {
+                        geometries[i].coreId = coreIdPrefix ? coreIdPrefix + i : undefined;
+                        self.addNode(geometries[i]);
+                    }
+                } catch (e) {
+                    self.log("error", "Failed to import .PLY file: " + e);
+                    self._taskId = self.taskFailed(self._taskId);
+                    return;
+                }
+
+                self._taskId = self.taskFinished(self._taskId);
+            };
+
+            if (params.data != undefined) {
+                build(params.data);
+                return;
+            }
+
+            load(params.src,
+                build,
+                function (err) {
+                    self.log("error", "Failed to load file: " + err);
+                    self._taskId = self.taskFailed(self._taskId);
+                });
+        },
+
+        destruct:function () {
+            this._taskId = this.taskFinished(this._taskId);
+        }
+    });
+
+    /**
+     * Parses a PLY file into a mesh with flat arrays of vertex attributes and a list of faces
+     */
+    function parsePLY(data) {
+
+        var bytes = (typeof data == "string") ? encodeText(data) : new Uint8Array(data);
+        var header = parseHeader(bytes);
+
+        var mesh = {
+            positions:[],
+            normals:null,
+            colors:null,
+            uv:null,
+            faces:[]
+        };
+
+        var reader = (header.format == "ascii")
+            ? asciiReader(decodeText(bytes.subarray(header.length)))
+            : binaryReader(new DataView(bytes.buffer, bytes.byteOffset + header.length), header.format == "binary_little_endian");
+
+        var element;
+
+        for (var i = 0, len = header.elements.length; i < len; i++) {
+            element = header.elements[i];
+            if (element.name == "vertex") {
+                readVertices(reader, element, mesh);
+            } else if (element.name == "face") {
+                readFaces(reader, element, mesh);
+            } else {
+                skipElement(reader, element);
+            }
+        }
+
+        return mesh;
+    }
+
+    function parseHeader(bytes) {
+
+        // Find the end of the header, which is ASCII text ending with an "end_header" line
+        var text = "";
+        var i = 0;
+        var end = -1;
+
+        if (bytes.length < 3 || String.fromCharCode(bytes[0], bytes[1], bytes[2]) != "ply") {
+            throw "not a PLY file";
+        }
+
+        while (i < bytes.length && end < 0) {
+            text += String.fromCharCode(bytes[i++]);
+            if (bytes[i - 1] == 10 && /(^|\n)end_header\r?\n$/.test(text)) {
+                end = i;
+            }
+        }
+
+        if (end < 0) {
+            throw "PLY header not terminated";
+        }
+
+        var header = {
+            length:end,
+            format:null,
+            elements:[]
+        };
+
+        var lines = text.split(/\r?\n/);
+        var tokens;
+        var element = null;
+
+        for (i = 0; i < lines.length; i++) {
+
+            tokens = lines[i].replace(/^\s+|\s+$/g, "").split(/\s+/);
+
+            switch (tokens[0]) {
+
+                case "format":
+                    header.format = tokens[1];
+                    break;
+
+                case "element":
+                    element = {
+                        name:tokens[1],
+                        count:parseInt(tokens[2], 10),
+                        properties:[]
+                    };
+                    header.elements.push(element);
+                    break;
+
+                case "property":
+                    if (!element) {
+                        throw "property before element";
+                    }
+                    if (tokens[1] == "list") {
+                        element.properties.push({ name:tokens[4], countType:tokens[2], type:tokens[3] });
+                    } else {
+                        element.properties.push({ name:tokens[2], type:tokens[1] });
+                    }
+                    break;
+            }
+        }
+
+        if (header.format != "ascii" && header.format != "binary_little_endian" && header.format != "binary_big_endian") {
+            throw "unsupported format: " + header.format;
+        }
+
+        for (i = 0; i < header.elements.length; i++) {
+            for (var j = 0; j < header.elements[i].properties.length; j++) {
+                var property = header.elements[i].properties[j];
+                if (!propertyTypes[property.type] || (property.countType && !propertyTypes[property.countType])) {
+                    throw "unsupported property type: " + (property.countType || property.type);
+                }
+            }
+        }
+
+        return header;
+    }
+
+    /**
+     * Reads the values of ASCII element properties
+     */
+    function asciiReader(text) {
+        var values = text.replace(/^\s+|\s+$/g, "").split(/\s+/);
+        var i = 0;
+        return {
+            read:function () {
+                if (i >= values.length) {
+                    throw "unexpected end of file";
+                }
+                return parseFloat(values[i++]);
+            }
+        };
+    }
+
+    /**
+     * Reads the values of binary element properties
+     */
+    function binaryReader(view, littleEndian) {
+        var offset = 0;
+        return {
+            read:function (type) {
+                var propertyType = propertyTypes[type];
+                var value = view[propertyType.get](offset, littleEndian);
+                offset += propertyType.size;
+                return value;
+            }
+        };
+    }
+
+    /**
+     * Reads the values of an element's properties into a map
+     */
+    function readElement(reader, element) {
+        var values = {};
+        var property;
+        var count;
+        var list;
+        for (var i = 0, len = element.properties.length; i < len; i++) {
+            property = element.properties[i];
+            if (property.countType) {
+                count = reader.read(property.countType);
+                list = [];
+                for (var j = 0; j < count; j++) {
+                    list.push(reader.read(property.type));
+                }
+                values[property.name] = list;
+            } else {
+                values[property.name] = reader.read(property.type);
+            }
+        }
+        return values;
+    }
+
+    function skipElement(reader, element) {
+        for (var i = 0; i < element.count; i++) {
+            readElement(reader, element);
+        }
+    }
+
+    function getPropertyType(element, names) {
+        for (var i = 0, len = element.properties.length; i < len; i++) {
+            if (names.indexOf(element.properties[i].name) >= 0) {
+                return element.properties[i];
+            }
+        }
+        return null;
+    }
+
+    function readVertices(reader, element, mesh) {
+
+        var hasNormals = !!getPropertyType(element, ["nx"]);
+        var colorProperty = getPropertyType(element, ["red", "diffuse_red"]);
+        var alphaProperty = getPropertyType(element, ["alpha", "diffuse_alpha"]);
+        var colorMax = colorProperty ? propertyTypes[colorProperty.type].max : 1;
+        var alphaMax = alphaProperty ? propertyTypes[alphaProperty.type].max : 1;
+        var uProperty = getPropertyType(element, ["s", "u", "texture_u"]);
+        var vProperty = getPropertyType(element, ["t", "v", "texture_v"]);
+
+        mesh.normals = hasNormals ? [] : null;
+        mesh.colors = colorProperty ? [] : null;
+        mesh.uv = (uProperty && vProperty) ? [] : null;
+
+        var values;
+
+        for (var i = 0; i < element.count; i++) {
+
+            values = readElement(reader, element);
+
+            mesh.positions.push(values.x, values.y, values.z);
+
+            if (hasNormals) {
+                mesh.normals.push(values.nx, values.ny, values.nz);
+            }
+
+            if (colorProperty) {
+                mesh.colors.push(
+                    (values.red != undefined ? values.red : values.diffuse_red) / colorMax,
+                    (values.green != undefined ? values.green : values.diffuse_green) / colorMax,
+                    (values.blue != undefined ? values.blue : values.diffuse_blue) / colorMax,
+                    alphaProperty ? values[alphaProperty.name] / alphaMax : 1);
+            }
+
+            if (mesh.uv) {
+                mesh.uv.push(values[uProperty.name], values[vProperty.name]);
+            }
+        }
+    }
+
+    function readFaces(reader, element, mesh) {
+        var indexProperty = getPropertyType(element, ["vertex_indices", "vertex_index"]);
+        var values;
+        for (var i = 0; i < element.count; i++) {
+            values = readElement(reader, element);
+            if (indexProperty) {
+                mesh.faces.push(values[indexProperty.name]);
+            }
+        }
+    }
+
+    /**
+     * Builds geometries for a mesh, generating normals if needed
+     */
+    function buildGeometries(mesh) {
+
+        if (mesh.faces.length == 0) {
+            return splitPoints(mesh);
+        }
+
+        var indices = [];
+        var face;
+
+        for (var i = 0, len = mesh.faces.length; i < len; i++) {
+            face = mesh.faces[i];
+            for (var j = 1, lenj = face.length - 1; j < lenj; j++) { // Triangulate as a fan
+                indices.push(face[0], face[j], face[j + 1]);
+            }
+        }
+
+        if (!mesh.normals) {
+            mesh.normals = buildNormals(mesh.positions, indices);
+        }
+
+        return splitMesh(mesh, indices);
+    }
+
+    /**
+     * Generates vertex normals, averaged from the normals of the faces around each vertex, weighted by face area
+     */
+    function buildNormals(positions, indices) {
+
+        var normals = [];
+        var i;
+        var len;
+
+        for (i = 0, len = positions.length; i < len; i++) {
+            normals.push(0);
+        }
+
+        var a, b, c;
+        var ux, uy, uz, vx, vy, vz;
+        var nx, ny, nz;
+
+        for (i = 0, len = indices.length; i < len; i += 3) {
+
+            a = indices[i] * 3;
+            b = indices[i + 1] * 3;
+            c = indices[i + 2] * 3;
+
+            ux = positions[b] - positions[a];
+            uy = positions[b + 1] - positions[a + 1];
+            uz = positions[b + 2] - positions[a + 2];
+            vx = positions[c] - positions[a];
+            vy = positions[c + 1] - positions[a + 1];
+            vz = positions[c + 2] - positions[a + 2];
+
+            nx = uy * vz - uz * vy;
+            ny = uz * vx - ux * vz;
+            nz = ux * vy - uy * vx;
+
+            normals[a] += nx;
+            normals[a + 1] += ny;
+            normals[a + 2] += nz;
+            normals[b] += nx;
+            normals[b + 1] += ny;
+            normals[b + 2] += nz;
+            normals[c] += nx;
+            normals[c + 1] += ny;
+            normals[c + 2] += nz;
+        }
+
+        var l;
+
+        for (i = 0, len = normals.length; i < len; i += 3) {
+            l = Math.sqrt(normals[i] * normals[i] + normals[i + 1] * normals[i + 1] + normals[i + 2] * normals[i + 2]);
+            if (l > 0) {
+                normals[i] /= l;
+                normals[i + 1] /= l;
+                normals[i + 2] /= l;
+            } else {
+                normals[i + 2] = 1; // Unused or degenerate vertices face +Z
+            }
+        }
+
+        return normals;
+    }
+
+    function newGeometry(mesh, primitive) {
+        return {
+            type:"geometry",
+            primitive:primitive,
+            positions:[],
+            normals:mesh.normals ? [] : undefined,
+            colors:mesh.colors ? [] : undefined,
+            uv:mesh.uv ? [] : undefined,
+            indices:[]
+        };
+    }
+
+    function addVertex(mesh, geometry, v) {
+        geometry.positions.push(mesh.positions[v * 3], mesh.positions[v * 3 + 1], mesh.positions[v * 3 + 2]);
+        if (geometry.normals) {
+            geometry.normals.push(mesh.normals[v * 3], mesh.normals[v * 3 + 1], mesh.normals[v * 3 + 2]);
+        }
+        if (geometry.colors) {
+            geometry.colors.push(mesh.colors[v * 4], mesh.colors[v * 4 + 1], mesh.colors[v * 4 + 2], mesh.colors[v * 4 + 3]);
+        }
+        if (geometry.uv) {
+            geometry.uv.push(mesh.uv[v * 2], mesh.uv[v * 2 + 1]);
+        }
+    }
+
+    /**
+     * Splits an indexed triangle mesh into geometries that each have no more vertices than a geometry can index
+     */
+    function splitMesh(mesh, indices) {
+
+        var geometries = [];
+        var geometry = null;
+        var vertexMap;
+        var index;
+        var v;
+
+        for (var i = 0, len = indices.length; i < len; i += 3) {
+
+            if (!geometry || geometry.positions.length / 3 + 3 > MAX_VERTICES) {
+                geometry = newGeometry(mesh, "triangles");
+                geometries.push(geometry);
+                vertexMap = {};
+            }
+
+            for (var j = 0; j < 3; j++) {
+                v = indices[i + j];
+                index = vertexMap[v];
+                if (index == undefined) {
+                    index = vertexMap[v] = geometry.positions.length / 3;
+                    addVertex(mesh, geometry, v);
+                }
+                geometry.indices.push(index);
+            }
+        }
+
+        return geometries;
+    }
+
+    /**
+     * Splits a point cloud into geometries that each have no more points than a geometry can index
+     */
+    function splitPoints(mesh) {
+
+        var geometries = [];
+        var geometry = null;
+        var numVertices = mesh.positions.length / 3;
+
+        for (var v = 0; v < numVertices; v++) {
+            if (!geometry || geometry.indices.length == MAX_VERTICES) {
+                geometry = newGeometry(mesh, "points");
+                geometries.push(geometry);
+            }
+            geometry.indices.push(geometry.indices.length);
+            addVertex(mesh, geometry, v);
+        }
+
+        return geometries;
+    }
+
+    function encodeText(text) {
+        var bytes = new Uint8Array(text.length);
+        for (var i = 0, len = text.length; i < len; i++) {
+            bytes[i] = text.charCodeAt(i) & 0xFF;
+        }
+        return bytes;
+    }
+
+    function decodeText(bytes) {
+        if (typeof TextDecoder != "undefined") {
+            return new TextDecoder("utf-8").decode(bytes);
+        }
+        var s = "";
+        for (var i = 0, len = bytes.length; i < len; i++) {
+            s += String.fromCharCode(bytes[i]);
+        }
+        return s;
+    }
+
+    function load(url, ok, error) {
+        var xhr = new XMLHttpRequest();
+        xhr.responseType = "arraybuffer";
+        xhr.addEventListener('load',
+            function (event) {
+                if (event.target.response) {
+                    ok(event.target.response);
+                } else {
+                    error('Invalid file [' + url + ']');
+                }
+            }, false);
+        xhr.addEventListener('error',
+            function () {
+                error('Couldn\'t load URL [' + url + ']');
+            }, false);
+        xhr.open('GET', url, true);
+        xhr.send(null);
+    }
+
+})();
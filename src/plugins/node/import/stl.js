@@ -0,0 +1,335 @@
+/**
+ * STL mesh importer
+ *
+ * Imports an ASCII or binary STL file from a URL, or from inline text or an ArrayBuffer, detecting which encoding
+ * the file uses.
+ *
+ * By default each facet is flat shaded with its own vertices, using the facet normals from the file, or normals
+ * generated from the facet's vertices where the file has none. With the "smooth" option, vertices at the same
+ * position are welded together and given normals averaged from the facets around them.
+ *
+ * Meshes with more vertices than a geometry can index are split into several geometries.
+ *
+ * Usage examples:
+ *
+ * someNode.addNode({
+ *      type: "import/stl",
+ *      src: "models/bracket.stl",
+ *      smooth: true    // Optional, weld vertices and smooth normals, default false
+ *  });
+ *
+ * someNode.addNode({
+ *      type: "import/stl",
+ *      data: arrayBuffer  // Contents of an STL file, as an ArrayBuffer or a string
+ *  });
+ */
+(function () {
+
+    // Maximum number of vertices that a geometry can index
+    var MAX_VERTICES = 65535;
+
+    SceneJS.Types.addType("import/stl", {
+
+        construct:function (params) {
+
+            if (!params.src && params.data == undefined) {
+                this.log("error", "Attribute expected: src or data");
+                return;
+            }
+
+            // Notify SceneJS so it can support loading/busy indicators etc
+            this._taskId = this.taskStarted("Loading .STL");
+
+            var self = this;
+            var coreIdPrefix = params.src ? "import/stl:" + params.src + ":" : undefined;
+
+            var build = function (data) {
+
+                if (self.destroyed) {
+                    return;
+                }
+
+                try {
+                    var mesh = parseSTL(data);
+                    var geometries = buildGeometries(mesh, !!params.smooth);
+                    for (var i = 0, len = geometries.length; i < len; i++) {
+                        geometries[i].coreId = coreIdPrefix ? coreIdPrefix + (params.smooth ? "smooth." : "") + i : undefined;
+                        self.addNode(geometries[i]);
+                    }
+                } catch (e) {
+                    self.log("error", "Failed to import .STL file: " + e);
+                    self._taskId = self.taskFailed(self._taskId);
+                    return;
+                }
+
+                self._taskId = self.taskFinished(self._taskId);
+            };
+
+            if (params.data != undefined) {
+                build(params.data);
+                return;
+            }
+
+            load(params.src,
+                build,
+                function (err) {
+                    self.log("error", "Failed to load file: " + err);
+                    self._taskId = self.taskFailed(self._taskId);
+                });
+        },
+
+        destruct:function () {
+            this._taskId = this.taskFinished(this._taskId);
+        }
+    });
+
+    /**
+     * Parses an ASCII or binary STL file into flat arrays of facet vertex positions and facet normals
+     */
+    function parseSTL(data) {
+
+        if (typeof data == "string") {
+            return parseASCII(data);
+        }
+
+        // A binary file is exactly the size given by its facet count, and an ASCII file starts with "solid",
+        // although some binary files also start with "solid", so the size is checked first
+        if (data.byteLength >= 84) {
+            var numFacets = new DataView(data).getUint32(80, true);
+            if (data.byteLength == 84 + numFacets * 50) {
+                return parseBinary(data, numFacets);
+            }
+        }
+
+        var bytes = new Uint8Array(data, 0, Math.min(data.byteLength, 5));
+        if (String.fromCharCode.apply(null, bytes) == "solid") {
+            return parseASCII(decodeText(new Uint8Array(data)));
+        }
+
+        throw "not an STL file";
+    }
+
+    function parseBinary(data, numFacets) {
+
+        var view = new DataView(data);
+        var positions = new Float32Array(numFacets * 9);
+        var normals = new Float32Array(numFacets * 3);
+        var offset = 84;
+        var i;
+        var j;
+
+        for (i = 0; i < numFacets; i++) {
+            for (j = 0; j < 3; j++) {
+                normals[i * 3 + j] = view.getFloat32(offset + j * 4, true);
+            }
+            for (j = 0; j < 9; j++) {
+                positions[i * 9 + j] = view.getFloat32(offset + 12 + j * 4, true);
+            }
+            offset += 50; // Normal, three vertices and an attribute word
+        }
+
+        return {
+            positions:positions,
+            normals:normals
+        };
+    }
+
+    function parseASCII(text) {
+
+        var positions = [];
+        var normals = [];
+        var facetPattern = /facet\s+normal\s+(\S+)\s+(\S+)\s+(\S+)([\s\S]*?)endfacet/g;
+        var vertexPattern = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+        var facet;
+        var vertex;
+        var vertices;
+
+        while ((facet = facetPattern.exec(text)) != null) {
+
+            vertices = [];
+            vertexPattern.lastIndex = 0;
+
+            while ((vertex = vertexPattern.exec(facet[4])) != null) {
+                vertices.push(parseFloat(vertex[1]), parseFloat(vertex[2]), parseFloat(vertex[3]));
+            }
+
+            if (vertices.length == 9) {
+                positions.push.apply(positions, vertices);
+                normals.push(parseFloat(facet[1]), parseFloat(facet[2]), parseFloat(facet[3]));
+            }
+        }
+
+        if (positions.length == 0 && !/^\s*solid/.test(text)) {
+            throw "not an STL file";
+        }
+
+        return {
+            positions:positions,
+            normals:normals
+        };
+    }
+
+    /**
+     * Builds geometries for a mesh, either flat shaded or with welded vertices and smoothed normals
+     */
+    function buildGeometries(mesh, smooth) {
+
+        var positions = mesh.positions;
+        var numFacets = positions.length / 9;
+        var facetNormals = [];
+        var i;
+
+        for (i = 0; i < numFacets; i++) {
+            facetNormals.push(getFacetNormal(mesh, i, smooth));
+        }
+
+        var vertexPositions = [];
+        var vertexNormals = [];
+        var indices = [];
+        var n;
+
+        if (!smooth) {
+
+            for (i = 0; i < numFacets; i++) {
+                n = normalize(facetNormals[i]);
+                for (var j = 0; j < 3; j++) {
+                    vertexPositions.push(positions[i * 9 + j * 3], positions[i * 9 + j * 3 + 1], positions[i * 9 + j * 3 + 2]);
+                    vertexNormals.push(n[0], n[1], n[2]);
+                    indices.push(i * 3 + j);
+                }
+            }
+
+        } else {
+
+            var vertexMap = {};
+            var key;
+            var index;
+            var p;
+
+            for (i = 0; i < numFacets * 3; i++) {
+
+                p = i * 3;
+                key = positions[p] + "," + positions[p + 1] + "," + positions[p + 2];
+                index = vertexMap[key];
+
+                if (index == undefined) {
+                    index = vertexMap[key] = vertexPositions.length / 3;
+                    vertexPositions.push(positions[p], positions[p + 1], positions[p + 2]);
+                    vertexNormals.push(0, 0, 0);
+                }
+
+                n = facetNormals[Math.floor(i / 3)];
+                vertexNormals[index * 3] += n[0];
+                vertexNormals[index * 3 + 1] += n[1];
+                vertexNormals[index * 3 + 2] += n[2];
+
+                indices.push(index);
+            }
+
+            for (i = 0; i < vertexNormals.length; i += 3) {
+                n = normalize([vertexNormals[i], vertexNormals[i + 1], vertexNormals[i + 2]]);
+                vertexNormals[i] = n[0];
+                vertexNormals[i + 1] = n[1];
+                vertexNormals[i + 2] = n[2];
+            }
+        }
+
+        return splitMesh(vertexPositions, vertexNormals, indices);
+    }
+
+    /**
+     * Gets the normal of a facet, from the file unless it is missing or the normal is for smoothing, in which case
+     * the normal is generated with a length proportional to the facet's area, for weighting
+     */
+    function getFacetNormal(mesh, i, smooth) {
+
+        var normals = mesh.normals;
+
+        if (!smooth && (normals[i * 3] != 0 || normals[i * 3 + 1] != 0 || normals[i * 3 + 2] != 0)) {
+            return [normals[i * 3], normals[i * 3 + 1], normals[i * 3 + 2]];
+        }
+
+        var p = mesh.positions;
+        var a = i * 9;
+        var ux = p[a + 3] - p[a], uy = p[a + 4] - p[a + 1], uz = p[a + 5] - p[a + 2];
+        var vx = p[a + 6] - p[a], vy = p[a + 7] - p[a + 1], vz = p[a + 8] - p[a + 2];
+
+        return [uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx];
+    }
+
+    function normalize(v) {
+        var len = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+        return (len > 0) ? [v[0] / len, v[1] / len, v[2] / len] : [0, 0, 1];
+    }
+
+    /**
+     * Splits an indexed triangle mesh into geometries that each have no more vertices than a geometry can index
+     */
+    function splitMesh(positions, normals, indices) {
+
+        var geometries = [];
+        var geometry = null;
+        var vertexMap;
+        var index;
+        var v;
+
+        for (var i = 0, len = indices.length; i < len; i += 3) {
+
+            if (!geometry || geometry.positions.length / 3 + 3 > MAX_VERTICES) {
+                geometry = {
+                    type:"geometry",
+                    primitive:"triangles",
+                    positions:[],
+                    normals:[],
+                    indices:[]
+                };
+                geometries.push(geometry);
+                vertexMap = {};
+            }
+
+            for (var j = 0; j < 3; j++) {
+                v = indices[i + j];
+                index = vertexMap[v];
+                if (index == undefined) {
+                    index = vertexMap[v] = geometry.positions.length / 3;
+                    geometry.positions.push(positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]);
+                    geometry.normals.push(normals[v * 3], normals[v * 3 + 1], normals[v * 3 + 2]);
+                }
+                geometry.indices.push(index);
+            }
+        }
+
+        return geometries;
+    }
+
+    function decodeText(bytes) {
+        if (typeof TextDecoder != "undefined") {
+            return new TextDecoder("utf-8").decode(bytes);
+        }
+        var s = "";
+        for (var i = 0, len = bytes.length; i < len; i++) {
+            s += String.fromCharCode(bytes[i]);
+        }
+        return s;
+    }
+
+    function load(url, ok, error) {
+        var xhr = new XMLHttpRequest();
+        xhr.responseType = "arraybuffer";
+        xhr.addEventListener('load',
+            function (event) {
+                if (event.target.response) {
+                    ok(event.target.response);
+                } else {
+                    error('Invalid file [' + url + ']');
+                }
+            }, false);
+        xhr.addEventListener('error',
+            function () {
+                error('Couldn\'t load URL [' + url + ']');
+            }, false);
+        xhr.open('GET', url, true);
+        xhr.send(null);
+    }
+
+})();